@@ -243,52 +243,34 @@ class CreatePlayer {
         const player = this.battleController.getPlayer(playerId);
         if (!player) return;
 
-        // Generate rhythm data using LRCModule if available
+        // Analyse the player's layers directly so the main rhythm and form are left alone
         let rhythmData;
-        if (window.lrcModule) {
-            // Temporarily set the main form values to our layer values
-            const oldA = document.getElementById('layer-a')?.value;
-            const oldB = document.getElementById('layer-b')?.value;
-            const oldC = document.getElementById('layer-c')?.value;
-            const oldD = document.getElementById('layer-d')?.value;
-            
-            if (document.getElementById('layer-a')) document.getElementById('layer-a').value = layerA;
-            if (document.getElementById('layer-b')) document.getElementById('layer-b').value = layerB;
-            if (document.getElementById('layer-c')) document.getElementById('layer-c').value = layerC;
-            if (document.getElementById('layer-d')) document.getElementById('layer-d').value = layerD;
-            
-            // Suppress auto-close during rhythm generation
-            if (window.lrcVisuals) {
-                window.lrcVisuals.setSuppressAutoClose(true);
+        if (window.LRCCore) {
+            let analysis;
+            try {
+                analysis = LRCCore.analyzeRhythm([layerA, layerB, layerC, layerD], {
+                    period: window.lrcModule ? window.lrcModule.currentPeriod : undefined
+                });
+            } catch (error) {
+                if (error.code !== 'GRID_OVERFLOW') throw error;
+                alert(`These layers are too large to analyse exactly.\n\nGrid (LCM) = ${error.grid.toLocaleString()}, which is beyond ${Number.MAX_SAFE_INTEGER.toLocaleString()}.\nTry smaller or less coprime layer values.`);
+                return;
             }
-            
-            // Generate the rhythm using the main method
-            window.lrcModule.generateRhythm();
-            
-            // Re-enable auto-close after generation
-            if (window.lrcVisuals) {
-                window.lrcVisuals.setSuppressAutoClose(false);
+
+            if (analysis) {
+                rhythmData = {
+                    grid: analysis.grid,
+                    spacesPlot: analysis.spacesPlot,
+                    ratios: analysis.ratios,
+                    compositeRhythm: analysis.compositeRhythm
+                };
+
+                console.log(`🎮 Generated rhythm data for Player ${playerId}:`, {
+                    grid: rhythmData.grid,
+                    spacesLength: rhythmData.spacesPlot?.length,
+                    ratiosCount: rhythmData.ratios?.length
+                });
             }
-            
-            // Extract the current rhythm data
-            rhythmData = {
-                grid: window.lrcModule.currentGrid,
-                spacesPlot: [...window.lrcModule.currentSpacesPlot],
-                ratios: [...window.lrcModule.currentRatios],
-                compositeRhythm: [...window.lrcModule.currentCompositeRhythm]
-            };
-            
-            // Restore the original values
-            if (document.getElementById('layer-a') && oldA !== undefined) document.getElementById('layer-a').value = oldA;
-            if (document.getElementById('layer-b') && oldB !== undefined) document.getElementById('layer-b').value = oldB;
-            if (document.getElementById('layer-c') && oldC !== undefined) document.getElementById('layer-c').value = oldC;
-            if (document.getElementById('layer-d') && oldD !== undefined) document.getElementById('layer-d').value = oldD;
-            
-            console.log(`🎮 Generated rhythm data for Player ${playerId}:`, {
-                grid: rhythmData.grid,
-                spacesLength: rhythmData.spacesPlot?.length,
-                ratiosCount: rhythmData.ratios?.length
-            });
         }
 
         // Update player with rhythm data - pass the full rhythm data to keep consistency
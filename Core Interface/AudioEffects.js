@@ -9,12 +9,10 @@ class AudioEffects {
             enabled: false
         };
         
-        this.layerEffects = {
-            a: { filter: null, enabled: false },
-            b: { filter: null, enabled: false },
-            c: { filter: null, enabled: false },
-            d: { filter: null, enabled: false }
-        };
+        this.layerEffects = {};
+        LRCLayers.layerKeys(LRCLayers.MAX_LAYERS).forEach(key => {
+            this.layerEffects[key] = { filter: null, enabled: false };
+        });
         
         // Default settings
         this.defaultFilterSettings = {
@@ -60,7 +58,7 @@ class AudioEffects {
     createLayerFilters() {
         if (!this.audioContext || !this.layerNodes) return;
         
-        ['a', 'b', 'c', 'd'].forEach((layer, index) => {
+        LRCLayers.layerKeys(LRCLayers.MAX_LAYERS).forEach((layer, index) => {
             if (this.layerNodes[index]) {
                 const filter = this.audioContext.createBiquadFilter();
                 filter.type = this.defaultFilterSettings.type;
@@ -184,7 +182,7 @@ class AudioEffects {
     setLayerFilterEnabled(layer, enabled) {
         if (this.layerEffects[layer]) {
             this.layerEffects[layer].enabled = enabled;
-            const layerIndex = ['a', 'b', 'c', 'd'].indexOf(layer);
+            const layerIndex = LRCLayers.layerIndex(layer);
             this.updateLayerEffectChain(layer, layerIndex);
             console.log(`Layer ${layer.toUpperCase()} filter ${enabled ? 'enabled' : 'disabled'}`);
         }
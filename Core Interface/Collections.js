@@ -15,6 +15,7 @@
             this.collectionsPanel = document.getElementById('collections-panel');
             this.dropdownSections = Array.from(document.querySelectorAll('#collections-panel .dropdown-section'));
             this.aboutDropdownSection = document.querySelector('#collections-panel .dropdown-section[data-section="about"]');
+            this.compareDropdownSection = document.querySelector('#collections-panel .dropdown-section[data-section="compare"]');
             this.topRhythmsList = document.getElementById('top-rhythms-list');
             this.voteRhythmsList = document.getElementById('vote-rhythms-list');
             this.submitButton = document.getElementById('submit-current-rhythm');
@@ -191,7 +192,8 @@
         updatePanelLayout() {
             if (!this.collectionsPanel) return;
             const aboutExpanded = this.aboutDropdownSection && this.aboutDropdownSection.classList.contains('expanded');
-            this.collectionsPanel.classList.toggle('collections-panel--wide', Boolean(aboutExpanded));
+            const compareExpanded = this.compareDropdownSection && this.compareDropdownSection.classList.contains('expanded');
+            this.collectionsPanel.classList.toggle('collections-panel--wide', Boolean(aboutExpanded || compareExpanded));
         }
 
         // --- Submission Flow ----------------------------------------------------
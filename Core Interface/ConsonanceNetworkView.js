@@ -0,0 +1,404 @@
+// ConsonanceNetworkView.js - Consonance network graph for the Expanded Info View
+// Draws the current Interconsonance analysis as a force-directed graph (layout in LRCConsonanceGraph):
+// pitches around a circle by cents, consonant intervals as edges, families as highlighted hulls.
+// Clicking a pitch lights it like the scale chart; clicking a hull selects that family for playback.
+
+class ConsonanceNetworkView {
+    static MAX_LAYOUT_STEPS = 600; // Large, dense networks may never fully settle
+    static STEPS_PER_FRAME = 3;
+    static SETTLED_ENERGY = 1e-7;
+    static MAX_HULLS = 24; // Families drawn besides the selected one
+    static MAX_LABELS = 48; // Above this many pitches only hovered / selected pitches are labelled
+    static HULL_COLORS = ['#4a9eff', '#ff9f43', '#a55eea', '#26de81', '#fd79a8', '#fed330', '#45aaf2', '#e17055'];
+
+    constructor(container) {
+        this.container = container;
+        this.canvas = document.createElement('canvas');
+        this.canvas.id = 'expanded-network-canvas';
+        this.canvas.style.cssText = `
+            width: 100%;
+            height: 100%;
+            display: none;
+            background: #000000;
+            cursor: default;
+        `;
+        this.ctx = this.canvas.getContext('2d');
+        container.appendChild(this.canvas);
+
+        this.graph = null;
+        this.graphSource = null; // Analysis the graph was built from
+        this.layoutSteps = 0;
+        this.hover = null; // { node } or { family }
+        this.visible = false;
+        this.needsDraw = true;
+        this.lastDrawKey = null;
+        this.frameId = null;
+
+        this.handleMouseMove = (event) => this.updateHover(this.eventPoint(event));
+        this.handleMouseLeave = () => this.updateHover(null);
+        this.handleClick = (event) => this.handlePointClick(this.eventPoint(event));
+        this.canvas.addEventListener('mousemove', this.handleMouseMove);
+        this.canvas.addEventListener('mouseleave', this.handleMouseLeave);
+        this.canvas.addEventListener('click', this.handleClick);
+
+        this.resize();
+    }
+
+    // ====================================
+    // LIFECYCLE
+    // ====================================
+
+    show() {
+        if (this.visible) return;
+        this.visible = true;
+        this.canvas.style.display = 'block';
+        this.resize();
+        this.needsDraw = true;
+        const frame = () => {
+            if (!this.visible) return;
+            this.renderFrame();
+            this.frameId = requestAnimationFrame(frame);
+        };
+        this.frameId = requestAnimationFrame(frame);
+    }
+
+    hide() {
+        this.visible = false;
+        this.canvas.style.display = 'none';
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    destroy() {
+        this.hide();
+        this.canvas.removeEventListener('mousemove', this.handleMouseMove);
+        this.canvas.removeEventListener('mouseleave', this.handleMouseLeave);
+        this.canvas.removeEventListener('click', this.handleClick);
+        if (this.container.contains(this.canvas)) this.container.removeChild(this.canvas);
+        this.graph = null;
+        this.graphSource = null;
+    }
+
+    resize() {
+        const width = this.container.clientWidth - 10;
+        const height = this.container.clientHeight - 10;
+        if (width <= 0 || height <= 0) return;
+        if (this.canvas.width === width && this.canvas.height === height) return;
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.needsDraw = true;
+    }
+
+    // ====================================
+    // GRAPH STATE
+    // ====================================
+
+    // Rebuilds the graph whenever Interconsonance produces a new analysis
+    syncGraph() {
+        const current = window.lrcInterconsonance?.currentAnalysis;
+        const analysis = current ? current.analysis : null;
+        if (analysis === this.graphSource) return;
+
+        this.graphSource = analysis;
+        this.graph = null;
+        this.hover = null;
+        this.layoutSteps = 0;
+        this.needsDraw = true;
+        if (!analysis) return;
+
+        const periodCents = window.lrcModule?.getRhythmInfoData()?.period?.cents || 1200;
+        this.graph = LRCConsonanceGraph.buildGraph(analysis, current.ratios, { periodCents });
+        console.log(`🕸️ Consonance network: ${this.graph.nodes.length} pitches, ${this.graph.edges.length} consonant edges`);
+    }
+
+    stepLayout() {
+        if (!this.graph || this.layoutSteps >= ConsonanceNetworkView.MAX_LAYOUT_STEPS) return;
+        for (let i = 0; i < ConsonanceNetworkView.STEPS_PER_FRAME; i++) {
+            this.layoutSteps++;
+            if (LRCConsonanceGraph.stepLayout(this.graph) < ConsonanceNetworkView.SETTLED_ENERGY) {
+                this.layoutSteps = ConsonanceNetworkView.MAX_LAYOUT_STEPS;
+                break;
+            }
+        }
+        this.needsDraw = true;
+    }
+
+    // Families with hulls: the selected family first, then the strongest few
+    getDrawnFamilies() {
+        const families = window.lrcInterconsonance?.currentAnalysis?.families || [];
+        const selectedKey = window.toneRowPlayback?.activeFamilySelection?.key || null;
+        const selected = selectedKey ? families.find(family => this.getFamilyKey(family) === selectedKey) : null;
+        const others = families
+            .filter(family => family !== selected && family.pitchIndices.length >= 3)
+            .slice(0, ConsonanceNetworkView.MAX_HULLS);
+        return { selected, drawn: selected ? [selected, ...others] : others };
+    }
+
+    getFamilyKey(family) {
+        return family.ratios.slice().sort().join('|');
+    }
+
+    // ====================================
+    // COORDINATES AND INTERACTION
+    // ====================================
+
+    // Unit-square layout -> canvas pixels: the largest centred square
+    getTransform() {
+        const size = Math.min(this.canvas.width, this.canvas.height);
+        return {
+            size,
+            offsetX: (this.canvas.width - size) / 2,
+            offsetY: (this.canvas.height - size) / 2
+        };
+    }
+
+    toCanvas(x, y) {
+        const { size, offsetX, offsetY } = this.getTransform();
+        return [offsetX + x * size, offsetY + y * size];
+    }
+
+    // Mouse event -> unit-square point
+    eventPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        if (!rect.width || !rect.height) return null;
+        const px = (event.clientX - rect.left) * this.canvas.width / rect.width;
+        const py = (event.clientY - rect.top) * this.canvas.height / rect.height;
+        const { size, offsetX, offsetY } = this.getTransform();
+        return { x: (px - offsetX) / size, y: (py - offsetY) / size, scale: size };
+    }
+
+    hitTest(point) {
+        if (!point || !this.graph) return null;
+        const nodeIndex = LRCConsonanceGraph.nodeAt(this.graph, point.x, point.y, this.getNodeRadius() * 1.5 / point.scale);
+        if (nodeIndex !== -1) return { node: this.graph.nodes[nodeIndex] };
+
+        const { drawn } = this.getDrawnFamilies();
+        const familyIndex = LRCConsonanceGraph.familyAt(this.graph, drawn, point.x, point.y, this.getHullPadding() / point.scale);
+        return familyIndex !== -1 ? { family: drawn[familyIndex] } : null;
+    }
+
+    updateHover(point) {
+        const hover = this.hitTest(point);
+        const changed = (hover?.node || null) !== (this.hover?.node || null) ||
+            (hover?.family || null) !== (this.hover?.family || null);
+        this.hover = hover;
+        this.canvas.style.cursor = hover ? 'pointer' : 'default';
+        if (changed) this.needsDraw = true;
+    }
+
+    handlePointClick(point) {
+        const hit = this.hitTest(point);
+        if (!hit) return;
+
+        if (hit.node) {
+            window.expandedInfoView?.selectPitch(hit.node.index);
+        } else if (hit.family) {
+            if (!window.toneRowPlayback || !window.toneRowPlayback.selectFamilyByRatios(hit.family.ratios)) {
+                console.warn('Consonance family could not be selected for playback:', hit.family.ratios);
+            }
+        }
+        this.needsDraw = true;
+    }
+
+    // ====================================
+    // DRAWING
+    // ====================================
+
+    getNodeRadius() {
+        const count = this.graph ? this.graph.nodes.length : 0;
+        const size = this.getTransform().size;
+        return Math.max(3, Math.min(9, size * 0.6 / Math.max(count, 12)));
+    }
+
+    getHullPadding() {
+        return this.getNodeRadius() + 6;
+    }
+
+    renderFrame() {
+        this.syncGraph();
+        this.stepLayout();
+
+        // Selections happen elsewhere too (scale chart, family buttons), so watch them here
+        const interconsonance = window.lrcInterconsonance;
+        const families = interconsonance?.currentAnalysis?.families;
+        const drawKey = [
+            interconsonance?.selectedPitch ?? '',
+            window.toneRowPlayback?.activeFamilySelection?.key || '',
+            families ? families.length : 0
+        ].join('#');
+        if (drawKey !== this.lastDrawKey) {
+            this.lastDrawKey = drawKey;
+            this.needsDraw = true;
+        }
+
+        if (!this.needsDraw) return;
+        this.needsDraw = false;
+        this.draw();
+    }
+
+    draw() {
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (!this.graph) {
+            ctx.fillStyle = '#888';
+            ctx.font = '13px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('Run Interconsonance analysis to see the consonance network', this.canvas.width / 2, this.canvas.height / 2);
+            return;
+        }
+
+        const selectedPitch = window.lrcInterconsonance?.selectedPitch ?? null;
+        const consonantWith = selectedPitch !== null
+            ? window.lrcInterconsonance.pitchConsonanceMap.get(selectedPitch)?.consonantWith || new Set()
+            : new Set();
+
+        this.drawGuideCircle();
+        this.drawHulls();
+        this.drawEdges(selectedPitch);
+        this.drawNodes(selectedPitch, consonantWith);
+        this.drawTooltip();
+    }
+
+    drawGuideCircle() {
+        const ctx = this.ctx;
+        const [cx, cy] = this.toCanvas(0.5, 0.5);
+        ctx.strokeStyle = '#222';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(cx, cy, 0.4 * this.getTransform().size, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    drawHulls() {
+        const ctx = this.ctx;
+        const { selected, drawn } = this.getDrawnFamilies();
+        const padding = this.getHullPadding();
+
+        // Selected family last so it sits on top
+        drawn.slice().reverse().forEach((family, reverseIndex) => {
+            const index = drawn.length - 1 - reverseIndex;
+            const isSelected = family === selected;
+            const isHovered = family === this.hover?.family;
+            const color = isSelected ? '#ffffff' : ConsonanceNetworkView.HULL_COLORS[index % ConsonanceNetworkView.HULL_COLORS.length];
+            const hull = LRCConsonanceGraph.familyHull(this.graph, family).map(([x, y]) => this.toCanvas(x, y));
+
+            ctx.save();
+            ctx.lineJoin = 'round';
+            ctx.lineCap = 'round';
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            hull.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+            ctx.closePath();
+
+            // A wide round stroke pads the hull past its node centres
+            ctx.globalAlpha = isSelected ? 0.25 : (isHovered ? 0.2 : 0.08);
+            ctx.lineWidth = padding * 2;
+            ctx.stroke();
+            ctx.fill();
+            ctx.globalAlpha = isSelected || isHovered ? 0.9 : 0.35;
+            ctx.lineWidth = isSelected ? 2 : 1;
+            ctx.stroke();
+            ctx.restore();
+        });
+    }
+
+    drawEdges(selectedPitch) {
+        const ctx = this.ctx;
+        const { nodes, edges } = this.graph;
+        const dense = edges.length > 500;
+
+        ctx.save();
+        edges.forEach(edge => {
+            const touchesSelected = selectedPitch !== null && (edge.source === selectedPitch || edge.target === selectedPitch);
+            if (selectedPitch !== null && !touchesSelected && dense) return;
+
+            const [x1, y1] = this.toCanvas(nodes[edge.source].x, nodes[edge.source].y);
+            const [x2, y2] = this.toCanvas(nodes[edge.target].x, nodes[edge.target].y);
+            ctx.strokeStyle = touchesSelected ? '#4caf50' : '#9aa7b4';
+            ctx.globalAlpha = touchesSelected
+                ? 0.4 + 0.6 * edge.weight
+                : (selectedPitch !== null ? 0.08 : (dense ? 0.05 : 0.15) + 0.45 * edge.weight);
+            ctx.lineWidth = 0.5 + 2.5 * edge.weight;
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    drawNodes(selectedPitch, consonantWith) {
+        const ctx = this.ctx;
+        const radius = this.getNodeRadius();
+        const showLabels = this.graph.nodes.length <= ConsonanceNetworkView.MAX_LABELS;
+
+        ctx.save();
+        ctx.font = '11px monospace';
+        ctx.textBaseline = 'middle';
+        this.graph.nodes.forEach(node => {
+            const [x, y] = this.toCanvas(node.x, node.y);
+            const isSelected = node.index === selectedPitch;
+            const isConsonant = consonantWith.has(node.index);
+            const isHovered = node === this.hover?.node;
+
+            ctx.fillStyle = isSelected ? '#ffffff' : (isConsonant ? '#4caf50' : (selectedPitch !== null ? '#555' : '#8a9199'));
+            ctx.beginPath();
+            ctx.arc(x, y, isHovered ? radius + 2 : radius, 0, Math.PI * 2);
+            ctx.fill();
+            if (isHovered) {
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            }
+
+            if (showLabels || isSelected || isHovered) {
+                // Labels sit outside the circle, away from its centre
+                const [cx, cy] = this.toCanvas(0.5, 0.5);
+                const angle = Math.atan2(y - cy, x - cx);
+                ctx.textAlign = Math.cos(angle) >= 0 ? 'left' : 'right';
+                ctx.fillStyle = isSelected || isConsonant ? '#ffffff' : '#aaa';
+                ctx.fillText(node.fraction, x + Math.cos(angle) * (radius + 4), y + Math.sin(angle) * (radius + 4));
+            }
+        });
+        ctx.restore();
+    }
+
+    drawTooltip() {
+        if (!this.hover) return;
+        const model = this.graphSource?.model;
+        let lines;
+        if (this.hover.node) {
+            const node = this.hover.node;
+            const degree = this.graph.edges.filter(edge => edge.source === node.index || edge.target === node.index).length;
+            lines = [`${node.fraction}  ${node.cents.toFixed(1)}¢`, `${degree} consonant interval${degree === 1 ? '' : 's'}`];
+        } else {
+            const family = this.hover.family;
+            lines = [
+                family.ratios.join(' '),
+                `avg ${LRCConsonance.MODELS[family.model || model?.id]?.measureLabel || 'deviation'}: ${LRCConsonance.formatMeasure(family.avgDeviation, family.model || model?.id)} · click to select`
+            ];
+        }
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = '11px monospace';
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 12;
+        const height = lines.length * 15 + 8;
+        ctx.fillStyle = 'rgba(20, 20, 20, 0.9)';
+        ctx.strokeStyle = '#555';
+        ctx.fillRect(6, 6, width, height);
+        ctx.strokeRect(6, 6, width, height);
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => ctx.fillText(line, 12, 10 + i * 15));
+        ctx.restore();
+    }
+}
+
+window.ConsonanceNetworkView = ConsonanceNetworkView;
@@ -12,6 +12,8 @@ class ExpandedInfoView {
         this.originalRhythmInfoDisplay = null;
         this.originalCanvasVisibility = null;
         this.originalCanvasPointerEvents = null;
+        this.networkView = null;
+        this.canvasMode = 'mirror'; // 'mirror' or 'network' in the upper right quadrant
         
         // State management for proper cleanup
         this.stateBeforeExpansion = {
@@ -50,6 +52,7 @@ class ExpandedInfoView {
         }));
         this.createExpandedLayout();
         this.setupLiveMirrorCanvas();
+        this.setupNetworkView();
         this.populateExpandedContent();
         this.hideRhythmInfoDiv();
         this.hideVisualizationCanvas();
@@ -71,6 +74,7 @@ class ExpandedInfoView {
             detail: { overlay: 'expanded-info', active: false }
         }));
         this.stopLiveMirror();
+        this.teardownNetworkView();
         this.removeExpandedLayout();
         this.restoreRhythmInfoDiv();
         this.restoreVisualizationCanvas();
@@ -486,6 +490,7 @@ class ExpandedInfoView {
             display: flex;
             align-items: center;
             justify-content: center;
+            position: relative;
         `;
 
         // Lower right quadrant - Scale and Interconsonance
@@ -629,8 +634,8 @@ class ExpandedInfoView {
             // Clear mirror canvas
             this.mirrorCtx.clearRect(0, 0, this.mirrorCanvas.width, this.mirrorCanvas.height);
 
-            // Draw scaled copy of main canvas to mirror canvas
-            if (originalCanvas.width > 0 && originalCanvas.height > 0) {
+            // Draw scaled copy of main canvas to mirror canvas (not while the network covers it)
+            if (this.canvasMode === 'mirror' && originalCanvas.width > 0 && originalCanvas.height > 0) {
                 // Calculate scaling to fit mirror canvas while maintaining aspect ratio
                 const scaleX = this.mirrorCanvas.width / originalCanvas.width;
                 const scaleY = this.mirrorCanvas.height / originalCanvas.height;
@@ -674,6 +679,57 @@ class ExpandedInfoView {
         console.log('📊 Live mirroring stopped');
     }
 
+    // ====================================
+    // CONSONANCE NETWORK VIEW
+    // ====================================
+
+    // Visualization / Consonance Network tabs over the upper right quadrant
+    setupNetworkView() {
+        if (!this.canvasContainer || typeof ConsonanceNetworkView === 'undefined') return;
+
+        this.networkView = new ConsonanceNetworkView(this.canvasContainer);
+
+        const tabs = document.createElement('div');
+        tabs.id = 'expanded-canvas-tabs';
+        tabs.style.cssText = `
+            position: absolute;
+            top: 8px;
+            right: 8px;
+            display: flex;
+            gap: 4px;
+            z-index: 2;
+        `;
+        [['mirror', 'Visualization'], ['network', 'Consonance Network']].forEach(([mode, label]) => {
+            const tab = document.createElement('button');
+            tab.className = 'expanded-canvas-tab';
+            tab.dataset.mode = mode;
+            tab.textContent = label;
+            tab.addEventListener('click', () => this.setCanvasMode(mode));
+            tabs.appendChild(tab);
+        });
+        this.canvasContainer.appendChild(tabs);
+        this.setCanvasMode(this.canvasMode);
+    }
+
+    setCanvasMode(mode) {
+        this.canvasMode = mode;
+        if (this.mirrorCanvas) this.mirrorCanvas.style.display = mode === 'mirror' ? 'block' : 'none';
+        if (this.networkView) {
+            if (mode === 'network') this.networkView.show();
+            else this.networkView.hide();
+        }
+        this.canvasContainer?.querySelectorAll('.expanded-canvas-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.mode === mode);
+        });
+    }
+
+    teardownNetworkView() {
+        if (this.networkView) {
+            this.networkView.destroy();
+            this.networkView = null;
+        }
+    }
+
     restoreSystemState() {
         // Reset rhythm info to minimized state
         this.resetRhythmInfoToMinimized();
@@ -800,7 +856,7 @@ class ExpandedInfoView {
                     <div class="metric-row" style="display: flex; align-items: center; gap: 20px; flex-wrap: wrap;">
                         <div class="fundamental-display" style="color: #ffffff;">Fundamental: <span>${Math.round(rhythmInfo.fundamental)}</span></div>
                         ${rhythmInfo.avgDeviation !== null ? 
-                            `<div class="avg-dev-display" style="color: #ffffff;">Avg Dev: <span>${rhythmInfo.avgDeviation.toFixed(3)}</span></div>` : ''
+                            `<div class="avg-dev-display" style="color: #ffffff;">Avg Dev: <span>${rhythmInfo.avgDeviation.toFixed(3)} (${rhythmInfo.deviationEdo}-EDO)</span></div>` : ''
                         }
                         <div class="range-display" style="color: #ffffff;">Range: <span>${rhythmInfo.range.toFixed(2)}</span></div>
                         <div class="rhythm-density" style="color: #ffffff;">Density: <span>${rhythmInfo.density.toFixed(1)}%</span></div>
@@ -887,6 +943,18 @@ class ExpandedInfoView {
                         font-family: monospace;
                         transition: background 0.2s;
                     ">Export .tun (root A)</button>
+                    ${[['json', 'Consonance .json'], ['graphml', 'Consonance .graphml'], ['dot', 'Consonance .gv (DOT)'], ['csv', 'Interval matrix .csv']].map(([format, label]) => `
+                    <button class="export-btn expanded-consonance-export-btn" data-format="${format}" style="
+                        background: #444;
+                        border: 1px solid #666;
+                        color: #fff;
+                        padding: 8px 12px;
+                        font-size: 12px;
+                        border-radius: 3px;
+                        cursor: pointer;
+                        font-family: monospace;
+                        transition: background 0.2s;
+                    ">${label}</button>`).join('')}
                 </div>
             </div>
         `;
@@ -961,6 +1029,21 @@ class ExpandedInfoView {
             tunBtn.addEventListener('mouseenter', () => tunBtn.style.background = '#555');
             tunBtn.addEventListener('mouseleave', () => tunBtn.style.background = '#444');
         }
+
+        // Consonance network exports (need an Interconsonance analysis)
+        this.leftSection.querySelectorAll('.expanded-consonance-export-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (window.lrcExport) {
+                    window.lrcExport.export('consonance', btn.dataset.format);
+                } else {
+                    console.error('LRCExport module not available');
+                }
+            });
+
+            btn.addEventListener('mouseenter', () => btn.style.background = '#555');
+            btn.addEventListener('mouseleave', () => btn.style.background = '#444');
+        });
     }
 
     populateScaleSection() {
@@ -1121,77 +1204,11 @@ class ExpandedInfoView {
     // ====================================
 
     calculateNestedRatios(layers, grid) {
-        const results = [];
-        
-        // Generate all combinations and calculate their GCD relationships
-        const combinations = this.generateLayerCombinations(layers);
-        
-        combinations.forEach(combo => {
-            const gcd = this.calculateGCD(combo.values);
-            if (gcd > 1) {
-                const simplified = combo.values.map(v => v / gcd);
-                
-                // The repetition factor is the GCD itself - it's how many times the simplified ratio occurs
-                // For example: 594:330 -> GCD=66, so 66x the ratio 9:5 (since 594=9*66, 330=5*66)
-                const repetitions = gcd;
-                
-                results.push({
-                    layers: combo.layers,
-                    originalValues: combo.values,
-                    simplified: simplified,
-                    gcdFactor: gcd,
-                    repetitions: repetitions,
-                    type: combo.layers.length // 2=pair, 3=triple, 4=quadruple
-                });
-            }
-        });
-        
-        // Sort by repetitions (descending), then by type (quadruples first)
-        results.sort((a, b) => {
-            if (b.repetitions !== a.repetitions) {
-                return b.repetitions - a.repetitions;
-            }
-            return b.type - a.type;
-        });
-        
-        return results;
+        return LRCCore.calculateNestedRatios(layers);
     }
 
     generateLayerCombinations(layers) {
-        const combinations = [];
-        const layerNames = ['A', 'B', 'C', 'D'];
-        
-        // Generate pairs
-        for (let i = 0; i < layers.length; i++) {
-            for (let j = i + 1; j < layers.length; j++) {
-                combinations.push({
-                    layers: [layerNames[i], layerNames[j]],
-                    values: [layers[i], layers[j]]
-                });
-            }
-        }
-        
-        // Generate triples
-        for (let i = 0; i < layers.length; i++) {
-            for (let j = i + 1; j < layers.length; j++) {
-                for (let k = j + 1; k < layers.length; k++) {
-                    combinations.push({
-                        layers: [layerNames[i], layerNames[j], layerNames[k]],
-                        values: [layers[i], layers[j], layers[k]]
-                    });
-                }
-            }
-        }
-        
-        // Generate quadruple (if 4 layers)
-        if (layers.length === 4) {
-            combinations.push({
-                layers: ['A', 'B', 'C', 'D'],
-                values: layers
-            });
-        }
-        
-        return combinations;
+        return LRCCore.generateLayerCombinations(layers);
     }
 
     calculateGCD(numbers) {
@@ -1583,6 +1600,7 @@ class ExpandedInfoView {
         this.expandedContainer.style.width = `${logicalWidth}px`;
         this.expandedContainer.style.height = `${logicalHeight}px`;
         this.resizeMirrorCanvas();
+        if (this.networkView) this.networkView.resize();
     }
 
     resizeMirrorCanvas() {
@@ -2113,6 +2131,9 @@ class ExpandedInfoView {
                     this.syncInterconsonanceResultsWithOnclick();
                 }, 100);
             }
+        } else if (onclickCode.includes('cancelFamilySearch')) {
+            // Stops the streaming family search; its results are synced once runAnalysis resolves
+            window.lrcInterconsonance?.cancelFamilySearch();
         } else if (onclickCode.includes('goToFamilyPage') || onclickCode.includes('changeFamilySort')) {
             // Handle pagination and sorting - these should affect the original and then sync
             console.log(`🔧 Executing pagination/sorting: ${onclickCode}`);
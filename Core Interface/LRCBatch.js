@@ -0,0 +1,306 @@
+// LRCBatch.js - Batch rhythm analysis and unattended searches for the command line (no DOM)
+// lrc-batch.mjs parses the command line and does the file I/O; this module turns layer sets
+// into analysis records (LRCCore + LRCConsonance) and runs LRCSearchAlgorithms scans to the
+// end or a time limit, collecting results the way the Search panel does.
+//
+// Node: module.exports. Browser: window.LRCBatch (load the modules it uses first).
+
+(function (root) {
+    'use strict';
+
+    const inNode = typeof module !== 'undefined' && module.exports;
+    const Core = inNode ? require('./LRCCore.js') : root.LRCCore;
+    const Consonance = inNode ? require('./LRCConsonance.js') : root.LRCConsonance;
+    const Algorithms = inNode ? require('./LRCSearchAlgorithms.js') : root.LRCSearchAlgorithms;
+    const Library = inNode ? require('./LRCSearchLibrary.js') : root.LRCSearchLibrary;
+
+    // Consonance families are skipped above this many pitches unless asked for, as the
+    // Interconsonance panel warns before running them
+    const FAMILY_PITCH_LIMIT = 200;
+    const SLICE_MS = 1000; // How often a search reports progress
+
+    function batchError(message) {
+        const error = new Error(message);
+        error.code = 'BATCH_INVALID';
+        return error;
+    }
+
+    // ====================================
+    // ANALYSIS
+    // ====================================
+
+    // "12:7:5", "12-7-5", "12,7,5" or "12 7 5" -> [12, 7, 5]
+    function parseLayerSet(text) {
+        const layers = String(text).trim().split(/[\s:,\-]+/).filter(Boolean).map(Number);
+        if (layers.length < 1 || layers.some(layer => !Number.isInteger(layer) || layer < 1)) {
+            throw batchError(`"${text}" is not a layer set like 12:7:5`);
+        }
+        return layers;
+    }
+
+    // One layer set per line; blank lines and '#' comments are skipped
+    function parseLayerList(text) {
+        return String(text).split(/\r?\n/)
+            .map(line => line.replace(/#.*/, '').trim())
+            .filter(Boolean)
+            .map(parseLayerSet);
+    }
+
+    // "--consonance ji --consonance-max-height 6" -> { model: 'ji', maxHeight: 6 } for LRCConsonance
+    function consonanceOptions(options = {}) {
+        const model = options.consonance || 'tet12';
+        if (!Consonance.MODELS[model]) {
+            throw batchError(`Unknown consonance model "${model}" (use ${Object.keys(Consonance.MODELS).join(', ')})`);
+        }
+        const settings = { model };
+        Object.keys(Consonance.MODELS[model].defaults).forEach(setting => {
+            const name = `consonance-${setting.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+            if (options[name] === undefined) return;
+            const value = Number(options[name]);
+            if (!Number.isFinite(value) || value <= 0) throw batchError(`--${name} must be a positive number`);
+            settings[setting] = value;
+        });
+        return settings;
+    }
+
+    // Analysis record of one layer set. options: { period, edo, maxFamilyPitches, consonance }
+    // with consonance the LRCConsonance model options (default 12-TET proximity)
+    function analyzeLayers(layers, { period = Core.OCTAVE, edo = null, maxFamilyPitches = FAMILY_PITCH_LIMIT, consonance: model = {} } = {}) {
+        const analysis = Core.analyzeRhythm(layers, { period, edo });
+        if (!analysis) throw batchError(`${layers.join(':')} has no active layer`);
+
+        let consonance = null;
+        if (analysis.ratios.length >= 2) {
+            const intervals = Consonance.analyzeIntervals(analysis.ratios, model);
+            const families = analysis.ratios.length <= maxFamilyPitches ? Consonance.extractFamilies(intervals) : null;
+            consonance = {
+                model: Consonance.describeModel(model),
+                ratio: intervals.analysis.consonanceRatio,
+                consonantIntervals: intervals.analysis.consonantIntervals.length,
+                totalIntervals: intervals.analysis.totalIntervals,
+                // null when skipped for size
+                families: families && families.map(family => ({
+                    ratios: family.ratios,
+                    size: family.size,
+                    avgDeviation: family.avgDeviation,
+                    multipleApproximates: family.hasMultipleApproximates
+                }))
+            };
+        }
+
+        return {
+            layers: analysis.layers.filter(layer => layer > 1),
+            grid: analysis.grid,
+            fundamental: analysis.fundamental,
+            pitches: analysis.pitchCount,
+            range: analysis.range,
+            avgDeviation: analysis.avgDeviation,
+            deviationEdo: analysis.deviationEdo,
+            pulseToGrouping: analysis.pulseToGrouping,
+            density: analysis.density,
+            period: analysis.period,
+            spacesPlot: analysis.spacesPlot,
+            ratios: analysis.ratios.map(({ fraction, cents, frequency }) => ({ fraction, cents, frequency })),
+            nestedRatios: analysis.nestedRatios.map(({ originalValues, simplified, repetitions }) => ({ values: originalValues, simplified, repetitions })),
+            consonance
+        };
+    }
+
+    const ANALYSIS_COLUMNS = ['layers', 'grid', 'fundamental', 'pitches', 'range', 'avg_deviation', 'deviation_edo',
+        'pulse_to_grouping', 'density', 'period', 'consonance', 'families', 'ratios', 'nested_ratios', 'spaces_plot'];
+
+    // One row per analysis; list cells are space-separated, families as "5/4|3/2|15/8"
+    function analysesToCSV(records) {
+        const rows = records.map(record => [
+            record.layers.join(':'),
+            record.grid,
+            record.fundamental,
+            record.pitches,
+            record.range,
+            record.avgDeviation,
+            record.deviationEdo,
+            record.pulseToGrouping,
+            record.density,
+            record.period.label,
+            record.consonance ? record.consonance.ratio : null,
+            record.consonance && record.consonance.families ? record.consonance.families.map(family => family.ratios.join('|')).join(' ') : null,
+            record.ratios.map(ratio => ratio.fraction).join(' '),
+            record.nestedRatios.map(nested => `${nested.values.join(':')}=${nested.simplified.join(':')}x${nested.repetitions}`).join(' '),
+            record.spacesPlot.join(' ')
+        ].map(Library.csvCell).join(','));
+        return [ANALYSIS_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    // ====================================
+    // SEARCH
+    // ====================================
+
+    // Command-line options (strings, booleans for flags) -> { params, key } for an algorithm,
+    // as the Search panel builds them; key holds only primitives and names the search in exports
+    function searchParams(algorithm, options = {}) {
+        if (!Algorithms.ALGORITHMS[algorithm]) {
+            throw batchError(`Unknown search "${algorithm}" (use ${Object.keys(Algorithms.ALGORITHMS).join(', ')})`);
+        }
+
+        const integer = (name, min = 1) => {
+            const value = Number(options[name]);
+            if (!Number.isInteger(value) || value < min) throw batchError(`--${name} must be a whole number of at least ${min}`);
+            return value;
+        };
+        let targetPitches = 12;
+        if (options.pitches !== undefined) targetPitches = options.pitches === 'any' ? null : integer('pitches');
+        const rangeLimit = options['range-limit'] !== undefined ? integer('range-limit') : 100;
+        const deviationEdo = options.edo !== undefined ? integer('edo') : null;
+
+        let constraints;
+        let bounds;
+        try {
+            constraints = Algorithms.parseConstraints({
+                require: options.require,
+                forbid: options.forbid,
+                primeLimit: options['prime-limit'],
+                minConsonant: options['min-consonant'],
+                maxStepCents: options['max-step']
+            });
+            bounds = Algorithms.parseBounds({
+                min: ['a', 'b', 'c', 'd'].map(layer => options[`min-${layer}`]),
+                max: ['a', 'b', 'c', 'd'].map(layer => options[`max-${layer}`]),
+                allowEqual: !!options['allow-equal'],
+                layerCount: options['layer-count'],
+                smooth: options.smooth,
+                pairwiseCoprime: !!options.coprime
+            });
+        } catch (error) {
+            if (error.code === 'CONSTRAINT_INVALID') throw batchError(error.message);
+            throw error;
+        }
+
+        const common = { targetPitches, rangeLimit, deviationEdo };
+        let specific;
+        let keySpecific;
+        switch (algorithm) {
+            case 'rhythm': {
+                const layer = String(options.layer || 'A').toUpperCase();
+                if (!['A', 'B', 'C', 'D'].includes(layer)) throw batchError('--layer must be A, B, C or D');
+                specific = { layer, value: integer('value') };
+                break;
+            }
+            case 'grid': specific = { gridValue: integer('grid') }; break;
+            case 'fundamental':
+                specific = { fundamental: integer('fundamental'), minLayerA: options['min-layer-a'] !== undefined ? integer('min-layer-a') : 1 };
+                break;
+            case 'inversePG': specific = { layerA: integer('layer-a') }; break;
+            case 'scale': {
+                if (!options.target) throw batchError('Scale search needs --target (ratios or cents) or --target-file');
+                let target;
+                try {
+                    target = /^\s*!/m.test(options.target) ? Core.parseScala(options.target) : Core.parseScaleList(options.target);
+                } catch (error) {
+                    if (error.code === 'SCALE_INVALID') throw batchError(error.message);
+                    throw error;
+                }
+                const maxError = options['max-error'] !== undefined ? Number(options['max-error']) : null;
+                if (maxError !== null && !Number.isFinite(maxError)) throw batchError('--max-error must be a number of cents');
+                specific = { target, maxError };
+                keySpecific = { target: `${target.period.label}|${target.cents.map(c => c.toFixed(3)).join(',')}`, maxError };
+                delete common.targetPitches;
+                break;
+            }
+            case 'pareto': {
+                const objectives = String(options.objectives || 'avgDeviation,range,consonance').split(',').filter(Boolean);
+                if (objectives.length < 2 || objectives.some(objective => !Algorithms.OBJECTIVES[objective])) {
+                    throw batchError(`--objectives needs two or more of ${Object.keys(Algorithms.OBJECTIVES).join(', ')}`);
+                }
+                if (objectives.includes('pitchDistance') && targetPitches === null) {
+                    throw batchError('The pitchDistance objective needs --pitches');
+                }
+                specific = { maxLayer: options['max-layer'] !== undefined ? integer('max-layer', 3) : 40, objectives };
+                keySpecific = { ...specific, objectives: objectives.join(',') };
+                break;
+            }
+        }
+
+        // The --consonance options judge consonance as they do for analysis
+        const consonance = consonanceOptions(options);
+        return {
+            params: { ...specific, ...common, constraints, consonance, bounds },
+            key: {
+                ...(keySpecific || specific),
+                ...common,
+                constraints: Algorithms.describeConstraints(constraints),
+                bounds: Algorithms.describeBounds(bounds),
+                ...(Algorithms.usesConsonance(algorithm, constraints) ? { consonance: Consonance.describeModel(consonance) } : {})
+            }
+        };
+    }
+
+    // Adds a scan result to results (Map layers key -> result) unless a layer set with the same
+    // grid, fundamental and scale is already there; Pareto results also have to join the front
+    function collectResult(results, algorithm, params, layers, result) {
+        const combinationKey = layers.join(':');
+        if (results.has(combinationKey)) return false;
+
+        const fundamental = result.grid / Math.max(...layers);
+        const scaleKey = `${result.grid}|${fundamental}|${result.ratios.join(',')}`;
+        for (const existing of results.values()) {
+            if (`${existing.grid}|${existing.grid / Math.max(...existing.layers)}|${existing.ratios.join(',')}` === scaleKey) return false;
+        }
+
+        if (algorithm === 'pareto') {
+            const front = Array.from(results.values());
+            if (front.some(member => Algorithms.dominates(member, result, params.objectives))) return false;
+            front.forEach(member => {
+                if (Algorithms.dominates(result, member, params.objectives)) results.delete(member.layers.join(':'));
+            });
+        }
+
+        results.set(combinationKey, { layers, ...result });
+        return true;
+    }
+
+    // Scans the whole space in one shard until done or timeLimitMs has passed (null = no limit).
+    // onProgress({ found, progress, elapsedMs }) is called after every slice.
+    // Returns { results, done, progress, state } with state the cursor to resume from.
+    function runSearch(algorithm, params, { timeLimitMs = null, onProgress = () => {}, now = Date.now } = {}) {
+        const search = Algorithms.createSearch(algorithm);
+        const results = new Map();
+        const skip = new Set();
+        const startTime = now();
+        const stopAt = timeLimitMs === null ? Infinity : startTime + timeLimitMs;
+        let state = search.initialState(params, 0, 1);
+        let progress = 0;
+
+        while (state !== null) {
+            const slice = Algorithms.runScan(search, params, state, 1, skip, Math.min(stopAt, now() + SLICE_MS));
+            slice.results.forEach(({ layers, result }) => collectResult(results, algorithm, params, layers, result));
+            state = slice.state;
+            if (slice.progress !== null) progress = slice.progress;
+            onProgress({ found: results.size, progress: slice.progress, elapsedMs: now() - startTime });
+            if (now() >= stopAt) break;
+        }
+
+        return {
+            results: Array.from(results.values()).sort((a, b) => a.grid - b.grid),
+            done: state === null,
+            progress: state === null ? 1 : progress,
+            state
+        };
+    }
+
+    const api = {
+        FAMILY_PITCH_LIMIT,
+        ANALYSIS_COLUMNS,
+        batchError,
+        parseLayerSet,
+        parseLayerList,
+        consonanceOptions,
+        analyzeLayers,
+        analysesToCSV,
+        searchParams,
+        collectResult,
+        runSearch
+    };
+
+    if (inNode) module.exports = api;
+    if (root) root.LRCBatch = api;
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : null));
@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import LRCBatch from './LRCBatch.js';
+import LRCCore from './LRCCore.js';
+import LRCTuningFiles from './LRCTuningFiles.js';
+
+test('layer sets analyse to records with consonance families, CSV rows and tuning files', () => {
+    assert.deepEqual(LRCBatch.parseLayerList('12:7:5\n# comment\n\n8-5-3  # trailing\n'), [[12, 7, 5], [8, 5, 3]]);
+    assert.throws(() => LRCBatch.parseLayerSet('12:x'), { code: 'BATCH_INVALID' });
+
+    const record = LRCBatch.analyzeLayers([12, 7, 5]);
+    assert.equal(record.grid, 420);
+    assert.equal(record.fundamental, 35);
+    assert.deepEqual(record.ratios.map(ratio => ratio.fraction), ['1/1', '7/6', '5/4', '7/5', '5/3', '7/4']);
+    assert.deepEqual(record.consonance.families.map(family => family.ratios), [['5/4', '7/5', '5/3']]);
+    assert.equal(LRCBatch.analyzeLayers([12, 7, 5], { maxFamilyPitches: 3 }).consonance.families, null);
+
+    const csv = LRCBatch.analysesToCSV([record]).trim().split('\n');
+    assert.equal(csv[0], LRCBatch.ANALYSIS_COLUMNS.join(','));
+    assert.match(csv[1], /^12:7:5,420,35,6,2\.4,.*,5\/4\|7\/5\|5\/3,1\/1 7\/6 5\/4 7\/5 5\/3 7\/4,,35 25 10/);
+
+    const scala = LRCTuningFiles.scalaFile(record, record.ratios);
+    assert.equal(scala.filename, '12-7-5 (35).scl');
+    assert.equal(scala.content.split('\n').slice(3, 6).join('|'), '12-7-5| 6|!');
+    const tun = LRCTuningFiles.anaMarkTunFile({ ...record, period: LRCCore.OCTAVE }, record.ratios, new Date('2026-01-02'));
+    assert.match(tun.content, /^note 9=900$/m);
+    assert.match(tun.content, /^Date= "2026-01-02"$/m);
+});
+
+test('searches build the panel\'s parameters and run to completion or the time limit', () => {
+    assert.throws(() => LRCBatch.searchParams('grid', {}), { code: 'BATCH_INVALID' });
+    assert.throws(() => LRCBatch.searchParams('grid', { grid: '420', 'min-a': '9', 'max-a': '3' }), { code: 'BATCH_INVALID' });
+
+    const { params, key } = LRCBatch.searchParams('grid', { grid: '420', pitches: 'any', require: '5/4', 'layer-count': '3' });
+    assert.equal(params.gridValue, 420);
+    assert.deepEqual(params.constraints.require, ['5/4']);
+    assert.deepEqual(key, { gridValue: 420, targetPitches: null, rangeLimit: 100, deviationEdo: null, constraints: 'contains 5/4', bounds: '3 layers' });
+
+    // Pareto scores consonance with the --consonance model, which then keys the search
+    const pareto = LRCBatch.searchParams('pareto', { consonance: 'ji', 'consonance-max-height': '6' });
+    assert.deepEqual(pareto.params.consonance, { model: 'ji', maxHeight: 6 });
+    assert.equal(pareto.key.consonance, 'JI prime limit / Tenney height (7-limit with Tenney height ≤ 6)');
+
+    const search = LRCBatch.runSearch('grid', params);
+    assert.equal(search.done, true);
+    assert.ok(search.results.length > 0);
+    assert.ok(search.results.every(result => result.layers.length === 3 && result.ratios.includes('5/4')));
+
+    const fundamental = LRCBatch.searchParams('fundamental', { fundamental: '6' });
+    const stopped = LRCBatch.runSearch('fundamental', fundamental.params, { timeLimitMs: 50 });
+    assert.equal(stopped.done, false);
+    assert.ok(stopped.state.gridValue > 0);
+});
@@ -0,0 +1,271 @@
+// LRCCompare.js - Side-by-side comparison of two rhythms' tuning systems
+// Runs LRCModule.calculateRhythmDataStandalone for two layer sets, aligns their scales by cents
+// (LRCCore.compareScales) and compares grid, range, pitch count and average deviation.
+// Pivots (LRCPivots) rank transpositions of B by the tones and consonance families they share with A.
+// The A/B toggle loads either rhythm into the engine so both can be auditioned in playback; a
+// pivot's A/B buttons do the same with only its pivot tones selected.
+
+class LRCCompare {
+    constructor() {
+        this.results = { a: null, b: null };
+        this.pivots = [];
+        this.auditioning = null; // 'a' | 'b' while one of them is loaded for playback
+        this.auditioningPivot = null; // Index in this.pivots while auditioning its tones
+        this.setupUI();
+        console.log('⚖️ LRCCompare initialized');
+    }
+
+    // ====================================
+    // UI
+    // ====================================
+
+    setupUI() {
+        const form = document.getElementById('compare-form');
+        const panel = document.getElementById('compare-panel');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.runComparison();
+            });
+        }
+        // Opening the section fills A with the rhythm on screen
+        if (panel) {
+            panel.addEventListener('dropdownsectiontoggle', (event) => {
+                if (event.detail?.expanded) this.prefillCurrentRhythm();
+            });
+        }
+
+        document.querySelectorAll('.compare-audition-btn').forEach(button => {
+            button.addEventListener('click', () => this.audition(button.dataset.side));
+        });
+        const pivotList = document.getElementById('compare-pivots-list');
+        if (pivotList) {
+            pivotList.addEventListener('click', (event) => {
+                const button = event.target.closest('.compare-pivot-btn');
+                if (button) this.auditionPivot(Number(button.dataset.pivot), button.dataset.side);
+            });
+        }
+        window.addEventListener('rhythmGenerated', () => this.updateAuditionButtons());
+    }
+
+    prefillCurrentRhythm() {
+        const inputA = document.getElementById('compare-layers-a');
+        const layers = window.lrcModule?.getCurrentData?.().layerPulses || [];
+        if (inputA && !inputA.value && layers.some(value => value > 0)) {
+            inputA.value = this.formatLayers(layers);
+        }
+    }
+
+    parseLayers(text) {
+        return String(text || '')
+            .split(/[\s,:;]+/)
+            .map(value => parseInt(value, 10))
+            .filter(value => Number.isInteger(value) && value > 0)
+            .slice(0, LRCLayers.MAX_LAYERS)
+            .sort((a, b) => b - a); // the order handleRhythmSubmission would give them
+    }
+
+    formatLayers(layers) {
+        return layers.filter(value => value > 0).join(':');
+    }
+
+    // ====================================
+    // COMPARISON
+    // ====================================
+
+    runComparison() {
+        const module = window.lrcModule;
+        if (!module) return;
+
+        const layersA = this.parseLayers(document.getElementById('compare-layers-a')?.value);
+        const layersB = this.parseLayers(document.getElementById('compare-layers-b')?.value);
+        if (layersA.length === 0 || layersB.length === 0) {
+            alert('Enter two rhythms to compare, e.g. 8:7:6:5 and 9:7:5:4');
+            return;
+        }
+
+        const windowInput = document.getElementById('compare-window');
+        const windowCents = Math.max(0, parseFloat(windowInput?.value) || 0);
+
+        const dataA = module.calculateRhythmDataStandalone(layersA);
+        const dataB = module.calculateRhythmDataStandalone(layersB);
+        if (!dataA || !dataB) {
+            alert(`Could not analyse ${this.formatLayers(dataA ? layersB : layersA)} (see the console for details)`);
+            return;
+        }
+
+        this.results = { a: dataA, b: dataB };
+        const comparison = LRCCore.compareScales(dataA.ratios, dataB.ratios, windowCents, dataA.period);
+        this.renderMetrics(dataA, dataB);
+        this.renderTable(comparison, windowCents);
+        this.runPivots(dataA, dataB, windowCents);
+        this.updateAuditionButtons();
+
+        const results = document.getElementById('compare-results');
+        if (results) results.hidden = false;
+        console.log(`⚖️ Compared ${this.formatLayers(layersA)} with ${this.formatLayers(layersB)}:`, comparison.counts);
+    }
+
+    renderMetrics(dataA, dataB) {
+        const container = document.getElementById('compare-metrics');
+        if (!container) return;
+
+        const deviation = data => (data.avgDeviation === null ? '—' : `${data.avgDeviation.toFixed(3)} (${data.deviationEdo}-EDO)`);
+        const metrics = [
+            ['Rhythm', data => this.formatLayers(data.layers)],
+            ['Grid', data => data.grid.toLocaleString()],
+            ['Range', data => data.range.toFixed(2)],
+            ['Pitches', data => data.pitchCount],
+            ['Avg deviation', deviation]
+        ];
+
+        container.innerHTML = `
+            <tr><th></th><th>A</th><th>B</th></tr>
+            ${metrics.map(([label, format]) => `<tr><th>${label}</th><td>${format(dataA)}</td><td>${format(dataB)}</td></tr>`).join('')}
+        `;
+    }
+
+    renderTable({ rows, counts }, windowCents) {
+        const summary = document.getElementById('compare-summary');
+        const body = document.getElementById('compare-table-body');
+        if (summary) {
+            summary.innerHTML = `
+                <span class="compare-tag shared">${counts.shared} shared</span>
+                <span class="compare-tag near">${counts.near} within ${windowCents}¢</span>
+                <span class="compare-tag a">${counts.a} only in A</span>
+                <span class="compare-tag b">${counts.b} only in B</span>
+            `;
+        }
+        if (!body) return;
+
+        const cell = (ratio) => (ratio ? [ratio.fraction, ratio.cents.toFixed(2)] : ['', '']);
+        body.innerHTML = rows.map(row => {
+            const [fractionA, centsA] = cell(row.a);
+            const [fractionB, centsB] = cell(row.b);
+            const diff = row.status === 'near' ? `${row.diff > 0 ? '+' : ''}${row.diff.toFixed(2)}` : (row.status === 'shared' ? '=' : '');
+            return `<tr class="compare-row ${row.status}">
+                <td>${fractionA}</td><td>${centsA}</td><td class="compare-diff">${diff}</td><td>${centsB}</td><td>${fractionB}</td>
+            </tr>`;
+        }).join('');
+    }
+
+    // ====================================
+    // PIVOTS
+    // ====================================
+
+    // Families follow the Interconsonance panel's consonance model
+    runPivots(dataA, dataB, windowCents) {
+        const consonance = window.lrcInterconsonance ? window.lrcInterconsonance.consonanceModel : {};
+        const { candidates, familiesSkipped } = LRCPivots.analyzePivots(dataA.ratios, dataB.ratios, {
+            period: dataA.period,
+            windowCents,
+            consonance
+        });
+        this.pivots = candidates;
+        this.auditioningPivot = null;
+        this.renderPivots(familiesSkipped);
+    }
+
+    renderPivots(familiesSkipped) {
+        const list = document.getElementById('compare-pivots-list');
+        if (!list) return;
+        if (this.pivots.length === 0) {
+            list.innerHTML = '<p class="compare-pivots-title">No pivots found.</p>';
+            return;
+        }
+
+        // B's ratios times the transposition (period-reduced) land on A's
+        const transposition = ({ fraction, cents }) => (fraction ? `B × ${fraction} (${cents.toFixed(1)}¢)` : `B + ${cents.toFixed(1)}¢`);
+        const pairs = (items, separator) => items.map(pair => `${pair.a}${separator}${pair.b}`).join(' ');
+
+        list.innerHTML = this.pivots.map((pivot, index) => `
+            <div class="compare-pivot${index === 0 ? ' best' : ''}">
+                <div>
+                    <strong>${index + 1}.</strong> ${transposition(pivot.transposition)}
+                    · ${pivot.common.length} common · ${pivot.near.length} near${familiesSkipped ? '' : ` · ${pivot.families.length} ${pivot.families.length === 1 ? 'family' : 'families'}`}
+                </div>
+                <div class="compare-pivot-audition">
+                    <button type="button" class="compare-pivot-btn" data-pivot="${index}" data-side="a" title="Play A with only these pivot tones">A</button>
+                    <button type="button" class="compare-pivot-btn" data-pivot="${index}" data-side="b" title="Play B with only these pivot tones">B</button>
+                </div>
+                <div class="compare-pivot-tones">
+                    ${pairs(pivot.common, '=')}${pivot.near.length ? ` · ${pairs(pivot.near, '≈')}` : ''}
+                    ${pivot.families.map(family => `<br>Family A ${family.ratiosA.join(' ')} = B ${family.ratiosB.join(' ')}`).join('')}
+                </div>
+            </div>
+        `).join('') + (familiesSkipped ? `<p class="compare-pivots-title">Families skipped above ${LRCPivots.FAMILY_PITCH_LIMIT} pitches.</p>` : '');
+    }
+
+    // Loads the rhythm with only the pivot's tones selected: A's side or B's side of each pair
+    async auditionPivot(index, side) {
+        const pivot = this.pivots[index];
+        if (!pivot) return;
+
+        const fractions = [...pivot.common, ...pivot.near].map(pair => pair[side]);
+        this.updateAuditionButtons(); // Drops a finished audition before reusing it
+        if (this.auditioning !== side) await this.audition(side);
+        if (this.auditioning !== side) return;
+        window.toneRowPlayback?.setSelectedNotes(fractions);
+        this.auditioningPivot = index;
+        this.updateAuditionButtons();
+        console.log(`⚖️ Auditioning pivot ${index + 1} in ${side.toUpperCase()}:`, fractions);
+    }
+
+    // ====================================
+    // A/B AUDITION
+    // ====================================
+
+    async audition(side) {
+        const data = this.results[side];
+        const module = window.lrcModule;
+        if (!data || !module) return;
+
+        const playback = window.toneRowPlayback;
+        const wasPlaying = !!playback?.isPlaying;
+
+        // Generating stops playback, so pick it back up on the other rhythm
+        module.setLayerInputCount(LRCLayers.layerCountFor(data.layers));
+        module.setLayerOffsets([]);
+        module.setLayerSpans([]);
+        const analysis = await module.setRhythms(data.layers);
+        if (!analysis) return;
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        if (window.lrcHUD) {
+            window.lrcHUD.isFirstRhythmInput = false;
+            window.lrcHUD.activateVisualization();
+        }
+        this.auditioning = side;
+        this.auditioningPivot = null;
+        this.updateAuditionButtons();
+        if (wasPlaying && playback) await playback.startPlayback();
+    }
+
+    updateAuditionButtons() {
+        const current = this.formatLayers(window.lrcModule?.getCurrentData?.().layerPulses || []);
+        // A rhythm generated some other way ends the audition
+        if (this.auditioning && this.formatLayers(this.results[this.auditioning]?.layers || []) !== current) {
+            this.auditioning = null;
+        }
+        if (!this.auditioning) this.auditioningPivot = null;
+
+        document.querySelectorAll('.compare-audition-btn').forEach(button => {
+            const data = this.results[button.dataset.side];
+            button.disabled = !data;
+            button.classList.toggle('active', button.dataset.side === this.auditioning);
+            button.setAttribute('aria-pressed', String(button.dataset.side === this.auditioning));
+        });
+        document.querySelectorAll('.compare-pivot-btn').forEach(button => {
+            button.classList.toggle('active', Number(button.dataset.pivot) === this.auditioningPivot &&
+                button.dataset.side === this.auditioning);
+        });
+    }
+}
+
+// Initialize LRCCompare when DOM is loaded
+let lrcCompare;
+
+document.addEventListener('DOMContentLoaded', () => {
+    lrcCompare = new LRCCompare();
+    window.lrcCompare = lrcCompare; // Make globally accessible
+});
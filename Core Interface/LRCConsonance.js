@@ -0,0 +1,584 @@
+// LRCConsonance.js - Interval consonance analysis and consonance families (no DOM)
+// A pair of scale pitches is consonant when its consonance model says so: 12-TET or N-EDO
+// proximity, a JI prime limit and Tenney height, or harmonic entropy. Families are the maximal
+// groups of 3+ pitches that are all pairwise consonant. LRCInterconsonance shows these on the page; Node scripts call them directly.
+//
+// Browser / Worker: self.LRCConsonance. Node: module.exports.
+
+(function (root) {
+    'use strict';
+
+    const DEFAULT_WINDOW = 15; // ±cents from a 12-TET interval
+
+    // ====================================
+    // CONSONANCE MODELS
+    // ====================================
+    // Each model classifies one interval (lower ratio object, higher ratio object, cents) as
+    // { reference, referenceCents, measure, consonant }: the interval it is heard as, a score
+    // where lower is more consonant, and whether the score is within the model's threshold.
+
+    function gcd(a, b) {
+        while (b) [a, b] = [b, a % b];
+        return a;
+    }
+
+    // "7/4" -> [7, 4]; null for ratios without an exact fraction
+    function parseFraction(fraction) {
+        const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(fraction));
+        return match ? [Number(match[1]), Number(match[2])] : null;
+    }
+
+    // Exact interval lower -> higher, reduced: 5/4 -> 7/4 is [7, 5]
+    function intervalFraction(lower, higher) {
+        const a = parseFraction(lower.fraction);
+        const b = parseFraction(higher.fraction);
+        if (!a || !b) return null;
+        const numerator = b[0] * a[1];
+        const denominator = b[1] * a[0];
+        const divisor = gcd(numerator, denominator);
+        return [numerator / divisor, denominator / divisor];
+    }
+
+    // Whether n has no prime factor above limit
+    function withinPrimeLimit(n, limit) {
+        for (let p = 2; p <= limit && n > 1; p++) {
+            while (n % p === 0) n /= p;
+        }
+        return n === 1;
+    }
+
+    function edoProximity(cents, edo, window) {
+        const step = 1200 / edo;
+        const steps = Math.round(cents / step);
+        const referenceCents = steps * step;
+        const measure = Math.abs(cents - referenceCents);
+        return { steps, referenceCents, measure, consonant: measure <= window };
+    }
+
+    // Harmonic entropy (Erlich) over the ratios n/d with n·d <= tenneyLimit, each weighted
+    // 1/sqrt(n·d) and spread by a Gaussian of `spread` cents. Curves are sampled per cent and cached.
+    const entropyCurves = new Map();
+
+    function entropyCurve(spread, tenneyLimit, maxCents) {
+        const key = `${spread}|${tenneyLimit}`;
+        const cached = entropyCurves.get(key);
+        if (cached && cached.entropy.length > maxCents) return cached;
+        // At least two octaves, and grow by doubling so ascending requests don't rebuild it each time
+        maxCents = Math.max(maxCents, 2400, cached ? 2 * cached.entropy.length : 0);
+
+        const reach = maxCents + 5 * spread;
+        const candidates = [];
+        for (let d = 1; d * d <= tenneyLimit; d++) {
+            for (let n = d; n * d <= tenneyLimit; n++) {
+                const cents = 1200 * Math.log2(n / d);
+                if (cents > reach) break;
+                if (gcd(n, d) === 1) candidates.push({ n, d, cents, weight: 1 / Math.sqrt(n * d) });
+            }
+        }
+        candidates.sort((a, b) => a.cents - b.cents);
+
+        const size = Math.ceil(maxCents) + 1;
+        const entropy = new Float64Array(size);
+        const nearest = new Array(size);
+        let first = 0;
+        for (let c = 0; c < size; c++) {
+            while (first < candidates.length && candidates[first].cents < c - 5 * spread) first++;
+            let total = 0;
+            let weighted = 0;
+            let best = null;
+            let bestProbability = -1;
+            for (let i = first; i < candidates.length && candidates[i].cents <= c + 5 * spread; i++) {
+                const candidate = candidates[i];
+                const distance = (c - candidate.cents) / spread;
+                const probability = candidate.weight * Math.exp(-distance * distance / 2);
+                total += probability;
+                weighted += probability * Math.log(probability);
+                if (probability > bestProbability) {
+                    bestProbability = probability;
+                    best = candidate;
+                }
+            }
+            // -Σ p log p over probabilities normalised by the total
+            entropy[c] = total > 0 ? Math.log(total) - weighted / total : 0;
+            nearest[c] = best;
+        }
+
+        const curve = { entropy, nearest };
+        entropyCurves.set(key, curve);
+        return curve;
+    }
+
+    const MODELS = {
+        tet12: {
+            label: '12-TET proximity',
+            referenceLabel: '12TET',
+            measureLabel: 'Deviation',
+            defaults: { window: DEFAULT_WINDOW },
+            threshold: settings => settings.window,
+            describe: settings => `within ±${settings.window}¢ of a 12-TET interval`,
+            formatMeasure: value => `${value.toFixed(2)}¢`,
+            classify(lower, higher, cents, settings) {
+                const { steps, referenceCents, measure, consonant } = edoProximity(cents, 12, settings.window);
+                return { reference: String(steps * 100), referenceCents, measure, consonant };
+            }
+        },
+        edo: {
+            label: 'N-EDO proximity',
+            referenceLabel: 'EDO step',
+            measureLabel: 'Deviation',
+            defaults: { edo: 31, window: 8 },
+            threshold: settings => settings.window,
+            describe: settings => `within ±${settings.window}¢ of a ${settings.edo}-EDO interval`,
+            formatMeasure: value => `${value.toFixed(2)}¢`,
+            classify(lower, higher, cents, settings) {
+                const { steps, referenceCents, measure, consonant } = edoProximity(cents, settings.edo, settings.window);
+                return { reference: `${steps}\\${settings.edo}`, referenceCents, measure, consonant };
+            }
+        },
+        ji: {
+            label: 'JI prime limit / Tenney height',
+            referenceLabel: 'Interval',
+            measureLabel: 'Tenney Height',
+            defaults: { primeLimit: 7, maxHeight: 7 },
+            threshold: settings => settings.maxHeight,
+            describe: settings => `${settings.primeLimit}-limit with Tenney height ≤ ${settings.maxHeight}`,
+            formatMeasure: value => `${value.toFixed(2)} bits`,
+            // The exact interval between the fractions; ratios without one are dissonant
+            classify(lower, higher, cents, settings) {
+                const fraction = intervalFraction(lower, higher);
+                if (!fraction) return { reference: '—', referenceCents: cents, measure: Infinity, consonant: false };
+                const [n, d] = fraction;
+                const measure = Math.log2(n) + Math.log2(d);
+                const consonant = measure <= settings.maxHeight &&
+                    withinPrimeLimit(n, settings.primeLimit) && withinPrimeLimit(d, settings.primeLimit);
+                return { reference: `${n}/${d}`, referenceCents: cents, measure, consonant };
+            }
+        },
+        entropy: {
+            label: 'Harmonic entropy',
+            referenceLabel: 'Heard as',
+            measureLabel: 'Entropy',
+            defaults: { spread: 17, tenneyLimit: 10000, maxEntropy: 4.53 },
+            threshold: settings => settings.maxEntropy,
+            describe: settings => `harmonic entropy ≤ ${settings.maxEntropy} nats (s = ${settings.spread}¢)`,
+            formatMeasure: value => `${value.toFixed(3)} nats`,
+            // Linear interpolation between the curve's whole-cent samples
+            classify(lower, higher, cents, settings) {
+                const curve = entropyCurve(settings.spread, settings.tenneyLimit, Math.ceil(cents) + 1);
+                const below = Math.floor(cents);
+                const t = cents - below;
+                const measure = curve.entropy[below] * (1 - t) + curve.entropy[below + 1] * t;
+                const nearest = curve.nearest[Math.round(cents)];
+                return {
+                    reference: nearest ? `${nearest.n}/${nearest.d}` : '—',
+                    referenceCents: nearest ? nearest.cents : cents,
+                    measure,
+                    consonant: measure <= settings.maxEntropy
+                };
+            }
+        }
+    };
+
+    // { model, ...settings } with the model's defaults filled in; a bare window is the 12-TET model
+    function resolveModel(options = {}) {
+        const id = options.model || 'tet12';
+        const model = MODELS[id];
+        if (!model) throw new Error(`Unknown consonance model "${id}"`);
+        const settings = { ...model.defaults };
+        Object.keys(model.defaults).forEach(name => {
+            if (options[name] !== undefined && options[name] !== null) settings[name] = options[name];
+        });
+        return { id, model, settings };
+    }
+
+    // "12-TET proximity (within ±15¢ of a 12-TET interval)"
+    function describeModel(options) {
+        const { model, settings } = resolveModel(options);
+        return `${model.label} (${model.describe(settings)})`;
+    }
+
+    function formatMeasure(value, modelId = 'tet12') {
+        return (MODELS[modelId] || MODELS.tet12).formatMeasure(value);
+    }
+
+    // ====================================
+    // INTERVALS
+    // ====================================
+
+    // The interval between two ratio objects, lower first, as the model classifies it, with its cents
+    function classifyPair(model, settings, a, b) {
+        const [lower, higher] = a.ratio <= b.ratio ? [a, b] : [b, a];
+        const cents = 1200 * Math.log2(higher.ratio / lower.ratio);
+        return { cents, ...model.classify(lower, higher, cents, settings) };
+    }
+
+    // Every interval between the ratios ({ fraction, ratio, cents }, as LRCCore builds them),
+    // judged by a consonance model (options: { model, ...its settings }; default 12-TET proximity).
+    // Returns { analysis, pitchMap }: pitchMap holds, per ratio index, { ratioIndex, ratioFraction,
+    // consonantWith: Set of indices } for O(1) lookups.
+    function analyzeIntervals(ratios, options = {}) {
+        const frequencies = ratios.map(ratioObj => ratioObj.ratio);
+        if (frequencies.length < 2) {
+            throw new Error('Need at least 2 ratios for interval analysis');
+        }
+        const { id, model, settings } = resolveModel(options);
+
+        const consonantIntervals = [];
+        const dissonantIntervals = [];
+        const consonantRatios = new Set();
+        const dissonantRatios = new Set();
+
+        const pitchMap = new Map();
+        for (let i = 0; i < ratios.length; i++) {
+            pitchMap.set(i, {
+                ratioIndex: i,
+                ratioFraction: ratios[i].fraction,
+                consonantWith: new Set()
+            });
+        }
+
+        for (let i = 0; i < frequencies.length; i++) {
+            for (let j = i + 1; j < frequencies.length; j++) {
+                const freq1 = frequencies[i];
+                const freq2 = frequencies[j];
+
+                const intervalRatio = Math.max(freq1, freq2) / Math.min(freq1, freq2);
+                const { cents, reference, referenceCents, measure, consonant } = classifyPair(model, settings, ratios[i], ratios[j]);
+                const deviation = cents - referenceCents;
+
+                const intervalData = {
+                    positions: `${i + 1}-${j + 1}`,
+                    ratio1: ratios[i].fraction,
+                    ratio2: ratios[j].fraction,
+                    ratioObj1: ratios[i],
+                    ratioObj2: ratios[j],
+                    pitchIndex1: i,
+                    pitchIndex2: j,
+                    freq1,
+                    freq2,
+                    intervalRatio,
+                    cents,
+                    reference,
+                    deviation,
+                    deviationAbs: Math.abs(deviation),
+                    measure,
+                    consonant
+                };
+
+                if (consonant) {
+                    consonantIntervals.push(intervalData);
+                    consonantRatios.add(ratios[i].fraction);
+                    consonantRatios.add(ratios[j].fraction);
+                    pitchMap.get(i).consonantWith.add(j);
+                    pitchMap.get(j).consonantWith.add(i);
+                } else {
+                    dissonantIntervals.push(intervalData);
+                    dissonantRatios.add(ratios[i].fraction);
+                    dissonantRatios.add(ratios[j].fraction);
+                }
+            }
+        }
+
+        const totalIntervals = consonantIntervals.length + dissonantIntervals.length;
+        const analysis = {
+            consonantIntervals: consonantIntervals.sort((a, b) => a.measure - b.measure),
+            dissonantIntervals: dissonantIntervals.sort((a, b) => a.measure - b.measure),
+            consonantRatios: Array.from(consonantRatios),
+            dissonantRatios: Array.from(dissonantRatios),
+            totalIntervals,
+            consonanceRatio: totalIntervals > 0 ? consonantIntervals.length / totalIntervals : 0,
+            ratioCount: frequencies.length,
+            model: { id, settings, threshold: model.threshold(settings) }
+        };
+        return { analysis, pitchMap };
+    }
+
+    // How many intervals between the ratios the model calls consonant, as analyzeIntervals counts
+    // them, without building the analysis; stops counting at `enough`. For scans that test many scales.
+    function countConsonantIntervals(ratios, options = {}, enough = Infinity) {
+        const { model, settings } = resolveModel(options);
+        let consonant = 0;
+        for (let i = 0; i < ratios.length && consonant < enough; i++) {
+            for (let j = i + 1; j < ratios.length; j++) {
+                if (classifyPair(model, settings, ratios[i], ratios[j]).consonant) consonant++;
+            }
+        }
+        return consonant;
+    }
+
+    // ====================================
+    // FAMILIES
+    // ====================================
+
+    function neighborsOf(pitchMap, pitchIndex) {
+        const entry = pitchMap.get(pitchIndex);
+        return entry ? entry.consonantWith : new Set();
+    }
+
+    // Pitches with at least one consonant partner, the only ones that can be in a family
+    function consonantPitches(pitchMap) {
+        return Array.from(pitchMap.keys()).filter(pitchIndex => neighborsOf(pitchMap, pitchIndex).size > 0);
+    }
+
+    // Vertices in degeneracy order: repeatedly take the one with the fewest neighbours left
+    function degeneracyOrder(pitchMap, vertices) {
+        const remaining = new Set(vertices);
+        const degree = new Map();
+        vertices.forEach(v => {
+            let count = 0;
+            neighborsOf(pitchMap, v).forEach(n => { if (remaining.has(n)) count++; });
+            degree.set(v, count);
+        });
+
+        const order = [];
+        while (remaining.size > 0) {
+            let next = null;
+            remaining.forEach(v => {
+                if (next === null || degree.get(v) < degree.get(next)) next = v;
+            });
+            remaining.delete(next);
+            order.push(next);
+            neighborsOf(pitchMap, next).forEach(n => {
+                if (remaining.has(n)) degree.set(n, degree.get(n) - 1);
+            });
+        }
+        return order;
+    }
+
+    // Bron–Kerbosch with pivoting from clique r, candidates p and excluded x; adds the
+    // maximal cliques (sorted index arrays) to results
+    function expandClique(pitchMap, r, p, x, results) {
+        if (p.size === 0 && x.size === 0) {
+            results.push(Array.from(r).sort((a, b) => a - b));
+            return;
+        }
+
+        // Pivot on the vertex with the most neighbours among the candidates
+        let pivot = null;
+        let pivotNeighborCount = -1;
+        for (const candidate of [...p, ...x]) {
+            let count = 0;
+            neighborsOf(pitchMap, candidate).forEach(n => {
+                if (p.has(n)) count++;
+            });
+            if (count > pivotNeighborCount) {
+                pivotNeighborCount = count;
+                pivot = candidate;
+            }
+        }
+
+        const pivotNeighbors = neighborsOf(pitchMap, pivot);
+        const candidates = Array.from(p).filter(v => !pivotNeighbors.has(v));
+
+        for (const v of candidates) {
+            const vNeighbors = neighborsOf(pitchMap, v);
+            const nextR = new Set(r);
+            nextR.add(v);
+
+            const nextP = new Set();
+            p.forEach(n => {
+                if (vNeighbors.has(n)) nextP.add(n);
+            });
+            const nextX = new Set();
+            x.forEach(n => {
+                if (vNeighbors.has(n)) nextX.add(n);
+            });
+
+            expandClique(pitchMap, nextR, nextP, nextX, results);
+
+            p.delete(v);
+            x.add(v);
+        }
+    }
+
+    // Resumable maximal clique search among `vertices`. Vertices are expanded one at a time in
+    // degeneracy order, each finding the maximal cliques it is the earliest vertex of, so the
+    // candidate sets stay as small as the graph's degeneracy and callers can stop in between.
+    // next(deadline) returns the cliques of the vertices expanded before the deadline (at least one).
+    function createCliqueSearch(pitchMap, vertices) {
+        const order = degeneracyOrder(pitchMap, vertices);
+        const position = new Map(order.map((v, i) => [v, i]));
+        let index = 0;
+
+        return {
+            get done() { return index >= order.length; },
+            get progress() { return order.length > 0 ? index / order.length : 1; },
+            next(deadline = Infinity) {
+                const results = [];
+                while (index < order.length) {
+                    const v = order[index++];
+                    const p = new Set();
+                    const x = new Set();
+                    neighborsOf(pitchMap, v).forEach(n => {
+                        if (!position.has(n)) return;
+                        (position.get(n) > position.get(v) ? p : x).add(n);
+                    });
+                    expandClique(pitchMap, new Set([v]), p, x, results);
+                    if (Date.now() >= deadline) break;
+                }
+                return results;
+            }
+        };
+    }
+
+    // Every maximal clique of the consonance graph among `vertices`
+    function findMaximalCliques(pitchMap, vertices) {
+        return createCliqueSearch(pitchMap, vertices).next();
+    }
+
+    function allPairsConsonant(pitchMap, pitchIndices) {
+        for (let i = 0; i < pitchIndices.length; i++) {
+            for (let j = i + 1; j < pitchIndices.length; j++) {
+                if (!pitchMap.get(pitchIndices[i]).consonantWith.has(pitchIndices[j])) return false;
+            }
+        }
+        return true;
+    }
+
+    // Position of each consonant interval in analysis.consonantIntervals by its "i-j" pitch pair,
+    // built once per analysis
+    const intervalIndexes = new WeakMap();
+
+    function intervalIndex(analysis) {
+        let index = intervalIndexes.get(analysis);
+        if (!index) {
+            index = new Map(analysis.consonantIntervals.map((interval, i) => [`${interval.pitchIndex1}-${interval.pitchIndex2}`, i]));
+            intervalIndexes.set(analysis, index);
+        }
+        return index;
+    }
+
+    // The consonant intervals among pitchIndices, in analysis order (most consonant first)
+    function intervalsForPitches(pitchIndices, analysis) {
+        const index = intervalIndex(analysis);
+        const sorted = [...pitchIndices].sort((a, b) => a - b);
+        const positions = [];
+        for (let i = 0; i < sorted.length; i++) {
+            for (let j = i + 1; j < sorted.length; j++) {
+                const position = index.get(`${sorted[i]}-${sorted[j]}`);
+                if (position !== undefined) positions.push(position);
+            }
+        }
+        return positions.sort((a, b) => a - b).map(position => analysis.consonantIntervals[position]);
+    }
+
+    // Average of the model's measure (deviation in cents for the proximity models)
+    function averageDeviation(intervals) {
+        return intervals.reduce((sum, interval) => sum + interval.measure, 0) / intervals.length;
+    }
+
+    // Higher strength for a lower average measure, 0-1 up to the model's threshold
+    function consonanceStrength(intervals, threshold = DEFAULT_WINDOW) {
+        return Math.max(0, threshold - averageDeviation(intervals)) / threshold;
+    }
+
+    function groupByReference(consonantIntervals) {
+        const intervalsByReference = new Map();
+        consonantIntervals.forEach(interval => {
+            if (!intervalsByReference.has(interval.reference)) intervalsByReference.set(interval.reference, []);
+            intervalsByReference.get(interval.reference).push(interval);
+        });
+        return intervalsByReference;
+    }
+
+    function makeFamily(pitchMap, pitchIndices, analysis, extra) {
+        const familyIntervals = intervalsForPitches(pitchIndices, analysis);
+        return {
+            ratios: pitchIndices.map(i => pitchMap.get(i).ratioFraction),
+            pitchIndices,
+            intervals: familyIntervals,
+            size: pitchIndices.length,
+            avgDeviation: averageDeviation(familyIntervals),
+            consonanceStrength: consonanceStrength(familyIntervals, analysis.model.threshold),
+            model: analysis.model.id,
+            ...extra
+        };
+    }
+
+    // Families of maximal cliques (3+ pitches) from createCliqueSearch or findMaximalCliques
+    function cliqueFamilies({ analysis, pitchMap }, cliques) {
+        return cliques.filter(pitchIndices => pitchIndices.length >= 3).map(pitchIndices => {
+            const family = makeFamily(pitchMap, pitchIndices, analysis, {});
+            const referenceCounts = new Map();
+            family.intervals.forEach(interval => referenceCounts.set(interval.reference, (referenceCounts.get(interval.reference) || 0) + 1));
+            family.hasMultipleApproximates = Array.from(referenceCounts.values()).some(count => count > 1);
+            return family;
+        });
+    }
+
+    // Families that hold several approximations of the same reference interval, which the
+    // maximal cliques can split up
+    function multipleApproximateFamilies({ analysis, pitchMap }, families) {
+        const familyKeys = new Set(families.map(family => [...family.pitchIndices].sort((a, b) => a - b).join(',')));
+        const added = [];
+
+        for (const [, intervals] of groupByReference(analysis.consonantIntervals)) {
+            if (intervals.length < 2) continue;
+
+            // For each pitch, every pitch forming this reference interval with it
+            const pitchGroups = new Map();
+            intervals.forEach(interval => {
+                const { pitchIndex1: a, pitchIndex2: b } = interval;
+                if (!pitchGroups.has(a)) pitchGroups.set(a, new Set([a]));
+                if (!pitchGroups.has(b)) pitchGroups.set(b, new Set([b]));
+                pitchGroups.get(a).add(b);
+                pitchGroups.get(b).add(a);
+            });
+
+            for (const [, pitchSet] of pitchGroups) {
+                if (pitchSet.size < 3) continue;
+                const pitchIndices = Array.from(pitchSet);
+                if (!allPairsConsonant(pitchMap, pitchIndices)) continue;
+
+                const key = [...pitchIndices].sort((a, b) => a - b).join(',');
+                if (familyKeys.has(key)) continue;
+                familyKeys.add(key);
+                added.push(makeFamily(pitchMap, pitchIndices, analysis, {
+                    hasMultipleApproximates: true,
+                    explicitMultipleApproximate: true
+                }));
+            }
+        }
+        return added;
+    }
+
+    // Completes the clique families with the multiple-approximate ones, those first, then by
+    // average measure. Maximal cliques are never inside one another, so nothing is dropped.
+    function finishFamilies(intervals, families) {
+        return [...families, ...multipleApproximateFamilies(intervals, families)].sort((a, b) => {
+            if (a.hasMultipleApproximates && !b.hasMultipleApproximates) return -1;
+            if (!a.hasMultipleApproximates && b.hasMultipleApproximates) return 1;
+            return a.avgDeviation - b.avgDeviation;
+        });
+    }
+
+    // Consonance families of an analyzeIntervals result, all at once. Large scales can use
+    // createCliqueSearch, cliqueFamilies and finishFamilies to stream them instead.
+    function extractFamilies(intervals) {
+        if (intervals.analysis.consonantIntervals.length === 0) return [];
+        const vertices = consonantPitches(intervals.pitchMap);
+        if (vertices.length < 3) return [];
+        return finishFamilies(intervals, cliqueFamilies(intervals, findMaximalCliques(intervals.pitchMap, vertices)));
+    }
+
+    const api = {
+        DEFAULT_WINDOW,
+        MODELS,
+        resolveModel,
+        describeModel,
+        formatMeasure,
+        analyzeIntervals,
+        countConsonantIntervals,
+        consonantPitches,
+        createCliqueSearch,
+        findMaximalCliques,
+        cliqueFamilies,
+        finishFamilies,
+        extractFamilies,
+        allPairsConsonant,
+        consonanceStrength
+    };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    if (root) root.LRCConsonance = api;
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : null));
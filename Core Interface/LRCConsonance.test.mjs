@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import LRCConsonance from './LRCConsonance.js';
+
+const ratios = ['1/1', '9/8', '5/4', '11/8', '3/2', '7/4'].map(fraction => {
+    const [n, d] = fraction.split('/').map(Number);
+    return { fraction, ratio: n / d, cents: 1200 * Math.log2(n / d) };
+});
+
+const consonantWithUnison = ({ analysis }) => analysis.consonantIntervals
+    .filter(interval => interval.ratio1 === '1/1')
+    .map(interval => interval.ratio2)
+    .sort();
+
+test('consonance models judge the same intervals differently and feed the same families', () => {
+    const tet = LRCConsonance.analyzeIntervals(ratios);
+    assert.equal(tet.analysis.model.id, 'tet12');
+    assert.deepEqual(consonantWithUnison(tet), ['3/2', '5/4', '9/8']);
+    const fifth = tet.analysis.consonantIntervals.find(interval => interval.ratio1 === '1/1' && interval.ratio2 === '3/2');
+    assert.equal(fifth.reference, '700');
+    assert.ok(Math.abs(fifth.deviation - 1.955) < 0.001);
+
+    // 7/4 is 31¢ from 12-TET but simple in JI; 11/8 is outside the 7-limit
+    const ji = LRCConsonance.analyzeIntervals(ratios, { model: 'ji' });
+    assert.deepEqual(consonantWithUnison(ji), ['3/2', '5/4', '7/4', '9/8']);
+    assert.equal(ji.analysis.consonantIntervals.find(interval => interval.ratio1 === '5/4' && interval.ratio2 === '7/4').reference, '7/5');
+    assert.deepEqual(consonantWithUnison(LRCConsonance.analyzeIntervals(ratios, { model: 'ji', primeLimit: 11, maxHeight: 7 })),
+        ['11/8', '3/2', '5/4', '7/4', '9/8']);
+
+    const edo = LRCConsonance.analyzeIntervals(ratios, { model: 'edo', edo: 31, window: 8 });
+    assert.equal(edo.analysis.consonantIntervals.find(interval => interval.ratio2 === '7/4' && interval.ratio1 === '1/1').reference, '25\\31');
+
+    const entropy = LRCConsonance.analyzeIntervals(ratios, { model: 'entropy' });
+    const measures = Object.fromEntries([...entropy.analysis.consonantIntervals, ...entropy.analysis.dissonantIntervals]
+        .filter(interval => interval.ratio1 === '1/1')
+        .map(interval => [interval.ratio2, interval.measure]));
+    assert.ok(measures['3/2'] < measures['5/4'] && measures['5/4'] < measures['11/8']);
+
+    // Every model fills the pitch map and families the same way
+    const families = LRCConsonance.extractFamilies(ji);
+    assert.ok(families.some(family => ['1/1', '5/4', '3/2', '7/4'].every(ratio => family.ratios.includes(ratio))));
+    assert.ok(families.every(family => family.model === 'ji' && family.consonanceStrength > 0));
+    assert.ok(ji.pitchMap.get(0).consonantWith.has(5));
+    assert.ok(!tet.pitchMap.get(0).consonantWith.has(5));
+
+    assert.equal(LRCConsonance.describeModel({ model: 'ji' }), 'JI prime limit / Tenney height (7-limit with Tenney height ≤ 7)');
+    assert.throws(() => LRCConsonance.analyzeIntervals(ratios, { model: 'nope' }), /Unknown consonance model/);
+});
+
+test('the clique search can be streamed vertex by vertex and finishes to the same families', () => {
+    // Triads 1/1 5/4 3/2, 5/4 3/2 15/8 and 9/8 3/2 15/8 overlap but none holds another
+    const scale = ['1/1', '9/8', '5/4', '3/2', '15/8'].map(fraction => {
+        const [n, d] = fraction.split('/').map(Number);
+        return { fraction, ratio: n / d, cents: 1200 * Math.log2(n / d) };
+    });
+    const intervals = LRCConsonance.analyzeIntervals(scale, { model: 'ji', maxHeight: 5 });
+    const vertices = LRCConsonance.consonantPitches(intervals.pitchMap);
+
+    const search = LRCConsonance.createCliqueSearch(intervals.pitchMap, vertices);
+    const streamed = [];
+    while (!search.done) streamed.push(...search.next(0)); // one vertex per call
+    assert.equal(search.progress, 1);
+    const key = cliques => cliques.map(clique => clique.join(',')).sort();
+    assert.deepEqual(key(streamed), key(LRCConsonance.findMaximalCliques(intervals.pitchMap, vertices)));
+
+    const families = LRCConsonance.finishFamilies(intervals, LRCConsonance.cliqueFamilies(intervals, streamed));
+    assert.equal(families.length, 3);
+    assert.deepEqual(families.map(family => family.ratios.join(' ')), LRCConsonance.extractFamilies(intervals).map(family => family.ratios.join(' ')));
+    assert.ok(families.every(family => family.size >= 3 && family.intervals.length === family.size * (family.size - 1) / 2));
+});
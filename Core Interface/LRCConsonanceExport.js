@@ -0,0 +1,210 @@
+// LRCConsonanceExport.js - Interconsonance analysis as graph data and reports (no DOM)
+// network: { analysis, families, ratios } as LRCInterconsonance.currentAnalysis holds it, with
+// analysis from LRCConsonance.analyzeIntervals. rhythmInfo names the files like LRCTuningFiles, so
+// "12-7-5 (35) consonance.graphml" sits next to "12-7-5 (35).scl".
+// Formats: JSON (everything), GraphML and Graphviz DOT (pitches, consonant edges, family
+// membership), and CSV (the full interval matrix of the model's measure).
+//
+// Browser: window.LRCConsonanceExport (load LRCConsonance.js, LRCConsonanceGraph.js and
+// LRCTuningFiles.js first). Node: module.exports.
+
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const Consonance = isNode ? require('./LRCConsonance.js') : (root && root.LRCConsonance);
+    const Graph = isNode ? require('./LRCConsonanceGraph.js') : (root && root.LRCConsonanceGraph);
+    const TuningFiles = isNode ? require('./LRCTuningFiles.js') : (root && root.LRCTuningFiles);
+
+    const FORMAT = 'lrc-consonance-network';
+    const VERSION = 1;
+
+    function round(value, digits = 4) {
+        return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+    }
+
+    // ====================================
+    // NETWORK DATA
+    // ====================================
+
+    // Plain data behind every format: pitches, every interval (consonant or not) and families.
+    // Families may be partial while the search is still running or after it was cancelled.
+    function networkData(rhythmInfo, { analysis, families = [], ratios, familiesPending = false, familiesCancelled = false }) {
+        const { id, settings, threshold } = analysis.model;
+        const model = Consonance.MODELS[id];
+        const weights = new Map(Graph.buildGraph(analysis, ratios).edges
+            .map(edge => [`${edge.source}-${edge.target}`, edge.weight]));
+        const familyNumbers = ratios.map(() => []);
+        families.forEach((family, i) => family.pitchIndices.forEach(index => familyNumbers[index].push(i + 1)));
+
+        const intervals = [...analysis.consonantIntervals, ...analysis.dissonantIntervals]
+            .sort((a, b) => a.pitchIndex1 - b.pitchIndex1 || a.pitchIndex2 - b.pitchIndex2)
+            .map(interval => ({
+                source: interval.pitchIndex1,
+                target: interval.pitchIndex2,
+                ratio1: interval.ratio1,
+                ratio2: interval.ratio2,
+                cents: round(interval.cents),
+                reference: interval.reference,
+                deviation: round(interval.deviation),
+                measure: round(interval.measure),
+                consonant: interval.consonant,
+                weight: interval.consonant ? round(weights.get(`${interval.pitchIndex1}-${interval.pitchIndex2}`)) : null
+            }));
+
+        return {
+            rhythm: {
+                layers: rhythmInfo.layers.filter(layer => layer > 1),
+                fundamental: rhythmInfo.fundamental,
+                period: rhythmInfo.period ? rhythmInfo.period.label : '2/1'
+            },
+            model: {
+                id,
+                description: Consonance.describeModel({ model: id, ...settings }),
+                settings,
+                threshold,
+                referenceLabel: model.referenceLabel,
+                measureLabel: model.measureLabel
+            },
+            consonanceRatio: round(analysis.consonanceRatio),
+            pitches: ratios.map((ratio, index) => ({
+                index,
+                fraction: ratio.fraction,
+                cents: round(ratio.cents),
+                families: familyNumbers[index]
+            })),
+            intervals,
+            families: families.map((family, i) => ({
+                number: i + 1,
+                ratios: family.ratios,
+                pitchIndices: family.pitchIndices,
+                size: family.size,
+                avgMeasure: round(family.avgDeviation),
+                multipleApproximates: Boolean(family.hasMultipleApproximates)
+            })),
+            familiesComplete: !familiesPending && !familiesCancelled
+        };
+    }
+
+    // ====================================
+    // FILES
+    // ====================================
+
+    function jsonFile(rhythmInfo, network, now = Date.now()) {
+        const content = JSON.stringify({
+            format: FORMAT,
+            version: VERSION,
+            exportedAt: new Date(now).toISOString(),
+            ...networkData(rhythmInfo, network)
+        }, null, 2) + '\n';
+        return { filename: `${TuningFiles.baseName(rhythmInfo)} consonance.json`, content };
+    }
+
+    function xmlEscape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Consonant intervals only; families as a space-separated list of family numbers on each node
+    function graphMLFile(rhythmInfo, network) {
+        const data = networkData(rhythmInfo, network);
+        const keys = [
+            ['fraction', 'node', 'string'],
+            ['cents', 'node', 'double'],
+            ['families', 'node', 'string'],
+            ['cents', 'edge', 'double'],
+            ['reference', 'edge', 'string'],
+            ['deviation', 'edge', 'double'],
+            ['measure', 'edge', 'double'],
+            ['weight', 'edge', 'double']
+        ];
+        const dataElement = (scope, name, value) => `<data key="${scope[0]}_${name}">${xmlEscape(value)}</data>`;
+
+        let content = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+        content += `<graphml xmlns="http://graphml.graphdrawing.org/xmlns">\n`;
+        content += `  <!-- ${xmlEscape(`${data.rhythm.layers.join(':')} · ${data.model.description} · measure: ${data.model.measureLabel}`)} -->\n`;
+        keys.forEach(([name, scope, type]) => {
+            content += `  <key id="${scope[0]}_${name}" for="${scope}" attr.name="${name}" attr.type="${type}"/>\n`;
+        });
+        content += `  <graph id="${xmlEscape(data.rhythm.layers.join(':'))}" edgedefault="undirected">\n`;
+        data.pitches.forEach(pitch => {
+            content += `    <node id="p${pitch.index}">${dataElement('node', 'fraction', pitch.fraction)}${dataElement('node', 'cents', pitch.cents)}${dataElement('node', 'families', pitch.families.join(' '))}</node>\n`;
+        });
+        data.intervals.filter(interval => interval.consonant).forEach(interval => {
+            content += `    <edge source="p${interval.source}" target="p${interval.target}">`;
+            content += ['cents', 'reference', 'deviation', 'measure', 'weight'].map(name => dataElement('edge', name, interval[name])).join('');
+            content += `</edge>\n`;
+        });
+        content += `  </graph>\n</graphml>\n`;
+        return { filename: `${TuningFiles.baseName(rhythmInfo)} consonance.graphml`, content };
+    }
+
+    function dotString(text) {
+        return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    // Undirected graph of consonant intervals; pen width follows edge weight. Families overlap, so
+    // they are listed in comments and as a node attribute rather than as clusters.
+    function dotFile(rhythmInfo, network) {
+        const data = networkData(rhythmInfo, network);
+        let content = `// ${data.rhythm.layers.join(':')} · ${data.model.description}\n`;
+        data.families.forEach(family => {
+            content += `// Family ${family.number}: ${family.ratios.join(' ')} (avg ${data.model.measureLabel.toLowerCase()} ${family.avgMeasure})\n`;
+        });
+        content += `graph ${dotString(data.rhythm.layers.join(':'))} {\n`;
+        content += `  node [shape=circle];\n`;
+        data.pitches.forEach(pitch => {
+            content += `  p${pitch.index} [label=${dotString(pitch.fraction)}, cents=${pitch.cents}, families=${dotString(pitch.families.join(' '))}];\n`;
+        });
+        data.intervals.filter(interval => interval.consonant).forEach(interval => {
+            content += `  p${interval.source} -- p${interval.target} [label=${dotString(interval.reference)}, measure=${interval.measure}, penwidth=${round(0.5 + 2.5 * interval.weight, 2)}];\n`;
+        });
+        content += `}\n`;
+        return { filename: `${TuningFiles.baseName(rhythmInfo)} consonance.gv`, content };
+    }
+
+    // Symmetric pitch × pitch matrix of the model's measure (blank diagonal); the corner cell
+    // names the measure and the model's consonance threshold
+    function matrixCSVFile(rhythmInfo, network) {
+        const data = networkData(rhythmInfo, network);
+        const matrix = data.pitches.map(() => data.pitches.map(() => ''));
+        data.intervals.forEach(interval => {
+            matrix[interval.source][interval.target] = interval.measure;
+            matrix[interval.target][interval.source] = interval.measure;
+        });
+
+        const corner = `${data.model.measureLabel} (consonant ≤ ${data.model.threshold})`;
+        const rows = [
+            [corner, ...data.pitches.map(pitch => pitch.fraction)],
+            ...data.pitches.map((pitch, i) => [pitch.fraction, ...matrix[i]])
+        ];
+        const content = rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+        return { filename: `${TuningFiles.baseName(rhythmInfo)} intervals.csv`, content };
+    }
+
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    const FILES = {
+        json: jsonFile,
+        graphml: graphMLFile,
+        dot: dotFile,
+        csv: matrixCSVFile
+    };
+
+    const api = {
+        FORMAT,
+        VERSION,
+        FILES,
+        networkData,
+        jsonFile,
+        graphMLFile,
+        dotFile,
+        matrixCSVFile
+    };
+
+    if (isNode) module.exports = api;
+    if (root) root.LRCConsonanceExport = api;
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : null));
@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import LRCConsonance from './LRCConsonance.js';
+import LRCConsonanceExport from './LRCConsonanceExport.js';
+import LRCCore from './LRCCore.js';
+
+test('the consonance network exports as JSON, GraphML, DOT and an interval matrix CSV', () => {
+    const rhythm = LRCCore.analyzeRhythm([12, 7, 5]);
+    const intervals = LRCConsonance.analyzeIntervals(rhythm.ratios, { model: 'edo', edo: 31, window: 8 });
+    const network = { analysis: intervals.analysis, families: LRCConsonance.extractFamilies(intervals), ratios: rhythm.ratios };
+
+    const json = LRCConsonanceExport.jsonFile(rhythm, network, Date.UTC(2026, 0, 2));
+    assert.equal(json.filename, '12-7-5 (35) consonance.json');
+    const data = JSON.parse(json.content);
+    assert.equal(data.format, 'lrc-consonance-network');
+    assert.equal(data.model.description, 'N-EDO proximity (within ±8¢ of a 31-EDO interval)');
+    assert.equal(data.pitches.length, 6);
+    assert.equal(data.intervals.length, 15);
+    assert.deepEqual(data.intervals[0], {
+        source: 0, target: 1, ratio1: '1/1', ratio2: '7/6', cents: 266.8709, reference: '7\\31',
+        deviation: -4.0968, measure: 4.0968, consonant: true, weight: 0.4879
+    });
+    assert.deepEqual(data.pitches[1].families, [1, 2]);
+    assert.equal(data.familiesComplete, true);
+
+    const graphML = LRCConsonanceExport.graphMLFile(rhythm, network).content;
+    assert.equal((graphML.match(/<edge /g) || []).length, intervals.analysis.consonantIntervals.length);
+    assert.match(graphML, /<node id="p1"><data key="n_fraction">7\/6<\/data><data key="n_cents">266.8709<\/data><data key="n_families">1 2<\/data><\/node>/);
+
+    // EDO steps are written "7\31", which DOT strings need escaped
+    const dot = LRCConsonanceExport.dotFile(rhythm, network);
+    assert.equal(dot.filename, '12-7-5 (35) consonance.gv');
+    assert.match(dot.content, /^graph "12:7:5" \{$/m);
+    assert.match(dot.content, /^ {2}p0 -- p1 \[label="7\\\\31", measure=4.0968, penwidth=1.72\];$/m);
+
+    const csv = LRCConsonanceExport.matrixCSVFile(rhythm, network).content.trim().split('\n');
+    assert.equal(csv[0], 'Deviation (consonant ≤ 8),1/1,7/6,5/4,7/5,5/3,7/4');
+    assert.equal(csv[1], '1/1,,4.0968,0.7831,1.867,5.9639,1.084');
+    assert.equal(csv[2].split(',')[1], '4.0968');
+});
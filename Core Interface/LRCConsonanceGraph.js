@@ -0,0 +1,219 @@
+// LRCConsonanceGraph.js - Force-directed layout of the consonance network (no DOM)
+// Pitches are nodes anchored on a circle by their cents within the period, consonant intervals
+// are springs that pull harder the more consonant they are, and families are the convex hulls
+// of their pitches. Positions are in the unit square; ConsonanceNetworkView scales and draws them.
+//
+// Browser: window.LRCConsonanceGraph. Node: module.exports.
+
+(function (root) {
+    'use strict';
+
+    const CIRCLE_RADIUS = 0.4;
+    const EDGE_MARGIN = 0.03; // Nodes stay this far inside the unit square
+    const MIN_WEIGHT = 0.1; // Edges right at the model's threshold still pull a little
+
+    const DEFAULT_FORCES = {
+        anchor: 0.05, // Pull towards the node's place on the circle
+        spring: 0.03, // Pull along consonant edges, scaled by weight
+        repulsion: 0.00002, // Push between every pair of nodes
+        damping: 0.8
+    };
+
+    // ====================================
+    // GRAPH
+    // ====================================
+
+    // { nodes, edges } from an analyzeIntervals analysis and its ratios ({ fraction, cents }).
+    // Node i is ratio i, starting at its circle position (0¢ at the top, rising clockwise);
+    // edge weight runs from 1 (measure 0) down to MIN_WEIGHT at the model's threshold.
+    function buildGraph(analysis, ratios, { periodCents = 1200 } = {}) {
+        const nodes = ratios.map((ratio, index) => {
+            const cents = ((ratio.cents % periodCents) + periodCents) % periodCents;
+            const angle = 2 * Math.PI * cents / periodCents - Math.PI / 2;
+            const homeX = 0.5 + CIRCLE_RADIUS * Math.cos(angle);
+            const homeY = 0.5 + CIRCLE_RADIUS * Math.sin(angle);
+            return { index, fraction: ratio.fraction, cents: ratio.cents, homeX, homeY, x: homeX, y: homeY, vx: 0, vy: 0 };
+        });
+
+        const threshold = analysis.model ? analysis.model.threshold : null;
+        const edges = analysis.consonantIntervals.map(interval => ({
+            source: interval.pitchIndex1,
+            target: interval.pitchIndex2,
+            measure: interval.measure,
+            weight: threshold > 0 && Number.isFinite(interval.measure)
+                ? Math.min(1, Math.max(MIN_WEIGHT, 1 - interval.measure / threshold))
+                : 1
+        }));
+
+        return { nodes, edges };
+    }
+
+    // One step of the simulation; returns the kinetic energy left, so callers can stop once it settles
+    function stepLayout(graph, forces = {}) {
+        const { anchor, spring, repulsion, damping } = { ...DEFAULT_FORCES, ...forces };
+        const { nodes, edges } = graph;
+        const fx = new Float64Array(nodes.length);
+        const fy = new Float64Array(nodes.length);
+
+        nodes.forEach((node, i) => {
+            fx[i] += (node.homeX - node.x) * anchor;
+            fy[i] += (node.homeY - node.y) * anchor;
+        });
+
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                const dx = nodes[j].x - nodes[i].x;
+                const dy = nodes[j].y - nodes[i].y;
+                const distanceSq = Math.max(dx * dx + dy * dy, 1e-4);
+                const push = repulsion / distanceSq;
+                const distance = Math.sqrt(distanceSq);
+                fx[i] -= push * dx / distance;
+                fy[i] -= push * dy / distance;
+                fx[j] += push * dx / distance;
+                fy[j] += push * dy / distance;
+            }
+        }
+
+        // Stronger edges are stiffer and shorter at rest; a node's pull is shared out over its
+        // edges, so well-connected pitches aren't dragged off the circle
+        if (!graph.degrees) {
+            graph.degrees = new Float64Array(nodes.length);
+            edges.forEach(edge => {
+                graph.degrees[edge.source]++;
+                graph.degrees[edge.target]++;
+            });
+        }
+        edges.forEach(edge => {
+            const a = nodes[edge.source];
+            const b = nodes[edge.target];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1e-6);
+            const rest = 0.1 + 0.3 * (1 - edge.weight);
+            const pull = spring * edge.weight * (distance - rest);
+            const sourceShare = pull / Math.sqrt(graph.degrees[edge.source]);
+            const targetShare = pull / Math.sqrt(graph.degrees[edge.target]);
+            fx[edge.source] += sourceShare * dx / distance;
+            fy[edge.source] += sourceShare * dy / distance;
+            fx[edge.target] -= targetShare * dx / distance;
+            fy[edge.target] -= targetShare * dy / distance;
+        });
+
+        let energy = 0;
+        nodes.forEach((node, i) => {
+            node.vx = (node.vx + fx[i]) * damping;
+            node.vy = (node.vy + fy[i]) * damping;
+            node.x = Math.min(1 - EDGE_MARGIN, Math.max(EDGE_MARGIN, node.x + node.vx));
+            node.y = Math.min(1 - EDGE_MARGIN, Math.max(EDGE_MARGIN, node.y + node.vy));
+            energy += node.vx * node.vx + node.vy * node.vy;
+        });
+        return energy;
+    }
+
+    // ====================================
+    // HULLS AND HIT TESTING
+    // ====================================
+
+    function cross(o, a, b) {
+        return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    }
+
+    // Convex hull of [x, y] points (monotone chain), counter-clockwise without repeats
+    function convexHull(points) {
+        const sorted = points.map(point => [point[0], point[1]]).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        if (sorted.length < 3) return sorted;
+
+        const lower = [];
+        for (const point of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+            lower.push(point);
+        }
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const point = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+            upper.push(point);
+        }
+        return lower.slice(0, -1).concat(upper.slice(0, -1));
+    }
+
+    function polygonArea(polygon) {
+        let area = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const [x1, y1] = polygon[i];
+            const [x2, y2] = polygon[(i + 1) % polygon.length];
+            area += x1 * y2 - x2 * y1;
+        }
+        return Math.abs(area) / 2;
+    }
+
+    function distanceToSegment(x, y, [x1, y1], [x2, y2]) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((x - x1) * dx + (y - y1) * dy) / lengthSq)) : 0;
+        return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+    }
+
+    // Inside the polygon, or within padding of its outline (hulls are drawn padded)
+    function pointInHull(x, y, polygon, padding = 0) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+        }
+        if (inside || padding <= 0) return inside;
+        return polygon.some((point, i) => distanceToSegment(x, y, point, polygon[(i + 1) % polygon.length]) <= padding);
+    }
+
+    // Hull of a family's pitches at their current positions
+    function familyHull(graph, family) {
+        return convexHull(family.pitchIndices.map(i => [graph.nodes[i].x, graph.nodes[i].y]));
+    }
+
+    // Index of the node nearest (x, y) within radius, or -1
+    function nodeAt(graph, x, y, radius) {
+        let best = -1;
+        let bestDistance = radius;
+        graph.nodes.forEach((node, i) => {
+            const distance = Math.hypot(node.x - x, node.y - y);
+            if (distance <= bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    // Index in families of the smallest hull around (x, y), or -1
+    function familyAt(graph, families, x, y, padding = 0) {
+        let best = -1;
+        let bestArea = Infinity;
+        families.forEach((family, i) => {
+            const hull = familyHull(graph, family);
+            if (!pointInHull(x, y, hull, padding)) return;
+            const area = polygonArea(hull);
+            if (area < bestArea) {
+                best = i;
+                bestArea = area;
+            }
+        });
+        return best;
+    }
+
+    const api = {
+        DEFAULT_FORCES,
+        buildGraph,
+        stepLayout,
+        convexHull,
+        polygonArea,
+        pointInHull,
+        familyHull,
+        nodeAt,
+        familyAt
+    };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    if (root) root.LRCConsonanceGraph = api;
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : null));
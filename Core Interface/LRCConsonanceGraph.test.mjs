@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import LRCConsonance from './LRCConsonance.js';
+import LRCConsonanceGraph from './LRCConsonanceGraph.js';
+
+const ratios = ['1/1', '9/8', '5/4', '3/2', '15/8'].map(fraction => {
+    const [n, d] = fraction.split('/').map(Number);
+    return { fraction, ratio: n / d, cents: 1200 * Math.log2(n / d) };
+});
+
+test('the network sits pitches on the circle, settles near it and finds families under the pointer', () => {
+    const { analysis } = LRCConsonance.analyzeIntervals(ratios, { model: 'ji', maxHeight: 5 });
+    const graph = LRCConsonanceGraph.buildGraph(analysis, ratios);
+
+    // 0¢ at the top, rising clockwise: 3/2 (702¢) is just past the bottom, on the left
+    assert.deepEqual([graph.nodes[0].x, graph.nodes[0].y].map(v => +v.toFixed(6)), [0.5, 0.1]);
+    assert.ok(graph.nodes[3].x < 0.5 && graph.nodes[3].y > 0.5);
+    assert.equal(graph.edges.length, analysis.consonantIntervals.length);
+    const fifth = graph.edges.find(edge => edge.source === 0 && edge.target === 3);
+    const third = graph.edges.find(edge => edge.source === 0 && edge.target === 2);
+    assert.ok(fifth.weight > third.weight && third.weight >= 0.1);
+
+    let energy = Infinity;
+    for (let step = 0; step < 400 && energy > 1e-7; step++) energy = LRCConsonanceGraph.stepLayout(graph);
+    assert.ok(energy <= 1e-7);
+    graph.nodes.forEach(node => {
+        assert.ok(node.x > 0 && node.x < 1 && node.y > 0 && node.y < 1);
+        assert.ok(Math.hypot(node.x - node.homeX, node.y - node.homeY) < 0.25);
+    });
+
+    const hull = LRCConsonanceGraph.convexHull([[0, 0], [1, 0], [0.5, 0.2], [1, 1], [0, 1]]);
+    assert.equal(hull.length, 4);
+    assert.equal(LRCConsonanceGraph.polygonArea(hull), 1);
+
+    // The smallest family hull around a point wins; a node is found within its radius
+    const families = [{ pitchIndices: [0, 1, 2, 3, 4] }, { pitchIndices: [0, 2, 3] }];
+    const [x, y] = [0, 2, 3].reduce(([sx, sy], i) => [sx + graph.nodes[i].x / 3, sy + graph.nodes[i].y / 3], [0, 0]);
+    assert.equal(LRCConsonanceGraph.familyAt(graph, families, x, y), 1);
+    assert.equal(LRCConsonanceGraph.familyAt(graph, families, 0.99, 0.99), -1);
+    assert.equal(LRCConsonanceGraph.nodeAt(graph, graph.nodes[4].x + 0.01, graph.nodes[4].y, 0.02), 4);
+});
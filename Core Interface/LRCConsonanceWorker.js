@@ -0,0 +1,25 @@
+// LRCConsonanceWorker.js - Finds consonance families' maximal cliques off the UI thread
+// In:  { id, pitchMap, vertices }   (pitchMap as LRCConsonance.analyzeIntervals returns it)
+// Out: { id, type: 'cliques', cliques, progress }   cliques of 3+ pitches found in the last slice
+//      { id, type: 'done', cliques, progress: 1 }
+//      { id, type: 'error', error: { message } }
+// Cancellation is by terminate(): LRCInterconsonance drops the worker on Cancel or a new rhythm.
+
+importScripts('LRCConsonance.js');
+
+const SLICE_MS = 100; // How often found cliques are reported
+
+self.onmessage = (event) => {
+    const { id, pitchMap, vertices } = event.data || {};
+
+    try {
+        const search = LRCConsonance.createCliqueSearch(pitchMap, vertices);
+        while (true) {
+            const cliques = search.next(Date.now() + SLICE_MS).filter(clique => clique.length >= 3);
+            self.postMessage({ id, type: search.done ? 'done' : 'cliques', cliques, progress: search.progress });
+            if (search.done) return;
+        }
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: { message: error.message } });
+    }
+};
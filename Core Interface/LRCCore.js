@@ -0,0 +1,921 @@
+// LRCCore.js - Headless Large Rhythm Collider analysis core
+// Pure math, no DOM and no shared state: composite rhythm, spaces plot, ratios,
+// average deviation, nested ratios and tone rows. LRCModule wraps these for the
+// page; searches, workers and Node scripts call them directly.
+//
+// Browser / Worker: self.LRCCore (load LRCLayers.js first). Node: module.exports.
+
+(function (root) {
+    'use strict';
+
+    const Layers = (typeof module !== 'undefined' && module.exports)
+        ? require('./LRCLayers.js')
+        : (root && root.LRCLayers);
+
+    // ====================================
+    // INTEGER HELPERS
+    // ====================================
+
+    function gcd(a, b) {
+        a = Math.abs(a);
+        b = Math.abs(b);
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
+
+    // Divide before multiplying so a safe result never passes through an unsafe product
+    function lcm(a, b) {
+        const result = (a / gcd(a, b)) * b;
+        if (!Number.isSafeInteger(result)) {
+            throw gridOverflowError(lcmBig([a, b]));
+        }
+        return result;
+    }
+
+    function gcdOf(numbers) {
+        return numbers.reduce((result, num) => gcd(result, num));
+    }
+
+    function calculateTotalLCM(layers) {
+        const activeLayers = layers.filter(layer => layer > 0);
+        let total = 1;
+        for (const layer of activeLayers) {
+            total = (total / gcd(total, layer)) * layer;
+            if (!Number.isSafeInteger(total)) {
+                throw gridOverflowError(lcmBig(activeLayers));
+            }
+        }
+        return total;
+    }
+
+    // ====================================
+    // GRID OVERFLOW
+    // ====================================
+
+    // Exact grid as a BigInt, whatever its size
+    function lcmBig(layers) {
+        const gcdBig = (a, b) => {
+            while (b) [a, b] = [b, a % b];
+            return a;
+        };
+        return layers
+            .filter(layer => layer > 0)
+            .map(layer => BigInt(layer))
+            .reduce((total, layer) => (total / gcdBig(total, layer)) * layer, 1n);
+    }
+
+    function isSafeGrid(layers) {
+        return lcmBig(layers) <= BigInt(Number.MAX_SAFE_INTEGER);
+    }
+
+    // Grids past 2^53 - 1 would silently round every position, space and ratio,
+    // so the core refuses them. error.grid carries the exact BigInt for display.
+    function gridOverflowError(grid) {
+        const error = new Error(`Grid ${grid} exceeds the largest exact integer (${Number.MAX_SAFE_INTEGER}); this rhythm can't be analysed exactly.`);
+        error.code = 'GRID_OVERFLOW';
+        error.grid = grid;
+        return error;
+    }
+
+    // ====================================
+    // POLYMETER (CYCLE SPANS)
+    // ====================================
+
+    // How many master cycles one repetition of a layer takes: '2' (5 pulses over
+    // 2 cycles), '1/2' (pulses per half cycle). Empty is one cycle; null if unreadable.
+    function parseSpan(value) {
+        if (value && typeof value === 'object') return value.numerator > 0 && value.denominator > 0 ? value : null;
+
+        const text = String(value ?? '').trim().replace(/^[×x*]/i, '');
+        if (!text) return { numerator: 1, denominator: 1 };
+
+        const fraction = parseFraction(text.includes('/') ? text : `${text}/1`);
+        if (!fraction || fraction.numerator <= 0 || !Number.isSafeInteger(fraction.numerator)) return null;
+
+        const divisor = gcd(fraction.numerator, fraction.denominator);
+        return { numerator: fraction.numerator / divisor, denominator: fraction.denominator / divisor };
+    }
+
+    // Re-expresses every layer as pulses over the hyperperiod - the shortest whole
+    // number of master cycles after which all layers realign. A layer of p pulses
+    // spanning n/d cycles strikes p * H * d / n times in H cycles, so the rest of the
+    // analysis can treat the hyperperiod as one ordinary cycle.
+    function resolvePolymeter(layers, spans = []) {
+        const parsedSpans = layers.map((layer, index) => {
+            const entry = spans && spans[index];
+            const span = parseSpan(entry);
+            if (!span) {
+                const name = Layers.layerName(index);
+                const error = new Error(`Layer ${name} cycle span "${entry}" should be a whole number of cycles (2) or a fraction (1/2).`);
+                error.code = 'SPAN_INVALID';
+                error.layer = name;
+                throw error;
+            }
+            return span;
+        });
+
+        const hyperperiod = parsedSpans.reduce((total, span, index) => (
+            layers[index] > 0 ? lcm(total, span.numerator) : total
+        ), 1);
+
+        const pulses = layers.map((layer, index) => {
+            if (!(layer > 0)) return 0;
+            const { numerator, denominator } = parsedSpans[index];
+            const repetitions = (hyperperiod / numerator) * denominator;
+            const total = layer * repetitions;
+            if (!Number.isSafeInteger(total)) throw gridOverflowError(BigInt(layer) * BigInt(repetitions));
+            return total;
+        });
+
+        return {
+            pulses,
+            hyperperiod,
+            spans: parsedSpans.map(({ numerator, denominator }) => (denominator === 1 ? `${numerator}` : `${numerator}/${denominator}`))
+        };
+    }
+
+    // ====================================
+    // PHASE OFFSETS
+    // ====================================
+
+    // Offset entry for one layer: '3' is grid ticks, '1/4' is a fraction of the
+    // cycle. Returns { ticks } or { cycle: { numerator, denominator } }; empty is
+    // no offset and anything unreadable is null.
+    function parseOffset(value) {
+        if (typeof value === 'number') {
+            return Number.isSafeInteger(value) ? { ticks: value } : null;
+        }
+
+        const text = String(value ?? '').trim().replace(/^\+/, '');
+        if (!text) return { ticks: 0 };
+        if (/^-?\d+$/.test(text)) return { ticks: Number(text) };
+
+        const negative = text.startsWith('-');
+        const fraction = parseFraction(negative ? text.slice(1) : text);
+        if (!fraction) return null;
+        return { cycle: { numerator: negative ? -fraction.numerator : fraction.numerator, denominator: fraction.denominator } };
+    }
+
+    // Offsets (numbers, strings or parseOffset results) as whole grid ticks, each
+    // wrapped into [0, grouping) - a layer shifted by a full grouping is unchanged.
+    // Cycle fractions are of the master cycle (cycleGrid ticks; the whole grid unless
+    // the rhythm spans several cycles). Throws OFFSET_OFF_GRID when one falls between ticks.
+    function resolveOffsets(layers, offsets, grid, cycleGrid = grid) {
+        return layers.map((layer, index) => {
+            if (!(layer > 0)) return 0;
+
+            const entry = offsets && offsets[index];
+            const parsed = entry && typeof entry === 'object' ? entry : parseOffset(entry);
+            const name = Layers.layerName(index);
+            if (!parsed) {
+                const error = new Error(`Layer ${name} offset "${entry}" should be grid ticks (3) or a fraction of the cycle (1/4).`);
+                error.code = 'OFFSET_INVALID';
+                error.layer = name;
+                throw error;
+            }
+
+            let ticks = parsed.ticks || 0;
+            if (parsed.cycle) {
+                const divisor = gcd(parsed.cycle.numerator, parsed.cycle.denominator);
+                const numerator = parsed.cycle.numerator / divisor;
+                const denominator = parsed.cycle.denominator / divisor;
+                if (cycleGrid % denominator !== 0) {
+                    const error = new Error(`Layer ${name} offset ${numerator}/${denominator} of the cycle falls between grid ticks (${cycleGrid} per cycle).`);
+                    error.code = 'OFFSET_OFF_GRID';
+                    error.layer = name;
+                    throw error;
+                }
+                ticks = (cycleGrid / denominator) * numerator;
+            }
+
+            const groupingSize = grid / layer;
+            return ((ticks % groupingSize) + groupingSize) % groupingSize;
+        });
+    }
+
+    // ====================================
+    // RHYTHM GENERATION
+    // ====================================
+
+    // Attack positions of every layer on the shared grid, with the layer names
+    // ('A', 'B', ...) that strike at each position. offsets are whole grid ticks
+    // per layer (see resolveOffsets); without them every layer starts at 0. grid
+    // defaults to the layers' LCM; polymeter rhythms pass the hyperperiod grid.
+    function generateCompositeRhythm(layers, offsets = [], grid = null) {
+        const filteredLayers = layers.filter(layer => layer > 0);
+        if (filteredLayers.length === 0) return { rhythm: [], layerMap: [] };
+
+        const totalLCM = grid || calculateTotalLCM(filteredLayers);
+        const compositeMap = new Map();
+        const layerNames = Layers.layerNames(layers.length);
+
+        layers.forEach((layer, layerIndex) => {
+            if (layer > 0) {
+                const groupingSize = totalLCM / layer;
+                const offset = offsets[layerIndex] || 0;
+                for (let i = 0; i < layer; i++) {
+                    const position = (offset + i * groupingSize) % totalLCM;
+
+                    if (compositeMap.has(position)) {
+                        compositeMap.get(position).layers.push(layerNames[layerIndex]);
+                    } else {
+                        compositeMap.set(position, {
+                            position: position,
+                            layers: [layerNames[layerIndex]]
+                        });
+                    }
+                }
+            }
+        });
+
+        const sortedEntries = Array.from(compositeMap.values()).sort((a, b) => a.position - b.position);
+        const rhythm = sortedEntries.map(entry => entry.position);
+        const layerMap = sortedEntries.map(entry => entry.layers);
+
+        return { rhythm, layerMap };
+    }
+
+    // Durations between consecutive attacks (including the wraparound). Each space
+    // is owned by the layer(s) striking at its start.
+    function generateSpacesPlot(compositeRhythm, totalLCM, layerMap = []) {
+        if (compositeRhythm.length === 0) return { spacesPlot: [], spacesLayerMap: [] };
+
+        const spacesPlot = [];
+        const spacesLayerMap = [];
+
+        for (let i = 0; i < compositeRhythm.length - 1; i++) {
+            spacesPlot.push(compositeRhythm[i + 1] - compositeRhythm[i]);
+            spacesLayerMap.push(layerMap[i] || ['Composite']);
+        }
+
+        const lastValue = compositeRhythm[compositeRhythm.length - 1];
+        const firstValue = compositeRhythm[0];
+        spacesPlot.push(totalLCM - lastValue + firstValue);
+        spacesLayerMap.push(layerMap[layerMap.length - 1] || ['Composite']);
+
+        return { spacesPlot, spacesLayerMap };
+    }
+
+    // The spaces that start on each layer's own attacks, in layer order.
+    function calculateSpacesPlotByLayer(spacesPlot, compositeRhythm, grid, layers, offsets = []) {
+        const spacesPlotByLayer = Layers.emptyLayerArrays(layers.length);
+        const compositeIndex = new Map(compositeRhythm.map((position, index) => [position, index]));
+
+        layers.forEach((layerValue, layerIndex) => {
+            if (layerValue > 0) {
+                const groupingSize = grid / layerValue;
+                const offset = offsets[layerIndex] || 0;
+                const layerSpaces = [];
+                for (let i = 0; i < layerValue; i++) {
+                    const index = compositeIndex.get((offset + i * groupingSize) % grid);
+                    if (index !== undefined && index < spacesPlot.length) {
+                        layerSpaces.push(spacesPlot[index]);
+                    }
+                }
+                spacesPlotByLayer[layerIndex] = layerSpaces;
+            }
+        });
+
+        return spacesPlotByLayer;
+    }
+
+    // ====================================
+    // CENTS
+    // ====================================
+
+    function ratioToCents(ratio) {
+        return Math.log2(ratio) * 1200;
+    }
+
+    // Cents of an exact n/d, without first collapsing it to a float quotient
+    function fractionToCents(numerator, denominator) {
+        return (Math.log2(numerator) - Math.log2(denominator)) * 1200;
+    }
+
+    // ====================================
+    // PERIOD (EQUAVE) REDUCTION
+    // ====================================
+
+    // A period is either an exact ratio ({ numerator, denominator }) or, for
+    // irrational equaves, a cents value with numerator/denominator left null.
+    function makePeriod(numerator, denominator) {
+        const divisor = gcd(numerator, denominator);
+        const n = numerator / divisor;
+        const d = denominator / divisor;
+        return { numerator: n, denominator: d, cents: fractionToCents(n, d), label: `${n}/${d}` };
+    }
+
+    const OCTAVE = makePeriod(2, 1);
+
+    // Scala conventions: '3/1' or '3' is a ratio, anything with a '.' is cents
+    // ('1901.955', '1200.0c'). Returns null for periods that don't exceed unison.
+    function parsePeriod(value) {
+        if (value && typeof value === 'object') {
+            if (value.numerator && value.denominator) return parsePeriod(`${value.numerator}/${value.denominator}`);
+            return Number.isFinite(value.cents) ? parsePeriod(`${value.cents}c`) : null;
+        }
+
+        const text = String(value ?? '').trim().replace(/\s*(cents?|c|¢)$/i, '');
+        const wasCents = /c|¢/i.test(String(value ?? '')) || text.includes('.');
+
+        if (!wasCents) {
+            const fraction = parseFraction(text.includes('/') ? text : `${text}/1`);
+            if (!fraction || !Number.isSafeInteger(fraction.numerator) || fraction.numerator <= fraction.denominator) return null;
+            return makePeriod(fraction.numerator, fraction.denominator);
+        }
+
+        const cents = Number(text);
+        if (!Number.isFinite(cents) || cents <= 0) return null;
+        return { numerator: null, denominator: null, cents, label: `${cents.toFixed(3)}c` };
+    }
+
+    function isOctave(period) {
+        return !period || (period.numerator === 2 && period.denominator === 1);
+    }
+
+    // Exact n/d in lowest terms, folded into [1/1, period) — by powers of two for
+    // the default octave. octave counts the folds the way the popups display it
+    // (1 = already in range). For a cents period the pitch can't stay rational, so
+    // fraction keeps the unfolded ratio and ratio/cents carry the folded pitch.
+    function equaveReduce(numerator, denominator, period = OCTAVE) {
+        let n = Math.abs(numerator);
+        let d = Math.abs(denominator);
+        if (!n || !d) return null;
+
+        const divisor = gcd(n, d);
+        n /= divisor;
+        d /= divisor;
+
+        if (!period.numerator) {
+            const rawCents = fractionToCents(n, d);
+            const folds = Math.floor(rawCents / period.cents);
+            const cents = rawCents - folds * period.cents;
+            return {
+                numerator: n,
+                denominator: d,
+                fraction: `${n}/${d}`,
+                ratio: Math.pow(2, cents / 1200),
+                cents,
+                octave: folds + 1
+            };
+        }
+
+        const p = period.numerator;
+        const q = period.denominator;
+        const check = () => {
+            if (!Number.isSafeInteger(n * Math.max(p, q)) || !Number.isSafeInteger(d * Math.max(p, q))) {
+                throw gridOverflowError(BigInt(Math.max(n, d)));
+            }
+        };
+        const simplify = () => {
+            const g = gcd(n, d);
+            n /= g;
+            d /= g;
+        };
+
+        let octave = 1;
+        check();
+        while (n * q >= d * p) {
+            n *= q;
+            d *= p;
+            simplify();
+            check();
+            octave++;
+        }
+        while (n < d) {
+            n *= p;
+            d *= q;
+            simplify();
+            check();
+            octave--;
+        }
+
+        return {
+            numerator: n,
+            denominator: d,
+            fraction: `${n}/${d}`,
+            ratio: n / d,
+            cents: fractionToCents(n, d),
+            octave
+        };
+    }
+
+    function octaveReduce(numerator, denominator) {
+        return equaveReduce(numerator, denominator, OCTAVE);
+    }
+
+    // The scale ratio a space contributes: fundamental / space, period-reduced.
+    function spaceRatio(fundamental, space, period = OCTAVE) {
+        return equaveReduce(fundamental, space, period || OCTAVE);
+    }
+
+    // '3/2' -> { numerator: 3, denominator: 2 }; null for anything else
+    function parseFraction(fraction) {
+        const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(fraction ?? ''));
+        if (!match) return null;
+        const numerator = Number(match[1]);
+        const denominator = Number(match[2]);
+        return denominator > 0 ? { numerator, denominator } : null;
+    }
+
+    // Float -> fraction search. Only for callers that have nothing but a float
+    // (e.g. a live playback ratio); spaces-plot ratios go through spaceRatio().
+    function decimalToFraction(decimal) {
+        const tolerance = 1e-6;
+        let numerator = 1;
+        let denominator = 1;
+        let minError = Math.abs(decimal - 1);
+
+        for (let d = 1; d <= 1000; d++) {
+            const n = Math.round(decimal * d);
+            const error = Math.abs(decimal - n / d);
+
+            if (error < minError) {
+                minError = error;
+                numerator = n;
+                denominator = d;
+
+                if (error < tolerance) break;
+            }
+        }
+
+        const divisor = gcd(numerator, denominator);
+        return `${numerator / divisor}/${denominator / divisor}`;
+    }
+
+    // ====================================
+    // RATIO ANALYSIS
+    // ====================================
+
+    // Exact period-reduced ratio of the largest space to every space, with how often
+    // each ratio occurs, the grid it occupies and the spaces-plot indices it maps to.
+    function generateRatiosWithFrequency(spacesPlot, period = OCTAVE) {
+        if (spacesPlot.length === 0) return { ratios: [], frequencies: new Map(), spacesMapping: new Map() };
+
+        const fundamental = Math.max(...spacesPlot);
+        const ratioMap = new Map();
+        const spacesMapping = new Map();
+
+        spacesPlot.forEach((space, index) => {
+            if (space > 0) {
+                const { numerator, denominator, fraction, ratio, cents } = spaceRatio(fundamental, space, period);
+
+                if (ratioMap.has(fraction)) {
+                    const existing = ratioMap.get(fraction);
+                    existing.frequency++;
+                    existing.gridOccupation += space;
+                } else {
+                    ratioMap.set(fraction, {
+                        ratio: ratio,
+                        fraction: fraction,
+                        numerator: numerator,
+                        denominator: denominator,
+                        cents: cents,
+                        frequency: 1,
+                        gridOccupation: space
+                    });
+                }
+
+                if (!spacesMapping.has(fraction)) {
+                    spacesMapping.set(fraction, []);
+                }
+                spacesMapping.get(fraction).push(index);
+            }
+        });
+
+        const frequencies = new Map();
+        ratioMap.forEach((ratioData, fraction) => {
+            frequencies.set(fraction, ratioData.frequency);
+        });
+
+        return {
+            ratios: Array.from(ratioMap.values()).sort((a, b) => a.cents - b.cents),
+            frequencies,
+            spacesMapping
+        };
+    }
+
+    // Evenness against an equal division of the period, in cents. edo defaults to
+    // the pitch count: then it's the mean distance of each scale step from one EDO
+    // step (100 cents for 12 tones in an octave - the original metric). Any other
+    // edo (19, 22, 31, 53...) measures each tone's distance to the nearest EDO degree.
+    // null for scales of fewer than two tones.
+    function calculateAverageDeviation(spacesPlot, period = OCTAVE, edo = null) {
+        if (!spacesPlot || spacesPlot.length === 0) {
+            return null;
+        }
+
+        const { ratios } = generateRatiosWithFrequency(spacesPlot, period || OCTAVE);
+        const periodCents = (period || OCTAVE).cents;
+        const toneCents = ratios.map(r => r.cents);
+        if (toneCents.length < 2) {
+            return null;
+        }
+
+        const divisions = edo > 0 ? Math.floor(edo) : toneCents.length;
+        const idealStep = periodCents / divisions;
+        const deviations = [];
+
+        if (divisions === toneCents.length) {
+            const stepCents = [...toneCents, periodCents];
+            for (let i = 1; i < stepCents.length; i++) {
+                deviations.push(Math.abs(idealStep - (stepCents[i] - stepCents[i - 1])));
+            }
+        } else {
+            toneCents.forEach(cents => {
+                deviations.push(Math.abs(cents - Math.round(cents / idealStep) * idealStep));
+            });
+        }
+
+        const totalDeviation = deviations.reduce((sum, deviation) => sum + deviation, 0);
+        return totalDeviation / deviations.length;
+    }
+
+    function countUniqueTones(ratios, period = OCTAVE) {
+        const uniqueTones = new Set(ratios.map(r => r.fraction));
+        uniqueTones.delete(period.label); // Exclude the period (octave by default)
+        return uniqueTones.size;
+    }
+
+    function checkSpecialScale(ratios, targetPitches = 12, period = OCTAVE) {
+        return countUniqueTones(ratios, period) === targetPitches;
+    }
+
+    // ====================================
+    // SCALE MATCHING
+    // ====================================
+
+    // Tones closer than this (cents) count as the same pitch
+    const SCALE_MATCH_TOLERANCE = 0.01;
+
+    function scaleError(message) {
+        const error = new Error(message);
+        error.code = 'SCALE_INVALID';
+        return error;
+    }
+
+    // One pitch, Scala-style: '3/2' or '3' is a ratio, '701.955' or '700c' is cents.
+    // Returns unfolded cents, or null when unreadable.
+    function parsePitch(value) {
+        const raw = String(value ?? '').trim();
+        const text = raw.replace(/\s*(cents?|c|¢)$/i, '');
+        if (!text) return null;
+
+        if (text !== raw || text.includes('.')) {
+            const cents = Number(text);
+            return Number.isFinite(cents) ? cents : null;
+        }
+
+        const fraction = parseFraction(text.includes('/') ? text : `${text}/1`);
+        return fraction ? fractionToCents(fraction.numerator, fraction.denominator) : null;
+    }
+
+    // Pitches (cents) folded into [0, period), 1/1 included, duplicates and the
+    // period itself dropped, ascending. Throws SCALE_INVALID on an unreadable entry.
+    function buildTargetScale(entries, period = OCTAVE, description = '') {
+        const folded = [0];
+        entries.forEach((entry) => {
+            const cents = parsePitch(entry);
+            if (cents === null) throw scaleError(`"${entry}" is not a ratio (3/2) or cents value (701.955).`);
+
+            const wrapped = ((cents % period.cents) + period.cents) % period.cents;
+            const pitch = period.cents - wrapped < SCALE_MATCH_TOLERANCE ? 0 : wrapped;
+            if (!folded.some(existing => Math.abs(existing - pitch) < SCALE_MATCH_TOLERANCE)) folded.push(pitch);
+        });
+
+        if (folded.length < 2) throw scaleError('The target scale needs at least one pitch besides 1/1.');
+        return { description, period, cents: folded.sort((a, b) => a - b) };
+    }
+
+    // Pasted list of ratios and/or cents, separated by commas, spaces or new lines
+    function parseScaleList(text, period = OCTAVE) {
+        const entries = String(text ?? '').split(/[\s,;]+/).filter(Boolean);
+        return buildTargetScale(entries, period);
+    }
+
+    // Scala .scl: '!' comments, a description line, the pitch count, then one pitch
+    // per line (text after the value is ignored). 1/1 is implicit and the last pitch
+    // is the period.
+    function parseScala(text) {
+        const lines = String(text ?? '').split(/\r?\n/).filter(line => !line.trimStart().startsWith('!'));
+        if (lines.length < 2) throw scaleError('Not a Scala file: missing description or note count.');
+
+        const description = lines[0].trim();
+        const count = Number(lines[1].trim().split(/\s+/)[0]);
+        const values = lines.slice(2).map(line => line.trim().split(/\s+/)[0]).filter(Boolean);
+        if (!Number.isInteger(count) || count < 1 || values.length < count) {
+            throw scaleError(`Scala file lists ${values.length} pitches but declares ${lines[1].trim()}.`);
+        }
+
+        const pitches = values.slice(0, count);
+        const periodEntry = pitches.pop();
+        const period = parsePeriod(periodEntry);
+        if (!period) throw scaleError(`Scala period "${periodEntry}" must be above 1/1.`);
+        return buildTargetScale(pitches, period, description);
+    }
+
+    // How far a rhythm's ratios (generateRatiosWithFrequency, folded into
+    // target.period) are from a target scale: null unless the pitch counts agree,
+    // otherwise the summed cents distance between the sorted tones.
+    function matchScale(ratios, target) {
+        const period = target.period || OCTAVE;
+        const byFraction = new Map();
+        ratios.forEach((r) => {
+            if (r.fraction !== period.label) byFraction.set(r.fraction, r.cents);
+        });
+
+        const tones = Array.from(byFraction.values()).sort((a, b) => a - b);
+        if (tones.length !== target.cents.length) return null;
+
+        const error = tones.reduce((sum, cents, index) => sum + Math.abs(cents - target.cents[index]), 0);
+        const exact = tones.every((cents, index) => Math.abs(cents - target.cents[index]) < SCALE_MATCH_TOLERANCE);
+        return { exact, error: exact ? 0 : error };
+    }
+
+    // ====================================
+    // SCALE COMPARISON
+    // ====================================
+
+    // Aligns two rhythms' ratios (generateRatiosWithFrequency, same period) by cents.
+    // Equal fractions are 'shared'; of the rest, the closest pairs within windowCents
+    // (measured around the period, so 1190¢ sits next to 5¢ in an octave) are 'near', and
+    // everything else is 'a' or 'b' only. Rows are sorted by cents; diff is B - A in cents.
+    function compareScales(ratiosA, ratiosB, windowCents = 10, period = OCTAVE) {
+        const periodCents = (period || OCTAVE).cents;
+        const rows = [];
+        const usedA = new Set();
+        const usedB = new Set();
+        const wrappedDiff = (a, b) => {
+            const diff = ((b.cents - a.cents) % periodCents + periodCents) % periodCents;
+            return diff > periodCents / 2 ? diff - periodCents : diff;
+        };
+
+        const indexB = new Map(ratiosB.map((r, index) => [r.fraction, index]));
+        ratiosA.forEach((a, i) => {
+            const j = indexB.get(a.fraction);
+            if (j === undefined) return;
+            usedA.add(i);
+            usedB.add(j);
+            rows.push({ status: 'shared', a, b: ratiosB[j], diff: 0 });
+        });
+
+        const candidates = [];
+        ratiosA.forEach((a, i) => {
+            if (usedA.has(i)) return;
+            ratiosB.forEach((b, j) => {
+                if (usedB.has(j)) return;
+                const diff = wrappedDiff(a, b);
+                if (Math.abs(diff) <= windowCents) candidates.push({ i, j, diff });
+            });
+        });
+        candidates.sort((x, y) => Math.abs(x.diff) - Math.abs(y.diff));
+        candidates.forEach(({ i, j, diff }) => {
+            if (usedA.has(i) || usedB.has(j)) return;
+            usedA.add(i);
+            usedB.add(j);
+            rows.push({ status: 'near', a: ratiosA[i], b: ratiosB[j], diff });
+        });
+
+        ratiosA.forEach((a, i) => { if (!usedA.has(i)) rows.push({ status: 'a', a, b: null, diff: null }); });
+        ratiosB.forEach((b, j) => { if (!usedB.has(j)) rows.push({ status: 'b', a: null, b, diff: null }); });
+
+        const rowCents = row => Math.min(row.a ? row.a.cents : Infinity, row.b ? row.b.cents : Infinity);
+        rows.sort((x, y) => rowCents(x) - rowCents(y));
+
+        const counts = { shared: 0, near: 0, a: 0, b: 0 };
+        rows.forEach(row => { counts[row.status]++; });
+        return { rows, counts };
+    }
+
+    // ====================================
+    // NESTED RATIOS
+    // ====================================
+
+    // Every subset of two or more layers, smallest first (pairs, triples, ...)
+    function generateLayerCombinations(layers) {
+        const combinations = [];
+        const layerNames = Layers.layerNames(layers.length);
+
+        const collect = (size, startIndex, picked) => {
+            if (picked.length === size) {
+                combinations.push({
+                    layers: picked.map(i => layerNames[i]),
+                    values: picked.map(i => layers[i])
+                });
+                return;
+            }
+            for (let i = startIndex; i < layers.length; i++) {
+                collect(size, i + 1, [...picked, i]);
+            }
+        };
+
+        for (let size = 2; size <= layers.length; size++) {
+            collect(size, 0, []);
+        }
+
+        return combinations;
+    }
+
+    // Layer groups sharing a common factor: 594:330 -> 66x the ratio 9:5.
+    function calculateNestedRatios(layers) {
+        const results = [];
+
+        generateLayerCombinations(layers).forEach(combo => {
+            const factor = gcdOf(combo.values);
+            if (factor > 1) {
+                results.push({
+                    layers: combo.layers,
+                    originalValues: combo.values,
+                    simplified: combo.values.map(v => v / factor),
+                    gcdFactor: factor,
+                    repetitions: factor,
+                    type: combo.layers.length // 2=pair, 3=triple, 4=quadruple, ...
+                });
+            }
+        });
+
+        // By repetitions (descending), then largest groups first
+        results.sort((a, b) => {
+            if (b.repetitions !== a.repetitions) {
+                return b.repetitions - a.repetitions;
+            }
+            return b.type - a.type;
+        });
+
+        return results;
+    }
+
+    // ====================================
+    // TONE ROWS
+    // ====================================
+
+    function generateToneRowData(spacesPlot, fundamentalFreq = 110, period = OCTAVE) {
+        if (!spacesPlot || spacesPlot.length === 0) return [];
+
+        const fundamental = Math.max(...spacesPlot);
+
+        return spacesPlot.map((space, index) => {
+            const ratio = fundamental / space;
+            const reduced = spaceRatio(fundamental, space, period);
+
+            return {
+                index: index,
+                spaceValue: space,
+                ratio: ratio,
+                fraction: reduced.fraction,
+                frequency: fundamentalFreq * ratio,
+                octave: reduced.octave,
+                cents: ratioToCents(ratio)
+            };
+        });
+    }
+
+    function generateToneRowDataByLayer(spacesPlotByLayer, fundamentalFreq = 110, period = OCTAVE) {
+        return spacesPlotByLayer.map(layerSpaces => generateToneRowData(layerSpaces, fundamentalFreq, period));
+    }
+
+    // ====================================
+    // RHYTHM METRICS
+    // ====================================
+
+    // Fundamental = grid / fastest layer
+    function calculateFundamental(layers, grid) {
+        const activeLayers = layers.filter(layer => layer > 0);
+        if (activeLayers.length === 0) return 0;
+        return grid / Math.max(...activeLayers);
+    }
+
+    // Quotient between fastest and slowest layer (layers of 1 are inactive)
+    function calculateRange(layers) {
+        const activeLayers = layers.filter(layer => layer > 1);
+        if (activeLayers.length === 0) return 0;
+        return Math.max(...activeLayers) / Math.min(...activeLayers);
+    }
+
+    // P/G = (sum of layer values) / (sum of groupings), layers of 1 excluded
+    function calculatePulseToGrouping(layers, grid) {
+        const activeLayers = layers.filter(layer => layer > 1);
+        if (activeLayers.length === 0) return 0;
+
+        const layerSum = activeLayers.reduce((sum, layer) => sum + layer, 0);
+        const groupingSum = activeLayers.reduce((sum, layer) => sum + (grid / layer), 0);
+
+        return groupingSum > 0 ? layerSum / groupingSum : 0;
+    }
+
+    function calculateDensity(layers, grid) {
+        const layerSum = layers.filter(layer => layer > 1).reduce((sum, layer) => sum + layer, 0);
+        return grid > 0 ? (layerSum / grid) * 100 : 0;
+    }
+
+    // ====================================
+    // FULL ANALYSIS
+    // ====================================
+
+    // Everything the page derives from a set of layer values, in one pass.
+    // Returns null when no layer is positive; throws GRID_OVERFLOW past 2^53 - 1.
+    // options.onProgress(stage, fraction) is called before each stage (the rhythm worker relays it).
+    function analyzeRhythm(layers, options = {}) {
+        const { fundamentalFreq = 110, edo = null } = options;
+        const progress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+        const period = options.period || OCTAVE;
+        const layerPulses = layers.map(layer => Math.max(0, Math.floor(Number(layer) || 0)));
+        if (!layerPulses.some(layer => layer > 0)) return null;
+
+        // Everything below works on pulses over the hyperperiod (= layerPulses when
+        // every layer spans one cycle). Master-cycle boundaries are kept on the grid.
+        progress('grid', 0);
+        const { pulses: values, hyperperiod, spans } = resolvePolymeter(layerPulses, options.spans);
+        const activeLayers = values.filter(layer => layer > 0);
+        const grid = calculateTotalLCM(hyperperiod > 1 ? [...activeLayers, hyperperiod] : activeLayers);
+        const offsets = resolveOffsets(values, options.offsets, grid, grid / hyperperiod);
+        progress('composite', 0.1);
+        const { rhythm, layerMap } = generateCompositeRhythm(values, offsets, grid);
+        progress('spaces', 0.4);
+        const { spacesPlot, spacesLayerMap } = generateSpacesPlot(rhythm, grid, layerMap);
+        const spacesPlotByLayer = calculateSpacesPlotByLayer(spacesPlot, rhythm, grid, values, offsets);
+        progress('ratios', 0.55);
+        const { ratios, frequencies, spacesMapping } = generateRatiosWithFrequency(spacesPlot, period);
+        const pitchCount = countUniqueTones(ratios, period);
+        progress('tone rows', 0.75);
+
+        const analysis = {
+            layers: values,
+            layerPulses,
+            spans,
+            hyperperiod,
+            offsets,
+            period,
+            grid,
+            compositeRhythm: rhythm,
+            layerMap,
+            spacesPlot,
+            spacesLayerMap,
+            spacesPlotByLayer,
+            ratios,
+            frequencies,
+            spacesMapping,
+            pitchCount,
+            avgDeviation: calculateAverageDeviation(spacesPlot, period, edo),
+            deviationEdo: edo || pitchCount,
+            fundamental: calculateFundamental(values, grid),
+            range: calculateRange(values),
+            pulseToGrouping: calculatePulseToGrouping(values, grid),
+            density: calculateDensity(values, grid),
+            nestedRatios: calculateNestedRatios(values.filter(layer => layer > 1)),
+            toneRow: generateToneRowData(spacesPlot, fundamentalFreq, period),
+            toneRowByLayer: generateToneRowDataByLayer(spacesPlotByLayer, fundamentalFreq, period)
+        };
+        progress('done', 1);
+        return analysis;
+    }
+
+    const api = {
+        gcd,
+        lcm,
+        gcdOf,
+        calculateTotalLCM,
+        lcmBig,
+        isSafeGrid,
+        parseSpan,
+        resolvePolymeter,
+        parseOffset,
+        resolveOffsets,
+        generateCompositeRhythm,
+        generateSpacesPlot,
+        calculateSpacesPlotByLayer,
+        ratioToCents,
+        fractionToCents,
+        OCTAVE,
+        parsePeriod,
+        isOctave,
+        equaveReduce,
+        octaveReduce,
+        spaceRatio,
+        parseFraction,
+        decimalToFraction,
+        generateRatiosWithFrequency,
+        calculateAverageDeviation,
+        countUniqueTones,
+        checkSpecialScale,
+        parsePitch,
+        parseScaleList,
+        parseScala,
+        matchScale,
+        compareScales,
+        generateLayerCombinations,
+        calculateNestedRatios,
+        generateToneRowData,
+        generateToneRowDataByLayer,
+        calculateFundamental,
+        calculateRange,
+        calculatePulseToGrouping,
+        calculateDensity,
+        analyzeRhythm
+    };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    if (root) root.LRCCore = api;
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : null));
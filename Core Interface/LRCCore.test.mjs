@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import LRCCore from './LRCCore.js';
+
+test('analyzeRhythm derives grid, composite, spaces and ratios without a DOM', () => {
+    const result = LRCCore.analyzeRhythm([4, 3]);
+
+    assert.equal(result.grid, 12);
+    assert.deepEqual(result.compositeRhythm, [0, 3, 4, 6, 8, 9]);
+    assert.deepEqual(result.layerMap, [['A', 'B'], ['A'], ['B'], ['A'], ['B'], ['A']]);
+    assert.deepEqual(result.spacesPlot, [3, 1, 2, 2, 1, 3]);
+    assert.deepEqual(result.spacesPlotByLayer, [[3, 1, 2, 3], [3, 2, 1]]);
+    assert.deepEqual(result.ratios.map(r => r.fraction), ['1/1', '3/2']);
+    assert.deepEqual(result.spacesMapping.get('3/2'), [1, 2, 3, 4]);
+    // Two tones against 2-EDO: steps of 702 and 498 cents vs 600
+    assert.ok(Math.abs(result.avgDeviation - (LRCCore.fractionToCents(3, 2) - 600)) < 1e-9);
+});
+
+test('average deviation is measured against an equal division of the period', () => {
+    const result = LRCCore.analyzeRhythm([18, 17, 10]);
+
+    assert.equal(result.pitchCount, 12);
+    assert.equal(result.deviationEdo, 12);
+    assert.ok(Math.abs(result.avgDeviation - 30.0748) < 1e-3);
+    assert.equal(LRCCore.analyzeRhythm([0, 0]), null);
+
+    // Explicit 12 matches the pitch-count default; other EDOs snap each tone to the nearest degree
+    assert.equal(LRCCore.calculateAverageDeviation(result.spacesPlot, undefined, 12), result.avgDeviation);
+    const deviation53 = LRCCore.calculateAverageDeviation(result.spacesPlot, undefined, 53);
+    assert.ok(deviation53 >= 0 && deviation53 <= 1200 / 53 / 2);
+    assert.equal(LRCCore.analyzeRhythm([18, 17, 10], { edo: 31 }).deviationEdo, 31);
+    assert.equal(LRCCore.calculateAverageDeviation([5, 5]), null);
+});
+
+test('nested ratios cover every layer subset sharing a factor', () => {
+    const nested = LRCCore.calculateNestedRatios([12, 8, 6]);
+
+    assert.deepEqual(nested.map(n => n.layers.join('')), ['AC', 'AB', 'ABC', 'BC']);
+    assert.deepEqual(nested[0].simplified, [2, 1]);
+    assert.equal(nested[0].repetitions, 6);
+});
+
+test('ratios are exact and octave-reduced by powers of two', () => {
+    assert.deepEqual(LRCCore.octaveReduce(12, 1), {
+        numerator: 3, denominator: 2, fraction: '3/2', ratio: 1.5, cents: LRCCore.fractionToCents(3, 2), octave: 4
+    });
+    assert.equal(LRCCore.octaveReduce(3, 8).fraction, '3/2');
+    assert.equal(LRCCore.spaceRatio(1009 * 4, 2011).fraction, '2018/2011');
+
+    const { ratios } = LRCCore.analyzeRhythm([47, 43, 41]);
+    ratios.forEach(r => {
+        assert.equal(r.fraction, `${r.numerator}/${r.denominator}`);
+        assert.ok(r.ratio >= 1 && r.ratio < 2);
+        assert.equal(LRCCore.gcd(r.numerator, r.denominator), 1);
+    });
+    assert.ok(ratios.some(r => r.denominator > 1000));
+});
+
+test('grids beyond MAX_SAFE_INTEGER are refused with the exact BigInt grid', () => {
+    const layers = [199, 197, 193, 191, 181, 179, 173, 167];
+
+    assert.equal(LRCCore.isSafeGrid(layers.slice(0, 7)), true);
+    assert.equal(LRCCore.isSafeGrid(layers), false);
+    assert.equal(LRCCore.lcmBig(layers), layers.reduce((p, v) => p * BigInt(v), 1n));
+    assert.throws(() => LRCCore.analyzeRhythm(layers), (error) => {
+        assert.equal(error.code, 'GRID_OVERFLOW');
+        assert.equal(error.grid, 1352708312947727201n);
+        return true;
+    });
+});
+
+test('ratios fold into a non-octave period when one is given', () => {
+    const tritave = LRCCore.parsePeriod('3/1');
+    assert.equal(tritave.label, '3/1');
+    assert.equal(LRCCore.equaveReduce(27, 5, tritave).fraction, '9/5');
+    assert.equal(LRCCore.equaveReduce(1, 2, tritave).fraction, '3/2');
+    assert.equal(LRCCore.equaveReduce(7, 4, LRCCore.parsePeriod('3/2')).fraction, '7/6');
+
+    const cents = LRCCore.parsePeriod('1901.955');
+    assert.equal(cents.numerator, null);
+    assert.ok(Math.abs(LRCCore.spaceRatio(5, 1, cents).cents - (LRCCore.fractionToCents(5, 1) - 1901.955)) < 1e-9);
+    assert.equal(LRCCore.parsePeriod('1/2'), null);
+    assert.equal(LRCCore.parsePeriod('abc'), null);
+
+    assert.deepEqual(LRCCore.analyzeRhythm([5, 4]).ratios.map(r => r.fraction), ['1/1', '4/3']);
+    const { ratios, period } = LRCCore.analyzeRhythm([5, 4], { period: tritave });
+    assert.equal(period, tritave);
+    assert.deepEqual(ratios.map(r => r.fraction), ['1/1', '4/3', '2/1']);
+});
+
+test('phase offsets displace a layer before the spaces plot is taken', () => {
+    const result = LRCCore.analyzeRhythm([4, 3], { offsets: [0, 1] });
+
+    assert.deepEqual(result.offsets, [0, 1]);
+    assert.deepEqual(result.compositeRhythm, [0, 1, 3, 5, 6, 9]);
+    assert.deepEqual(result.layerMap, [['A'], ['B'], ['A'], ['B'], ['A'], ['A', 'B']]);
+    assert.deepEqual(result.spacesPlot, [1, 2, 2, 1, 3, 3]);
+    assert.deepEqual(result.spacesPlotByLayer, [[1, 2, 3, 3], [2, 1, 3]]);
+
+    // Cycle fractions and negative ticks wrap into the layer's own grouping
+    assert.deepEqual(LRCCore.analyzeRhythm([4, 3], { offsets: ['5', '-1/4'] }).offsets, [2, 1]);
+    assert.throws(() => LRCCore.analyzeRhythm([4, 3], { offsets: ['1/5'] }), { code: 'OFFSET_OFF_GRID' });
+    assert.throws(() => LRCCore.analyzeRhythm([4, 3], { offsets: ['x'] }), { code: 'OFFSET_INVALID' });
+});
+
+test('layers spanning several cycles are analysed over the hyperperiod', () => {
+    // 3 per cycle against 5 over 2 cycles: 6 and 5 pulses across a 2-cycle hyperperiod
+    const result = LRCCore.analyzeRhythm([3, 5], { spans: ['', '2'] });
+
+    assert.equal(result.hyperperiod, 2);
+    assert.deepEqual(result.layerPulses, [3, 5]);
+    assert.deepEqual(result.layers, [6, 5]);
+    assert.equal(result.grid, 30);
+    assert.deepEqual(result.spacesPlot, [5, 1, 4, 2, 3, 3, 2, 4, 1, 5]);
+
+    // Master-cycle boundaries stay on the grid even when no layer lands there
+    const sparse = LRCCore.analyzeRhythm([1, 3], { spans: ['2', ''] });
+    assert.deepEqual(sparse.layers, [1, 6]);
+    assert.equal(sparse.grid % sparse.hyperperiod, 0);
+
+    assert.deepEqual(LRCCore.analyzeRhythm([3, 2], { spans: ['1/2', ''] }).layers, [6, 2]);
+    assert.throws(() => LRCCore.analyzeRhythm([3, 2], { spans: ['0', ''] }), { code: 'SPAN_INVALID' });
+});
+
+test('analyzeRhythm reports progress stages for the rhythm worker', () => {
+    const stages = [];
+    LRCCore.analyzeRhythm([4, 3], { onProgress: (stage, fraction) => stages.push([stage, fraction]) });
+
+    assert.deepEqual(stages.map(([stage]) => stage), ['grid', 'composite', 'spaces', 'ratios', 'tone rows', 'done']);
+    assert.ok(stages.every(([, fraction], i) => i === 0 || fraction > stages[i - 1][1]));
+});
+
+test('target scales parse from ratio/cents lists and Scala files and match exactly', () => {
+    const list = LRCCore.parseScaleList('9/8, 5/4 701.955\n2/1');
+    assert.deepEqual(list.cents.map(c => Math.round(c)), [0, 204, 386, 702]);
+
+    const scala = LRCCore.parseScala('! test.scl\n!\nTritave trichord\n 3\n!\n 5/3 major sixth\n 2.0\n 3/1\n');
+    assert.equal(scala.description, 'Tritave trichord');
+    assert.equal(scala.period.label, '3/1');
+    assert.equal(scala.cents.length, 3);
+    assert.throws(() => LRCCore.parseScaleList('3/2 x'), { code: 'SCALE_INVALID' });
+    assert.throws(() => LRCCore.parseScala('Bad\n4\n3/2\n2/1'), { code: 'SCALE_INVALID' });
+
+    const { ratios } = LRCCore.analyzeRhythm([4, 3]);
+    assert.deepEqual(LRCCore.matchScale(ratios, LRCCore.parseScaleList('701.955')), { exact: true, error: 0 });
+    const near = LRCCore.matchScale(ratios, LRCCore.parseScaleList('700.0'));
+    assert.equal(near.exact, false);
+    assert.ok(Math.abs(near.error - 1.955) < 1e-3);
+    assert.equal(LRCCore.matchScale(ratios, list), null);
+});
+
+test('two scales align by cents into shared, near and unique ratios', () => {
+    const a = LRCCore.analyzeRhythm([8, 7, 6, 5]).ratios;
+    const b = LRCCore.analyzeRhythm([9, 7, 5, 4]).ratios;
+    const { rows, counts } = LRCCore.compareScales(a, b, 15);
+
+    assert.equal(counts.shared + counts.near + counts.a, a.length);
+    assert.equal(counts.shared + counts.near + counts.b, b.length);
+    assert.ok(rows.some(row => row.status === 'shared' && row.a.fraction === '1/1'));
+    rows.filter(row => row.status === 'near').forEach(row => assert.ok(Math.abs(row.diff) <= 15));
+    for (let i = 1; i < rows.length; i++) {
+        const cents = row => Math.min(row.a?.cents ?? Infinity, row.b?.cents ?? Infinity);
+        assert.ok(cents(rows[i - 1]) <= cents(rows[i]));
+    }
+
+    // Near-matches wrap around the period
+    const low = [{ fraction: '129/128', cents: 13.5 }];
+    const high = [{ fraction: '255/128', cents: 1193.2 }];
+    const wrapped = LRCCore.compareScales(low, high, 25);
+    assert.equal(wrapped.counts.near, 1);
+    assert.ok(Math.abs(wrapped.rows[0].diff + 20.3) < 1e-9);
+});
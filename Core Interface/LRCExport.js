@@ -139,8 +139,8 @@ class LRCExport {
             const plotHeight = plotWidth * plotAspect;
 
             // Active-layer legend so the exported plot is self-describing (swatch · value).
-            const layerNames = ['A', 'B', 'C', 'D'];
-            const layerColorMap = (window.lrcVisuals && window.lrcVisuals.layerColors) || {};
+            const layerNames = LRCLayers.layerNames(LRCLayers.MAX_LAYERS);
+            const layerColorMap = (window.lrcVisuals && window.lrcVisuals.layerColors) || LRCLayers.layerColorMap();
             const legendItems = displayLayers.map((value, i) => ({
                 name: layerNames[i] || `L${i + 1}`,
                 value,
@@ -534,7 +534,7 @@ class LRCExport {
             { label: 'Grid', value: String(rhythmInfo.grid) },
             { label: 'Groupings', value: groupingsValue },
             { label: 'Fundamental', value: String(Math.round(rhythmInfo.fundamental)) },
-            { label: 'Average Deviation', value: rhythmInfo.avgDeviation != null ? rhythmInfo.avgDeviation.toFixed(3) : 'N/A' },
+            { label: `Average Deviation (${rhythmInfo.deviationEdo}-EDO)`, value: rhythmInfo.avgDeviation != null ? rhythmInfo.avgDeviation.toFixed(3) : 'N/A' },
             { label: 'Range', value: rhythmInfo.range.toFixed(2) },
             { label: 'Density', value: `${rhythmInfo.density.toFixed(1)}%` },
             { label: 'P/G Ratio', value: rhythmInfo.pulseToGrouping.toFixed(2) },
@@ -699,16 +699,14 @@ class LRCExport {
 
         // Calculate actual scale length from the rhythm data
         const ratios = window.lrcModule.currentRatios;
-        const uniqueTones = new Set(ratios.map(r => r.fraction));
-        uniqueTones.delete("2/1"); // Exclude octave
-        const scaleLength = uniqueTones.size;
+        const scaleLength = LRCCore.countUniqueTones(ratios, rhythmInfo.period); // Excludes the period
         
 
         // Convert to MIDI notes (using reference logic)
         const midiNotesByLayer = this.convertSpacesPlotToMidiNotes(spacesPlotByLayer, scaleLength, rootNote);
         
         // Export each active layer as separate MIDI file
-        const layerNames = ['A', 'B', 'C', 'D'];
+        const layerNames = LRCLayers.layerNames(LRCLayers.MAX_LAYERS);
         const ticksPerQuarterNote = 960; // High precision
 
         rhythmInfo.layers.forEach((layerValue, index) => {
@@ -750,7 +748,7 @@ class LRCExport {
             return;
         }
 
-        const cycleDuration = window.toneRowPlayback?.cycleDuration
+        const cycleDuration = window.toneRowPlayback?.getPatternDuration?.()
             || window.partitionsPlayback.cycleDuration
             || 10;
         if (!Number.isFinite(cycleDuration) || cycleDuration <= 0) {
@@ -1005,155 +1003,42 @@ class LRCExport {
         }
     }
 
+    // File contents come from LRCTuningFiles, shared with the command-line batch tool
     exportScalaFile(rhythmInfo, ratios) {
-        // Filter out layer values of 1 (inactive layers)
-        const activeLayers = rhythmInfo.layers.filter(layer => layer > 1);
-        const layers = activeLayers.join('-');
-        const fundamental = Math.round(rhythmInfo.fundamental);
-        const filename = `${layers} (${fundamental}).scl`;
-        
-        // Create description with specified format (use active layers only)
-        const description = `${layers}`;
-        
-        // Skip 1/1 unison and filter out 2/1 (we'll add 2/1 at the end)
-        const scaleRatios = ratios.filter(ratio => ratio.fraction !== '1/1' && ratio.fraction !== '2/1');
-        
-        let content = `! ${filename}\n`;
-        content += `! Created by Large Rhythm Collider\n`;
-        content += `!\n`;
-        content += `${description}\n`;
-        content += ` ${scaleRatios.length + 1}\n`; // +1 for the 2/1 we'll add at the end
-        content += `!\n`;
-
-        // Add each ratio - prefer fraction format over cents for exact representation
-        scaleRatios.forEach(ratio => {
-            if (ratio.fraction) {
-                content += ` ${ratio.fraction}\n`;
-            } else {
-                // Fallback to cents if fraction not available
-                const cents = ratio.cents ? ratio.cents.toFixed(2) : '0.0';
-                content += ` ${cents}\n`;
-            }
-        });
-        
-        // Always end with 2/1 octave regardless of scale content
-        content += ` 2/1\n`;
-
-        const blob = new Blob([content], { type: 'text/plain' });
-        this.downloadBlob(blob, filename);
-        
+        const { filename, content } = LRCTuningFiles.scalaFile(rhythmInfo, ratios);
+        this.downloadBlob(new Blob([content], { type: 'text/plain' }), filename);
         console.log(`📤 Scala file exported: ${filename}`);
     }
 
     exportAnaMardkTunFile(rhythmInfo, ratios) {
-        // Filter out 2/1 octave ratio and layer values of 1 (inactive layers)
-        const filteredRatios = ratios.filter(ratio => ratio.fraction !== '2/1');
-        const activeLayers = rhythmInfo.layers.filter(layer => layer > 1);
-        const layers = activeLayers.join('-');
-        const fundamental = Math.round(rhythmInfo.fundamental);
-        const filename = `${layers} (${fundamental}).tun`;
-        
-        // Use exact format structure as working files
-        let content = `; VAZ Plus/AnaMark softsynth tuning file\n`;
-        content += `; ${layers}\n`;
-        content += `;\n`;
-        content += `; Generated by Large Rhythm Collider\n`;
-        content += `;\n`;
-        content += `; VAZ Plus section\n`;
-        content += `[Tuning]\n`;
-
-        // Constants for A-anchored tuning using LRC scale period
-        const FIRST_A_NOTE = 9; // MIDI note 9 is the first A
-        const A_TARGET_CENTS = 900; // A should be at 900 cents
-        
-        // VAZ Plus section - Use LRC scale length for natural period, anchored to A=900
-        
-        for (let midiNote = 0; midiNote < 128; midiNote++) {
-            let cents;
-            
-            if (filteredRatios.length > 0) {
-                // Calculate position relative to first A note (MIDI 9)
-                const notesFromFirstA = midiNote - FIRST_A_NOTE;
-                
-                // Map to scale using LRC scale length as period (not 12)
-                let scaleOctave = Math.floor(notesFromFirstA / filteredRatios.length);
-                let scaleDegree = notesFromFirstA % filteredRatios.length;
-                
-                // Handle negative modulo properly
-                if (scaleDegree < 0) {
-                    scaleDegree += filteredRatios.length;
-                    scaleOctave--;
-                }
-                
-                // Get scale interval in cents
-                const ratio = filteredRatios[scaleDegree];
-                const ratioCents = ratio.cents || 0;
-                
-                // Calculate cents: A target (900) + scale octaves + scale interval
-                cents = A_TARGET_CENTS + (scaleOctave * 1200) + ratioCents;
-            } else {
-                // 12-TET fallback: A=900 + chromatic intervals
-                const notesFromFirstA = midiNote - FIRST_A_NOTE;
-                cents = 900 + (notesFromFirstA * 100);
-            }
-            
-            content += `note ${midiNote}=${Math.round(cents)}\n`;
+        const { filename, content } = LRCTuningFiles.anaMarkTunFile(rhythmInfo, ratios);
+        this.downloadBlob(new Blob([content], { type: 'text/plain' }), filename);
+        console.log(`📤 AnaMark TUN file exported: ${filename}`);
+    }
+
+    // ====================================
+    // CONSONANCE NETWORK EXPORT
+    // ====================================
+
+    // format: 'json', 'graphml', 'dot' or 'csv' (LRCConsonanceExport.FILES)
+    exportConsonanceNetwork(format) {
+        const build = LRCConsonanceExport.FILES[format];
+        if (!build) {
+            console.error('📤 Unknown consonance network format:', format);
+            return;
         }
-        
-        // Add AnaMark section to match working file structure exactly
-        content += `\n; AnaMark section\n`;
-        content += `[Scale Begin]\n`;
-        content += `Format= "AnaMark-TUN"\n`;
-        content += `FormatVersion= 100\n`;
-        content += `FormatSpecs= "http://www.mark-henning.de/eternity/tuningspecs.html"\n`;
-        content += `\n[Info]\n`;
-        content += `Name= "${filename}"\n`;
-        content += `ID= "${filename}"\n`;
-        content += `Filename= "${filename}"\n`;
-        content += `Description= "${layers}"\n`;
-        content += `Date= "${new Date().toISOString().split('T')[0]}"\n`;
-        content += `Editor= "Large Rhythm Collider"\n`;
-        content += `\n[Exact Tuning]\n`;
-
-        // Exact tuning section - Must match VAZ Plus logic exactly
-        for (let midiNote = 0; midiNote < 128; midiNote++) {
-            let cents;
-            
-            if (filteredRatios.length > 0) {
-                // Use identical logic to VAZ Plus section
-                const notesFromFirstA = midiNote - FIRST_A_NOTE;
-                
-                // Map to scale using LRC scale length as period (not 12)
-                let scaleOctave = Math.floor(notesFromFirstA / filteredRatios.length);
-                let scaleDegree = notesFromFirstA % filteredRatios.length;
-                
-                // Handle negative modulo properly
-                if (scaleDegree < 0) {
-                    scaleDegree += filteredRatios.length;
-                    scaleOctave--;
-                }
-                
-                // Get scale interval in cents
-                const ratio = filteredRatios[scaleDegree];
-                const ratioCents = ratio.cents || 0;
-                
-                // Calculate cents: A target (900) + scale octaves + scale interval
-                cents = A_TARGET_CENTS + (scaleOctave * 1200) + ratioCents;
-            } else {
-                // 12-TET fallback: A=900 + chromatic intervals
-                const notesFromFirstA = midiNote - FIRST_A_NOTE;
-                cents = 900 + (notesFromFirstA * 100);
-            }
-            
-            content += `note ${midiNote}= ${cents.toFixed(6)}\n`;
+
+        const network = window.lrcInterconsonance ? window.lrcInterconsonance.currentAnalysis : null;
+        const rhythmInfo = window.lrcModule ? window.lrcModule.getRhythmInfoData() : null;
+        if (!network || !rhythmInfo) {
+            alert('Run the Interconsonance analysis first to export the consonance network.');
+            return;
         }
-        
-        content += `\n[Scale End]\n`;
 
-        const blob = new Blob([content], { type: 'text/plain' });
-        this.downloadBlob(blob, filename);
-        
-        console.log(`📤 AnaMark TUN file exported: ${filename}`);
+        const { filename, content } = build(rhythmInfo, network);
+        const types = { json: 'application/json', graphml: 'application/xml', dot: 'text/vnd.graphviz', csv: 'text/csv' };
+        this.downloadBlob(new Blob([content], { type: types[format] }), filename);
+        console.log(`📤 Consonance network exported: ${filename}${network.familiesPending ? ' (family search still running)' : ''}`);
     }
 
     // ====================================
@@ -1190,6 +1075,9 @@ class LRCExport {
                 }
                 await this.exportTuningFile(format);
                 break;
+            case 'consonance':
+                this.exportConsonanceNetwork(format);
+                break;
             default:
                 console.error('📤 Unknown export type:', type);
         }
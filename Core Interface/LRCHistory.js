@@ -0,0 +1,86 @@
+// LRCHistory.js - Linear undo/redo stack of session snapshots, no DOM.
+//
+// Each entry is { key, group, label, state, time }: `state` is whatever the caller can restore
+// (LRCHistoryUI stores LRCSession project snapshots), `key` identifies it so repeated records of
+// the same state collapse, and `group` names the rhythm it belongs to so consecutive entries of
+// one rhythm can be listed (and jumped to) as a single run.
+//
+// Browser: window.LRCHistory. Node: module.exports.
+
+(function (root) {
+    'use strict';
+
+    class LRCHistory {
+        constructor({ limit = 100 } = {}) {
+            this.limit = Math.max(2, limit);
+            this.entries = [];
+            this.index = -1; // entry the session currently shows
+        }
+
+        current() {
+            return this.entries[this.index] || null;
+        }
+
+        canUndo() {
+            return this.index > 0;
+        }
+
+        canRedo() {
+            return this.index < this.entries.length - 1;
+        }
+
+        // Adds an entry after the current one, dropping the redo branch.
+        // Returns false when it matches the current entry.
+        record(entry) {
+            const current = this.current();
+            if (current && current.key === entry.key) return false;
+
+            this.entries = this.entries.slice(0, this.index + 1);
+            this.entries.push({ time: Date.now(), ...entry });
+            if (this.entries.length > this.limit) this.entries.shift();
+            this.index = this.entries.length - 1;
+            return true;
+        }
+
+        // Swap the current entry's contents without moving in the history
+        // (restoring can normalise a snapshot slightly)
+        replaceCurrent(entry) {
+            const current = this.current();
+            if (!current) return;
+            this.entries[this.index] = { ...current, ...entry };
+        }
+
+        undo() {
+            return this.canUndo() ? this.jumpTo(this.index - 1) : null;
+        }
+
+        redo() {
+            return this.canRedo() ? this.jumpTo(this.index + 1) : null;
+        }
+
+        jumpTo(index) {
+            if (!Number.isInteger(index) || index < 0 || index >= this.entries.length) return null;
+            this.index = index;
+            return this.current();
+        }
+
+        // Consecutive entries sharing a group: [{ group, start, end }], oldest first
+        runs() {
+            const runs = [];
+            this.entries.forEach((entry, i) => {
+                const last = runs[runs.length - 1];
+                if (last && last.group === entry.group) last.end = i;
+                else runs.push({ group: entry.group, start: i, end: i });
+            });
+            return runs;
+        }
+
+        clear() {
+            this.entries = [];
+            this.index = -1;
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = LRCHistory;
+    if (root) root.LRCHistory = LRCHistory;
+})(typeof window !== 'undefined' ? window : null);
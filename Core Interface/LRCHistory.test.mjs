@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import LRCHistory from './LRCHistory.js';
+
+const entry = (key, group = '8:7:6:5') => ({ key, group, label: key, state: { key } });
+
+test('undo and redo walk the stack and a new record drops the redo branch', () => {
+    const history = new LRCHistory();
+    assert.equal(history.record(entry('a')), true);
+    assert.equal(history.record(entry('a')), false);
+    history.record(entry('b'));
+    history.record(entry('c'));
+
+    assert.equal(history.undo().key, 'b');
+    assert.equal(history.undo().key, 'a');
+    assert.equal(history.undo(), null);
+    assert.equal(history.redo().key, 'b');
+
+    history.record(entry('d'));
+    assert.deepEqual(history.entries.map(e => e.key), ['a', 'b', 'd']);
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.jumpTo(0).key, 'a');
+    assert.equal(history.jumpTo(7), null);
+});
+
+test('history is capped and grouped into runs per rhythm', () => {
+    const history = new LRCHistory({ limit: 4 });
+    ['a', 'b'].forEach(key => history.record(entry(key, '8:7')));
+    ['c', 'd'].forEach(key => history.record(entry(key, '5:4:3')));
+    history.record(entry('e', '8:7'));
+
+    assert.deepEqual(history.entries.map(e => e.key), ['b', 'c', 'd', 'e']);
+    assert.equal(history.index, 3);
+    assert.deepEqual(history.runs(), [
+        { group: '8:7', start: 0, end: 0 },
+        { group: '5:4:3', start: 1, end: 2 },
+        { group: '8:7', start: 3, end: 3 }
+    ]);
+});
@@ -0,0 +1,223 @@
+// LRCHistoryUI.js - Session-wide undo/redo (Ctrl/Cmd+Z, Shift+Ctrl/Cmd+Z) and the Rhythm Input
+// panel's history list. Snapshots are LRCSession projects, recorded shortly after rhythm
+// submissions, note/family selections, resets and edits in the Playback panel (tempo,
+// fundamental, layer controls); restoring goes through LRCSession.applyProject.
+
+class LRCHistoryUI {
+    constructor() {
+        this.history = new LRCHistory({ limit: 100 });
+        this.isRestoring = false;
+        this.recordTimer = null;
+        this.pendingLabel = null;
+        this.settleUntil = 0;
+        this.playbackPointerActive = false;
+
+        this.setupEventListeners();
+        this.setupKeyboardShortcuts();
+        this.render();
+        console.log('↩️ LRCHistoryUI initialized');
+    }
+
+    // ====================================
+    // RECORDING
+    // ====================================
+
+    setupEventListeners() {
+        window.addEventListener('rhythmGenerated', () => this.scheduleRecord('Rhythm'));
+        window.addEventListener('scaleSelectionChanged', () => this.scheduleRecord('Notes'));
+        window.addEventListener('legatoModeChanged', () => this.scheduleRecord('Playback'));
+
+        // Playback controls are rebuilt with every rhythm, so listen on the panel itself.
+        // Knobs only report while dragging; the release marks the end of one edit.
+        const playbackPanel = document.getElementById('playback-panel-content');
+        if (playbackPanel) {
+            playbackPanel.addEventListener('change', () => this.scheduleRecord('Playback'));
+            playbackPanel.addEventListener('pointerdown', () => { this.playbackPointerActive = true; });
+            window.addEventListener('pointerup', () => {
+                if (!this.playbackPointerActive) return;
+                this.playbackPointerActive = false;
+                this.scheduleRecord('Playback');
+            });
+        }
+
+        const undoBtn = document.getElementById('history-undo-btn');
+        const redoBtn = document.getElementById('history-redo-btn');
+        const list = document.getElementById('rhythm-history-list');
+        if (undoBtn) undoBtn.addEventListener('click', () => this.undo());
+        if (redoBtn) redoBtn.addEventListener('click', () => this.redo());
+        if (list) {
+            list.addEventListener('click', (event) => {
+                const item = event.target.closest('[data-history-index]');
+                if (item) this.jumpTo(Number(item.dataset.historyIndex));
+            });
+        }
+    }
+
+    setupKeyboardShortcuts() {
+        window.addEventListener('keydown', (event) => {
+            if (!(event.metaKey || event.ctrlKey) || event.altKey || event.key.toLowerCase() !== 'z') return;
+            const target = event.target;
+            // Text fields keep their own undo
+            if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) return;
+            // An open progression owns Cmd+Z for its boundary edits (ProgressionBar)
+            if (window.ProgressionBar?.open && window.ProgressionBar.timeline) return;
+
+            event.preventDefault();
+            event.shiftKey ? this.redo() : this.undo();
+        });
+    }
+
+    isBusy() {
+        return this.isRestoring || !!window.lrcSession?.isLoading;
+    }
+
+    // Changes often arrive in bursts (a family selection fires note events, a new rhythm resets
+    // several modules), so wait for things to settle before taking one snapshot
+    scheduleRecord(label, delay = 300) {
+        if (this.isBusy()) return;
+        this.pendingLabel = this.pendingLabel === 'Rhythm' ? 'Rhythm' : label;
+        clearTimeout(this.recordTimer);
+        this.recordTimer = setTimeout(() => this.recordNow(), delay);
+    }
+
+    recordNow(label = this.pendingLabel || 'Change') {
+        clearTimeout(this.recordTimer);
+        this.recordTimer = null;
+        this.pendingLabel = null;
+        if (this.isBusy()) return false;
+
+        const entry = this.snapshotEntry(label);
+        if (!entry) return false;
+        // Modules keep redrawing for a moment after a restore (delayed rebuilds, note events);
+        // fold that into the restored entry instead of starting a new branch
+        if (Date.now() < this.settleUntil) {
+            this.history.replaceCurrent({ key: entry.key, state: entry.state });
+            return false;
+        }
+        const recorded = this.history.record(entry);
+        if (recorded) this.render();
+        return recorded;
+    }
+
+    // Reset clears the view but keeps the rhythm data, so it gets its own entry to undo from
+    recordReset() {
+        this.recordNow();
+        if (!this.history.current()) return;
+        this.history.record({ key: `reset:${Date.now()}`, group: 'Reset', label: 'Reset', state: null });
+        this.render();
+    }
+
+    snapshotEntry(label) {
+        const project = window.lrcSession?.captureProject();
+        if (!project) return null;
+        delete project.savedAt;
+        return {
+            key: JSON.stringify(project),
+            group: this.rhythmLabel(project.rhythm),
+            label,
+            state: project
+        };
+    }
+
+    rhythmLabel(rhythm) {
+        const layers = (rhythm?.layers || []).filter(value => value > 0).join(':');
+        return rhythm?.period && rhythm.period !== LRCCore.OCTAVE.label ? `${layers} @ ${rhythm.period}` : layers;
+    }
+
+    // ====================================
+    // RESTORING
+    // ====================================
+
+    undo() {
+        this.flushPending();
+        return this.restore(this.history.index - 1);
+    }
+
+    redo() {
+        this.flushPending();
+        return this.restore(this.history.index + 1);
+    }
+
+    jumpTo(index) {
+        this.flushPending();
+        return this.restore(index);
+    }
+
+    // A change still waiting on its debounce becomes the entry we step back from
+    flushPending() {
+        if (this.recordTimer) this.recordNow();
+    }
+
+    async restore(index) {
+        if (this.isBusy() || index === this.history.index) return false;
+        const previousIndex = this.history.index;
+        const fromReset = this.history.current()?.state === null;
+        const entry = this.history.jumpTo(index);
+        if (!entry) return false;
+
+        this.isRestoring = true;
+        this.render();
+        let restored = false;
+        try {
+            if (entry.state === null) {
+                window.lrcHUD?.fullReset();
+            } else {
+                // Coming back from a reset needs the visualization rebuilt, so regenerate
+                restored = await window.lrcSession.applyProject(entry.state, { keepCurrent: !fromReset });
+                if (!restored) this.history.jumpTo(previousIndex);
+            }
+            if (restored || entry.state === null) console.log(`↩️ History: ${entry.label} (${entry.group})`);
+        } finally {
+            clearTimeout(this.recordTimer);
+            this.recordTimer = null;
+            this.pendingLabel = null;
+            this.isRestoring = false;
+            this.render();
+        }
+
+        if (restored) {
+            // Re-read the session so the entry matches what applyProject actually produced
+            this.settleUntil = Date.now() + 600;
+            this.recordNow(entry.label);
+        }
+        return restored || entry.state === null;
+    }
+
+    // ====================================
+    // HISTORY LIST
+    // ====================================
+
+    render() {
+        const container = document.getElementById('rhythm-history');
+        const list = document.getElementById('rhythm-history-list');
+        const undoBtn = document.getElementById('history-undo-btn');
+        const redoBtn = document.getElementById('history-redo-btn');
+        if (undoBtn) undoBtn.disabled = this.isRestoring || !this.history.canUndo();
+        if (redoBtn) redoBtn.disabled = this.isRestoring || !this.history.canRedo();
+        if (!container || !list) return;
+
+        container.hidden = this.history.entries.length === 0;
+        const index = this.history.index;
+        // Newest first; each run is one rhythm and jumps to its latest state
+        list.innerHTML = this.history.runs().reverse().map(run => {
+            const entry = this.history.entries[run.end];
+            const isActive = index >= run.start && index <= run.end;
+            const isUndone = run.start > index;
+            const edits = run.end - run.start;
+            const time = new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const classes = ['rhythm-history-item', isActive ? 'active' : '', isUndone ? 'undone' : ''].filter(Boolean).join(' ');
+            return `<li><button type="button" class="${classes}" data-history-index="${run.end}" ${isActive ? 'aria-current="true"' : ''}>
+                <span class="rhythm-history-label">${run.group}</span>
+                <span class="rhythm-history-meta">${edits ? `+${edits} · ` : ''}${time}</span>
+            </button></li>`;
+        }).join('');
+    }
+}
+
+// Initialize LRCHistoryUI when DOM is loaded
+let lrcHistory;
+
+document.addEventListener('DOMContentLoaded', () => {
+    lrcHistory = new LRCHistoryUI();
+    window.lrcHistory = lrcHistory; // Make globally accessible
+});
@@ -389,6 +389,7 @@ class LRCHUDController {
         }, 200);
         
         this.fullReset();
+        if (window.lrcHistory) window.lrcHistory.recordReset();
     }
 
     fullReset() {
@@ -450,6 +451,10 @@ class LRCHUDController {
         
         // 3. RESET FORM VALUES
         console.log('🔄 Step 3: Resetting form values...');
+        if (window.lrcModule) {
+            window.lrcModule.setLayerInputCount(LRCLayers.DEFAULT_LAYER_COUNT);
+        }
+        this.updateLayerCountButtons();
         const formResets = [
             { id: 'layer-a', value: '8' },
             { id: 'layer-b', value: '7' },
@@ -969,20 +974,90 @@ class LRCHUDController {
             e.preventDefault();
             this.handleRhythmSubmission();
         });
+
+        const addLayerBtn = document.getElementById('add-layer-btn');
+        const removeLayerBtn = document.getElementById('remove-layer-btn');
+        const changeLayerCount = (delta) => {
+            if (!window.lrcModule) return;
+            const current = window.lrcModule.getLayerInputs().length;
+            window.lrcModule.setLayerInputCount(current + delta);
+            this.updateLayerCountButtons();
+        };
+
+        if (addLayerBtn) addLayerBtn.addEventListener('click', () => changeLayerCount(1));
+        if (removeLayerBtn) removeLayerBtn.addEventListener('click', () => changeLayerCount(-1));
+        this.updateLayerCountButtons();
+
+        const deviationEdoSelect = document.getElementById('deviation-edo');
+        if (deviationEdoSelect) {
+            deviationEdoSelect.addEventListener('change', (e) => {
+                if (window.lrcModule) window.lrcModule.setDeviationEdo(e.target.value);
+            });
+        }
+
+        // Keep per-layer toggle rows in step with the submitted layer count
+        window.addEventListener('rhythmGenerated', (e) => {
+            const rhythms = e?.detail?.rhythms || [];
+            this.renderLayerToggleButtons(LRCLayers.layerCountFor(rhythms));
+            this.updateLayerCountButtons();
+        });
+    }
+
+    updateLayerCountButtons() {
+        const count = window.lrcModule ? window.lrcModule.getLayerInputs().length : LRCLayers.DEFAULT_LAYER_COUNT;
+        const addLayerBtn = document.getElementById('add-layer-btn');
+        const removeLayerBtn = document.getElementById('remove-layer-btn');
+        const countDisplay = document.getElementById('layer-count-display');
+
+        if (addLayerBtn) addLayerBtn.disabled = count >= LRCLayers.MAX_LAYERS;
+        if (removeLayerBtn) removeLayerBtn.disabled = count <= 1;
+        if (countDisplay) countDisplay.textContent = String(count);
+    }
+
+    // Rebuild the Linear Plot / Wheel layer toggles and Centrifuge slice toggles
+    // so there is one button per layer in the current rhythm.
+    renderLayerToggleButtons(count) {
+        const names = LRCLayers.layerNames(count);
+
+        document.querySelectorAll('#visualizations-div .layer-toggles').forEach((container) => {
+            const existing = new Map(
+                Array.from(container.querySelectorAll('.layer-toggle')).map(btn => [btn.dataset.layer, btn])
+            );
+            if (existing.size === names.length && names.every(name => existing.has(name))) return;
+
+            container.innerHTML = names.map((name) => {
+                const previous = existing.get(name);
+                const isActive = previous ? previous.classList.contains('active') : false;
+                return `<button class="layer-toggle${isActive ? ' active' : ''}" data-layer="${name}" aria-pressed="${isActive}" aria-label="${isActive ? 'Hide' : 'Show'} layer ${name}">${name}</button>`;
+            }).join('');
+        });
+
+        document.querySelectorAll('#centrifuge-controls .slice-buttons').forEach((container) => {
+            const existing = new Map(
+                Array.from(container.querySelectorAll('.slice-toggle')).map(btn => [btn.dataset.slice, btn])
+            );
+            if (existing.size === names.length && names.every(name => existing.has(name))) return;
+
+            container.innerHTML = names.map((name) => {
+                const previous = existing.get(name);
+                const isActive = previous ? previous.classList.contains('active') : true;
+                return `<button class="slice-toggle${isActive ? ' active' : ''}" data-slice="${name}" aria-pressed="${isActive}" aria-label="${isActive ? 'Hide' : 'Show'} layer ${name} slice">${name}</button>`;
+            }).join('');
+        });
     }
 
     handleRhythmSubmission() {
         console.log('🎯 Processing rhythm submission...');
         
-        // Get input values
-        const layerA = parseInt(document.getElementById('layer-a').value) || 0;
-        const layerB = parseInt(document.getElementById('layer-b').value) || 0;
-        const layerC = parseInt(document.getElementById('layer-c').value) || 0;
-        const layerD = parseInt(document.getElementById('layer-d').value) || 0;
-        
-        // VALIDATION: Reorder layers in descending order (a > b > c > d)
-        const originalLayers = [layerA, layerB, layerC, layerD];
-        const sortedLayers = [...originalLayers].sort((a, b) => b - a);
+        // VALIDATION: Reorder layers in descending order (A > B > C > ...)
+        const originalLayers = window.lrcModule ? window.lrcModule.readLayerInputValues() : [];
+        const originalOffsets = window.lrcModule ? window.lrcModule.readLayerOffsetValues() : [];
+        const originalSpans = window.lrcModule ? window.lrcModule.readLayerSpanValues() : [];
+        // Offsets and cycle spans travel with their layer when the order changes
+        const sortedPairs = originalLayers
+            .map((layer, index) => ({ layer, offset: originalOffsets[index] || '', span: originalSpans[index] || '' }))
+            .sort((a, b) => b.layer - a.layer);
+        const sortedLayers = sortedPairs.map(pair => pair.layer);
         
         // Check if reordering is needed
         const needsReordering = !originalLayers.every((layer, index) => layer === sortedLayers[index]);
@@ -991,10 +1066,11 @@ class LRCHUDController {
             console.log(`🔄 Reordering layers from [${originalLayers.join(', ')}] to [${sortedLayers.join(', ')}]`);
             
             // Update the input fields with reordered values
-            document.getElementById('layer-a').value = sortedLayers[0];
-            document.getElementById('layer-b').value = sortedLayers[1];
-            document.getElementById('layer-c').value = sortedLayers[2];
-            document.getElementById('layer-d').value = sortedLayers[3];
+            window.lrcModule.getLayerInputs().forEach((input, index) => {
+                input.value = sortedLayers[index] || '';
+            });
+            window.lrcModule.setLayerOffsets(sortedPairs.map(pair => pair.offset));
+            window.lrcModule.setLayerSpans(sortedPairs.map(pair => pair.span));
             
             // Brief visual feedback for the reordering
             const layerInputs = document.querySelectorAll('.layer-input input');
@@ -1008,7 +1084,7 @@ class LRCHUDController {
         
         // Trigger LRCModule generation with properly ordered layers
         if (window.lrcModule) {
-            window.lrcModule.setRhythms(sortedLayers[0], sortedLayers[1], sortedLayers[2], sortedLayers[3]);
+            window.lrcModule.setRhythms(sortedLayers);
             // setRhythms() calls generateRhythm() which dispatches 'rhythmGenerated' event
             // All modules (LRCVisuals, ToneRowPlayback, etc.) listen to this event and update automatically
             // No manual updates needed - prevents duplicate processing
@@ -1054,10 +1130,15 @@ class LRCHUDController {
         const displayLayers = (rhythmInfo.displayLayers && rhythmInfo.displayLayers.length > 0)
             ? rhythmInfo.displayLayers
             : rhythmInfo.layers;
-        const layersDisplayText = displayLayers.length > 0 ? displayLayers.join(':') : '—';
+        // Displaced layers read as value+ticks, e.g. 8:7+2:6
+        const displayOffsets = rhythmInfo.displayOffsets || [];
+        const layersDisplayText = displayLayers.length > 0
+            ? displayLayers.map((layer, index) => (displayOffsets[index] ? `${layer}+${displayOffsets[index]}` : layer)).join(':')
+            : '—';
         const updates = [
             { id: 'layers-display', value: layersDisplayText },
             { id: 'grid-display', value: rhythmInfo.grid },
+            { id: 'hyperperiod-display', value: `${rhythmInfo.hyperperiod || 1} cycle${(rhythmInfo.hyperperiod || 1) === 1 ? '' : 's'}` },
             { id: 'fundamental-display', value: Math.round(rhythmInfo.fundamental) },
             { id: 'range-display', value: rhythmInfo.range.toFixed(2) },
             { id: 'rhythm-density', value: rhythmInfo.density.toFixed(1) },
@@ -1076,17 +1157,18 @@ class LRCHUDController {
             }
         });
         
-        // Handle Average Deviation (only display for 12-tone scales)
+        // Handle Average Deviation (hidden for single-tone scales)
         const avgDevDisplay = document.getElementById('avg-dev-display');
         const avgDevContainer = avgDevDisplay ? avgDevDisplay.parentElement : null;
         
         if (rhythmInfo.avgDeviation !== null) {
-            if (avgDevDisplay) avgDevDisplay.textContent = rhythmInfo.avgDeviation.toFixed(3);
+            const avgDevText = `${rhythmInfo.avgDeviation.toFixed(3)} (${rhythmInfo.deviationEdo}-EDO)`;
+            if (avgDevDisplay) avgDevDisplay.textContent = avgDevText;
             if (avgDevContainer) avgDevContainer.style.display = 'block';
-            console.log('Average deviation displayed:', rhythmInfo.avgDeviation.toFixed(3));
+            console.log('Average deviation displayed:', avgDevText);
         } else {
             if (avgDevContainer) avgDevContainer.style.display = 'none';
-            console.log('Average deviation hidden (not 12-tone scale)');
+            console.log('Average deviation hidden (fewer than two tones)');
         }
         
         // Update scale chart with improved styling
@@ -1484,6 +1566,65 @@ class LRCHUDController {
         primary.dispatchEvent(changeEvent);
     }
 
+    // Visualization type plus the toggle state of each control section, for LRCSession
+    // project files. Buttons are read from their .active class, which is what their own
+    // click handlers key off.
+    getVisualizationState() {
+        const activeLayers = (selector) => Array.from(document.querySelectorAll(selector))
+            .filter(btn => btn.classList.contains('active'))
+            .map(btn => btn.dataset.layer || btn.dataset.slice);
+
+        return {
+            type: this.getPrimaryVizSelector()?.value || 'linear',
+            lights: this.lightsEnabled,
+            linearLayers: activeLayers('#linear-controls .layer-toggle'),
+            wheelLayers: activeLayers('#wheel-controls .layer-toggle'),
+            wheelSlices: !!document.getElementById('wheel-slices-toggle')?.classList.contains('active'),
+            centrifugeSlices: activeLayers('#centrifuge-controls .slice-toggle'),
+            hingesShowForces: !!document.getElementById('hinges-show-forces')?.checked,
+            hingesMode: document.getElementById('hinges-mode')?.value || 'progression'
+        };
+    }
+
+    // Replays the saved state through the controls' own handlers (click/change) so the
+    // visualizations update exactly as if the user had set them.
+    applyVisualizationState(state) {
+        if (!state) return;
+
+        if (state.type) this.setVisualizationType(state.type);
+        if (typeof state.lights === 'boolean' && state.lights !== this.lightsEnabled) {
+            this.toggleLights();
+        }
+
+        const syncButtons = (selector, activeLayers) => {
+            if (!Array.isArray(activeLayers)) return;
+            document.querySelectorAll(selector).forEach((btn) => {
+                const layer = btn.dataset.layer || btn.dataset.slice;
+                if (btn.classList.contains('active') !== activeLayers.includes(layer)) btn.click();
+            });
+        };
+        syncButtons('#linear-controls .layer-toggle', state.linearLayers);
+        syncButtons('#wheel-controls .layer-toggle', state.wheelLayers);
+        syncButtons('#centrifuge-controls .slice-toggle', state.centrifugeSlices);
+
+        const slicesBtn = document.getElementById('wheel-slices-toggle');
+        if (slicesBtn && typeof state.wheelSlices === 'boolean' && slicesBtn.classList.contains('active') !== state.wheelSlices) {
+            slicesBtn.click();
+        }
+
+        const showForces = document.getElementById('hinges-show-forces');
+        if (showForces && typeof state.hingesShowForces === 'boolean' && showForces.checked !== state.hingesShowForces) {
+            showForces.checked = state.hingesShowForces;
+            showForces.dispatchEvent(new Event('change'));
+        }
+
+        const hingesMode = document.getElementById('hinges-mode');
+        if (hingesMode && state.hingesMode && hingesMode.value !== state.hingesMode) {
+            hingesMode.value = state.hingesMode;
+            hingesMode.dispatchEvent(new Event('change'));
+        }
+    }
+
     setupWheelControls() {
         const slicesBtn = document.getElementById('wheel-slices-toggle');
         if (!slicesBtn) return;
@@ -1711,10 +1852,12 @@ class LRCHUDController {
     }
     
     setupCentrifugeControls() {
-        const sliceButtons = Array.from(document.querySelectorAll('.slice-toggle'));
-        if (sliceButtons.length === 0) return;
+        const sliceContainer = document.querySelector('#centrifuge-controls .slice-buttons');
+        if (!sliceContainer) return;
+        // Buttons are re-rendered per layer count, so always query them fresh
+        const getSliceButtons = () => Array.from(sliceContainer.querySelectorAll('.slice-toggle'));
 
-        sliceButtons.forEach((btn) => {
+        getSliceButtons().forEach((btn) => {
             const layer = btn.dataset.slice || '';
             const isActive = btn.classList.contains('active');
             btn.setAttribute('aria-pressed', String(isActive));
@@ -1728,7 +1871,7 @@ class LRCHUDController {
             if (!centrifuge) return;
 
             const visibleLayers = new Set();
-            sliceButtons.forEach(btn => {
+            getSliceButtons().forEach(btn => {
                 if (btn.classList.contains('active')) {
                     const layer = btn.dataset.slice;
                     if (layer) visibleLayers.add(layer);
@@ -1742,15 +1885,15 @@ class LRCHUDController {
             }
         };
 
-        sliceButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                btn.classList.toggle('active');
-                const isActive = btn.classList.contains('active');
-                const layer = btn.dataset.slice || '';
-                btn.setAttribute('aria-pressed', String(isActive));
-                btn.setAttribute('aria-label', `${isActive ? 'Hide' : 'Show'} layer ${layer} slice`);
-                applySliceVisibility();
-            });
+        sliceContainer.addEventListener('click', (e) => {
+            const btn = e.target.closest('.slice-toggle');
+            if (!btn) return;
+            btn.classList.toggle('active');
+            const isActive = btn.classList.contains('active');
+            const layer = btn.dataset.slice || '';
+            btn.setAttribute('aria-pressed', String(isActive));
+            btn.setAttribute('aria-label', `${isActive ? 'Hide' : 'Show'} layer ${layer} slice`);
+            applySliceVisibility();
         });
 
         // Ensure state reapplies when rhythm regenerates or centrifuge initializes
@@ -1931,12 +2074,15 @@ class LRCHUDController {
         }
     }
 
-    // Method to programmatically set rhythm values
-    setRhythmValues(a, b, c, d) {
-        document.getElementById('layer-a').value = a;
-        document.getElementById('layer-b').value = b;
-        document.getElementById('layer-c').value = c;
-        document.getElementById('layer-d').value = d;
+    // Method to programmatically set rhythm values (individual values or one array)
+    setRhythmValues(...args) {
+        if (!window.lrcModule) return;
+        const values = Array.isArray(args[0]) ? args[0] : args;
+        window.lrcModule.setLayerInputCount(LRCLayers.layerCountFor(values));
+        window.lrcModule.getLayerInputs().forEach((input, index) => {
+            input.value = values[index] || '';
+        });
+        this.updateLayerCountButtons();
     }
 
     // Handle pitch selection with deselection support
@@ -1,10 +1,29 @@
+// LRCConsonanceWorker.js sits next to this file
+const LRC_INTERCONSONANCE_DIR = document.currentScript ? document.currentScript.src.replace(/[^/]*$/, '') : 'Core Interface/';
+const FAMILY_SLICE_MS = 50; // Main-thread family search slice when Workers are unavailable
+const FAMILY_RENDER_MS = 250; // How often streamed families are redrawn
+
 class LRCInterconsonance {
+    // Setting inputs of the consonance models (LRCConsonance.MODELS), shown for the selected one
+    static MODEL_FIELDS = [
+        { id: 'consonance-window', setting: 'window', label: 'Window ±¢', models: ['tet12', 'edo'], min: 0, step: 0.5 },
+        { id: 'consonance-edo', setting: 'edo', label: 'EDO', models: ['edo'], min: 1, step: 1 },
+        { id: 'consonance-prime-limit', setting: 'primeLimit', label: 'Prime limit', models: ['ji'], min: 2, step: 1 },
+        { id: 'consonance-max-height', setting: 'maxHeight', label: 'Max Tenney height', models: ['ji'], min: 0, step: 0.1 },
+        { id: 'consonance-spread', setting: 'spread', label: 'Spread ¢', models: ['entropy'], min: 1, step: 1 },
+        { id: 'consonance-max-entropy', setting: 'maxEntropy', label: 'Max entropy', models: ['entropy'], min: 0, step: 0.01 }
+    ];
+
     constructor() {
         this.isAnalysisRunning = false;
         this.currentAnalysis = null;
-        this.consonanceWindow = 15; // ±15 cent window for consonance
+        this.consonanceModel = { model: 'tet12', window: 15 }; // LRCConsonance model and its settings
         this.pitchConsonanceMap = new Map(); // O(1) lookup for consonant relationships
         this.selectedPitch = null; // For lighting system
+        this.familySearch = null; // The running family search: { id, intervals, worker, progress, resolve }
+        this.familySearchId = 0;
+        this.consonanceWorkerDisabled = false;
+        this.familyRenderTimer = null;
         
         // Family display pagination and sorting state
         this.familyDisplayState = {
@@ -34,6 +53,16 @@ class LRCInterconsonance {
             <div id="interconsonance-content" class="subsection-content" style="display: none;">
                 <div class="interconsonance-controls">
                     <button class="analyze-btn" id="run-interconsonance-btn">Analyze</button>
+                    <select id="consonance-model" class="consonance-model-select" title="How intervals are judged consonant">
+                        ${Object.entries(LRCConsonance.MODELS).map(([id, model]) => `<option value="${id}">${model.label}</option>`).join('')}
+                    </select>
+                    <div class="consonance-model-settings">
+                        ${LRCInterconsonance.MODEL_FIELDS.map(field => `
+                            <label data-models="${field.models.join(' ')}">${field.label}
+                                <input type="number" id="${field.id}" min="${field.min}" step="${field.step}">
+                            </label>
+                        `).join('')}
+                    </div>
                 </div>
                 <div id="interconsonance-display">
                     <p>Click "Analyze" to run consonance analysis for this rhythm scale.</p>
@@ -55,6 +84,10 @@ class LRCInterconsonance {
                     <button class="export-btn" id="export-midi-btn">Export MIDI</button>
                     <button class="export-btn" id="export-scl-btn">Export .scl (root C)</button>
                     <button class="export-btn" id="export-tun-btn">Export .tun (root A)</button>
+                    <button class="export-btn consonance-export-btn" data-format="json" title="Pitches, intervals and families of the Interconsonance analysis">Consonance .json</button>
+                    <button class="export-btn consonance-export-btn" data-format="graphml" title="Consonance network for graph tools (Gephi, yEd, Cytoscape)">Consonance .graphml</button>
+                    <button class="export-btn consonance-export-btn" data-format="dot" title="Consonance network for Graphviz">Consonance .gv (DOT)</button>
+                    <button class="export-btn consonance-export-btn" data-format="csv" title="Full interval matrix of the consonance measure">Interval matrix .csv</button>
                 </div>
             </div>
         `;
@@ -118,6 +151,18 @@ class LRCInterconsonance {
             });
         }
 
+        // Consonance network exports (need an Interconsonance analysis)
+        document.querySelectorAll('.consonance-export-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (window.lrcExport) {
+                    window.lrcExport.export('consonance', btn.dataset.format);
+                } else {
+                    console.error('LRCExport module not available');
+                }
+            });
+        });
+
     }
 
     setupEventListeners() {
@@ -129,6 +174,12 @@ class LRCInterconsonance {
             });
         }
 
+        const modelSelect = document.getElementById('consonance-model');
+        if (modelSelect) {
+            modelSelect.addEventListener('change', () => this.showModelSettings(modelSelect.value));
+            this.showModelSettings(this.consonanceModel.model, this.consonanceModel);
+        }
+
         // Collapsible behavior handled by global LRCHudController system
 
         // Listen for rhythm generation to reset the section
@@ -137,6 +188,37 @@ class LRCInterconsonance {
         });
     }
 
+    // Shows the selected model's settings, filled with its defaults unless given
+    showModelSettings(modelId, values = LRCConsonance.MODELS[modelId].defaults) {
+        const modelSelect = document.getElementById('consonance-model');
+        if (modelSelect) modelSelect.value = modelId;
+
+        LRCInterconsonance.MODEL_FIELDS.forEach(field => {
+            const input = document.getElementById(field.id);
+            if (!input) return;
+            const shown = field.models.includes(modelId);
+            input.closest('label').style.display = shown ? '' : 'none';
+            if (shown && values[field.setting] !== undefined) input.value = values[field.setting];
+        });
+    }
+
+    // { model, ...settings } from the controls, or null (after an alert) when a setting is invalid
+    readConsonanceModel() {
+        const modelId = document.getElementById('consonance-model')?.value || 'tet12';
+        const options = { model: modelId };
+
+        for (const field of LRCInterconsonance.MODEL_FIELDS) {
+            if (!field.models.includes(modelId)) continue;
+            const value = Number(document.getElementById(field.id)?.value);
+            if (!Number.isFinite(value) || value < field.min || (field.step === 1 && !Number.isInteger(value))) {
+                alert(`${field.label} must be ${field.step === 1 ? 'a whole number' : 'a number'} of at least ${field.min}`);
+                return null;
+            }
+            options[field.setting] = value;
+        }
+        return options;
+    }
+
     showLargeScaleWarning(pitchCount) {
         return new Promise(resolve => {
             const overlay = document.createElement('div');
@@ -147,8 +229,8 @@ class LRCInterconsonance {
                     <div style="font-size:12px;line-height:1.5;margin-bottom:18px;color:#cccccc;">
                         This scale has <strong style="color:#ffffff;">${pitchCount}</strong> pitches.
                         The interval matrix may still be computable, but consonance family
-                        detection grows rapidly with scale size and may cause the
-                        interface to become unresponsive.
+                        detection grows rapidly with scale size and may take a long time.
+                        Families appear as they are found, and the search can be cancelled.
                     </div>
                     <div style="display:flex;gap:10px;justify-content:center;">
                         <button id="ica-warn-cancel" style="padding:6px 16px;border-radius:4px;border:1px solid rgba(100,100,100,0.3);background:transparent;color:#cccccc;cursor:pointer;font-size:12px;">Cancel</button>
@@ -178,6 +260,9 @@ class LRCInterconsonance {
         }
 
         const ratios = window.lrcModule.currentRatios;
+        const consonanceModel = this.readConsonanceModel();
+        if (!consonanceModel) return;
+        this.consonanceModel = consonanceModel;
 
         let skipFamilies = false;
         if (ratios.length >= 200) {
@@ -191,290 +276,200 @@ class LRCInterconsonance {
         this.isAnalysisRunning = true;
         this.updateAnalyzeButton('Analyzing...');
 
+        let analysis;
         try {
-            const analysis = this.analyzeRhythmScale(ratios);
-            const families = skipFamilies ? [] : this.extractConsonanceFamilies(analysis);
-            
-            this.currentAnalysis = {
-                analysis,
-                families,
-                ratios,
-                skipFamilies
-            };
-
-            this.displayResults();
-
-            // Enable pitch lighting system
-            this.enablePitchSelection();
-            
-            // Dispatch event to notify other systems (like playback) that analysis is complete
-            window.dispatchEvent(new CustomEvent('interconsonanceAnalysisComplete', {
-                detail: {
-                    analysis: this.currentAnalysis.analysis,
-                    families: this.currentAnalysis.families,
-                    ratios: this.currentAnalysis.ratios
-                }
-            }));
-
+            analysis = this.analyzeRhythmScale(ratios);
         } catch (error) {
             console.error('Analysis error:', error);
             this.displayError('Analysis failed: ' + error.message);
-        } finally {
             this.isAnalysisRunning = false;
             this.updateAnalyzeButton('Analyze');
+            return;
         }
-    }
 
-    analyzeRhythmScale(ratios) {
-        // Extract numeric ratio values from ratio objects
-        const frequencies = ratios.map(ratioObj => ratioObj.ratio);
-        
-        if (frequencies.length < 2) {
-            throw new Error('Need at least 2 ratios for interval analysis');
-        }
+        // Intervals and pitch lighting are ready now; families stream in afterwards
+        this.currentAnalysis = {
+            analysis,
+            families: [],
+            ratios,
+            skipFamilies,
+            familiesPending: !skipFamilies,
+            familiesCancelled: false
+        };
+        this.displayResults();
+        this.enablePitchSelection();
 
-        console.log(`🔍 Analyzing ${frequencies.length} ratios for consonance...`);
-        console.log('First few ratios:', ratios.slice(0, 3).map(r => ({ fraction: r.fraction, ratio: r.ratio, cents: r.cents })));
+        const current = this.currentAnalysis;
+        if (!skipFamilies) await this.runFamilySearch(analysis);
+        if (this.currentAnalysis !== current) return; // Reset for a new rhythm meanwhile
 
-        const consonantIntervals = [];
-        const dissonantIntervals = [];
-        const consonantRatios = new Set();
-        const dissonantRatios = new Set();
+        this.isAnalysisRunning = false;
+        this.updateAnalyzeButton('Analyze');
         
-        // Initialize pitch consonance map for O(1) lookups
-        this.pitchConsonanceMap.clear();
-        for (let i = 0; i < ratios.length; i++) {
-            this.pitchConsonanceMap.set(i, {
-                ratioIndex: i,
-                ratioFraction: ratios[i].fraction,
-                consonantWith: new Set()
-            });
-        }
-
-        // Calculate all possible intervals between ratio pairs
-        for (let i = 0; i < frequencies.length; i++) {
-            for (let j = i + 1; j < frequencies.length; j++) {
-                const freq1 = frequencies[i];
-                const freq2 = frequencies[j];
-                
-                // Calculate the interval ratio and convert to cents
-                const intervalRatio = Math.max(freq1, freq2) / Math.min(freq1, freq2);
-                const cents = 1200 * Math.log2(intervalRatio);
-                
-                // Find nearest 12TET interval (multiple of 100 cents)
-                const nearestET = Math.round(cents / 100) * 100;
-                const deviation = cents - nearestET;
-                const deviationAbs = Math.abs(deviation);
-                
-                const intervalData = {
-                    positions: `${i + 1}-${j + 1}`,
-                    ratio1: ratios[i].fraction,
-                    ratio2: ratios[j].fraction,
-                    ratioObj1: ratios[i],
-                    ratioObj2: ratios[j],
-                    pitchIndex1: i,
-                    pitchIndex2: j,
-                    freq1,
-                    freq2,
-                    intervalRatio,
-                    cents,
-                    nearestET,
-                    deviation,
-                    deviationAbs
-                };
-
-                // Check if within consonance window
-                if (deviationAbs <= this.consonanceWindow) {
-                    consonantIntervals.push(intervalData);
-                    consonantRatios.add(ratios[i].fraction);
-                    consonantRatios.add(ratios[j].fraction);
-                    
-                    // Build pitch consonance lookup map
-                    this.pitchConsonanceMap.get(i).consonantWith.add(j);
-                    this.pitchConsonanceMap.get(j).consonantWith.add(i);
-                } else {
-                    dissonantIntervals.push(intervalData);
-                    dissonantRatios.add(ratios[i].fraction);
-                    dissonantRatios.add(ratios[j].fraction);
-                }
+        // Dispatch event to notify other systems (like playback) that analysis is complete
+        window.dispatchEvent(new CustomEvent('interconsonanceAnalysisComplete', {
+            detail: {
+                analysis: this.currentAnalysis.analysis,
+                families: this.currentAnalysis.families,
+                ratios: this.currentAnalysis.ratios
             }
-        }
-
-        const totalIntervals = consonantIntervals.length + dissonantIntervals.length;
-        const consonanceRatio = totalIntervals > 0 ? consonantIntervals.length / totalIntervals : 0;
+        }));
+    }
 
-        console.log(`📊 Analysis complete: ${consonantIntervals.length} consonant, ${dissonantIntervals.length} dissonant intervals`);
-        console.log(`📊 Consonance ratio: ${(consonanceRatio * 100).toFixed(1)}%`);
+    // Interval analysis lives in LRCConsonance; the pitch map is kept for pitch lighting and playback
+    analyzeRhythmScale(ratios) {
+        console.log(`🔍 Analyzing ${ratios.length} ratios for consonance (${LRCConsonance.describeModel(this.consonanceModel)})...`);
+        const { analysis, pitchMap } = LRCConsonance.analyzeIntervals(ratios, this.consonanceModel);
+        this.pitchConsonanceMap = pitchMap;
 
-        return {
-            consonantIntervals: consonantIntervals.sort((a, b) => a.deviationAbs - b.deviationAbs),
-            dissonantIntervals: dissonantIntervals.sort((a, b) => a.deviationAbs - b.deviationAbs),
-            consonantRatios: Array.from(consonantRatios),
-            dissonantRatios: Array.from(dissonantRatios),
-            totalIntervals,
-            consonanceRatio,
-            ratioCount: frequencies.length
-        };
+        console.log(`📊 Analysis complete: ${analysis.consonantIntervals.length} consonant, ${analysis.dissonantIntervals.length} dissonant intervals`);
+        console.log(`📊 Consonance ratio: ${(analysis.consonanceRatio * 100).toFixed(1)}%`);
+        return analysis;
     }
 
-    extractConsonanceFamilies(analysis) {
-        const families = [];
-        const consonantIntervals = analysis.consonantIntervals;
-        
-        if (consonantIntervals.length === 0) {
-            console.log('No consonant intervals found - no families to extract');
-            return families;
-        }
+    // ====================================
+    // FAMILY SEARCH
+    // ====================================
 
-        // Get pitch indices that have consonant relationships
-        const consonantPitches = Array.from(this.pitchConsonanceMap.keys())
-            .filter(pitchIndex => this.pitchConsonanceMap.get(pitchIndex).consonantWith.size > 0);
-        
-        if (consonantPitches.length < 3) {
-            console.log('Need at least 3 consonant pitches for family analysis');
-            return families;
-        }
+    // Streams maximal-clique families into currentAnalysis.families from LRCConsonanceWorker (or
+    // main-thread slices without Workers), then adds the multiple-approximate families. Resolves
+    // when the search finishes, is cancelled, or is dropped for a new rhythm.
+    runFamilySearch(analysis) {
+        this.dropFamilySearch();
 
-        console.log(`🔍 Searching for families among ${consonantPitches.length} consonant pitches using maximal clique detection...`);
-        
-        // Check for multiple approximates of the same 12-TET interval
-        const intervalsByET = new Map();
-        consonantIntervals.forEach(interval => {
-            const et = interval.nearestET;
-            if (!intervalsByET.has(et)) {
-                intervalsByET.set(et, []);
+        const intervals = { analysis, pitchMap: this.pitchConsonanceMap };
+        const vertices = analysis.consonantIntervals.length > 0 ? LRCConsonance.consonantPitches(this.pitchConsonanceMap) : [];
+
+        return new Promise(resolve => {
+            const run = { id: ++this.familySearchId, intervals, vertices, worker: null, progress: 0, resolve };
+            this.familySearch = run;
+
+            if (vertices.length < 3) {
+                this.finishFamilySearch(run);
+                return;
             }
-            intervalsByET.get(et).push(interval);
-        });
-        
-        const multipleApproximateCounts = Array.from(intervalsByET.entries())
-            .filter(([, intervals]) => intervals.length > 1)
-            .map(([et, intervals]) => `${et}¢(${intervals.length})`);
-        
-        if (multipleApproximateCounts.length > 0) {
-            console.log(`🎵 Multiple 12-TET approximates found: ${multipleApproximateCounts.join(', ')}`);
-        }
-        
-        const maximalCliques = this.findMaximalConsonanceCliques(consonantPitches);
-        console.log(`🔎 Maximal consonance cliques found: ${maximalCliques.length}`);
-        
-        maximalCliques.forEach(pitchIndices => {
-            if (pitchIndices.length < 3) return;
-            
-            const ratioFractions = pitchIndices.map(i => this.pitchConsonanceMap.get(i).ratioFraction);
-            const familyIntervals = this.getIntervalsForPitches(pitchIndices, consonantIntervals);
-            const avgDeviation = familyIntervals.reduce((sum, interval) => sum + interval.deviationAbs, 0) / familyIntervals.length;
-            
-            const etCounts = new Map();
-            familyIntervals.forEach(interval => {
-                const et = interval.nearestET;
-                etCounts.set(et, (etCounts.get(et) || 0) + 1);
-            });
-            
-            const hasMultipleApproximates = Array.from(etCounts.values()).some(count => count > 1);
-            
-            families.push({
-                ratios: ratioFractions,
-                pitchIndices,
-                intervals: familyIntervals,
-                size: pitchIndices.length,
-                avgDeviation,
-                consonanceStrength: this.calculateConsonanceStrength(familyIntervals),
-                hasMultipleApproximates
-            });
-        });
 
-        // Add explicit families that contain multiple approximates of the same 12-TET interval
-        this.addMultipleApproximateFamilies(families, consonantIntervals);
-        
-        // Remove subset families (keep only maximal families - safety if explicit additions create subsets)
-        const beforeRemoval = families.length;
-        const familiesWithMultipleApproximates = families.filter(f => f.hasMultipleApproximates).length;
-        
-        const maximalFamilies = this.removeSubsetFamilies(families);
-        
-        const afterRemoval = maximalFamilies.length;
-        const maximalWithMultipleApproximates = maximalFamilies.filter(f => f.hasMultipleApproximates).length;
-        
-        console.log(`👥 Family extraction summary:`);
-        console.log(`  Before subset removal: ${beforeRemoval} families (${familiesWithMultipleApproximates} with multiple 12-TET approximates)`);
-        console.log(`  After subset removal: ${afterRemoval} families (${maximalWithMultipleApproximates} with multiple 12-TET approximates)`);
-        console.log(`  Removed: ${beforeRemoval - afterRemoval} families`);
-        
-        // Sort families, prioritizing those with multiple 12-TET approximates
-        return maximalFamilies.sort((a, b) => {
-            if (a.hasMultipleApproximates && !b.hasMultipleApproximates) return -1;
-            if (!a.hasMultipleApproximates && b.hasMultipleApproximates) return 1;
-            return a.avgDeviation - b.avgDeviation;
+            const worker = this.createConsonanceWorker();
+            if (!worker) {
+                this.runFamilySearchOnMainThread(run);
+                return;
+            }
+
+            run.worker = worker;
+            worker.onmessage = (event) => this.handleFamilyUpdate(run, event.data || {});
+            // The worker script failed to load or crashed: start over on the main thread
+            worker.onerror = (event) => {
+                if (event.preventDefault) event.preventDefault();
+                worker.terminate();
+                run.worker = null;
+                this.consonanceWorkerDisabled = true;
+                console.warn('⚠️ Consonance worker failed, finding families on the main thread:', event.message || event);
+                this.currentAnalysis.families = [];
+                this.runFamilySearchOnMainThread(run);
+            };
+            worker.postMessage({ id: run.id, pitchMap: this.pitchConsonanceMap, vertices });
         });
     }
 
-    findMaximalConsonanceCliques(consonantPitches) {
-        const adjacency = this.pitchConsonanceMap;
-        const results = [];
-
-        const neighbors = (pitchIndex) => {
-            const entry = adjacency.get(pitchIndex);
-            return entry ? entry.consonantWith : new Set();
-        };
-
-        const bronKerbosch = (r, p, x) => {
-            if (p.size === 0 && x.size === 0) {
-                results.push(Array.from(r).sort((a, b) => a - b));
+    createConsonanceWorker() {
+        if (this.consonanceWorkerDisabled || typeof Worker === 'undefined') return null;
+        try {
+            return new Worker(`${LRC_INTERCONSONANCE_DIR}LRCConsonanceWorker.js`);
+        } catch (error) {
+            // e.g. pages opened from file:// cannot start workers
+            console.warn('⚠️ Consonance worker unavailable, finding families on the main thread:', error.message);
+            this.consonanceWorkerDisabled = true;
+            return null;
+        }
+    }
+
+    // Same search as LRCConsonanceWorker.js, in short slices between frames
+    async runFamilySearchOnMainThread(run) {
+        const search = LRCConsonance.createCliqueSearch(run.intervals.pitchMap, run.vertices);
+        while (run === this.familySearch) {
+            let cliques;
+            try {
+                cliques = search.next(Date.now() + FAMILY_SLICE_MS);
+            } catch (error) {
+                this.handleFamilyUpdate(run, { type: 'error', error: { message: error.message } });
                 return;
             }
+            this.handleFamilyUpdate(run, { type: search.done ? 'done' : 'cliques', cliques, progress: search.progress });
+            if (search.done) return;
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
 
-            let pivot = null;
-            let pivotNeighborCount = -1;
-            const union = new Set([...p, ...x]);
-            for (const candidate of union) {
-                const candidateNeighbors = neighbors(candidate);
-                let count = 0;
-                candidateNeighbors.forEach(n => {
-                    if (p.has(n)) count++;
-                });
-                if (count > pivotNeighborCount) {
-                    pivotNeighborCount = count;
-                    pivot = candidate;
-                }
-            }
+    handleFamilyUpdate(run, { type, cliques, progress, error }) {
+        if (run !== this.familySearch) return;
 
-            const pivotNeighbors = pivot !== null ? neighbors(pivot) : new Set();
-            const candidates = [];
-            p.forEach(v => {
-                if (pivot === null || !pivotNeighbors.has(v)) {
-                    candidates.push(v);
-                }
-            });
+        if (type === 'error') {
+            // Keep what was found, as a cancel would
+            console.error('❌ Consonance family search failed:', error?.message);
+            this.finishFamilySearch(run, true);
+            return;
+        }
 
-            for (const v of candidates) {
-                const vNeighbors = neighbors(v);
-                const nextR = new Set(r);
-                nextR.add(v);
-                
-                const nextP = new Set();
-                p.forEach(n => {
-                    if (vNeighbors.has(n)) nextP.add(n);
-                });
+        this.currentAnalysis.families.push(...LRCConsonance.cliqueFamilies(run.intervals, cliques || []));
+        run.progress = progress;
+        if (type === 'done') {
+            this.finishFamilySearch(run);
+        } else {
+            this.scheduleFamiliesRender();
+        }
+    }
 
-                const nextX = new Set();
-                x.forEach(n => {
-                    if (vNeighbors.has(n)) nextX.add(n);
-                });
+    cancelFamilySearch() {
+        if (!this.familySearch) return;
+        console.log(`⏹️ Cancelling consonance family search at ${(this.familySearch.progress * 100).toFixed(0)}%`);
+        this.finishFamilySearch(this.familySearch, true);
+    }
 
-                bronKerbosch(nextR, nextP, nextX);
+    // Stops the search without touching the display (the rhythm changed)
+    dropFamilySearch() {
+        const run = this.familySearch;
+        if (!run) return null;
+        this.familySearch = null;
+        if (run.worker) run.worker.terminate();
+        clearTimeout(this.familyRenderTimer);
+        this.familyRenderTimer = null;
+        run.resolve();
+        return run;
+    }
 
-                p.delete(v);
-                x.add(v);
-            }
-        };
+    finishFamilySearch(run, cancelled = false) {
+        if (run !== this.familySearch) return;
+        this.dropFamilySearch();
+
+        const current = this.currentAnalysis;
+        current.families = LRCConsonance.finishFamilies(run.intervals, current.families);
+        current.familiesPending = false;
+        current.familiesCancelled = cancelled;
+
+        const withMultipleApproximates = current.families.filter(family => family.hasMultipleApproximates).length;
+        console.log(`👥 ${current.families.length} consonance families (${withMultipleApproximates} with multiple approximates)${cancelled ? ', search cancelled' : ''}`);
 
-        bronKerbosch(new Set(), new Set(consonantPitches), new Set());
-        return results;
+        const section = document.getElementById('families-section');
+        if (section) section.innerHTML = this.generateFamiliesSection();
+    }
+
+    // Redraws the streamed families at most every FAMILY_RENDER_MS
+    scheduleFamiliesRender() {
+        if (this.familyRenderTimer) return;
+        this.familyRenderTimer = setTimeout(() => {
+            this.familyRenderTimer = null;
+            if (!this.familySearch || !this.currentAnalysis) return;
+            const count = document.getElementById('families-count');
+            if (count) count.textContent = this.currentAnalysis.families.length;
+            const status = document.getElementById('families-status');
+            if (status) status.innerHTML = this.generateFamiliesStatus();
+            this.refreshFamiliesDisplay();
+        }, FAMILY_RENDER_MS);
     }
 
     resetSection() {
         // Reset analysis state
+        this.dropFamilySearch();
         this.currentAnalysis = null;
         this.isAnalysisRunning = false;
         this.selectedPitch = null;
@@ -509,134 +504,12 @@ class LRCInterconsonance {
         console.log('🔄 Interconsonance section reset for new rhythm');
     }
 
-    areAllPitchPairsConsonant(pitchIndices) {
-        // O(1) lookup using pitch consonance map
-        for (let i = 0; i < pitchIndices.length; i++) {
-            for (let j = i + 1; j < pitchIndices.length; j++) {
-                const pitch1 = pitchIndices[i];
-                const pitch2 = pitchIndices[j];
-                
-                if (!this.pitchConsonanceMap.get(pitch1).consonantWith.has(pitch2)) {
-                    return false;
-                }
-            }
-        }
-        return true;
-    }
-
-    getIntervalsForPitches(pitchIndices, consonantIntervals) {
-        return consonantIntervals.filter(interval => 
-            pitchIndices.includes(interval.pitchIndex1) && pitchIndices.includes(interval.pitchIndex2)
-        );
-    }
-
-    calculateConsonanceStrength(intervals) {
-        // Higher strength for lower average deviation
-        const avgDeviation = intervals.reduce((sum, interval) => sum + interval.deviationAbs, 0) / intervals.length;
-        return Math.max(0, 15 - avgDeviation) / 15; // Normalized 0-1 scale
-    }
-
-    addMultipleApproximateFamilies(families, consonantIntervals) {
-        // Group consonant intervals by their 12-TET approximation
-        const intervalsByET = new Map();
-        consonantIntervals.forEach(interval => {
-            const et = interval.nearestET;
-            if (!intervalsByET.has(et)) {
-                intervalsByET.set(et, []);
-            }
-            intervalsByET.get(et).push(interval);
-        });
-        
-        // Look for 12-TET intervals that have multiple approximates
-        for (const [et, intervals] of intervalsByET.entries()) {
-            if (intervals.length > 1) {
-                console.log(`🎵 Found ${intervals.length} intervals approximating ${et}¢`);
-                
-                // For each base pitch, find all pitches that form this 12-TET interval with it
-                const pitchGroups = new Map();
-                intervals.forEach(interval => {
-                    const basePitch = interval.pitchIndex1;
-                    const targetPitch = interval.pitchIndex2;
-                    
-                    if (!pitchGroups.has(basePitch)) {
-                        pitchGroups.set(basePitch, new Set([basePitch]));
-                    }
-                    pitchGroups.get(basePitch).add(targetPitch);
-                    
-                    if (!pitchGroups.has(targetPitch)) {
-                        pitchGroups.set(targetPitch, new Set([targetPitch]));
-                    }
-                    pitchGroups.get(targetPitch).add(basePitch);
-                });
-                
-                // Create families from these pitch groups
-                for (const [, pitchSet] of pitchGroups.entries()) {
-                    if (pitchSet.size >= 3) { // Only create families with 3+ members
-                        const pitchIndices = Array.from(pitchSet);
-                        
-                        // Check if all pairs are consonant
-                        if (this.areAllPitchPairsConsonant(pitchIndices)) {
-                            const ratioFractions = pitchIndices.map(i => this.pitchConsonanceMap.get(i).ratioFraction);
-                            const familyIntervals = this.getIntervalsForPitches(pitchIndices, consonantIntervals);
-                            const avgDeviation = familyIntervals.reduce((sum, interval) => sum + interval.deviationAbs, 0) / familyIntervals.length;
-                            
-                            // Check if this family already exists
-                            const familyExists = families.some(existingFamily => {
-                                return existingFamily.ratios.length === ratioFractions.length &&
-                                       existingFamily.ratios.every(ratio => ratioFractions.includes(ratio));
-                            });
-                            
-                            if (!familyExists) {
-                                console.log(`🎯 Adding explicit multiple-approximate family for ${et}¢:`, ratioFractions);
-                                families.push({
-                                    ratios: ratioFractions,
-                                    pitchIndices,
-                                    intervals: familyIntervals,
-                                    size: pitchIndices.length,
-                                    avgDeviation,
-                                    consonanceStrength: this.calculateConsonanceStrength(familyIntervals),
-                                    hasMultipleApproximates: true,
-                                    explicitMultipleApproximate: true // Flag to indicate this was explicitly added
-                                });
-                            }
-                        }
-                    }
-                }
-            }
-        }
-    }
-
-    removeSubsetFamilies(families) {
-        const maximalFamilies = [];
-        
-        families.forEach(family => {
-            const isSubset = families.some(otherFamily => {
-                if (otherFamily === family) return false;
-                if (otherFamily.ratios.length <= family.ratios.length) return false;
-                return family.ratios.every(ratio => otherFamily.ratios.includes(ratio));
-            });
-            
-            // Special case: If this family has multiple approximates of the same 12-TET interval,
-            // we want to preserve it even if it might be considered a "subset" in some sense
-            // This ensures that families with multiple approximates are not inadvertently removed
-            const hasMultipleApproximates = family.hasMultipleApproximates;
-            
-            if (!isSubset || hasMultipleApproximates) {
-                maximalFamilies.push(family);
-                if (hasMultipleApproximates && isSubset) {
-                    console.log(`🎯 Preserving family with multiple 12-TET approximates despite subset relationship:`, family.ratios);
-                }
-            }
-        });
-        
-        return maximalFamilies;
-    }
-
     displayResults() {
         const displayDiv = document.getElementById('interconsonance-display');
         if (!displayDiv) return;
 
-        const { analysis, families } = this.currentAnalysis;
+        const { analysis } = this.currentAnalysis;
+        const model = LRCConsonance.MODELS[analysis.model.id];
         
         let html = `
             <div class="interconsonance-results">
@@ -645,50 +518,11 @@ class LRCInterconsonance {
                     <p><strong>Total Intervals:</strong> ${analysis.totalIntervals}</p>
                     <p><strong>Consonant Intervals:</strong> ${analysis.consonantIntervals.length} (${(analysis.consonanceRatio * 100).toFixed(1)}%)</p>
                     <p><strong>Dissonant Intervals:</strong> ${analysis.dissonantIntervals.length}</p>
-                    <p><strong>Consonance Window:</strong> ±${this.consonanceWindow} cents</p>
+                    <p><strong>Consonance Model:</strong> ${model.label} (${model.describe(analysis.model.settings)})</p>
                 </div>
         `;
 
-        if (families.length > 0) {
-            html += `
-                <div class="consonance-families">
-                    <div class="families-header">
-                        <h4>Local Consonance Families (${families.length})</h4>
-                        <p>Groups of 3+ ratios where all pairs are within ${this.consonanceWindow} cents of 12TET intervals:</p>
-                        
-                        <div class="families-controls">
-                            <div class="sort-controls">
-                                <div class="sort-type-control">
-                                    <label>Sort by:</label>
-                                    <select id="family-sort-by" onchange="window.lrcInterconsonance.changeFamilySort()">
-                                        <option value="size" ${this.familyDisplayState.sortBy === 'size' ? 'selected' : ''}>Member Count</option>
-                                        <option value="avgDeviation" ${this.familyDisplayState.sortBy === 'avgDeviation' ? 'selected' : ''}>Average Deviation</option>
-                                    </select>
-                                </div>
-                                <div class="sort-order-control">
-                                    <label>Order:</label>
-                                    <select id="family-sort-order" onchange="window.lrcInterconsonance.changeFamilySort()">
-                                        <option value="desc" ${this.familyDisplayState.sortOrder === 'desc' ? 'selected' : ''}>Descending</option>
-                                        <option value="asc" ${this.familyDisplayState.sortOrder === 'asc' ? 'selected' : ''}>Ascending</option>
-                                    </select>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                    
-                    <div id="families-display">
-                        ${this.generateFamiliesPage(families)}
-                    </div>
-                </div>
-            `;
-        } else if (!this.currentAnalysis.skipFamilies) {
-            html += `
-                <div class="no-families">
-                    <h4>No Consonance Families Found</h4>
-                    <p>This rhythm scale has no groups of 3+ ratios where all pairs are consonant within ±${this.consonanceWindow} cents.</p>
-                </div>
-            `;
-        }
+        html += `<div id="families-section">${this.generateFamiliesSection()}</div>`;
 
         // Add pitch selection controls
         html += `
@@ -718,7 +552,77 @@ class LRCInterconsonance {
         displayDiv.innerHTML = html;
     }
 
+    // Families header, sort controls and current page; while the search runs, its progress
+    generateFamiliesSection() {
+        const { analysis, families, familiesPending, skipFamilies } = this.currentAnalysis;
+        const model = LRCConsonance.MODELS[analysis.model.id];
+        const modelDescription = model.describe(analysis.model.settings);
+
+        if (families.length === 0 && !familiesPending) {
+            if (skipFamilies) return '';
+            return `
+                <div class="no-families">
+                    <h4>No Consonance Families Found</h4>
+                    <p>This rhythm scale has no groups of 3+ ratios where all pairs are ${modelDescription}.</p>
+                    ${this.generateFamiliesStatus()}
+                </div>
+            `;
+        }
+
+        return `
+            <div class="consonance-families">
+                <div class="families-header">
+                    <h4>Local Consonance Families (<span id="families-count">${families.length}</span>)</h4>
+                    <p>Groups of 3+ ratios where all pairs are ${modelDescription}:</p>
+                    <div id="families-status">${this.generateFamiliesStatus()}</div>
+                    
+                    <div class="families-controls">
+                        <div class="sort-controls">
+                            <div class="sort-type-control">
+                                <label>Sort by:</label>
+                                <select id="family-sort-by" onchange="window.lrcInterconsonance.changeFamilySort()">
+                                    <option value="size" ${this.familyDisplayState.sortBy === 'size' ? 'selected' : ''}>Member Count</option>
+                                    <option value="avgDeviation" ${this.familyDisplayState.sortBy === 'avgDeviation' ? 'selected' : ''}>Average ${model.measureLabel}</option>
+                                </select>
+                            </div>
+                            <div class="sort-order-control">
+                                <label>Order:</label>
+                                <select id="family-sort-order" onchange="window.lrcInterconsonance.changeFamilySort()">
+                                    <option value="desc" ${this.familyDisplayState.sortOrder === 'desc' ? 'selected' : ''}>Descending</option>
+                                    <option value="asc" ${this.familyDisplayState.sortOrder === 'asc' ? 'selected' : ''}>Ascending</option>
+                                </select>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+                
+                <div id="families-display">
+                    ${this.generateFamiliesPage(families)}
+                </div>
+            </div>
+        `;
+    }
+
+    generateFamiliesStatus() {
+        const { familiesPending, familiesCancelled } = this.currentAnalysis;
+        if (familiesPending) {
+            const progress = this.familySearch ? this.familySearch.progress : 0;
+            return `
+                <p class="families-searching">
+                    Searching… ${(progress * 100).toFixed(0)}% of pitches
+                    <button class="cancel-families-btn" onclick="window.lrcInterconsonance.cancelFamilySearch()">Cancel</button>
+                </p>
+            `;
+        }
+        if (familiesCancelled) {
+            return '<p class="families-cancelled">Search cancelled: showing the families found so far.</p>';
+        }
+        return '';
+    }
+
+    // Reference and measure columns follow the analysis' consonance model
     generateIntervalsTable(intervals) {
+        const model = LRCConsonance.MODELS[this.currentAnalysis.analysis.model.id];
         let html = `
             <table class="intervals-table">
                 <thead>
@@ -727,8 +631,8 @@ class LRCInterconsonance {
                         <th>Ratio 1</th>
                         <th>Ratio 2</th>
                         <th>Cents</th>
-                        <th>12TET</th>
-                        <th>Deviation</th>
+                        <th>${model.referenceLabel}</th>
+                        <th>${model.measureLabel}</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -741,8 +645,8 @@ class LRCInterconsonance {
                     <td>${interval.ratio1}</td>
                     <td>${interval.ratio2}</td>
                     <td>${interval.cents.toFixed(1)}</td>
-                    <td>${interval.nearestET}</td>
-                    <td>${interval.deviation >= 0 ? '+' : ''}${interval.deviation.toFixed(1)}¢</td>
+                    <td>${interval.reference}</td>
+                    <td>${this.formatIntervalMeasure(interval)}</td>
                 </tr>
             `;
         });
@@ -756,8 +660,9 @@ class LRCInterconsonance {
     }
 
     generateFullIntervalMatrix(analysis) {
+        const model = LRCConsonance.MODELS[analysis.model.id];
         const allIntervals = [...analysis.consonantIntervals, ...analysis.dissonantIntervals]
-            .sort((a, b) => a.deviationAbs - b.deviationAbs);
+            .sort((a, b) => a.measure - b.measure);
 
         let html = `
             <div class="matrix-summary">
@@ -770,8 +675,8 @@ class LRCInterconsonance {
                         <th>Ratio 1</th>
                         <th>Ratio 2</th>
                         <th>Cents</th>
-                        <th>12TET</th>
-                        <th>Dev</th>
+                        <th>${model.referenceLabel}</th>
+                        <th>${model.measureLabel === 'Deviation' ? 'Dev' : model.measureLabel}</th>
                         <th>Type</th>
                     </tr>
                 </thead>
@@ -779,7 +684,7 @@ class LRCInterconsonance {
         `;
 
         allIntervals.forEach(interval => {
-            const isConsonant = interval.deviationAbs <= this.consonanceWindow;
+            const isConsonant = interval.consonant;
             const rowClass = isConsonant ? 'consonant-row' : 'dissonant-row';
             
             html += `
@@ -788,8 +693,8 @@ class LRCInterconsonance {
                     <td>${interval.ratio1}</td>
                     <td>${interval.ratio2}</td>
                     <td>${interval.cents.toFixed(1)}</td>
-                    <td>${interval.nearestET}</td>
-                    <td>${interval.deviation >= 0 ? '+' : ''}${interval.deviation.toFixed(1)}¢</td>
+                    <td>${interval.reference}</td>
+                    <td>${this.formatIntervalMeasure(interval)}</td>
                     <td>${isConsonant ? 'Consonant' : 'Dissonant'}</td>
                 </tr>
             `;
@@ -803,6 +708,15 @@ class LRCInterconsonance {
         return html;
     }
 
+    // Signed deviation in cents for the proximity models, the model's own measure otherwise
+    formatIntervalMeasure(interval) {
+        const modelId = this.currentAnalysis.analysis.model.id;
+        if (LRCConsonance.MODELS[modelId].measureLabel === 'Deviation') {
+            return `${interval.deviation >= 0 ? '+' : ''}${interval.deviation.toFixed(1)}¢`;
+        }
+        return Number.isFinite(interval.measure) ? LRCConsonance.formatMeasure(interval.measure, modelId) : '—';
+    }
+
     toggleFamilyIntervals(familyIndex) {
         const detailDiv = document.getElementById(`family-intervals-${familyIndex}`);
         if (detailDiv) {
@@ -944,7 +858,7 @@ class LRCInterconsonance {
             html += `
                 <div class="family-item">
                     <div class="family-header">
-                        <strong>Family ${globalIndex + 1}</strong> (${family.size} ratios, avg dev: ${family.avgDeviation.toFixed(2)}¢)
+                        <strong>Family ${globalIndex + 1}</strong> (${family.size} ratios, avg ${LRCConsonance.MODELS[family.model].measureLabel.toLowerCase()}: ${LRCConsonance.formatMeasure(family.avgDeviation, family.model)})
                     </div>
                     <div class="family-ratios">
                         <strong>Ratios:</strong> ${family.ratios.join(', ')}
@@ -0,0 +1,107 @@
+// LRCLayers.js - Layer naming, colours and sizing shared by every module
+// Self-contained (no DOM). Works in browser and Workers (attaches to window/self) and Node (module.exports).
+//
+// Layers are addressed three ways across the codebase: by index (0-based, used for
+// per-layer arrays), by display name ('A', 'B', ...) used in layer maps and
+// visualizations, and by key ('a', 'b', ...) used for playback state and DOM ids.
+// Everything that used to hard-code four layers should size itself from here.
+
+(function (root) {
+    'use strict';
+
+    const MAX_LAYERS = 8;
+    const DEFAULT_LAYER_COUNT = 4;
+
+    // First four match the original A–D palette; the rest extend it without
+    // colliding with the Centrifuge/Wheel accents.
+    const LAYER_COLORS = [
+        '#ff6b6b', // A - red
+        '#4ecdc4', // B - teal
+        '#00a638ff', // C - green
+        '#f9ca24', // D - yellow
+        '#a55eea', // E - violet
+        '#ff9f43', // F - orange
+        '#45aaf2', // G - sky blue
+        '#fd79a8'  // H - pink
+    ];
+
+    function layerName(index) {
+        return String.fromCharCode(65 + index);
+    }
+
+    function layerKey(index) {
+        return String.fromCharCode(97 + index);
+    }
+
+    // Accepts 'A', 'a' or a numeric index; returns -1 when out of range.
+    function layerIndex(layer) {
+        if (typeof layer === 'number') {
+            return Number.isInteger(layer) && layer >= 0 && layer < MAX_LAYERS ? layer : -1;
+        }
+        if (typeof layer !== 'string' || layer.length !== 1) return -1;
+        const index = layer.toUpperCase().charCodeAt(0) - 65;
+        return index >= 0 && index < MAX_LAYERS ? index : -1;
+    }
+
+    function layerNames(count = DEFAULT_LAYER_COUNT) {
+        return Array.from({ length: clampCount(count) }, (_, index) => layerName(index));
+    }
+
+    function layerKeys(count = DEFAULT_LAYER_COUNT) {
+        return Array.from({ length: clampCount(count) }, (_, index) => layerKey(index));
+    }
+
+    function layerColor(layer) {
+        const index = layerIndex(layer);
+        return index >= 0 ? LAYER_COLORS[index % LAYER_COLORS.length] : '#ffffff';
+    }
+
+    // { A: '#ff6b6b', ... } for modules that index colours by display name.
+    function layerColorMap(count = MAX_LAYERS) {
+        const map = {};
+        layerNames(count).forEach((name, index) => {
+            map[name] = LAYER_COLORS[index % LAYER_COLORS.length];
+        });
+        return map;
+    }
+
+    function emptyLayerArrays(count = DEFAULT_LAYER_COUNT) {
+        return Array.from({ length: clampCount(count) }, () => []);
+    }
+
+    function clampCount(count) {
+        const parsed = Math.floor(Number(count));
+        if (!Number.isFinite(parsed) || parsed < 1) return 1;
+        return Math.min(MAX_LAYERS, parsed);
+    }
+
+    // Number of layer slots a rhythm array occupies (trailing zeros trimmed,
+    // never fewer than the default four so existing layouts stay stable).
+    function layerCountFor(layers) {
+        if (!Array.isArray(layers)) return DEFAULT_LAYER_COUNT;
+        let last = -1;
+        layers.forEach((value, index) => {
+            if (Number(value) > 0) last = index;
+        });
+        return clampCount(Math.max(DEFAULT_LAYER_COUNT, last + 1));
+    }
+
+    const api = {
+        MAX_LAYERS,
+        DEFAULT_LAYER_COUNT,
+        LAYER_COLORS,
+        layerName,
+        layerKey,
+        layerIndex,
+        layerNames,
+        layerKeys,
+        layerColor,
+        layerColorMap,
+        emptyLayerArrays,
+        clampCount,
+        layerCountFor
+    };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    if (root) root.LRCLayers = api;
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : null));
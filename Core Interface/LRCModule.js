@@ -1,6 +1,9 @@
 // LRCModule.js - Core Large Rhythm Collider Module
 // Handles mathematical calculations, rhythm generation, and scale analysis
 
+// LRCRhythmWorker.js sits next to this file
+const LRC_MODULE_DIR = document.currentScript ? document.currentScript.src.replace(/[^/]*$/, '') : 'Core Interface/';
+
 class LRCModule {
     constructor() {
         // Core state
@@ -8,12 +11,25 @@ class LRCModule {
         this.currentGrid = 0;
         this.currentCompositeRhythm = [];
         this.currentSpacesPlot = [];
-        this.currentSpacesPlotByLayer = [[], [], [], []];
+        this.currentSpacesPlotByLayer = LRCLayers.emptyLayerArrays();
         this.currentLayerMap = []; // Tracks which layers contribute to each position
         this.currentSpacesLayerMap = [];
         this.currentRatios = [];
         this.ratioFrequencies = new Map();
         this.currentSpacesMapping = new Map(); // Maps ratio fractions to spaces plot indices
+        this.currentPeriod = LRCCore.OCTAVE; // Equave the scale is reduced into
+        this.currentOffsets = []; // Per-layer phase offsets in grid ticks (aligned with currentRhythms)
+        this.currentLayerPulses = [8, 7, 6, 5]; // Pulses as entered, before spreading over the hyperperiod
+        this.currentSpans = []; // Per-layer cycle spans ('1', '2', '1/2')
+        this.currentHyperperiod = 1; // Master cycles covered by the grid
+        this.deviationEdo = null; // Equal division for average deviation (null = pitch count)
+
+        // Off-thread generation (see runAnalysis)
+        this.rhythmWorker = null;
+        this.rhythmWorkerDisabled = false;
+        this.pendingAnalysis = null; // { id, resolve, reject, layers, options }
+        this.analysisId = 0;
+        this.progressRevealTimer = null;
         
         // Initialize
         this.setupEventListeners();
@@ -21,139 +37,33 @@ class LRCModule {
     }
 
     // ====================================
-    // CORE MATHEMATICAL FUNCTIONS
+    // CORE MATHEMATICAL FUNCTIONS (delegated to LRCCore)
     // ====================================
 
     gcd(a, b) {
-        a = Math.abs(a);
-        b = Math.abs(b);
-        while (b) {
-            [a, b] = [b, a % b];
-        }
-        return a;
+        return LRCCore.gcd(a, b);
     }
 
     lcm(a, b) {
-        return (a * b) / this.gcd(a, b);
+        return LRCCore.lcm(a, b);
     }
 
-    calculateTotalLCM(a, b, c, d) {
-        const lcmAB = this.lcm(a, b);
-        const lcmABC = this.lcm(lcmAB, c);
-        return this.lcm(lcmABC, d);
+    calculateTotalLCM(...layers) {
+        return LRCCore.calculateTotalLCM(layers);
     }
 
-    // ====================================
-    // ENHANCED RHYTHM GENERATION WITH LAYER TRACKING
-    // ====================================
-
     generateCompositeRhythm(layers) {
-        const filteredLayers = layers.filter(layer => layer > 0);
-        if (filteredLayers.length === 0) return { rhythm: [], layerMap: [] };
-        
-        const totalLCM = this.calculateTotalLCM(...filteredLayers);
-        const compositeMap = new Map(); // Track ALL layers for each position
-        const layerNames = ['A', 'B', 'C', 'D'];
-        
-        // Add all multiples for each layer, accumulating layer IDs for each position
-        layers.forEach((layer, layerIndex) => {
-            if (layer > 0) {
-                const groupingSize = totalLCM / layer;
-                for (let i = 0; i < layer; i++) {
-                    const position = i * groupingSize;
-                    
-                    if (compositeMap.has(position)) {
-                        // Add this layer to existing position
-                        compositeMap.get(position).layers.push(layerNames[layerIndex]);
-                    } else {
-                        // Create new position with this layer
-                        compositeMap.set(position, {
-                            position: position,
-                            layers: [layerNames[layerIndex]]
-                        });
-                    }
-                }
-            }
-        });
-        
-        // Sort by position and store complete layer tracking info
-        const sortedEntries = Array.from(compositeMap.values()).sort((a, b) => a.position - b.position);
-        const rhythm = sortedEntries.map(entry => entry.position);
-        const layerMap = sortedEntries.map(entry => entry.layers);
-        
-        return { rhythm, layerMap };
+        return LRCCore.generateCompositeRhythm(layers);
     }
 
     generateSpacesPlot(compositeRhythm, totalLCM, layerMap) {
-        if (compositeRhythm.length === 0) return { spacesPlot: [], spacesLayerMap: [] };
-        
-        const spacesPlot = [];
-        const spacesLayerMap = [];
-        
-        // Calculate spaces between consecutive values
-        for (let i = 0; i < compositeRhythm.length - 1; i++) {
-            const currentValue = compositeRhythm[i];
-            const nextValue = compositeRhythm[i + 1];
-            const spaceValue = nextValue - currentValue;
-            
-            spacesPlot.push(spaceValue);
-            
-            // The space/duration is owned by whichever layer(s) generate the CURRENT attack point
-            const spaceLayers = layerMap[i] || ['Composite'];
-            spacesLayerMap.push(spaceLayers);
-        }
-
-        // Add wraparound space
-        const lastValue = compositeRhythm[compositeRhythm.length - 1];
-        const firstValue = compositeRhythm[0];
-        const wraparoundSpace = totalLCM - lastValue + firstValue;
-        spacesPlot.push(wraparoundSpace);
-
-        // Wraparound space is owned by the last attack
-        const wraparoundLayers = layerMap[layerMap.length - 1] || ['Composite'];
-        spacesLayerMap.push(wraparoundLayers);
-        
-        return { spacesPlot, spacesLayerMap };
+        return LRCCore.generateSpacesPlot(compositeRhythm, totalLCM, layerMap);
     }
 
-    // ====================================
-    // SPACES PLOT BY LAYER CALCULATION
-    // ====================================
-
     calculateSpacesPlotByLayer(spacesPlot, spacesLayerMap, layers = null) {
-        const spacesPlotByLayer = [[], [], [], []]; // [A, B, C, D]
-        
         // Use provided layers or fallback to current (for standalone calculations)
         const rhythmsToUse = layers || this.currentRhythms;
-        
-        // For each active layer, find the space values at positions where that layer has attacks
-        rhythmsToUse.forEach((layerValue, layerIndex) => {
-            if (layerValue > 0) {
-                const layerLetter = ['A', 'B', 'C', 'D'][layerIndex];
-                const groupingSize = this.currentGrid / layerValue;
-                
-                // Generate the positions where this layer has attacks
-                const layerPositions = [];
-                for (let i = 0; i < layerValue; i++) {
-                    layerPositions.push(i * groupingSize);
-                }
-                
-                // Find the corresponding space values from the full spaces plot
-                // Each layer position corresponds to a space in the composite rhythm
-                const layerSpaces = [];
-                for (let pos of layerPositions) {
-                    // Find this position in the composite rhythm and get its corresponding space
-                    const compositeIndex = this.currentCompositeRhythm.indexOf(pos);
-                    if (compositeIndex >= 0 && compositeIndex < spacesPlot.length) {
-                        layerSpaces.push(spacesPlot[compositeIndex]);
-                    }
-                }
-                
-                spacesPlotByLayer[layerIndex] = layerSpaces;
-            }
-        });
-        
-        return spacesPlotByLayer;
+        return LRCCore.calculateSpacesPlotByLayer(spacesPlot, this.currentCompositeRhythm, this.currentGrid, rhythmsToUse, this.currentOffsets);
     }
 
     // ====================================
@@ -161,264 +71,94 @@ class LRCModule {
     // ====================================
 
     calculateFundamental() {
-        // Fundamental = Grid / Layer A (fastest layer)
-        const activeLayers = this.currentRhythms.filter(layer => layer > 0);
-        if (activeLayers.length === 0) return 0;
-        
-        const layerA = Math.max(...activeLayers); // Fastest layer
-        return this.currentGrid / layerA;
+        return LRCCore.calculateFundamental(this.currentRhythms, this.currentGrid);
     }
 
     calculateRange() {
-        // Range = quotient between fastest and slowest layer
-        // Exclude layer values of 1 (inactive layers)
-        const activeLayers = this.currentRhythms.filter(layer => layer > 1);
-        if (activeLayers.length === 0) return 0;
-
-        const fastest = Math.max(...activeLayers);
-        const slowest = Math.min(...activeLayers);
-        return fastest / slowest;
+        return LRCCore.calculateRange(this.currentRhythms);
     }
 
     calculatePulseToGrouping() {
-        // P/G = (sum of layer values) / (sum of groupings)
-        // Exclude layers with value 1 from both calculations
-        const activeLayers = this.currentRhythms.filter(layer => layer > 1);
-        if (activeLayers.length === 0) return 0;
-
-        const layerSum = activeLayers.reduce((sum, layer) => sum + layer, 0);
-        const groupingSum = activeLayers.reduce((sum, layer) => sum + (this.currentGrid / layer), 0);
-
-        return groupingSum > 0 ? layerSum / groupingSum : 0;
+        return LRCCore.calculatePulseToGrouping(this.currentRhythms, this.currentGrid);
     }
 
     getRhythmInfoData() {
         const activeLayers = this.currentRhythms.filter(layer => layer > 0);
         const displayLayers = activeLayers.filter(layer => layer > 1);
         const layersForDisplay = displayLayers.length > 0 ? displayLayers : [...activeLayers];
+        const minDisplayValue = displayLayers.length > 0 ? 2 : 1;
+        const offsetsFor = (minValue) => this.currentRhythms
+            .map((layer, index) => (layer >= minValue ? this.currentOffsets[index] || 0 : null))
+            .filter(offset => offset !== null);
         const displayGroupings = layersForDisplay.map(layer => Math.round(this.currentGrid / layer));
 
-        const fundamental = this.calculateFundamental();
-        const range = this.calculateRange();
-        const pulseToGrouping = this.calculatePulseToGrouping();
-
-        // Calculate average deviation only for 12-tone scales
-        const uniqueTones = new Set(this.currentRatios.map(r => r.fraction));
-        uniqueTones.delete("2/1"); // Exclude octave
-        const avgDeviation = uniqueTones.size === 12 ? this.calculateAverageDeviation(this.currentSpacesPlot) : null;
-
-        // Calculate additional metrics
-        const contributingLayers = this.currentRhythms.filter(layer => layer > 1);
-        const layerSum = contributingLayers.reduce((sum, layer) => sum + layer, 0);
-        const density = this.currentGrid > 0 ? (layerSum / this.currentGrid) * 100 : 0;
-
-
+        // Average deviation is measured against deviationEdo, or an EDO matching the pitch count
+        const pitchCount = LRCCore.countUniqueTones(this.currentRatios, this.currentPeriod);
+        const avgDeviation = this.calculateAverageDeviation(this.currentSpacesPlot);
+        const layerSum = this.currentRhythms.filter(layer => layer > 1).reduce((sum, layer) => sum + layer, 0);
 
         return {
             layers: activeLayers,
+            offsets: offsetsFor(1),
+            hyperperiod: this.currentHyperperiod,
             displayLayers: layersForDisplay,
+            displayOffsets: offsetsFor(minDisplayValue),
             displayGroupings: displayGroupings,
             grid: this.currentGrid,
-            fundamental: fundamental,
-            range: range,
-            pulseToGrouping: pulseToGrouping,
+            fundamental: this.calculateFundamental(),
+            range: this.calculateRange(),
+            pulseToGrouping: this.calculatePulseToGrouping(),
             avgDeviation: avgDeviation,
-            density: density,
+            deviationEdo: this.deviationEdo || pitchCount,
+            density: LRCCore.calculateDensity(this.currentRhythms, this.currentGrid),
             compositeLength: this.currentCompositeRhythm.length,
             layerSum: layerSum,
-            pitchCount: uniqueTones.size,
+            pitchCount: pitchCount,
+            period: this.currentPeriod,
             spacesPlotByLayer: this.currentSpacesPlotByLayer,
             compositeRhythm: this.currentCompositeRhythm
         };
     }
 
     // ====================================
-    // ENHANCED RATIO ANALYSIS WITH FREQUENCY TRACKING
+    // RATIO ANALYSIS AND TONE ROWS
     // ====================================
 
     generateRatiosWithFrequency(spacesPlot) {
-        if (spacesPlot.length === 0) return { ratios: [], frequencies: new Map(), spacesMapping: new Map() };
-        
-        // Reset frequency tracking
-        this.ratioFrequencies.clear();
-        
-        const fundamental = Math.max(...spacesPlot);
-        const ratioMap = new Map();
-        const spacesMapping = new Map(); // Maps fraction -> array of spaces plot indices
-        
-        // Single pass through spaces plot - count frequency, sum grid occupation, AND track indices
-        spacesPlot.forEach((space, index) => {
-            if (space > 0) {
-                // Convert space to ratio and compress to single octave
-                let ratio = fundamental / space;
-                while (ratio >= 2) ratio /= 2;
-                while (ratio < 1) ratio *= 2;
-                
-                const fraction = this.decimalToFraction(ratio);
-                
-                // Track frequency count and grid occupation sum
-                if (ratioMap.has(fraction)) {
-                    const existing = ratioMap.get(fraction);
-                    existing.frequency++;
-                    existing.gridOccupation += space;
-                } else {
-                    ratioMap.set(fraction, {
-                        ratio: ratio,
-                        fraction: fraction,
-                        cents: this.ratioToCents(ratio),
-                        frequency: 1,
-                        gridOccupation: space
-                    });
-                }
-                
-                // Track spaces plot indices for this fraction
-                if (!spacesMapping.has(fraction)) {
-                    spacesMapping.set(fraction, []);
-                }
-                spacesMapping.get(fraction).push(index);
-            }
-        });
-        
-        // Store final frequencies
-        ratioMap.forEach((ratioData, fraction) => {
-            this.ratioFrequencies.set(fraction, ratioData.frequency);
-        });
-        
-        return {
-            ratios: Array.from(ratioMap.values()).sort((a, b) => a.ratio - b.ratio),
-            frequencies: this.ratioFrequencies,
-            spacesMapping: spacesMapping
-        };
+        const analysis = LRCCore.generateRatiosWithFrequency(spacesPlot, this.currentPeriod);
+        this.ratioFrequencies = analysis.frequencies;
+        return analysis;
     }
 
     calculateAverageDeviation(spacesPlot) {
-        if (!spacesPlot || spacesPlot.length === 0) {
-            return null;
-        }
-        
-        const fundamental = spacesPlot[0];
-        const ratios = new Set(["1/1"]); // Always include 1/1
-        let centsValues = [0]; // Array to store all cents values
-        
-        spacesPlot.forEach(space => {
-            if (space === fundamental) return;
-            let denominator = space;
-            while (denominator <= fundamental) {
-                const ratio = fundamental / denominator;
-                if (ratio > 1 && ratio <= 2) {
-                    const gcd = this.gcd(fundamental, denominator);
-                    const simplifiedNumerator = fundamental / gcd;
-                    const simplifiedDenominator = denominator / gcd;
-                    const ratioStr = `${simplifiedNumerator}/${simplifiedDenominator}`;
-                    ratios.add(ratioStr);
-                    const centsValue = this.ratioToCents(simplifiedNumerator / simplifiedDenominator);
-                    centsValues.push(centsValue);
-                }
-                denominator *= 2;
-            }
-        });
-        
-        // Sort and normalize the cents values to the same octave
-        centsValues = centsValues.map(c => Number((c % 1200).toFixed(20))).sort((a, b) => a - b);
-        
-        // For deviation calculation, ensure we have exactly 13 values including the octave
-        const deviationCentsValues = [...new Set(centsValues)];
-        deviationCentsValues.push(1200);
-        
-        // Only calculate for 12-tone scales (13 values including octave)
-        if (deviationCentsValues.length !== 13) {
-            return null;
-        }
-        
-        const deviations = [];
-        for (let i = 1; i < deviationCentsValues.length; i++) {
-            const intervalDistance = deviationCentsValues[i] - deviationCentsValues[i - 1];
-            const deviation = Math.abs(100 - intervalDistance);
-            deviations.push(deviation);
-        }
-        
-        // Calculate average deviation
-        const totalDeviation = deviations.reduce((sum, deviation) => sum + deviation, 0);
-        return deviations.length > 0 ? totalDeviation / deviations.length : null;
+        return LRCCore.calculateAverageDeviation(spacesPlot, this.currentPeriod, this.deviationEdo);
     }
 
-    // ====================================
-    // TONE ROW GENERATION FUNCTIONS
-    // ====================================
+    // Pick the EDO average deviation is measured against (empty/0 = pitch count)
+    setDeviationEdo(value) {
+        const edo = parseInt(value, 10);
+        this.deviationEdo = edo > 0 ? edo : null;
+        if (window.lrcHUD) window.lrcHUD.updateRhythmInfoFromModule();
+    }
 
     generateToneRowData(spacesPlot, fundamentalFreq = 110) {
-        if (!spacesPlot || spacesPlot.length === 0) return [];
-        
-        const fundamental = Math.max(...spacesPlot); // Largest space as fundamental
-        const toneRowData = [];
-        
-        spacesPlot.forEach((space, index) => {
-            const ratio = fundamental / space;
-            const frequency = fundamentalFreq * ratio;
-            
-            // Calculate octave for MIDI export
-            let octave = 1;
-            let tempRatio = ratio;
-            while (tempRatio >= 2) {
-                tempRatio /= 2;
-                octave++;
-            }
-            
-            toneRowData.push({
-                index: index,
-                spaceValue: space,
-                ratio: ratio,
-                frequency: frequency,
-                octave: octave,
-                cents: this.ratioToCents(ratio)
-            });
-        });
-        
-        return toneRowData;
+        return LRCCore.generateToneRowData(spacesPlot, fundamentalFreq, this.currentPeriod);
     }
 
     generateToneRowDataByLayer(spacesPlotByLayer, fundamentalFreq = 110) {
-        return spacesPlotByLayer.map(layerSpaces => {
-            return this.generateToneRowData(layerSpaces, fundamentalFreq);
-        });
+        return LRCCore.generateToneRowDataByLayer(spacesPlotByLayer, fundamentalFreq, this.currentPeriod);
     }
 
-    // ====================================
-    // UTILITY FUNCTIONS
-    // ====================================
-
     decimalToFraction(decimal) {
-        const tolerance = 1e-6;
-        let numerator = 1;
-        let denominator = 1;
-        let minError = Math.abs(decimal - 1);
-        
-        for (let d = 1; d <= 1000; d++) {
-            const n = Math.round(decimal * d);
-            const error = Math.abs(decimal - n/d);
-            
-            if (error < minError) {
-                minError = error;
-                numerator = n;
-                denominator = d;
-                
-                if (error < tolerance) break;
-            }
-        }
-        
-        // Simplify fraction
-        const gcd = this.gcd(numerator, denominator);
-        return `${numerator / gcd}/${denominator / gcd}`;
+        return LRCCore.decimalToFraction(decimal);
     }
 
     ratioToCents(ratio) {
-        return Math.log2(ratio) * 1200;
+        return LRCCore.ratioToCents(ratio);
     }
 
     checkSpecialScale(ratios, targetPitches = 12) {
-        const uniqueTones = new Set(ratios.map(r => r.fraction));
-        uniqueTones.delete("2/1"); // Exclude the octave
-        return uniqueTones.size === targetPitches;
+        return LRCCore.checkSpecialScale(ratios, targetPitches, this.currentPeriod);
     }
 
     // ====================================
@@ -429,16 +169,6 @@ class LRCModule {
         // Form submission is now handled by LRCHudController to prevent duplicate listeners
         // LRCHudController calls setRhythms() which calls generateRhythm()
 
-        // Individual input change handlers for real-time updates
-        ['layer-a', 'layer-b', 'layer-c', 'layer-d'].forEach(id => {
-            const input = document.getElementById(id);
-            if (input) {
-                input.addEventListener('input', () => {
-                    // Could add real-time preview here
-                });
-            }
-        });
-
         // Toggle buttons for collapsible sections
         this.setupToggleButtons();
     }
@@ -480,14 +210,12 @@ class LRCModule {
                 .split(/[\s,:;]+/)
                 .map(value => parseInt(value, 10))
                 .filter(value => Number.isInteger(value) && value > 0)
-                .slice(0, 4);
+                .slice(0, LRCLayers.MAX_LAYERS);
         } else {
-            const parameterAliases = [
-                ['a', 'layerA', 'layer-a'],
-                ['b', 'layerB', 'layer-b'],
-                ['c', 'layerC', 'layer-c'],
-                ['d', 'layerD', 'layer-d']
-            ];
+            const parameterAliases = LRCLayers.layerKeys(LRCLayers.MAX_LAYERS).map(key => {
+                const name = key.toUpperCase();
+                return [key, `layer${name}`, `layer-${key}`];
+            });
 
             launchLayers = parameterAliases.map(keys => {
                 for (const key of keys) {
@@ -506,11 +234,105 @@ class LRCModule {
             return null;
         }
 
-        while (launchLayers.length < 4) {
+        const layerCount = LRCLayers.layerCountFor(launchLayers);
+        while (launchLayers.length < layerCount) {
             launchLayers.push(0);
         }
 
-        return launchLayers.slice(0, 4);
+        return launchLayers.slice(0, layerCount);
+    }
+
+    // Rhythm Input renders one numeric input per layer (A, B, C, ...); read them in order.
+    getLayerInputs() {
+        return Array.from(document.querySelectorAll('#rhythm-form .layer-input input[type="number"]'));
+    }
+
+    readLayerInputValues() {
+        return this.getLayerInputs().map(input => parseInt(input.value) || 0);
+    }
+
+    // Phase offset field under each layer: grid ticks ('3') or a fraction of the cycle ('1/4').
+    // Raw strings are returned; LRCCore.resolveOffsets validates them against the grid.
+    getOffsetInputs() {
+        return Array.from(document.querySelectorAll('#rhythm-form .layer-input .layer-offset'));
+    }
+
+    readLayerOffsetValues() {
+        return this.getOffsetInputs().map(input => input.value.trim());
+    }
+
+    setLayerOffsets(offsets = []) {
+        this.getOffsetInputs().forEach((input, index) => {
+            const offset = offsets[index];
+            input.value = offset && offset !== '0' ? String(offset) : '';
+        });
+    }
+
+    // Cycle span field: how many master cycles one repetition of the layer covers ('2', '1/2').
+    getSpanInputs() {
+        return Array.from(document.querySelectorAll('#rhythm-form .layer-input .layer-span'));
+    }
+
+    readLayerSpanValues() {
+        return this.getSpanInputs().map(input => input.value.trim());
+    }
+
+    setLayerSpans(spans = []) {
+        this.getSpanInputs().forEach((input, index) => {
+            const span = spans[index];
+            input.value = span && span !== '1' ? String(span) : '';
+        });
+    }
+
+    // Period field accepts a ratio ('2/1', '3/1', '3/2') or cents ('1901.955', '1200c').
+    // Empty means octave; returns null when the entry can't be used as a period.
+    readPeriodInput() {
+        const input = document.getElementById('period-input');
+        if (!input || !input.value.trim()) return LRCCore.OCTAVE;
+        return LRCCore.parsePeriod(input.value);
+    }
+
+    setPeriodInput(period) {
+        const input = document.getElementById('period-input');
+        if (input) input.value = (period || LRCCore.OCTAVE).label;
+    }
+
+    // Grow or shrink the Rhythm Input layer fields (min 1, max LRCLayers.MAX_LAYERS).
+    // Existing values are kept; new fields start empty.
+    setLayerInputCount(count) {
+        const container = document.querySelector('#rhythm-form .layer-inputs');
+        if (!container) return 0;
+
+        const target = LRCLayers.clampCount(count);
+        let inputs = this.getLayerInputs();
+
+        while (inputs.length < target) {
+            const index = inputs.length;
+            const key = LRCLayers.layerKey(index);
+            const wrapper = document.createElement('div');
+            wrapper.className = 'layer-input';
+            wrapper.innerHTML = `
+                <label for="layer-${key}">${LRCLayers.layerName(index)}</label>
+                <input type="number" id="layer-${key}" name="layer-${key}" min="1">
+                <div class="layer-modifiers">
+                    <input type="text" class="layer-offset" id="offset-${key}" name="offset-${key}" placeholder="+0" title="Phase offset: grid ticks (3) or fraction of the cycle (1/4)" autocomplete="off">
+                    <input type="text" class="layer-span" id="span-${key}" name="span-${key}" placeholder="×1" title="Cycles per repetition: 2 = pulses over 2 cycles, 1/2 = pulses per half cycle" autocomplete="off">
+                </div>
+            `;
+            container.appendChild(wrapper);
+            inputs = this.getLayerInputs();
+        }
+
+        while (inputs.length > target) {
+            const last = inputs[inputs.length - 1];
+            (last.closest('.layer-input') || last).remove();
+            inputs = this.getLayerInputs();
+        }
+
+        const countDisplay = document.getElementById('layer-count-display');
+        if (countDisplay) countDisplay.textContent = String(target);
+
+        return target;
     }
 
     // ====================================
@@ -519,17 +341,12 @@ class LRCModule {
 
     generateRhythm() {
         console.log('Generating rhythm...');
-        
-        // CRITICAL: Stop all systems before generating new rhythm
-        this.stopAllSystems();
+
+        // A new submission supersedes whatever is still being generated
+        this.cancelAnalysis();
         
         // Get input values
-        const layerA = parseInt(document.getElementById('layer-a').value) || 0;
-        const layerB = parseInt(document.getElementById('layer-b').value) || 0;
-        const layerC = parseInt(document.getElementById('layer-c').value) || 0;
-        const layerD = parseInt(document.getElementById('layer-d').value) || 0;
-        
-        const layers = [layerA, layerB, layerC, layerD];
+        const layers = this.readLayerInputValues();
         const activeLayers = layers.filter(l => l > 0);
         
         if (activeLayers.length === 0) {
@@ -537,36 +354,74 @@ class LRCModule {
             return;
         }
         
-        console.log('Input layers:', layers);
-        
-        // Calculate grid (LCM)
-        this.currentGrid = this.calculateTotalLCM(...activeLayers);
-        
-        // Generate composite rhythm with layer tracking
-        const { rhythm, layerMap } = this.generateCompositeRhythm(layers);
-        this.currentCompositeRhythm = rhythm;
-        this.currentLayerMap = layerMap;
-        
-        // Generate spaces plot with layer tracking
-        const { spacesPlot, spacesLayerMap } = this.generateSpacesPlot(rhythm, this.currentGrid, layerMap);
-        this.currentSpacesPlot = spacesPlot;
-        this.currentSpacesLayerMap = spacesLayerMap;
-        
-        // Calculate spaces plot by layer (pass layers explicitly to avoid race condition)
-        this.currentSpacesPlotByLayer = this.calculateSpacesPlotByLayer(spacesPlot, spacesLayerMap, layers);
+        const period = this.readPeriodInput();
+        if (!period) {
+            alert('Period must be a ratio above 1/1 (e.g. 2/1, 3/1, 3/2) or a cents value (e.g. 1901.955)');
+            return;
+        }
         
-        // Generate ratios with frequency analysis
-        const ratioAnalysis = this.generateRatiosWithFrequency(spacesPlot);
-        this.currentRatios = ratioAnalysis.ratios;
-        this.currentSpacesMapping = ratioAnalysis.spacesMapping;
+        console.log('Input layers:', layers, 'period:', period.label);
         
-        // Store current rhythms
-        this.currentRhythms = layers;
+        const options = {
+            period,
+            offsets: this.readLayerOffsetValues(),
+            spans: this.readLayerSpanValues()
+        };
+
+        // Resolves with the analysis once applied (null if cancelled or refused)
+        return this.runAnalysis(layers, options)
+            .then((analysis) => {
+                // null = cancelled by a newer submission
+                if (analysis) this.applyAnalysis(analysis);
+                return analysis;
+            })
+            .catch((error) => {
+                this.handleAnalysisError(error);
+                return null;
+            });
+    }
+
+    // Every failure ends here: generateRhythm's callers don't catch, so nothing is rethrown
+    handleAnalysisError(error) {
+        if (error.code === 'OFFSET_INVALID' || error.code === 'OFFSET_OFF_GRID' || error.code === 'SPAN_INVALID') {
+            alert(error.message);
+            return;
+        }
+        if (error.code !== 'GRID_OVERFLOW') {
+            console.error('❌ Rhythm analysis failed:', error);
+            alert(`Could not generate this rhythm: ${error.message || error}`);
+            return;
+        }
+        // Refuse rather than show a rounded grid; the current rhythm keeps playing/displaying
+        console.warn('⚠️ Grid overflow:', error.message);
+        alert(`These layers are too large to analyse exactly.\n\nGrid (LCM) = ${error.grid.toLocaleString()}, which is beyond ${Number.MAX_SAFE_INTEGER.toLocaleString()}.\nTry smaller or less coprime layer values.`);
+    }
+
+    // Adopt a finished LRCCore.analyzeRhythm result as the current rhythm
+    applyAnalysis(analysis) {
+        // CRITICAL: Stop all systems before applying the new rhythm
+        this.stopAllSystems();
+
+        this.currentGrid = analysis.grid;
+        this.currentCompositeRhythm = analysis.compositeRhythm;
+        this.currentLayerMap = analysis.layerMap;
+        this.currentSpacesPlot = analysis.spacesPlot;
+        this.currentSpacesLayerMap = analysis.spacesLayerMap;
+        this.currentSpacesPlotByLayer = analysis.spacesPlotByLayer;
+        this.currentRatios = analysis.ratios;
+        this.currentSpacesMapping = analysis.spacesMapping;
+        this.ratioFrequencies = analysis.frequencies;
+        this.currentRhythms = analysis.layers;
+        this.currentPeriod = analysis.period;
+        this.currentOffsets = analysis.offsets;
+        this.currentLayerPulses = analysis.layerPulses;
+        this.currentSpans = analysis.spans;
+        this.currentHyperperiod = analysis.hyperperiod;
         
         console.log('Generation complete:', {
             grid: this.currentGrid,
-            compositeLength: rhythm.length,
-            spacesLength: spacesPlot.length,
+            compositeLength: this.currentCompositeRhythm.length,
+            spacesLength: this.currentSpacesPlot.length,
             ratiosCount: this.currentRatios.length
         });
         
@@ -581,6 +436,121 @@ class LRCModule {
         }, 0);
     }
 
+    // ====================================
+    // RHYTHM WORKER
+    // ====================================
+
+    // Resolves with the analysis, or null if a newer request cancelled it. Runs in
+    // LRCRhythmWorker when Workers are available, otherwise on the UI thread.
+    runAnalysis(layers, options) {
+        this.cancelAnalysis();
+
+        const worker = this.getRhythmWorker();
+        if (!worker) {
+            return new Promise(resolve => resolve(LRCCore.analyzeRhythm(layers, options)));
+        }
+
+        const id = ++this.analysisId;
+        return new Promise((resolve, reject) => {
+            this.pendingAnalysis = { id, resolve, reject, layers, options };
+            this.showGenerationProgress();
+            worker.postMessage({ id, layers, options });
+        });
+    }
+
+    // Analysis is one synchronous pass, so the only way to stop it is to drop the worker
+    cancelAnalysis() {
+        const pending = this.pendingAnalysis;
+        if (!pending) return;
+
+        console.log(`⏹️ Cancelling rhythm generation #${pending.id}`);
+        if (this.rhythmWorker) {
+            this.rhythmWorker.terminate();
+            this.rhythmWorker = null;
+        }
+        this.pendingAnalysis = null;
+        this.hideGenerationProgress();
+        pending.resolve(null);
+    }
+
+    getRhythmWorker() {
+        if (this.rhythmWorker) return this.rhythmWorker;
+        if (this.rhythmWorkerDisabled || typeof Worker === 'undefined') return null;
+
+        try {
+            this.rhythmWorker = new Worker(`${LRC_MODULE_DIR}LRCRhythmWorker.js`);
+        } catch (error) {
+            // e.g. pages opened from file:// cannot start workers
+            console.warn('⚠️ Rhythm worker unavailable, generating on the main thread:', error.message);
+            this.rhythmWorkerDisabled = true;
+            return null;
+        }
+
+        this.rhythmWorker.onmessage = (event) => this.handleWorkerMessage(event.data || {});
+        this.rhythmWorker.onerror = (event) => this.handleWorkerFailure(event);
+        return this.rhythmWorker;
+    }
+
+    handleWorkerMessage({ id, type, stage, fraction, analysis, error }) {
+        const pending = this.pendingAnalysis;
+        if (!pending || pending.id !== id) return;
+
+        if (type === 'progress') {
+            this.updateGenerationProgress(stage, fraction);
+            return;
+        }
+
+        this.pendingAnalysis = null;
+        this.hideGenerationProgress();
+        if (type === 'result') {
+            pending.resolve(analysis);
+        } else {
+            pending.reject(Object.assign(new Error(error.message), error));
+        }
+    }
+
+    // The worker script failed to load or crashed: finish this request here and stop using it
+    handleWorkerFailure(event) {
+        console.warn('⚠️ Rhythm worker failed, generating on the main thread:', event.message || event);
+        if (event.preventDefault) event.preventDefault();
+        if (this.rhythmWorker) this.rhythmWorker.terminate();
+        this.rhythmWorker = null;
+        this.rhythmWorkerDisabled = true;
+
+        const pending = this.pendingAnalysis;
+        if (!pending) return;
+        this.pendingAnalysis = null;
+        this.hideGenerationProgress();
+        try {
+            pending.resolve(LRCCore.analyzeRhythm(pending.layers, pending.options));
+        } catch (error) {
+            pending.reject(error);
+        }
+    }
+
+    showGenerationProgress() {
+        this.updateGenerationProgress('grid', 0);
+        clearTimeout(this.progressRevealTimer);
+        // Only rhythms that take a noticeable time get the bar
+        this.progressRevealTimer = setTimeout(() => {
+            const container = document.getElementById('rhythm-progress');
+            if (container) container.hidden = false;
+        }, 150);
+    }
+
+    updateGenerationProgress(stage, fraction) {
+        const bar = document.getElementById('rhythm-progress-bar');
+        const label = document.getElementById('rhythm-progress-label');
+        if (bar) bar.value = fraction;
+        if (label) label.textContent = `Generating: ${stage}…`;
+    }
+
+    hideGenerationProgress() {
+        clearTimeout(this.progressRevealTimer);
+        const container = document.getElementById('rhythm-progress');
+        if (container) container.hidden = true;
+    }
+
     // ====================================
     // SYSTEM CONTROL METHODS
     // ====================================
@@ -614,8 +584,9 @@ class LRCModule {
     // STANDALONE CALCULATION METHOD FOR EXTERNAL USE
     // ====================================
 
-    calculateRhythmDataStandalone(layerA, layerB, layerC, layerD) {
-        const layers = [layerA, layerB, layerC, layerD];
+    // Accepts either individual layer values or a single array of them.
+    calculateRhythmDataStandalone(...args) {
+        const layers = Array.isArray(args[0]) ? [...args[0]] : args;
         const activeLayers = layers.filter(l => l > 0);
         
         console.log('🔍 LRCModule standalone calculation for layers:', layers);
@@ -644,6 +615,10 @@ class LRCModule {
             const uniqueValues = new Set(rhythm);
             const nodeCount = uniqueValues.size;
             console.log('🔍 Calculated node count:', nodeCount);
+
+            // Scale in the current period and deviation EDO, so candidates compare like for like
+            const { ratios } = LRCCore.generateRatiosWithFrequency(spacesPlot, this.currentPeriod);
+            const pitchCount = LRCCore.countUniqueTones(ratios, this.currentPeriod);
             
             const result = {
                 layers,
@@ -653,7 +628,13 @@ class LRCModule {
                 spacesPlot,
                 spacesLayerMap,
                 nodeCount,
-                hp: grid // HP = Grid value
+                hp: grid, // HP = Grid value
+                period: this.currentPeriod,
+                ratios,
+                pitchCount,
+                range: LRCCore.calculateRange(layers),
+                avgDeviation: this.calculateAverageDeviation(spacesPlot),
+                deviationEdo: this.deviationEdo || pitchCount
             };
             
             console.log('✅ Standalone calculation completed successfully');
@@ -701,9 +682,9 @@ class LRCModule {
             return;
         }
         
-        const uniqueTones = new Set(this.currentRatios.map(r => r.fraction));
-        uniqueTones.delete("2/1"); // Exclude octave
-        scaleStats.textContent = `Pitches: ${uniqueTones.size}`;
+        const pitchCount = LRCCore.countUniqueTones(this.currentRatios, this.currentPeriod);
+        const periodNote = LRCCore.isOctave(this.currentPeriod) ? '' : ` (period ${this.currentPeriod.label})`;
+        scaleStats.textContent = `Pitches: ${pitchCount}${periodNote}`;
         
         const totalGrid = this.currentSpacesPlot.reduce((sum, space) => sum + space, 0);
         
@@ -793,8 +774,11 @@ class LRCModule {
                 layerMap: this.currentLayerMap,
                 spacesLayerMap: this.currentSpacesLayerMap, // Add this line
                 ratios: this.currentRatios,
+                period: this.currentPeriod,
                 grid: this.currentGrid,
-                rhythms: this.currentRhythms
+                rhythms: this.currentRhythms,
+                offsets: this.currentOffsets,
+                hyperperiod: this.currentHyperperiod
             }
         }));
     }
@@ -811,24 +795,28 @@ class LRCModule {
             layerMap: this.currentLayerMap,
             spacesLayerMap: this.currentSpacesLayerMap, // Add this line
             ratios: this.currentRatios,
+            period: this.currentPeriod,
             grid: this.currentGrid,
-            rhythms: this.currentRhythms
+            rhythms: this.currentRhythms,
+            offsets: this.currentOffsets,
+            layerPulses: this.currentLayerPulses,
+            spans: this.currentSpans,
+            hyperperiod: this.currentHyperperiod
         };
     }
 
-    setRhythms(layerA, layerB, layerC, layerD) {
-        const values = [layerA, layerB, layerC, layerD];
-        const inputIds = ['layer-a', 'layer-b', 'layer-c', 'layer-d'];
+    // Accepts either individual layer values or a single array of them.
+    setRhythms(...args) {
+        const values = Array.isArray(args[0]) ? args[0] : args;
 
-        inputIds.forEach((id, index) => {
-            const input = document.getElementById(id);
-            if (!input) return;
+        this.setLayerInputCount(LRCLayers.layerCountFor(values));
 
+        this.getLayerInputs().forEach((input, index) => {
             const value = parseInt(values[index], 10);
             input.value = Number.isInteger(value) && value > 0 ? value : '';
         });
 
-        this.generateRhythm();
+        return this.generateRhythm();
     }
 }
 
@@ -839,10 +827,11 @@ document.addEventListener('DOMContentLoaded', () => {
     lrcModule = new LRCModule();
     window.lrcModule = lrcModule; // Make globally accessible
 
-    const launchRhythms = lrcModule.getLaunchRhythmsFromUrl();
+    // A shared session link carries its own rhythm; LRCSession applies it once the HUD is up
+    const launchRhythms = LRCProject.readLinkParam(window.location) ? null : lrcModule.getLaunchRhythmsFromUrl();
     if (launchRhythms) {
         console.log('Loaded launch rhythm from URL:', launchRhythms.filter(value => value > 0).join(':'));
-        lrcModule.setRhythms(...launchRhythms);
+        lrcModule.setRhythms(launchRhythms);
         return;
     }
     
@@ -0,0 +1,265 @@
+// LRCPivots.js - Common-tone and pivot analysis between two rhythms' scales (no DOM)
+// Tries every transposition of scale B that puts one of its pitches on one of A's, matches the
+// transposed pitches to A's (common tones, then near tones within the window, one-to-one like
+// LRCCore.compareScales) and finds pivot families: consonance families of either scale whose
+// pitches all have a partner that is consonant in the other scale too. Candidates are ranked by
+// overlap, so the first is the fundamental transposition that shares the most. Matching every
+// offset costs about N_A · N_B², so only a shortlist is matched: the offsets with the most pitch
+// pairs within the window (an upper bound on the overlap), then the most exact hits - both cheap
+// to count. In dense scales, where nearly every offset reaches the bound, an offset sharing mostly
+// near tones can be passed over for one that shares more exact tones.
+//
+// Browser: window.LRCPivots (load LRCCore.js and LRCConsonance.js first). Node: module.exports.
+
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const Core = isNode ? require('./LRCCore.js') : (root && root.LRCCore);
+    const Consonance = isNode ? require('./LRCConsonance.js') : (root && root.LRCConsonance);
+
+    const EXACT_CENTS = 1e-3; // Transposed ratios are rounded floats; closer than this is the same pitch
+    const FAMILY_PITCH_LIMIT = 60; // Larger scales skip pivot families (clique search gets slow)
+    const DEFAULT_LIMIT = 20;
+    const SHORTLIST_SIZE = 400; // Offsets fully matched (at least `limit` of them)
+
+    // ====================================
+    // SCALES
+    // ====================================
+
+    // { ratios, pitchMap, families } for one side; families null above FAMILY_PITCH_LIMIT. The
+    // interval analysis behind pitchMap runs on first use: only the other side's families look
+    // pitches up there, so large scales compared with large scales skip it.
+    function prepareScale(ratios, consonance, families) {
+        let intervals;
+        const analyze = () => {
+            if (intervals === undefined) intervals = ratios.length >= 2 ? Consonance.analyzeIntervals(ratios, consonance) : null;
+            return intervals;
+        };
+        if (families === undefined) {
+            families = ratios.length <= FAMILY_PITCH_LIMIT && analyze() ? Consonance.extractFamilies(intervals) : null;
+        }
+        return {
+            ratios,
+            families,
+            get pitchMap() {
+                return analyze() ? intervals.pitchMap : new Map();
+            }
+        };
+    }
+
+    function wrapCents(cents, periodCents) {
+        return ((cents % periodCents) + periodCents) % periodCents;
+    }
+
+    // Signed distance from a to b around the period, in (-period/2, period/2]
+    function wrappedDiff(a, b, periodCents) {
+        const diff = wrapCents(b - a, periodCents);
+        return diff > periodCents / 2 ? diff - periodCents : diff;
+    }
+
+    // The transposition as a period-reduced fraction when both ratios are fractions, else null
+    function transpositionFraction(a, b, period) {
+        const fa = Core.parseFraction(a.fraction);
+        const fb = Core.parseFraction(b.fraction);
+        if (!fa || !fb || !period.numerator) return null;
+        try {
+            const reduced = Core.equaveReduce(fa.numerator * fb.denominator, fa.denominator * fb.numerator, period);
+            return reduced ? reduced.fraction : null;
+        } catch (error) {
+            return null; // Too large to reduce exactly; cents still label it
+        }
+    }
+
+    // ====================================
+    // MATCHING
+    // ====================================
+
+    // Position in sortedA ([{ index, cents }] by cents) of the pitch nearest `cents`, wrapping
+    function nearestPosition(sortedA, cents, periodCents) {
+        let low = 0;
+        let high = sortedA.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (sortedA[mid].cents < cents) low = mid + 1;
+            else high = mid;
+        }
+        const below = (low - 1 + sortedA.length) % sortedA.length;
+        const above = low % sortedA.length;
+        return Math.abs(wrappedDiff(cents, sortedA[below].cents, periodCents)) <= Math.abs(wrappedDiff(cents, sortedA[above].cents, periodCents))
+            ? below
+            : above;
+    }
+
+    // One-to-one pairs of A and transposed B pitches within the window, closest first.
+    // Each B pitch offers its nearest A pitch and that pitch's neighbours, which is enough
+    // for windows narrower than the scale's steps.
+    function matchPitches(sortedA, ratiosA, ratiosB, offset, windowCents, periodCents) {
+        const candidates = [];
+        ratiosB.forEach((b, j) => {
+            const cents = wrapCents(b.cents + offset, periodCents);
+            const position = nearestPosition(sortedA, cents, periodCents);
+            new Set([-1, 0, 1].map(step => (position + step + sortedA.length) % sortedA.length)).forEach(neighbour => {
+                const i = sortedA[neighbour].index;
+                const diff = wrappedDiff(ratiosA[i].cents, cents, periodCents);
+                if (Math.abs(diff) <= Math.max(windowCents, EXACT_CENTS)) candidates.push({ i, j, diff });
+            });
+        });
+        candidates.sort((x, y) => Math.abs(x.diff) - Math.abs(y.diff));
+
+        const usedA = new Set();
+        const usedB = new Set();
+        const pairs = [];
+        candidates.forEach(({ i, j, diff }) => {
+            if (usedA.has(i) || usedB.has(j)) return;
+            usedA.add(i);
+            usedB.add(j);
+            pairs.push({ i, j, diff, exact: Math.abs(diff) < EXACT_CENTS });
+        });
+        return pairs;
+    }
+
+    function allPairsConsonant(pitchMap, indices) {
+        return indices.every((p, k) => indices.slice(k + 1).every(q => pitchMap.get(p)?.consonantWith.has(q)));
+    }
+
+    // Families of `from` whose pitches all have partners that are consonant together in `to`
+    function pivotFamilies(from, to, partner) {
+        if (!from.families) return [];
+        return from.families.flatMap(family => {
+            const partners = family.pitchIndices.map(index => partner.get(index));
+            if (partners.some(index => index === undefined) || !allPairsConsonant(to.pitchMap, partners)) return [];
+            return [{ pitchIndices: family.pitchIndices, partnerIndices: partners }];
+        });
+    }
+
+    // ====================================
+    // SHORTLIST
+    // ====================================
+
+    // First index in the sorted array with a value >= target
+    function lowerBound(sorted, target) {
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (sorted[mid] < target) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    // How many of the sorted pair offsets lie within windowCents of `cents` around the period.
+    // matchPitches pairs a subset of these one-to-one, so this bounds the overlap.
+    function pairsWithin(pairOffsets, cents, windowCents, periodCents) {
+        const count = (from, to) => lowerBound(pairOffsets, to) - lowerBound(pairOffsets, from);
+        const from = cents - windowCents;
+        const to = cents + windowCents + EXACT_CENTS; // Half-open; the slack covers float rounding
+        if (to - from >= periodCents) return pairOffsets.length;
+        if (from < 0) return count(0, to) + count(from + periodCents, periodCents);
+        if (to > periodCents) return count(from, periodCents) + count(0, to - periodCents);
+        return count(from, to);
+    }
+
+    // ====================================
+    // PIVOT CANDIDATES
+    // ====================================
+
+    // ratiosA / ratiosB: scale ratio objects ({ fraction, cents, ratio }) in the same period.
+    // consonance: LRCConsonance model options for the families; familiesA / familiesB reuse families
+    // already found (e.g. the Interconsonance panel's). limit 0 matches and returns every offset.
+    // Returns { candidates, familiesSkipped }.
+    function analyzePivots(ratiosA, ratiosB, {
+        period = Core.OCTAVE,
+        windowCents = 15,
+        consonance = {},
+        familiesA,
+        familiesB,
+        limit = DEFAULT_LIMIT
+    } = {}) {
+        if (ratiosA.length === 0 || ratiosB.length === 0) return { candidates: [], familiesSkipped: false };
+        const periodCents = (period || Core.OCTAVE).cents;
+        const a = prepareScale(ratiosA, consonance, familiesA);
+        const b = prepareScale(ratiosB, consonance, familiesB);
+        const sortedA = ratiosA.map((ratio, index) => ({ index, cents: wrapCents(ratio.cents, periodCents) }))
+            .sort((x, y) => x.cents - y.cents);
+
+        // Every offset that lands some B pitch exactly on some A pitch, with how many it lands
+        const offsets = new Map();
+        const pairOffsets = new Float64Array(ratiosA.length * ratiosB.length);
+        let pair = 0;
+        ratiosA.forEach(ratioA => ratiosB.forEach(ratioB => {
+            const cents = wrapCents(ratioA.cents - ratioB.cents, periodCents);
+            pairOffsets[pair++] = cents;
+            const key = Math.round(cents / EXACT_CENTS);
+            const existing = offsets.get(key) || offsets.get(key - 1) || offsets.get(key + 1);
+            if (existing) existing.hits++;
+            else offsets.set(key, { cents, a: ratioA, b: ratioB, hits: 1 });
+        }));
+
+        let shortlist = Array.from(offsets.values());
+        if (limit && shortlist.length > Math.max(limit, SHORTLIST_SIZE)) {
+            pairOffsets.sort();
+            const most = Math.min(ratiosA.length, ratiosB.length);
+            const window = Math.max(windowCents, EXACT_CENTS);
+            shortlist.forEach(offset => {
+                offset.bound = Math.min(most, pairsWithin(pairOffsets, offset.cents, window, periodCents));
+            });
+            shortlist = shortlist.sort((x, y) => y.bound - x.bound || y.hits - x.hits).slice(0, Math.max(limit, SHORTLIST_SIZE));
+        }
+
+        const candidates = shortlist.map(offset => {
+            const pairs = matchPitches(sortedA, ratiosA, ratiosB, offset.cents, windowCents, periodCents);
+            const partnerOfA = new Map(pairs.map(pair => [pair.i, pair.j]));
+            const partnerOfB = new Map(pairs.map(pair => [pair.j, pair.i]));
+
+            // A family found from both sides is one pivot
+            const families = new Map();
+            pivotFamilies(a, b, partnerOfA).forEach(({ pitchIndices, partnerIndices }) => {
+                families.set(pitchIndices.slice().sort((x, y) => x - y).join(','), { a: pitchIndices, b: partnerIndices });
+            });
+            pivotFamilies(b, a, partnerOfB).forEach(({ pitchIndices, partnerIndices }) => {
+                const key = partnerIndices.slice().sort((x, y) => x - y).join(',');
+                if (!families.has(key)) families.set(key, { a: partnerIndices, b: pitchIndices });
+            });
+
+            const toPair = ({ i, j, diff }) => ({ a: ratiosA[i].fraction, b: ratiosB[j].fraction, cents: ratiosA[i].cents, diff });
+            const common = pairs.filter(pair => pair.exact).map(toPair).sort((x, y) => x.cents - y.cents);
+            const near = pairs.filter(pair => !pair.exact).map(toPair).sort((x, y) => x.cents - y.cents);
+            const centsUp = wrapCents(offset.cents, periodCents);
+            return {
+                transposition: {
+                    fraction: transpositionFraction(offset.a, offset.b, period || Core.OCTAVE),
+                    cents: centsUp,
+                    signedCents: wrappedDiff(0, centsUp, periodCents) // The nearer way to move B's fundamental
+                },
+                common,
+                near,
+                families: Array.from(families.values()).map(family => ({
+                    ratiosA: family.a.map(i => ratiosA[i].fraction),
+                    ratiosB: family.b.map(j => ratiosB[j].fraction)
+                })),
+                overlap: common.length + near.length
+            };
+        });
+
+        candidates.sort((x, y) => y.overlap - x.overlap
+            || y.common.length - x.common.length
+            || y.families.length - x.families.length
+            || Math.abs(x.transposition.signedCents) - Math.abs(y.transposition.signedCents));
+
+        return {
+            candidates: limit ? candidates.slice(0, limit) : candidates,
+            familiesSkipped: !a.families || !b.families
+        };
+    }
+
+    const api = {
+        EXACT_CENTS,
+        FAMILY_PITCH_LIMIT,
+        analyzePivots
+    };
+
+    if (isNode) module.exports = api;
+    if (root) root.LRCPivots = api;
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : null));
@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import LRCCore from './LRCCore.js';
+import LRCPivots from './LRCPivots.js';
+
+test('pivots rank transpositions of B by the tones and families they share with A', () => {
+    const a = LRCCore.analyzeRhythm([8, 7, 6, 5]).ratios;
+    const b = LRCCore.analyzeRhythm([9, 7, 5, 4]).ratios;
+    const { candidates, familiesSkipped } = LRCPivots.analyzePivots(a, b, { windowCents: 15, limit: 0 });
+    assert.equal(familiesSkipped, false);
+
+    // B a fifth up lands five of its pitches on A's
+    const [best] = candidates;
+    assert.equal(best.transposition.fraction, '3/2');
+    assert.ok(Math.abs(best.transposition.signedCents + 498.045) < 0.001);
+    assert.deepEqual(best.common.map(pair => `${pair.a}=${pair.b}`), ['5/4=5/3', '21/16=7/4', '3/2=1/1', '7/4=7/6', '15/8=5/4']);
+    for (let i = 1; i < candidates.length; i++) assert.ok(candidates[i - 1].overlap >= candidates[i].overlap);
+
+    // Untransposed, the two share 1/1, 5/4 and 7/4 exactly
+    const unison = candidates.find(candidate => candidate.transposition.fraction === '1/1');
+    assert.deepEqual(unison.common.map(pair => pair.a), ['1/1', '5/4', '7/4']);
+    candidates.forEach(candidate => candidate.near.forEach(pair => assert.ok(Math.abs(pair.diff) <= 15)));
+
+    // Pivot families are consonant in both scales
+    const withFamilies = LRCPivots.analyzePivots(a, a, { limit: 1 }).candidates[0];
+    assert.equal(withFamilies.transposition.fraction, '1/1');
+    assert.equal(withFamilies.common.length, a.length);
+    assert.ok(withFamilies.families.length > 0);
+    withFamilies.families.forEach(family => assert.deepEqual(family.ratiosA, family.ratiosB));
+});
+
+test('large scales match only the offsets with the most exact hits', () => {
+    const large = LRCCore.analyzeRhythm([120, 119, 113, 109]).ratios;
+    const { candidates } = LRCPivots.analyzePivots(large, large);
+    assert.equal(candidates.length, 20);
+    assert.equal(candidates[0].transposition.fraction, '1/1');
+    assert.equal(candidates[0].common.length, large.length);
+
+    // Below the density where near tones dominate, the shortlist ranks as matching every offset does
+    const a = LRCCore.analyzeRhythm([31, 29, 23, 19]).ratios;
+    const b = LRCCore.analyzeRhythm([29, 27, 21, 17]).ratios;
+    assert.ok(a.length * b.length > 400);
+    const summary = result => result.candidates.map(c => `${c.transposition.cents.toFixed(3)} ${c.overlap} ${c.common.length}`);
+    assert.deepEqual(summary(LRCPivots.analyzePivots(a, b)), summary(LRCPivots.analyzePivots(a, b, { limit: 0 })).slice(0, 20));
+});
@@ -0,0 +1,168 @@
+// LRCProject.js - Versioned project format for saving, re-opening and sharing a whole session
+// Self-contained (no DOM). Works in browser (window.LRCProject) and Node (module.exports).
+//
+// A project is plain JSON: { format: 'lrc-project', version, savedAt, rhythm, playback, ... }.
+// Sections are owned by the modules that capture/apply them (see LRCSession.js); this file
+// only stamps, validates, migrates and packs projects into share links. When the schema
+// changes, bump VERSION and add a MIGRATIONS entry that upgrades the previous version by one step.
+
+(function (root) {
+    'use strict';
+
+    const FORMAT = 'lrc-project';
+    const VERSION = 1;
+    const FILE_EXTENSION = '.lrc.json';
+
+    // Share links carry a project in the URL hash: #session=<LINK_VERSION><z|j>.<base64url>
+    // (z = deflate-raw compressed JSON, j = plain JSON where CompressionStream is missing).
+    // The link version covers only this wrapper; the project inside migrates as usual.
+    const LINK_PARAM = 'session';
+    const LINK_VERSION = 1;
+
+    // MIGRATIONS[n] upgrades a version-n project to version n + 1
+    const MIGRATIONS = {};
+
+    function projectError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    function createProject(sections = {}) {
+        return {
+            format: FORMAT,
+            version: VERSION,
+            savedAt: new Date().toISOString(),
+            ...sections
+        };
+    }
+
+    // Walk a project forward one version at a time up to `target`
+    function migrateProject(project, migrations = MIGRATIONS, target = VERSION) {
+        let current = project;
+        while (current.version < target) {
+            const step = migrations[current.version];
+            if (typeof step !== 'function') {
+                throw projectError(`No migration from project version ${current.version}`, 'PROJECT_VERSION');
+            }
+            current = { ...step(current), version: current.version + 1 };
+        }
+        return current;
+    }
+
+    // Accepts file text or an already-parsed object; returns a current-version project.
+    // Throws PROJECT_INVALID for anything that isn't a project, PROJECT_VERSION for files
+    // written by a newer build.
+    function parseProject(input, migrations = MIGRATIONS, target = VERSION) {
+        let project = input;
+        if (typeof input === 'string') {
+            try {
+                project = JSON.parse(input);
+            } catch (error) {
+                throw projectError('Project file is not valid JSON', 'PROJECT_INVALID');
+            }
+        }
+
+        if (!project || typeof project !== 'object' || project.format !== FORMAT) {
+            throw projectError('Not a Large Rhythm Collider project file', 'PROJECT_INVALID');
+        }
+        if (!Number.isInteger(project.version) || project.version < 1) {
+            throw projectError('Project file has no valid version', 'PROJECT_INVALID');
+        }
+        if (project.version > target) {
+            throw projectError(`Project version ${project.version} is newer than this app supports (${target})`, 'PROJECT_VERSION');
+        }
+        if (!project.rhythm || !Array.isArray(project.rhythm.layers)) {
+            throw projectError('Project file has no rhythm layers', 'PROJECT_INVALID');
+        }
+
+        return migrateProject(project, migrations, target);
+    }
+
+    function serializeProject(project) {
+        return JSON.stringify(project, null, 2);
+    }
+
+    // 'lrc-project-8-7-6-5.lrc.json' - colons aren't allowed in every file system
+    function projectFileName(project) {
+        const layers = (project?.rhythm?.layers || []).filter(value => value > 0);
+        const base = layers.length ? layers.join('-') : 'untitled';
+        return `lrc-project-${base}${FILE_EXTENSION}`;
+    }
+
+    // ====================================
+    // SHARE LINKS
+    // ====================================
+
+    function bytesToBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function base64UrlToBytes(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    async function pipeBytes(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    async function encodeLink(project) {
+        const json = new TextEncoder().encode(JSON.stringify(project));
+        if (typeof CompressionStream === 'function') {
+            const deflated = await pipeBytes(json, new CompressionStream('deflate-raw'));
+            return `${LINK_VERSION}z.${bytesToBase64Url(deflated)}`;
+        }
+        return `${LINK_VERSION}j.${bytesToBase64Url(json)}`;
+    }
+
+    // Returns a current-version project; throws PROJECT_INVALID / PROJECT_VERSION like parseProject
+    async function decodeLink(text, migrations = MIGRATIONS, target = VERSION) {
+        const match = /^(\d+)([zj])\.([A-Za-z0-9_-]+)$/.exec(String(text || '').trim());
+        if (!match) throw projectError('Not a session link', 'PROJECT_INVALID');
+        if (Number(match[1]) > LINK_VERSION) {
+            throw projectError(`Link version ${match[1]} is newer than this app supports (${LINK_VERSION})`, 'PROJECT_VERSION');
+        }
+
+        let json;
+        try {
+            let bytes = base64UrlToBytes(match[3]);
+            if (match[2] === 'z') bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+            json = new TextDecoder().decode(bytes);
+        } catch (error) {
+            throw projectError('Session link is damaged or truncated', 'PROJECT_INVALID');
+        }
+        return parseProject(json, migrations, target);
+    }
+
+    // The encoded link from '#session=…' (or '?session=…'), or null. Takes window.location.
+    function readLinkParam(location) {
+        const fromHash = new URLSearchParams((location?.hash || '').replace(/^#/, '')).get(LINK_PARAM);
+        return fromHash || new URLSearchParams(location?.search || '').get(LINK_PARAM) || null;
+    }
+
+    const api = {
+        FORMAT,
+        VERSION,
+        FILE_EXTENSION,
+        LINK_PARAM,
+        LINK_VERSION,
+        MIGRATIONS,
+        createProject,
+        migrateProject,
+        parseProject,
+        serializeProject,
+        projectFileName,
+        encodeLink,
+        decodeLink,
+        readLinkParam
+    };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    if (root) root.LRCProject = api;
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : null));
@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import LRCProject from './LRCProject.js';
+
+test('projects round-trip through JSON and refuse foreign or newer files', () => {
+    const project = LRCProject.createProject({ rhythm: { layers: [8, 7, 6, 5], offsets: [0, 0, 0, 0], spans: ['1', '1', '1', '1'], period: '2/1' } });
+
+    assert.equal(project.format, 'lrc-project');
+    assert.equal(project.version, LRCProject.VERSION);
+    assert.deepEqual(LRCProject.parseProject(LRCProject.serializeProject(project)), project);
+    assert.equal(LRCProject.projectFileName(project), 'lrc-project-8-7-6-5.lrc.json');
+
+    assert.throws(() => LRCProject.parseProject('{ nope'), { code: 'PROJECT_INVALID' });
+    assert.throws(() => LRCProject.parseProject({ format: 'other', version: 1, rhythm: { layers: [3] } }), { code: 'PROJECT_INVALID' });
+    assert.throws(() => LRCProject.parseProject({ ...project, rhythm: {} }), { code: 'PROJECT_INVALID' });
+    assert.throws(() => LRCProject.parseProject({ ...project, version: LRCProject.VERSION + 1 }), { code: 'PROJECT_VERSION' });
+});
+
+test('older projects are migrated forward one version at a time', () => {
+    const migrations = {
+        1: (p) => ({ ...p, rhythm: { ...p.rhythm, period: p.rhythm.period || '2/1' } }),
+        2: (p) => ({ ...p, playback: p.playback || {} })
+    };
+    const v1 = { format: 'lrc-project', version: 1, rhythm: { layers: [4, 3] } };
+
+    const migrated = LRCProject.parseProject(v1, migrations, 3);
+    assert.equal(migrated.version, 3);
+    assert.equal(migrated.rhythm.period, '2/1');
+    assert.deepEqual(migrated.playback, {});
+    assert.throws(() => LRCProject.migrateProject(v1, { 1: migrations[1] }, 3), { code: 'PROJECT_VERSION' });
+});
+
+test('share links pack a project into the URL and reject damaged or newer links', async () => {
+    const project = LRCProject.createProject({ rhythm: { layers: [5, 4, 3] }, selectedNotes: ['1/1', '5/4'], family: ['1/1', '5/4'] });
+
+    const encoded = await LRCProject.encodeLink(project);
+    assert.match(encoded, /^1[zj]\.[A-Za-z0-9_-]+$/);
+    assert.deepEqual(await LRCProject.decodeLink(encoded), project);
+    assert.equal(LRCProject.readLinkParam({ hash: `#session=${encoded}`, search: '' }), encoded);
+    assert.equal(LRCProject.readLinkParam({ hash: '', search: `?session=${encoded}` }), encoded);
+    assert.equal(LRCProject.readLinkParam({ hash: '', search: '?rhythm=8:7' }), null);
+
+    await assert.rejects(LRCProject.decodeLink('not a link'), { code: 'PROJECT_INVALID' });
+    await assert.rejects(LRCProject.decodeLink(`1z.${encoded.slice(3, 12)}`), { code: 'PROJECT_INVALID' });
+    await assert.rejects(LRCProject.decodeLink(`${LRCProject.LINK_VERSION + 1}${encoded.slice(1)}`), { code: 'PROJECT_VERSION' });
+});
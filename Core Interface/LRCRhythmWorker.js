@@ -0,0 +1,27 @@
+// LRCRhythmWorker.js - Runs LRCCore.analyzeRhythm off the UI thread
+// In:  { id, layers, options }            (options as for analyzeRhythm, minus onProgress)
+// Out: { id, type: 'progress', stage, fraction }
+//      { id, type: 'result', analysis }
+//      { id, type: 'error', error: { message, code, grid, layer } }
+// Cancellation is by terminate(): LRCModule drops the worker when a new rhythm is submitted.
+
+importScripts('LRCLayers.js', 'LRCCore.js');
+
+self.onmessage = (event) => {
+    const { id, layers, options = {} } = event.data || {};
+
+    try {
+        const analysis = LRCCore.analyzeRhythm(layers, {
+            ...options,
+            onProgress: (stage, fraction) => self.postMessage({ id, type: 'progress', stage, fraction })
+        });
+        self.postMessage({ id, type: 'result', analysis });
+    } catch (error) {
+        // Error objects lose their extra fields when cloned, so send them flat
+        self.postMessage({
+            id,
+            type: 'error',
+            error: { message: error.message, code: error.code, grid: error.grid, layer: error.layer }
+        });
+    }
+};
@@ -1,17 +1,24 @@
 // LRCSearch.js - Enhanced Search Algorithms for LRC
-// Handles special scale searches with configurable pitch counts
+// Handles special scale searches with configurable pitch counts. The algorithms themselves live in
+// LRCSearchAlgorithms.js and run sharded across a pool of LRCSearchWorker.js workers.
+
+// LRCSearchWorker.js sits next to this file
+const LRC_SEARCH_DIR = document.currentScript ? document.currentScript.src.replace(/[^/]*$/, '') : 'Core Interface/';
 
 class LRCSearch {
     constructor() {
         // Search state
-        this.isSearching = false;
+        this.activeSearch = null; // The running search: its shards, cursors and workers
+        this.searchWorkerDisabled = false;
         
         // Persistent result storage for each algorithm (accumulates between searches)
         this.algorithmResults = {
             rhythm: new Map(),
             grid: new Map(), 
             fundamental: new Map(),
-            inversePG: new Map()
+            inversePG: new Map(),
+            scale: new Map(),
+            pareto: new Map()
         };
         
         // Track searched combinations to avoid duplicates
@@ -19,28 +26,41 @@ class LRCSearch {
             rhythm: new Set(),
             grid: new Set(),
             fundamental: new Set(), 
-            inversePG: new Set()
+            inversePG: new Set(),
+            scale: new Set(),
+            pareto: new Set()
         };
         
-        // Track search progress to resume from where left off
+        // Track search progress to resume from where left off: { cursors: [one per shard, null when done] },
+        // or null to start fresh
         this.searchState = {
-            rhythm: { a: 1, b: 1, c: 1, d: 1 },
-            grid: { factorIndex: { i: 0, j: 0, k: 0, l: 0 } },
-            fundamental: { gridValue: 0 },
-            inversePG: { b: 1, c: 1, d: 1 }
+            rhythm: null,
+            grid: null,
+            fundamental: null,
+            inversePG: null,
+            scale: null,
+            pareto: null
         };
         
         // Search configuration
         this.targetPitches = 12; // Default to 12, can be set to null for 'any'
         this.maxSearchTime = 5; // Now in seconds
         this.rangeLimit = 100;
+        this.deviationEdo = null; // Avg Dev reference EDO, null = each result's pitch count
+        this.scaleTarget = null; // Parsed Scale Search target ({ description, period, cents })
+        this.constraints = null; // Ratio constraints (LRCSearchAlgorithms.parseConstraints), null = none
+        this.bounds = null; // Layer bounds (LRCSearchAlgorithms.parseBounds), null = defaults
+        this.consonance = {}; // Interconsonance panel's consonance model, for minConsonant and Pareto consonance
+        this.paretoObjectives = ['avgDeviation', 'range', 'consonance']; // Pareto Search's objectives
         
         // Sort state for each results table
         this.sortState = {
             rhythm: { column: 'grid', direction: 'asc' },
             grid: { column: 'grid', direction: 'asc' },
             fundamental: { column: 'grid', direction: 'asc' },
-            inversePG: { column: 'grid', direction: 'asc' }
+            inversePG: { column: 'grid', direction: 'asc' },
+            scale: { column: 'matchError', direction: 'asc' },
+            pareto: { column: 'avgDeviation', direction: 'asc' }
         };
 
         // UI yielding controls
@@ -52,31 +72,33 @@ class LRCSearch {
             rhythm: null,
             grid: null,
             fundamental: null,
-            inversePG: null
+            inversePG: null,
+            scale: null,
+            pareto: null
         };
         
-        // Search algorithms
+        // Search algorithms (used directly when Workers are unavailable)
         this.algorithms = {
-            rhythm: new RhythmLayerSearch(),
-            grid: new GridSearch(),
-            fundamental: new FundamentalSearch(),
-            inversePG: new InversePGSearch()
+            rhythm: LRCSearchAlgorithms.createSearch('rhythm'),
+            grid: LRCSearchAlgorithms.createSearch('grid'),
+            fundamental: LRCSearchAlgorithms.createSearch('fundamental'),
+            inversePG: LRCSearchAlgorithms.createSearch('inversePG'),
+            scale: LRCSearchAlgorithms.createSearch('scale'),
+            pareto: LRCSearchAlgorithms.createSearch('pareto')
         };
 
         this.resultContainers = {
             rhythm: 'rhythm-search-results',
             grid: 'grid-search-results',
             fundamental: 'fundamental-search-results',
-            inversePG: 'inverse-pg-results'
+            inversePG: 'inverse-pg-results',
+            scale: 'scale-search-results',
+            pareto: 'pareto-search-results'
         };
 
-        // Set parent reference for validation methods
-        Object.values(this.algorithms).forEach(algorithm => {
-            algorithm.lrcSearch = this;
-        });
-
         this.setupEventListeners();
         this.initializeResultContainers();
+        this.setupParetoChart();
         console.log('LRC Search module initialized with result accumulation');
     }
 
@@ -93,6 +115,12 @@ class LRCSearch {
         
         // Clear buttons
         this.setupClearButtons();
+
+        // Stop button for the running search
+        const stopButton = document.getElementById('search-stop-btn');
+        if (stopButton) {
+            stopButton.addEventListener('click', () => this.stopSearch());
+        }
     }
 
     setupConfigControls() {
@@ -157,6 +185,14 @@ class LRCSearch {
                 this.rangeLimit = parseFloat(e.target.value) || 100;
             });
         }
+
+        // Average deviation reference (blank = N-EDO)
+        const deviationEdoSelect = document.getElementById('search-deviation-edo');
+        if (deviationEdoSelect) {
+            deviationEdoSelect.addEventListener('change', (e) => {
+                this.deviationEdo = parseInt(e.target.value, 10) || null;
+            });
+        }
     }
 
     setupSearchForms() {
@@ -195,6 +231,35 @@ class LRCSearch {
                 this.performInversePGSearch();
             });
         }
+
+        // Scale Search (.scl files are loaded into the text box so they can be edited)
+        const scaleForm = document.getElementById('scale-search-form');
+        if (scaleForm) {
+            scaleForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.performScaleSearch();
+            });
+        }
+
+        // Pareto Search
+        const paretoForm = document.getElementById('pareto-search-form');
+        if (paretoForm) {
+            paretoForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.performParetoSearch();
+            });
+        }
+
+        const scaleFileInput = document.getElementById('scale-search-file');
+        const scaleTextInput = document.getElementById('scale-search-input');
+        if (scaleFileInput && scaleTextInput) {
+            scaleFileInput.addEventListener('change', async (e) => {
+                const file = e.target.files && e.target.files[0];
+                if (!file) return;
+                scaleTextInput.value = await file.text();
+                console.log(`📄 Loaded scale file ${file.name}`);
+            });
+        }
     }
 
     setupClearButtons() {
@@ -202,7 +267,9 @@ class LRCSearch {
             { btn: 'clear-rhythm-search', algorithm: 'rhythm', results: 'rhythm-search-results' },
             { btn: 'clear-grid-search', algorithm: 'grid', results: 'grid-search-results' },
             { btn: 'clear-fundamental-search', algorithm: 'fundamental', results: 'fundamental-search-results' },
-            { btn: 'clear-inverse-pg', algorithm: 'inversePG', results: 'inverse-pg-results' }
+            { btn: 'clear-inverse-pg', algorithm: 'inversePG', results: 'inverse-pg-results' },
+            { btn: 'clear-scale-search', algorithm: 'scale', results: 'scale-search-results' },
+            { btn: 'clear-pareto-search', algorithm: 'pareto', results: 'pareto-search-results' }
         ];
 
         clearButtons.forEach(({ btn, algorithm, results }) => {
@@ -246,6 +313,48 @@ class LRCSearch {
         return true;
     }
 
+    // Reads the ratio constraint and layer bound fields (shared by every algorithm)
+    validateConstraints() {
+        const field = (id) => document.getElementById(id)?.value || '';
+        const checked = (id) => !!document.getElementById(id)?.checked;
+        const layerFields = (prefix) => ['a', 'b', 'c', 'd'].map(layer => field(`${prefix}-${layer}`));
+        try {
+            this.constraints = LRCSearchAlgorithms.parseConstraints({
+                require: field('constraint-require'),
+                forbid: field('constraint-forbid'),
+                primeLimit: field('constraint-prime-limit'),
+                minConsonant: field('constraint-min-consonant'),
+                maxStepCents: field('constraint-max-step')
+            });
+            this.bounds = LRCSearchAlgorithms.parseBounds({
+                min: layerFields('bound-min'),
+                max: layerFields('bound-max'),
+                allowEqual: checked('bound-allow-equal'),
+                layerCount: field('bound-layer-count'),
+                smooth: field('bound-smooth'),
+                pairwiseCoprime: checked('bound-pairwise-coprime')
+            });
+        } catch (error) {
+            if (error.code !== 'CONSTRAINT_INVALID') throw error;
+            alert(error.message);
+            return false;
+        }
+
+        // Consonance is judged as the Interconsonance panel is set to judge it
+        const consonance = window.lrcInterconsonance ? window.lrcInterconsonance.readConsonanceModel() : {};
+        if (!consonance) return false;
+        this.consonance = consonance;
+        return true;
+    }
+
+    // Params-key entry for the consonance model, only when the search uses it so saved sets
+    // that never did still match
+    consonanceParams(algorithmName) {
+        return LRCSearchAlgorithms.usesConsonance(algorithmName, this.constraints)
+            ? { consonance: LRCConsonance.describeModel(this.consonance) }
+            : {};
+    }
+
     // ====================================
     // RESULT MANAGEMENT
     // ====================================
@@ -318,6 +427,10 @@ class LRCSearch {
                 return 'Fundamental Search';
             case 'inversePG':
                 return 'Inverse PG Search';
+            case 'scale':
+                return 'Scale Search';
+            case 'pareto':
+                return 'Pareto Search';
             default:
                 return 'Search';
         }
@@ -351,24 +464,15 @@ class LRCSearch {
     }
 
     clearAlgorithmResults(algorithmName) {
+        if (this.activeSearch?.algorithmName === algorithmName) {
+            this.stopSearch();
+        }
+
         this.algorithmResults[algorithmName].clear();
         this.searchedCombinations[algorithmName].clear();
         
         // Reset search state
-        switch(algorithmName) {
-            case 'rhythm':
-                this.searchState.rhythm = { a: 1, b: 1, c: 1, d: 1 };
-                break;
-            case 'grid':
-                this.searchState.grid = { factorIndex: { i: 0, j: 0, k: 0, l: 0 } };
-                break;
-            case 'fundamental':
-                this.searchState.fundamental = { gridValue: 0 };
-                break;
-            case 'inversePG':
-                this.searchState.inversePG = { b: 1, c: 1, d: 1 };
-                break;
-        }
+        this.searchState[algorithmName] = null;
         
         // Clear last search params
         this.lastSearchParams[algorithmName] = null;
@@ -384,6 +488,7 @@ class LRCSearch {
                 body.innerHTML = `<div class="no-results">No ${this.getSearchTitle(algorithmName)} results yet.</div>`;
             }
         }
+        if (algorithmName === 'pareto') this.renderParetoChart();
     }
 
     checkAndClearIfParamsChanged(algorithmName, currentParams) {
@@ -444,6 +549,10 @@ class LRCSearch {
             }
         }
         
+        if (algorithmName === 'pareto' && !this.updateParetoFront({ layers, ...result })) {
+            return false;
+        }
+
         // Store result
         this.algorithmResults[algorithmName].set(combinationKey, {
             layers: layers,
@@ -459,7 +568,7 @@ class LRCSearch {
     // ====================================
 
     async performRhythmLayerSearch() {
-        if (!this.validateMaxSearchTime()) return;
+        if (!this.validateMaxSearchTime() || !this.validateConstraints()) return;
 
         const layer = document.getElementById('search-layer').value;
         const value = parseInt(document.getElementById('search-layer-value').value);
@@ -474,36 +583,30 @@ class LRCSearch {
             layer: layer,
             value: value,
             targetPitches: this.targetPitches,
-            rangeLimit: this.rangeLimit
+            rangeLimit: this.rangeLimit,
+            deviationEdo: this.deviationEdo,
+            constraints: LRCSearchAlgorithms.describeConstraints(this.constraints),
+            bounds: LRCSearchAlgorithms.describeBounds(this.bounds),
+            ...this.consonanceParams('rhythm')
         };
         this.checkAndClearIfParamsChanged('rhythm', currentParams);
 
         console.log(`🔍 Starting ${layer} = ${value} search (accumulating results)`);
 
-        this.toggleSearchLoading('rhythm', true);
-        this.resetYieldClock();
-        const rhythmInitialYield = this.yieldIfNeeded(true);
-        if (rhythmInitialYield) {
-            await rhythmInitialYield;
-        }
-        try {
-            await this.algorithms.rhythm.search({
-                layer: layer,
-                value: value,
-                targetPitches: this.targetPitches,
-                maxSearchTime: this.maxSearchTime * 1000, // Convert to milliseconds
-                rangeLimit: this.rangeLimit,
-                algorithmName: 'rhythm'
-            });
-        } finally {
-            this.toggleSearchLoading('rhythm', false);
-        }
-
-        this.displayAccumulatedResults('rhythm-search-results', 'rhythm', 'Rhythm Layer Search');
+        await this.runSearch('rhythm', {
+            layer: layer,
+            value: value,
+            targetPitches: this.targetPitches,
+            rangeLimit: this.rangeLimit,
+            deviationEdo: this.deviationEdo,
+            constraints: this.constraints,
+            consonance: this.consonance,
+            bounds: this.bounds
+        });
     }
 
     async performGridSearch() {
-        if (!this.validateMaxSearchTime()) return;
+        if (!this.validateMaxSearchTime() || !this.validateConstraints()) return;
 
         const gridValue = parseInt(document.getElementById('search-grid-value').value);
         
@@ -516,35 +619,29 @@ class LRCSearch {
         const currentParams = {
             gridValue: gridValue,
             targetPitches: this.targetPitches,
-            rangeLimit: this.rangeLimit
+            rangeLimit: this.rangeLimit,
+            deviationEdo: this.deviationEdo,
+            constraints: LRCSearchAlgorithms.describeConstraints(this.constraints),
+            bounds: LRCSearchAlgorithms.describeBounds(this.bounds),
+            ...this.consonanceParams('grid')
         };
         this.checkAndClearIfParamsChanged('grid', currentParams);
 
         console.log(`🔍 Starting Grid ${gridValue} search (accumulating results)`);
 
-        this.toggleSearchLoading('grid', true);
-        this.resetYieldClock();
-        const gridInitialYield = this.yieldIfNeeded(true);
-        if (gridInitialYield) {
-            await gridInitialYield;
-        }
-        try {
-            await this.algorithms.grid.search({
-                gridValue: gridValue,
-                targetPitches: this.targetPitches,
-                maxSearchTime: this.maxSearchTime * 1000, // Convert to milliseconds
-                rangeLimit: this.rangeLimit,
-                algorithmName: 'grid'
-            });
-        } finally {
-            this.toggleSearchLoading('grid', false);
-        }
-
-        this.displayAccumulatedResults('grid-search-results', 'grid', 'Grid Search');
+        await this.runSearch('grid', {
+            gridValue: gridValue,
+            targetPitches: this.targetPitches,
+            rangeLimit: this.rangeLimit,
+            deviationEdo: this.deviationEdo,
+            constraints: this.constraints,
+            consonance: this.consonance,
+            bounds: this.bounds
+        });
     }
 
     async performFundamentalSearch() {
-        if (!this.validateMaxSearchTime()) return;
+        if (!this.validateMaxSearchTime() || !this.validateConstraints()) return;
 
         const fundamental = parseInt(document.getElementById('search-fundamental').value);
         const minLayerA = parseInt(document.getElementById('min-layer-a').value) || 1;
@@ -559,36 +656,30 @@ class LRCSearch {
             fundamental: fundamental,
             minLayerA: minLayerA,
             targetPitches: this.targetPitches,
-            rangeLimit: this.rangeLimit
+            rangeLimit: this.rangeLimit,
+            deviationEdo: this.deviationEdo,
+            constraints: LRCSearchAlgorithms.describeConstraints(this.constraints),
+            bounds: LRCSearchAlgorithms.describeBounds(this.bounds),
+            ...this.consonanceParams('fundamental')
         };
         this.checkAndClearIfParamsChanged('fundamental', currentParams);
 
         console.log(`🔍 Starting Fundamental ${fundamental} search (accumulating results)`);
 
-        this.toggleSearchLoading('fundamental', true);
-        this.resetYieldClock();
-        const fundamentalInitialYield = this.yieldIfNeeded(true);
-        if (fundamentalInitialYield) {
-            await fundamentalInitialYield;
-        }
-        try {
-            await this.algorithms.fundamental.search({
-                fundamental: fundamental,
-                minLayerA: minLayerA,
-                targetPitches: this.targetPitches,
-                maxSearchTime: this.maxSearchTime * 1000, // Convert to milliseconds
-                rangeLimit: this.rangeLimit,
-                algorithmName: 'fundamental'
-            });
-        } finally {
-            this.toggleSearchLoading('fundamental', false);
-        }
-
-        this.displayAccumulatedResults('fundamental-search-results', 'fundamental', 'Fundamental Search');
+        await this.runSearch('fundamental', {
+            fundamental: fundamental,
+            minLayerA: minLayerA,
+            targetPitches: this.targetPitches,
+            rangeLimit: this.rangeLimit,
+            deviationEdo: this.deviationEdo,
+            constraints: this.constraints,
+            consonance: this.consonance,
+            bounds: this.bounds
+        });
     }
 
     async performInversePGSearch() {
-        if (!this.validateMaxSearchTime()) return;
+        if (!this.validateMaxSearchTime() || !this.validateConstraints()) return;
 
         const layerA = parseInt(document.getElementById('inverse-pg-a').value);
         
@@ -601,30 +692,494 @@ class LRCSearch {
         const currentParams = {
             layerA: layerA,
             targetPitches: this.targetPitches,
-            rangeLimit: this.rangeLimit
+            rangeLimit: this.rangeLimit,
+            deviationEdo: this.deviationEdo,
+            constraints: LRCSearchAlgorithms.describeConstraints(this.constraints),
+            bounds: LRCSearchAlgorithms.describeBounds(this.bounds),
+            ...this.consonanceParams('inversePG')
         };
         this.checkAndClearIfParamsChanged('inversePG', currentParams);
 
         console.log(`🔍 Starting Inverse PG A=${layerA} search (accumulating results)`);
 
-        this.toggleSearchLoading('inversePG', true);
-        this.resetYieldClock();
-        const inverseInitialYield = this.yieldIfNeeded(true);
-        if (inverseInitialYield) {
-            await inverseInitialYield;
+        await this.runSearch('inversePG', {
+            layerA: layerA,
+            targetPitches: this.targetPitches,
+            rangeLimit: this.rangeLimit,
+            deviationEdo: this.deviationEdo,
+            constraints: this.constraints,
+            consonance: this.consonance,
+            bounds: this.bounds
+        });
+    }
+
+    async performScaleSearch() {
+        if (!this.validateMaxSearchTime() || !this.validateConstraints()) return;
+
+        const text = document.getElementById('scale-search-input').value;
+        const maxError = parseFloat(document.getElementById('scale-search-max-error').value);
+
+        if (!text.trim()) {
+            alert('Please enter a target scale (ratios or cents) or load a .scl file');
+            return;
         }
+
+        // Scala files start with '!' comment lines; anything else is a plain list
+        let target;
         try {
-            await this.algorithms.inversePG.search({
-                layerA: layerA,
-                maxSearchTime: this.maxSearchTime * 1000, // Convert to milliseconds
-                rangeLimit: this.rangeLimit,
-                algorithmName: 'inversePG'
+            target = /^\s*!/m.test(text) ? LRCCore.parseScala(text) : LRCCore.parseScaleList(text);
+        } catch (error) {
+            if (error.code !== 'SCALE_INVALID') throw error;
+            alert(error.message);
+            return;
+        }
+        this.scaleTarget = target;
+
+        // Check if parameters changed and clear results if needed
+        const currentParams = {
+            target: `${target.period.label}|${target.cents.map(c => c.toFixed(3)).join(',')}`,
+            maxError: Number.isFinite(maxError) ? maxError : null,
+            rangeLimit: this.rangeLimit,
+            deviationEdo: this.deviationEdo,
+            constraints: LRCSearchAlgorithms.describeConstraints(this.constraints),
+            bounds: LRCSearchAlgorithms.describeBounds(this.bounds),
+            ...this.consonanceParams('scale')
+        };
+        this.checkAndClearIfParamsChanged('scale', currentParams);
+
+        console.log(`🔍 Starting Scale search for ${target.cents.length} pitches in period ${target.period.label} (accumulating results)`);
+
+        await this.runSearch('scale', {
+            target,
+            maxError: currentParams.maxError,
+            rangeLimit: this.rangeLimit,
+            deviationEdo: this.deviationEdo,
+            constraints: this.constraints,
+            consonance: this.consonance,
+            bounds: this.bounds
+        });
+    }
+
+    async performParetoSearch() {
+        if (!this.validateMaxSearchTime() || !this.validateConstraints()) return;
+
+        const maxLayer = parseInt(document.getElementById('pareto-max-layer').value);
+        const objectives = Array.from(document.querySelectorAll('input[name="pareto-objective"]:checked'))
+            .map(input => input.value);
+
+        if (!maxLayer || maxLayer < 3) {
+            alert('Please enter a Max Layer A of at least 3');
+            return;
+        }
+        if (objectives.length < 2) {
+            alert('Choose at least two objectives to trade off');
+            return;
+        }
+        if (objectives.includes('pitchDistance') && this.targetPitches === null) {
+            alert('Set Pitches to use "Pitches near target" as an objective');
+            return;
+        }
+
+        // Check if parameters changed and clear results if needed
+        const currentParams = {
+            maxLayer: maxLayer,
+            objectives: objectives.join(','),
+            targetPitches: this.targetPitches,
+            rangeLimit: this.rangeLimit,
+            deviationEdo: this.deviationEdo,
+            constraints: LRCSearchAlgorithms.describeConstraints(this.constraints),
+            bounds: LRCSearchAlgorithms.describeBounds(this.bounds),
+            ...this.consonanceParams('pareto')
+        };
+        this.checkAndClearIfParamsChanged('pareto', currentParams);
+        this.paretoObjectives = objectives;
+
+        console.log(`🔍 Starting Pareto search over ${objectives.join(', ')} up to A = ${maxLayer} (accumulating results)`);
+
+        await this.runSearch('pareto', {
+            maxLayer: maxLayer,
+            objectives: objectives,
+            targetPitches: this.targetPitches,
+            rangeLimit: this.rangeLimit,
+            deviationEdo: this.deviationEdo,
+            constraints: this.constraints,
+            consonance: this.consonance,
+            bounds: this.bounds
+        });
+    }
+
+    // ====================================
+    // SEARCH RUNNER
+    // ====================================
+
+    // One shard per core, capped so big machines don't flood the page with workers
+    getShardCount() {
+        if (this.searchWorkerDisabled || typeof Worker === 'undefined') return 1;
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.max(1, Math.min(cores, 8));
+    }
+
+    createSearchWorker() {
+        if (this.searchWorkerDisabled || typeof Worker === 'undefined') return null;
+
+        try {
+            return new Worker(`${LRC_SEARCH_DIR}LRCSearchWorker.js`);
+        } catch (error) {
+            // e.g. pages opened from file:// cannot start workers
+            console.warn('⚠️ Search worker unavailable, searching on the main thread:', error.message);
+            this.searchWorkerDisabled = true;
+            return null;
+        }
+    }
+
+    // Runs an algorithm for up to maxSearchTime with every shard in parallel, streaming results
+    // into its table. Shard cursors are kept in searchState, so a stopped or timed-out search
+    // carries on where it left off the next time it runs with the same parameters.
+    async runSearch(algorithmName, params) {
+        this.stopSearch(); // One search at a time
+
+        // Not in memory, but maybe saved by an earlier session
+        if (this.algorithmResults[algorithmName].size === 0 && !this.searchState[algorithmName]) {
+            await this.restoreFromLibrary(algorithmName);
+            this.stopSearch();
+        }
+
+        const search = this.algorithms[algorithmName];
+        const saved = this.searchState[algorithmName];
+        const shards = saved ? saved.cursors.length : this.getShardCount();
+        const cursors = saved
+            ? [...saved.cursors]
+            : Array.from({ length: shards }, (_, shard) => search.initialState(params, shard, shards));
+
+        const run = {
+            algorithmName,
+            params,
+            shards,
+            cursors,
+            progress: cursors.map(cursor => (cursor === null ? 1 : 0)),
+            workers: [],
+            skip: Array.from(this.searchedCombinations[algorithmName]),
+            budgetMs: this.maxSearchTime * 1000,
+            startTime: Date.now(),
+            startShare: null,
+            found: 0,
+            pending: 0,
+            renderTimer: null,
+            resolve: null
+        };
+        this.activeSearch = run;
+
+        console.log(`🧵 ${this.getSearchTitle(algorithmName)}: ${saved ? 'resuming' : 'starting'} ${shards} shard(s)`);
+        this.toggleSearchLoading(algorithmName, true);
+        this.updateSearchProgress(run);
+
+        await new Promise((resolve) => {
+            run.resolve = resolve;
+            cursors.forEach((cursor, shard) => {
+                if (cursor === null) return;
+                run.pending++;
+                this.startShard(run, shard);
             });
-        } finally {
-            this.toggleSearchLoading('inversePG', false);
+            if (run.pending === 0) this.finishSearch(run);
+        });
+    }
+
+    startShard(run, shard) {
+        const worker = this.createSearchWorker();
+        if (!worker) {
+            this.runShardOnMainThread(run, shard);
+            return;
         }
 
-        this.displayAccumulatedResults('inverse-pg-results', 'inversePG', 'Inverse PG Search');
+        run.workers[shard] = worker;
+        worker.onmessage = (event) => this.handleShardUpdate(run, shard, event.data || {});
+        // The worker script failed to load or crashed: carry on with this shard here
+        worker.onerror = (event) => {
+            if (event.preventDefault) event.preventDefault();
+            worker.terminate();
+            run.workers[shard] = null;
+            if (run !== this.activeSearch) return;
+            console.warn('⚠️ Search worker failed, searching on the main thread:', event.message || event);
+            this.searchWorkerDisabled = true;
+            this.runShardOnMainThread(run, shard);
+        };
+        worker.postMessage({
+            id: shard,
+            algorithm: run.algorithmName,
+            params: run.params,
+            state: run.cursors[shard],
+            shards: run.shards,
+            skip: run.skip,
+            budgetMs: Math.max(0, run.budgetMs - (Date.now() - run.startTime))
+        });
+    }
+
+    // Same scan as LRCSearchWorker.js, in short slices between frames
+    async runShardOnMainThread(run, shard) {
+        const search = this.algorithms[run.algorithmName];
+        const seen = new Set(run.skip);
+        const stopAt = run.startTime + run.budgetMs;
+        let cursor = run.cursors[shard];
+
+        while (run === this.activeSearch) {
+            let slice;
+            try {
+                const deadline = Math.min(stopAt, Date.now() + this.yieldIntervalMs);
+                slice = LRCSearchAlgorithms.runScan(search, run.params, cursor, run.shards, seen, deadline);
+            } catch (error) {
+                this.handleShardUpdate(run, shard, { type: 'error', error: { message: error.message } });
+                return;
+            }
+            cursor = slice.state;
+
+            const type = slice.done ? 'done' : (Date.now() >= stopAt ? 'paused' : 'progress');
+            this.handleShardUpdate(run, shard, { type, results: slice.results, state: cursor, progress: slice.progress });
+            if (type !== 'progress') return;
+            await this.yieldIfNeeded(true);
+        }
+    }
+
+    handleShardUpdate(run, shard, { type, results, state, progress, error }) {
+        if (run !== this.activeSearch) return;
+
+        if (type === 'error') {
+            // The shard keeps its last cursor, so searching again retries from there
+            console.error(`❌ ${this.getSearchTitle(run.algorithmName)} shard ${shard + 1} failed:`, error?.message);
+            this.endShard(run, shard);
+            return;
+        }
+
+        (results || []).forEach(({ layers, result }) => {
+            if (this.addResult(run.algorithmName, layers, result)) run.found++;
+        });
+        run.cursors[shard] = state;
+        run.progress[shard] = progress;
+        if (results?.length) this.scheduleResultsRender(run);
+        this.updateSearchProgress(run);
+
+        if (type !== 'progress') this.endShard(run, shard);
+    }
+
+    endShard(run, shard) {
+        if (run.workers[shard]) run.workers[shard].terminate();
+        run.workers[shard] = null;
+        run.pending--;
+        if (run.pending === 0) this.finishSearch(run);
+    }
+
+    // Stop keeps each shard's last reported cursor, so the next search resumes from there
+    stopSearch() {
+        if (this.activeSearch) this.finishSearch(this.activeSearch, true);
+    }
+
+    finishSearch(run, stopped = false) {
+        if (run !== this.activeSearch) return;
+        this.activeSearch = null;
+        run.workers.forEach(worker => worker?.terminate());
+        clearTimeout(run.renderTimer);
+
+        const remaining = run.cursors.some(cursor => cursor !== null);
+        this.searchState[run.algorithmName] = remaining ? { cursors: run.cursors } : null;
+        this.saveToLibrary(run.algorithmName);
+
+        const title = this.getSearchTitle(run.algorithmName);
+        this.toggleSearchLoading(run.algorithmName, false);
+        this.updateSearchProgress(null);
+        this.displayAccumulatedResults(this.getResultsContainerId(run.algorithmName), run.algorithmName, title);
+
+        if (stopped) {
+            console.log(`⏹️ ${title} stopped. Found ${run.found} new results.`);
+        } else if (remaining) {
+            console.log(`⏰ Time limit reached for ${title}. Found ${run.found} new results.`);
+        } else {
+            console.log(`✅ ${title} completed. Found ${run.found} new results.`);
+        }
+        if (run.resolve) run.resolve();
+    }
+
+    // Results stream in from every shard; redraw the table a few times a second at most
+    scheduleResultsRender(run) {
+        if (run.renderTimer) return;
+        run.renderTimer = setTimeout(() => {
+            run.renderTimer = null;
+            if (run !== this.activeSearch) return;
+            this.toggleSearchLoading(run.algorithmName, false);
+            this.displayAccumulatedResults(this.getResultsContainerId(run.algorithmName), run.algorithmName, this.getSearchTitle(run.algorithmName));
+        }, 250);
+    }
+
+    updateSearchProgress(run) {
+        const container = document.getElementById('search-progress');
+        if (!container) return;
+        container.hidden = !run;
+        if (!run) return;
+
+        const bar = document.getElementById('search-progress-bar');
+        const label = document.getElementById('search-progress-label');
+        const elapsed = Date.now() - run.startTime;
+        const timeLeft = Math.max(0, run.budgetMs - elapsed);
+
+        // Share of the search space covered; Fundamental Search has no end, so only time is shown
+        const shares = run.progress;
+        const share = shares.every(value => value !== null)
+            ? shares.reduce((sum, value) => sum + value, 0) / shares.length
+            : null;
+        if (run.startShare === null && share !== null) run.startShare = share;
+
+        let estimate = timeLeft;
+        if (share !== null && share > run.startShare) {
+            const rate = (share - run.startShare) / elapsed;
+            estimate = Math.min(timeLeft, (1 - share) / rate);
+        }
+
+        if (bar) bar.value = share === null ? elapsed / run.budgetMs : share;
+        if (label) {
+            const parts = [`${this.getSearchTitle(run.algorithmName)}: ${run.found} new`];
+            if (share !== null) parts.push(`${(share * 100).toFixed(share < 0.1 ? 2 : 1)}% searched`);
+            parts.push(`~${Math.ceil(estimate / 1000)}s left`);
+            label.textContent = parts.join(' · ');
+        }
+    }
+
+    // ====================================
+    // PARETO FRONT
+    // ====================================
+
+    // Pareto Search keeps only results that no other result matches or beats on every objective
+    updateParetoFront(result) {
+        const results = this.algorithmResults.pareto;
+        const objectives = this.paretoObjectives;
+        const front = Array.from(results.values());
+        if (front.some(member => LRCSearchAlgorithms.dominates(member, result, objectives))) return false;
+
+        front.forEach(member => {
+            if (LRCSearchAlgorithms.dominates(result, member, objectives)) {
+                results.delete(member.layers.join(':'));
+            }
+        });
+        return true;
+    }
+
+    setupParetoChart() {
+        ['pareto-x', 'pareto-y'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.addEventListener('change', () => this.renderParetoChart());
+        });
+
+        const chart = document.getElementById('pareto-chart');
+        if (chart) {
+            chart.addEventListener('click', (event) => {
+                const point = event.target.closest('[data-layers]');
+                if (point) this.applyResult(point.dataset.layers.split(':').map(Number), 'pareto');
+            });
+        }
+    }
+
+    // Scatter plot of the front on two of its objectives; clicking a point applies that rhythm
+    renderParetoChart() {
+        const panel = document.getElementById('pareto-chart-panel');
+        const chart = document.getElementById('pareto-chart');
+        const xSelect = document.getElementById('pareto-x');
+        const ySelect = document.getElementById('pareto-y');
+        if (!panel || !chart || !xSelect || !ySelect) return;
+
+        const results = Array.from(this.algorithmResults.pareto.values());
+        const objectives = this.paretoObjectives;
+        panel.hidden = results.length === 0;
+        if (results.length === 0) {
+            chart.innerHTML = '';
+            return;
+        }
+
+        // Axis choices follow the objectives the front was built on
+        const options = objectives.map(objective => `<option value="${objective}">${LRCSearchAlgorithms.OBJECTIVES[objective].label}</option>`).join('');
+        [[xSelect, 0], [ySelect, 1]].forEach(([select, fallback]) => {
+            const selected = select.value;
+            if (select.dataset.objectives !== objectives.join(',')) {
+                select.innerHTML = options;
+                select.dataset.objectives = objectives.join(',');
+            }
+            select.value = objectives.includes(selected) ? selected : objectives[fallback];
+        });
+
+        const xKey = xSelect.value;
+        const yKey = ySelect.value;
+        const width = 320;
+        const height = 200;
+        const pad = { left: 42, right: 10, top: 10, bottom: 28 };
+        const points = results.filter(result => Number.isFinite(result[xKey]) && Number.isFinite(result[yKey]));
+
+        const extent = (key) => {
+            const values = points.map(result => result[key]);
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+            return min === max ? [min - 1, max + 1] : [min, max];
+        };
+        const [xMin, xMax] = points.length ? extent(xKey) : [0, 1];
+        const [yMin, yMax] = points.length ? extent(yKey) : [0, 1];
+        const x = value => pad.left + (value - xMin) / (xMax - xMin) * (width - pad.left - pad.right);
+        const y = value => height - pad.bottom - (value - yMin) / (yMax - yMin) * (height - pad.top - pad.bottom);
+        const format = value => (Math.abs(value) >= 100 ? value.toFixed(0) : value.toFixed(2));
+        const axisLabel = key => {
+            const { label, better } = LRCSearchAlgorithms.OBJECTIVES[key];
+            return `${label} (${better === 'min' ? 'lower' : 'higher'} is better)`;
+        };
+        const describe = result => objectives
+            .map(objective => `${LRCSearchAlgorithms.OBJECTIVES[objective].label} ${result[objective] != null ? format(result[objective]) : 'N/A'}`)
+            .join(', ');
+
+        chart.innerHTML = `
+            <line class="pareto-axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}"></line>
+            <line class="pareto-axis" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}"></line>
+            <text class="pareto-tick" x="${pad.left}" y="${height - pad.bottom + 10}" text-anchor="start">${format(xMin)}</text>
+            <text class="pareto-tick" x="${width - pad.right}" y="${height - pad.bottom + 10}" text-anchor="end">${format(xMax)}</text>
+            <text class="pareto-tick" x="${pad.left - 4}" y="${height - pad.bottom}" text-anchor="end">${format(yMin)}</text>
+            <text class="pareto-tick" x="${pad.left - 4}" y="${pad.top + 6}" text-anchor="end">${format(yMax)}</text>
+            <text class="pareto-label" x="${(pad.left + width - pad.right) / 2}" y="${height - 4}" text-anchor="middle">${axisLabel(xKey)}</text>
+            <text class="pareto-label" x="10" y="${(pad.top + height - pad.bottom) / 2}" text-anchor="middle"
+                transform="rotate(-90 10 ${(pad.top + height - pad.bottom) / 2})">${axisLabel(yKey)}</text>
+            ${points.map(result => `
+                <circle class="pareto-point" cx="${x(result[xKey]).toFixed(1)}" cy="${y(result[yKey]).toFixed(1)}" r="4"
+                    data-layers="${result.layers.join(':')}">
+                    <title>${result.layers.join(':')}: ${describe(result)}</title>
+                </circle>`).join('')}
+        `;
+    }
+
+    // ====================================
+    // SAVED RESULTS (LRCSearchLibraryUI)
+    // ====================================
+
+    async restoreFromLibrary(algorithmName) {
+        const library = window.lrcSearchLibrary;
+        const params = this.lastSearchParams[algorithmName];
+        if (!library || !params) return;
+
+        try {
+            const saved = await library.loadSet(algorithmName, params);
+            if (!saved) return;
+            saved.records.forEach(record => {
+                const result = LRCSearchLibrary.fromRecord(record);
+                const combinationKey = result.layers.join(':');
+                this.searchedCombinations[algorithmName].add(combinationKey);
+                this.algorithmResults[algorithmName].set(combinationKey, result);
+            });
+            this.searchState[algorithmName] = saved.set.searchState || null;
+            console.log(`📚 Restored ${saved.records.length} saved ${this.getSearchTitle(algorithmName)} results`);
+        } catch (error) {
+            console.warn('⚠️ Could not read the search library:', error.message);
+        }
+    }
+
+    // Runs in the background; a failing library never holds up searching
+    saveToLibrary(algorithmName) {
+        const library = window.lrcSearchLibrary;
+        const params = this.lastSearchParams[algorithmName];
+        if (!library || !params) return;
+
+        const results = Array.from(this.algorithmResults[algorithmName].values());
+        library.saveSearch(algorithmName, params, results, this.searchState[algorithmName])
+            .catch(error => console.warn('⚠️ Could not save to the search library:', error.message));
     }
 
     // ====================================
@@ -637,6 +1192,7 @@ class LRCSearch {
 
         const { body } = this.ensureSearchContainerStructure(container, algorithmName);
         if (!body) return;
+        if (algorithmName === 'pareto') this.renderParetoChart();
 
         const resultsMap = this.algorithmResults[algorithmName];
         const resultsArray = Array.from(resultsMap.entries()).map(([, value]) => value);
@@ -651,9 +1207,14 @@ class LRCSearch {
         this.sortResultsArray(resultsArray, sortState.column, sortState.direction);
 
         // Determine which columns to show
-        const showPitchesColumn = (algorithmName === 'inversePG') || (this.targetPitches === null); // Show for Inverse PG or when target pitches is blank
+        const showPitchesColumn = (algorithmName === 'inversePG') || (algorithmName === 'pareto') || (this.targetPitches === null); // Show for Inverse PG, Pareto or when target pitches is blank
         const showPgColumn = algorithmName === 'inversePG';
-        const showAvgDevColumn = this.targetPitches === 12; // Only show for 12-tone searches
+        const showMatchColumn = algorithmName === 'scale';
+        const showConsonanceColumn = algorithmName === 'pareto';
+        const avgDevLabel = this.deviationEdo ? `${this.deviationEdo}-EDO` : 'N-EDO';
+        const lastParams = this.lastSearchParams[algorithmName] || {};
+        const constraintsLabel = [lastParams.constraints, lastParams.bounds].filter(Boolean).join(' · ');
+        const consonanceLabel = lastParams.consonance || LRCConsonance.describeModel(this.consonance);
 
         // Helper function to add sort indicators
         const getSortClass = (column) => {
@@ -666,6 +1227,7 @@ class LRCSearch {
         let html = `
             <div class="search-results-header">
                 <h4>${searchType} Results: ${resultsArray.length}</h4>
+                ${constraintsLabel ? `<div class="search-constraints">Constraints: ${constraintsLabel}</div>` : ''}
             </div>
             <div class="results-table-container">
                 <table class="results-table">
@@ -678,16 +1240,22 @@ class LRCSearch {
             html += `<th class="${getSortClass('pitches')}" onclick="window.lrcSearch.sortSearchResults('${containerId}', 'pitches')">Pitches</th>`;
         }
 
-        if (showAvgDevColumn) {
-            html += `<th class="${getSortClass('avgDeviation')}" onclick="window.lrcSearch.sortSearchResults('${containerId}', 'avgDeviation')">Avg Dev</th>`;
+        if (showMatchColumn) {
+            html += `<th class="${getSortClass('matchError')}" onclick="window.lrcSearch.sortSearchResults('${containerId}', 'matchError')" title="Summed cents distance from the target scale">Match</th>`;
         }
 
+        html += `<th class="${getSortClass('avgDeviation')}" onclick="window.lrcSearch.sortSearchResults('${containerId}', 'avgDeviation')" title="Average deviation from ${avgDevLabel}">Avg Dev (${avgDevLabel})</th>`;
+
         html += `           <th class="${getSortClass('range')}" onclick="window.lrcSearch.sortSearchResults('${containerId}', 'range')">Range</th>`;
 
         if (showPgColumn) {
             html += `<th class="${getSortClass('pgRatio')}" onclick="window.lrcSearch.sortSearchResults('${containerId}', 'pgRatio')">P/G</th>`;
         }
 
+        if (showConsonanceColumn) {
+            html += `<th class="${getSortClass('consonance')}" onclick="window.lrcSearch.sortSearchResults('${containerId}', 'consonance')" title="Share of intervals consonant under ${consonanceLabel}">Consonance</th>`;
+        }
+
         html += `           <th>Action</th>
                         </tr>
                     </thead>
@@ -695,7 +1263,7 @@ class LRCSearch {
         `;
 
         resultsArray.forEach((result) => {
-            const avgDev = result.avgDeviation ? result.avgDeviation.toFixed(3) : 'N/A';
+            const avgDev = result.avgDeviation != null ? result.avgDeviation.toFixed(3) : 'N/A';
             const range = result.range ? result.range.toFixed(2) : 'N/A';
             const pgRatioDisplay = result.pgRatio != null ? result.pgRatio.toFixed(3) : '—';
 
@@ -708,17 +1276,23 @@ class LRCSearch {
                 html += `<td>${result.pitches}</td>`;
             }
 
-            if (showAvgDevColumn) {
-                html += `<td>${avgDev}</td>`;
+            if (showMatchColumn) {
+                html += `<td>${result.exact ? 'Exact' : `${result.matchError.toFixed(2)}¢`}</td>`;
             }
 
+            html += `<td>${avgDev}</td>`;
+
             html += `   <td>${range}</td>`;
 
             if (showPgColumn) {
                 html += `<td>${pgRatioDisplay}</td>`;
             }
 
-            html += `   <td><button onclick="window.lrcSearch.applyResult([${result.layers.join(',')}])" class="apply-btn">Apply</button></td>
+            if (showConsonanceColumn) {
+                html += `<td>${result.consonance != null ? `${(result.consonance * 100).toFixed(1)}%` : 'N/A'}</td>`;
+            }
+
+            html += `   <td><button onclick="window.lrcSearch.applyResult([${result.layers.join(',')}], '${algorithmName}')" class="apply-btn">Apply</button></td>
                 </tr>
             `;
         });
@@ -750,7 +1324,9 @@ class LRCSearch {
             'rhythm': 'Rhythm Layer Search',
             'grid': 'Grid Search', 
             'fundamental': 'Fundamental Search',
-            'inversePG': 'Inverse PG Search'
+            'inversePG': 'Inverse PG Search',
+            'scale': 'Scale Search',
+            'pareto': 'Pareto Search'
         };
         
         this.displayAccumulatedResults(containerId, mappedAlgorithmName, searchTypeMap[mappedAlgorithmName]);
@@ -781,6 +1357,14 @@ class LRCSearch {
                     valueA = a.range || 0;
                     valueB = b.range || 0;
                     break;
+                case 'matchError':
+                    valueA = a.matchError || 0;
+                    valueB = b.matchError || 0;
+                    break;
+                case 'consonance':
+                    valueA = a.consonance || 0;
+                    valueB = b.consonance || 0;
+                    break;
                 default:
                     return 0;
             }
@@ -794,12 +1378,25 @@ class LRCSearch {
         });
     }
 
-    applyResult(layers) {
+    applyResult(layers, algorithmName = null) {
         // Apply the result to the main LRC interface
-        document.getElementById('layer-a').value = layers[0] || 1;
-        document.getElementById('layer-b').value = layers[1] || 1; 
-        document.getElementById('layer-c').value = layers[2] || 1;
-        document.getElementById('layer-d').value = layers[3] || 1;
+        if (window.lrcModule) {
+            window.lrcModule.setLayerInputCount(LRCLayers.layerCountFor(layers));
+            window.lrcModule.getLayerInputs().forEach((input, index) => {
+                input.value = layers[index] || 1;
+            });
+            // Search results are single-cycle and undisplaced
+            window.lrcModule.setLayerOffsets([]);
+            window.lrcModule.setLayerSpans([]);
+
+            // Scale Search matched in the target's period, so generate in it too
+            const result = algorithmName && this.algorithmResults[algorithmName]
+                ? this.algorithmResults[algorithmName].get(layers.join(':'))
+                : null;
+            if (result && result.period) {
+                window.lrcModule.setPeriodInput(result.period);
+            }
+        }
         
         // Trigger form submission
         const form = document.getElementById('rhythm-form');
@@ -809,513 +1406,23 @@ class LRCSearch {
     }
 
     calculateRange(layers) {
-        if (layers.length === 0) return 1;
-        const sortedLayers = [...layers].sort((a, b) => b - a);
-        return sortedLayers[0] / sortedLayers[sortedLayers.length - 1];
+        return LRCSearchAlgorithms.calculateRange(layers);
     }
 
     gcd(a, b) {
-        a = Math.abs(a);
-        b = Math.abs(b);
-        while (b) {
-            [a, b] = [b, a % b];
-        }
-        return a;
+        return LRCCore.gcd(a, b);
     }
 
     lcm(a, b) {
-        return (a * b) / this.gcd(a, b);
+        return LRCCore.lcm(a, b);
     }
 
     calculateTotalLCM(...layers) {
-        return layers.reduce((acc, layer) => this.lcm(acc, layer), 1);
+        return LRCCore.calculateTotalLCM(layers);
     }
 
     isValidLayerSet(layers) {
-        // Remove any 1s and sort descending
-        const validLayers = layers.filter(x => x > 1).sort((a, b) => b - a);
-        
-        if (validLayers.length < 2) return false;
-        
-        // Check for duplicates
-        if (new Set(validLayers).size !== validLayers.length) {
-            return false;
-        }
-        
-        // Only check if the ENTIRE SET is coprime (GCD of all = 1)
-        const commonDivisor = validLayers.reduce((acc, layer) => this.gcd(acc, layer), validLayers[0]);
-        if (commonDivisor > 1) return false;
-        
-        return true;
-    }
-}
-
-// ====================================
-// INDIVIDUAL SEARCH ALGORITHMS
-// ====================================
-
-class RhythmLayerSearch {
-    constructor() {
-        this.lrcSearch = null;
-    }
-    
-    async search({ layer, value, targetPitches, maxSearchTime, rangeLimit, algorithmName }) {
-        const startTime = Date.now();
-        let newResultsCount = 0;
-        const isFiniteSearch = Number.isFinite(rangeLimit) || layer === 'A';
-        
-        // Resume from saved state
-        const state = this.lrcSearch.searchState.rhythm;
-        
-        for (let a = state.a; a <= 200; a++) {
-            for (let b = (a === state.a ? state.b : 1); b < a; b++) {
-                for (let c = (a === state.a && b === state.b ? state.c : 1); c < b; c++) {
-                    for (let d = (a === state.a && b === state.b && c === state.c ? state.d : 1); d < c; d++) {
-                        if ((Date.now() - startTime) > maxSearchTime) {
-                            // Save state for resume
-                            this.lrcSearch.searchState.rhythm = { a, b, c, d };
-                            console.log(`⏰ Time limit reached for Rhythm Layer Search. Found ${newResultsCount} new results.`);
-                            return newResultsCount;
-                        }
-
-                        const maybeYield = this.lrcSearch.yieldIfNeeded();
-                        if (maybeYield) await maybeYield;
-
-                        const testLayers = [a, b, c, d];
-                        let hasTargetLayer = false;
-                        
-                        switch(layer) {
-                            case 'A': hasTargetLayer = (a === value); break;
-                            case 'B': hasTargetLayer = (b === value); break;
-                            case 'C': hasTargetLayer = (c === value); break;
-                            case 'D': hasTargetLayer = (d === value); break;
-                        }
-                        
-                        if (!hasTargetLayer) continue;
-                        if (!this.lrcSearch.isValidLayerSet(testLayers)) continue;
-                        
-                        const validLayers = testLayers.filter(x => x > 1).sort((a, b) => b - a);
-                        
-                        // Skip if this combination was already searched
-                        const combinationKey = validLayers.join(':');
-                        if (this.lrcSearch.searchedCombinations[algorithmName].has(combinationKey)) {
-                            continue;
-                        }
-                        
-                        const range = this.lrcSearch.calculateRange(validLayers);
-                        if (range > rangeLimit) continue;
-                        
-                        // USE LRCMODULE.JS METHODS
-                        if (!window.lrcModule) continue;
-
-                        // Pad layers to 4 elements for LRCModule compatibility
-                        const paddedLayers = [...validLayers];
-                        while (paddedLayers.length < 4) paddedLayers.push(1);
-
-                        const grid = window.lrcModule.calculateTotalLCM(...paddedLayers);
-                        const { rhythm, layerMap } = window.lrcModule.generateCompositeRhythm(paddedLayers);
-                        const { spacesPlot } = window.lrcModule.generateSpacesPlot(rhythm, grid, layerMap);
-                        const { ratios } = window.lrcModule.generateRatiosWithFrequency(spacesPlot);
-
-                        // Check if it matches target pitches
-                        const uniqueTones = new Set(ratios.map(r => r.fraction));
-                        uniqueTones.delete("2/1");
-
-                        if (targetPitches === null || uniqueTones.size === targetPitches) {
-                            const avgDeviation = window.lrcModule.calculateAverageDeviation(spacesPlot);
-
-                            const result = {
-                                grid,
-                                pitches: uniqueTones.size,
-                                avgDeviation: avgDeviation || 0,
-                                ratios: Array.from(uniqueTones).sort((a, b) => {
-                                    const [numA, denA] = a.split('/').map(Number);
-                                    const [numB, denB] = b.split('/').map(Number);
-                                    return (numA / denA) - (numB / denB);
-                                })
-                            };
-                            
-                            const wasNew = this.lrcSearch.addResult(algorithmName, validLayers, { ...result, range });
-                            if (wasNew) newResultsCount++;
-                        }                    }
-                }
-            }
-        }
-        
-        // Search completed - reset state for next run
-        this.lrcSearch.searchState.rhythm = { a: 1, b: 1, c: 1, d: 1 };
-        if (isFiniteSearch) {
-            console.log(`✅ Rhythm Layer Search completed. Found ${newResultsCount} new results.`);
-        } else {
-            console.log(`⏰ Rhythm Layer Search reached scan bounds (additional combinations remain with current settings). Found ${newResultsCount} new results.`);
-        }
-        return newResultsCount;
-    }
-}
-
-class GridSearch {
-    constructor() {
-        this.lrcSearch = null;
-    }
-    
-    async search({ gridValue, targetPitches, maxSearchTime, rangeLimit, algorithmName }) {
-        const startTime = Date.now();
-        let newResultsCount = 0;
-        
-        console.log(`🔍 Starting Grid ${gridValue} search for ${targetPitches}-pitch scales`);
-        
-        // Find all factors of the grid value
-        const factors = [];
-        for (let i = 1; i <= gridValue; i++) {
-            if (gridValue % i === 0) {
-                factors.push(i);
-            }
-        }
-        const prioritizedFactors = this.prioritizeFactors(factors);
-        console.log('Factors of grid value (prioritized order):', prioritizedFactors);
-
-        // Resume from saved state  
-        const state = this.lrcSearch.searchState.grid.factorIndex;
-
-        // Iterate over combinations of factors for Special Scales by Grid
-        for (let i = state.i; i < prioritizedFactors.length; i++) {
-            for (let j = (i === state.i ? state.j : i); j < prioritizedFactors.length; j++) {
-                for (let k = (i === state.i && j === state.j ? state.k : j); k < prioritizedFactors.length; k++) {
-                    for (let l = (i === state.i && j === state.j && k === state.k ? state.l : k); l < prioritizedFactors.length; l++) {
-                        if ((Date.now() - startTime) > maxSearchTime) {
-                            // Save state for resume
-                            this.lrcSearch.searchState.grid.factorIndex = { i, j, k, l };
-                            console.log(`⏰ Grid search time limit reached. Found ${newResultsCount} new results.`);
-                            return newResultsCount;
-                        }
-
-                        const maybeYield = this.lrcSearch.yieldIfNeeded();
-                        if (maybeYield) await maybeYield;
-
-                        const layersList = [
-                            [prioritizedFactors[i], prioritizedFactors[j]],
-                            [prioritizedFactors[i], prioritizedFactors[j], prioritizedFactors[k]],
-                            [prioritizedFactors[i], prioritizedFactors[j], prioritizedFactors[k], prioritizedFactors[l]]
-                        ];
-                        
-                        for (const layers of layersList) {
-                            const nonOneLayers = layers.filter(x => x !== 1).sort((a, b) => b - a);
-                            if (nonOneLayers.length < 2) continue;
-                            
-                            const range = this.lrcSearch.calculateRange(nonOneLayers);
-                            if (range > rangeLimit) continue;
-                            
-                            const combinationKey = nonOneLayers.join(':');
-                            if (this.lrcSearch.searchedCombinations[algorithmName].has(combinationKey)) continue;
-                            
-                            const gridSize = nonOneLayers.reduce((acc, layer) => this.lrcSearch.lcm(acc, layer), 1);
-                            if (gridSize !== gridValue) continue;
-                            
-                            // Check for duplicates and direct factors
-                            const hasRedundantLayers = nonOneLayers.some((layer, idx) => 
-                                nonOneLayers.some((otherLayer, otherIdx) => 
-                                    idx !== otherIdx && (otherLayer % layer === 0)
-                                )
-                            );
-                            if (hasRedundantLayers) continue;
-                            
-                            // Check if layers share an unsimplified GCF
-                            const commonDivisor = nonOneLayers.reduce((acc, layer) => this.lrcSearch.gcd(acc, layer), nonOneLayers[0]);
-                            if (commonDivisor > 1) continue;
-                            
-                            // USE LRCMODULE.JS METHODS
-                            if (!window.lrcModule) {
-                                console.error('LRCModule not available');
-                                continue;
-                            }
-                            
-                            // Pad layers to 4 elements for LRCModule compatibility
-                            const paddedLayers = [...nonOneLayers];
-                            while (paddedLayers.length < 4) paddedLayers.push(1);
-                            
-                            const grid = window.lrcModule.calculateTotalLCM(...paddedLayers);
-                            const { rhythm, layerMap } = window.lrcModule.generateCompositeRhythm(paddedLayers);
-                            const { spacesPlot } = window.lrcModule.generateSpacesPlot(rhythm, grid, layerMap);
-                            const { ratios } = window.lrcModule.generateRatiosWithFrequency(spacesPlot);
-                            
-                            // Check if it matches target pitches
-                            const uniqueTones = new Set(ratios.map(r => r.fraction));
-                            uniqueTones.delete("2/1");
-                            
-                            if (targetPitches === null || uniqueTones.size === targetPitches) {
-                                const avgDeviation = window.lrcModule.calculateAverageDeviation(spacesPlot);
-
-                                const result = {
-                                    grid: gridSize,
-                                    pitches: uniqueTones.size,
-                                    avgDeviation: avgDeviation || 0,
-                                    ratios: Array.from(uniqueTones).sort((a, b) => {
-                                        const [numA, denA] = a.split('/').map(Number);
-                                        const [numB, denB] = b.split('/').map(Number);
-                                        return (numA / denA) - (numB / denB);
-                                    })
-                                };
-                                
-                                const wasNew = this.lrcSearch.addResult(algorithmName, nonOneLayers, { ...result, range });
-                                if (wasNew) newResultsCount++;
-                            }
-                        }
-                    }
-                }
-            }
-        }
-        
-        // Search completed - reset state for next run
-        this.lrcSearch.searchState.grid.factorIndex = { i: 0, j: 0, k: 0, l: 0 };
-        console.log(`✅ Grid Search completed. Found ${newResultsCount} new results.`);
-        return newResultsCount;
-    }
-
-    prioritizeFactors(factors) {
-        if (!Array.isArray(factors) || factors.length <= 2) {
-            return [...factors];
-        }
-
-        const sorted = [...factors].sort((a, b) => a - b);
-        const result = [];
-
-        if (sorted.length % 2 === 1) {
-            let mid = Math.floor(sorted.length / 2);
-            result.push(sorted[mid]);
-            let left = mid - 1;
-            let right = mid + 1;
-            while (left >= 0 || right < sorted.length) {
-                if (right < sorted.length) result.push(sorted[right++]);
-                if (left >= 0) result.push(sorted[left--]);
-            }
-        } else {
-            let left = sorted.length / 2 - 1;
-            let right = left + 1;
-            result.push(sorted[left], sorted[right]);
-            left--;
-            right++;
-            while (left >= 0 || right < sorted.length) {
-                if (right < sorted.length) result.push(sorted[right++]);
-                if (left >= 0) result.push(sorted[left--]);
-            }
-        }
-
-        return result;
-    }
-}
-
-class FundamentalSearch {
-    constructor() {
-        this.lrcSearch = null;
-    }
-    
-    async search({ fundamental, minLayerA, targetPitches, maxSearchTime, rangeLimit, algorithmName }) {
-        const startTime = Date.now();
-        let newResultsCount = 0;
-        
-        // Resume from saved state or start fresh
-        let gridValue = this.lrcSearch.searchState.fundamental.gridValue || (fundamental * minLayerA);
-        const maxGridValue = 999999999;
-        
-        while ((Date.now() - startTime) <= maxSearchTime && gridValue <= maxGridValue) {
-            gridValue += fundamental;
-            
-            // Find factors
-            const factors = [];
-            for (let i = 1; i <= gridValue; i++) {
-                if (gridValue % i === 0 && i <= gridValue / fundamental) {
-                    factors.push(i);
-                }
-            }
-            
-            // Test factor combinations
-            for (let i = 0; i < factors.length; i++) {
-                for (let j = i; j < factors.length; j++) {
-                    for (let k = j; k < factors.length; k++) {
-                        for (let l = k; l < factors.length; l++) {
-                            if ((Date.now() - startTime) > maxSearchTime) {
-                                // Save state for resume
-                                this.lrcSearch.searchState.fundamental.gridValue = gridValue;
-                                console.log(`⏰ Fundamental search time limit reached. Found ${newResultsCount} new results.`);
-                                return newResultsCount;
-                            }
-
-                            const maybeYield = this.lrcSearch.yieldIfNeeded();
-                            if (maybeYield) await maybeYield;
-
-                            const testLayers = [factors[i], factors[j], factors[k], factors[l]];
-                            if (!this.lrcSearch.isValidLayerSet(testLayers)) continue;
-                            
-                            const validLayers = testLayers.filter(x => x > 1).sort((a, b) => b - a);
-                            
-                            // Skip if this combination was already searched
-                            const combinationKey = validLayers.join(':');
-                            if (this.lrcSearch.searchedCombinations[algorithmName].has(combinationKey)) {
-                                continue;
-                            }
-                            
-                            // Verify grid and fundamental match
-                            const actualGrid = validLayers.reduce((acc, layer) => this.lrcSearch.lcm(acc, layer), 1);
-                            if (actualGrid !== gridValue) continue;
-                            
-                            const layerA = Math.max(...validLayers);
-                            if (actualGrid / layerA !== fundamental) continue;
-                            
-                            const range = this.lrcSearch.calculateRange(validLayers);
-                            if (range > rangeLimit) continue;
-                            
-                            // USE LRCMODULE.JS METHODS
-                            if (!window.lrcModule) continue;
-
-                            // Pad layers to 4 elements for LRCModule compatibility
-                            const paddedLayers = [...validLayers];
-                            while (paddedLayers.length < 4) paddedLayers.push(1);
-
-                            const grid = window.lrcModule.calculateTotalLCM(...paddedLayers);
-                            const { rhythm, layerMap } = window.lrcModule.generateCompositeRhythm(paddedLayers);
-                            const { spacesPlot } = window.lrcModule.generateSpacesPlot(rhythm, grid, layerMap);
-                            const { ratios } = window.lrcModule.generateRatiosWithFrequency(spacesPlot);
-
-                            // Check if it matches target pitches
-                            const uniqueTones = new Set(ratios.map(r => r.fraction));
-                            uniqueTones.delete("2/1");
-
-                            if (targetPitches === null || uniqueTones.size === targetPitches) {
-                                const avgDeviation = window.lrcModule.calculateAverageDeviation(spacesPlot);
-
-                                const result = {
-                                    grid,
-                                    pitches: uniqueTones.size,
-                                    avgDeviation: avgDeviation || 0,
-                                    ratios: Array.from(uniqueTones).sort((a, b) => {
-                                        const [numA, denA] = a.split('/').map(Number);
-                                        const [numB, denB] = b.split('/').map(Number);
-                                        return (numA / denA) - (numB / denB);
-                                    })
-                                };
-                                
-                                const wasNew = this.lrcSearch.addResult(algorithmName, validLayers, { ...result, range });
-                                if (wasNew) newResultsCount++;
-                            }
-                        }
-                    }
-                }
-            }
-        }
-        
-        // Search completed (reached max grid value) - reset state for next run
-        this.lrcSearch.searchState.fundamental.gridValue = 0;
-        console.log(`✅ Fundamental Search completed. Found ${newResultsCount} new results.`);
-        return newResultsCount;
-    }
-}
-
-class InversePGSearch {
-    constructor() {
-        this.lrcSearch = null;
-    }
-    
-    async search({ layerA, maxSearchTime, rangeLimit, algorithmName }) {
-        const startTime = Date.now();
-        let newResultsCount = 0;
-        
-        // Resume from saved state
-        const state = this.lrcSearch.searchState.inversePG;
-        
-        for (let b = state.b; b <= layerA && b <= 200; b++) {
-            for (let c = (b === state.b ? state.c : 1); c <= layerA && c <= 200; c++) {
-                for (let d = (b === state.b && c === state.c ? state.d : 1); d <= layerA && d <= 200; d++) {
-                    if ((Date.now() - startTime) > maxSearchTime) {
-                        // Save state for resume
-                        this.lrcSearch.searchState.inversePG = { b, c, d };
-                        console.log(`⏰ Inverse PG search time limit reached. Found ${newResultsCount} new results.`);
-                        return newResultsCount;
-                    }
-
-                    const maybeYield = this.lrcSearch.yieldIfNeeded();
-                    if (maybeYield) await maybeYield;
-
-                    const layers = [layerA, b, c, d].filter(x => x !== 1).sort((a, b) => b - a);
-                    if (layers.length !== 4) continue;
-                    
-                    // Skip if this combination was already searched
-                    const combinationKey = layers.join(':');
-                    if (this.lrcSearch.searchedCombinations[algorithmName].has(combinationKey)) {
-                        continue;
-                    }
-                    
-                    // Check for duplicate layers
-                    if (new Set(layers).size !== layers.length) continue;
-                    
-                    const range = this.lrcSearch.calculateRange(layers);
-                    if (range > rangeLimit) continue;
-                    
-                    // USE LRCMODULE.JS METHODS
-                    if (!window.lrcModule) continue;
-
-                    // Pad layers to 4 elements for LRCModule compatibility
-                    const grid = this.lrcSearch.calculateTotalLCM(...layers);
-
-                    // Calculate Pulse/Grouping ratio and ensure it is exactly 1 for Inverse PG
-                    const pulseSum = layers.reduce((sum, layer) => sum + layer, 0);
-                    let groupingSum = 0;
-                    let groupingValid = true;
-                    for (const layer of layers) {
-                        const groupingValue = grid / layer;
-                        if (!Number.isFinite(groupingValue)) {
-                            groupingValid = false;
-                            break;
-                        }
-                        groupingSum += groupingValue;
-                    }
-
-                    if (!groupingValid || pulseSum !== groupingSum) {
-                        continue;
-                    }
-
-                    const pgRatio = pulseSum / groupingSum; // Should be exactly 1
-                    if (pgRatio !== 1) {
-                        continue;
-                    }
-
-                    const paddedLayers = [...layers];
-                    while (paddedLayers.length < 4) paddedLayers.push(1);
-
-                    const { rhythm, layerMap } = window.lrcModule.generateCompositeRhythm(paddedLayers);
-                    const { spacesPlot } = window.lrcModule.generateSpacesPlot(rhythm, grid, layerMap);
-                    const { ratios } = window.lrcModule.generateRatiosWithFrequency(spacesPlot);
-
-                    // Check for valid scale (Inverse PG now respects target pitches when set)
-                    const uniqueTones = new Set(ratios.map(r => r.fraction));
-                    uniqueTones.delete("2/1");
-
-                    // Get target pitches from parent search instance
-                    const targetPitches = this.lrcSearch.targetPitches;
-                    if (targetPitches === null || uniqueTones.size === targetPitches) {
-                        const avgDeviation = window.lrcModule.calculateAverageDeviation(spacesPlot);
-                        const result = {
-                            grid,
-                            pitches: uniqueTones.size,
-                            avgDeviation: avgDeviation || 0,
-                            pgRatio,
-                            ratios: Array.from(uniqueTones).sort((a, b) => {
-                                const [numA, denA] = a.split('/').map(Number);
-                                const [numB, denB] = b.split('/').map(Number);
-                                return (numA / denA) - (numB / denB);
-                            })
-                        };
-                        
-                        const wasNew = this.lrcSearch.addResult(algorithmName, layers, { ...result, range });
-                        if (wasNew) newResultsCount++;
-                    }
-                }
-            }
-        }
-        
-        // Search completed - reset state for next run
-        this.lrcSearch.searchState.inversePG = { b: 1, c: 1, d: 1 };
-        console.log(`✅ Inverse PG Search completed. Found ${newResultsCount} new results.`);
-        return newResultsCount;
+        return LRCSearchAlgorithms.isValidLayerSet(layers);
     }
 }
 
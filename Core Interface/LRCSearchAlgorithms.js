@@ -0,0 +1,777 @@
+// LRCSearchAlgorithms.js - The Search panel's algorithms as pure, resumable scans (no DOM)
+// Each algorithm walks one shard of its search space from a cursor, reports matches through
+// onResult and stops at a deadline, handing back the cursor to resume from. LRCSearchWorker.js
+// runs one shard per Worker; LRCSearch runs them on the UI thread when Workers are unavailable.
+//
+// Browser / Worker: self.LRCSearchAlgorithms (load LRCLayers.js, LRCCore.js and LRCConsonance.js first).
+// Node: module.exports.
+
+(function (root) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const Core = isNode ? require('./LRCCore.js') : (root && root.LRCCore);
+    const Consonance = isNode ? require('./LRCConsonance.js') : (root && root.LRCConsonance);
+
+    const MAX_LAYER = 200; // Largest layer value the A ≥ B ≥ C ≥ D scans try unless bounded
+    const MAX_GRID_VALUE = 999999999; // Fundamental Search stops here
+    const LAYER_INDEX = { A: 0, B: 1, C: 2, D: 3 };
+
+    // ====================================
+    // SHARED HELPERS
+    // ====================================
+
+    function calculateRange(layers) {
+        if (layers.length === 0) return 1;
+        const sortedLayers = [...layers].sort((a, b) => b - a);
+        return sortedLayers[0] / sortedLayers[sortedLayers.length - 1];
+    }
+
+    function isValidLayerSet(layers, allowEqual = false) {
+        // Remove any 1s and sort descending
+        const validLayers = layers.filter(x => x > 1).sort((a, b) => b - a);
+
+        if (validLayers.length < 2) return false;
+
+        // Check for duplicates
+        if (!allowEqual && new Set(validLayers).size !== validLayers.length) {
+            return false;
+        }
+
+        // Only check if the ENTIRE SET is coprime (GCD of all = 1)
+        const commonDivisor = validLayers.reduce((acc, layer) => Core.gcd(acc, layer), validLayers[0]);
+        if (commonDivisor > 1) return false;
+
+        // Grids past 2^53 - 1 can't be analysed exactly
+        if (!Core.isSafeGrid(validLayers)) return false;
+
+        return true;
+    }
+
+    function sortFractions(fractions) {
+        return Array.from(fractions).sort((a, b) => {
+            const [numA, denA] = a.split('/').map(Number);
+            const [numB, denB] = b.split('/').map(Number);
+            return (numA / denA) - (numB / denB);
+        });
+    }
+
+    // Octave scale of a layer set, or null when its pitch count misses targetPitches (null = any)
+    // or it fails the ratio constraints (consonant intervals judged by the consonance model)
+    function pitchCountResult(layers, { targetPitches, deviationEdo, constraints = null, consonance = {} }, grid = Core.calculateTotalLCM(layers)) {
+        const { rhythm, layerMap } = Core.generateCompositeRhythm(layers);
+        const { spacesPlot } = Core.generateSpacesPlot(rhythm, grid, layerMap);
+        const { ratios } = Core.generateRatiosWithFrequency(spacesPlot);
+
+        const uniqueTones = new Set(ratios.map(r => r.fraction));
+        uniqueTones.delete('2/1');
+        if (targetPitches !== null && uniqueTones.size !== targetPitches) return null;
+        if (!meetsConstraints(uniqueTones, constraints, 1200, consonance)) return null;
+
+        return {
+            grid,
+            pitches: uniqueTones.size,
+            avgDeviation: Core.calculateAverageDeviation(spacesPlot, undefined, deviationEdo),
+            ratios: sortFractions(uniqueTones)
+        };
+    }
+
+    // Share of the A ≥ B ≥ C ≥ D space with A from lo to hi below cursor (a, b): it grows roughly with a^4
+    function layerScanProgress(a, b, lo = 1, hi = MAX_LAYER) {
+        const position = a - 1 + (b - 1) / Math.max(1, a - 1);
+        const share = (position ** 4 - (lo - 1) ** 4) / (hi ** 4 - (lo - 1) ** 4);
+        return Math.min(1, Math.max(0, share));
+    }
+
+    // Share of the factor-index space below cursor (i, j): combinations left grow with (count - i)^4,
+    // and within block i with (count - j)^3
+    function gridScanProgress(i, j, count) {
+        const block = (count - i) ** 4 - (count - i - 1) ** 4;
+        const left = (count - i - 1) ** 4 + block * ((count - j) / (count - i)) ** 3;
+        return 1 - left / count ** 4;
+    }
+
+    const paused = (state, progress) => ({ state, done: false, progress });
+    const finished = () => ({ state: null, done: true, progress: 1 });
+
+    // ====================================
+    // RATIO CONSTRAINTS
+    // ====================================
+
+    function constraintError(message) {
+        const error = new Error(message);
+        error.code = 'CONSTRAINT_INVALID';
+        return error;
+    }
+
+    function parseConstraintRatios(text, label) {
+        return String(text || '').split(/[\s,]+/).filter(Boolean).map(token => {
+            const match = token.match(/^(\d+)(?:\/(\d+))?$/);
+            const numerator = match ? Number(match[1]) : 0;
+            const denominator = match ? Number(match[2] || 1) : 0;
+            if (!numerator || !denominator) throw constraintError(`${label}: "${token}" is not a ratio like 3/2`);
+            const divisor = Core.gcd(numerator, denominator);
+            return `${numerator / divisor}/${denominator / divisor}`;
+        });
+    }
+
+    function parseConstraintNumber(text, label, min) {
+        if (text === null || text === undefined || String(text).trim() === '') return null;
+        const value = Number(text);
+        if (!Number.isFinite(value) || value < min) throw constraintError(`${label} must be a number of at least ${min}`);
+        return value;
+    }
+
+    // Form text -> { require, forbid, primeLimit, minConsonant, maxStepCents }, or null when nothing is set.
+    // Throws CONSTRAINT_INVALID for unreadable input.
+    function parseConstraints({ require = '', forbid = '', primeLimit = '', minConsonant = '', maxStepCents = '' } = {}) {
+        const constraints = {
+            require: parseConstraintRatios(require, 'Must contain'),
+            forbid: parseConstraintRatios(forbid, 'Exclude'),
+            primeLimit: parseConstraintNumber(primeLimit, 'Prime limit', 2),
+            minConsonant: parseConstraintNumber(minConsonant, 'Consonant intervals', 0),
+            maxStepCents: parseConstraintNumber(maxStepCents, 'Max step', 0)
+        };
+        const active = constraints.require.length > 0 || constraints.forbid.length > 0 ||
+            constraints.primeLimit !== null || constraints.minConsonant !== null || constraints.maxStepCents !== null;
+        return active ? constraints : null;
+    }
+
+    function describeConstraints(constraints) {
+        if (!constraints) return '';
+        const parts = [];
+        if (constraints.require.length) parts.push(`contains ${constraints.require.join(' ')}`);
+        if (constraints.forbid.length) parts.push(`excludes ${constraints.forbid.join(' ')}`);
+        if (constraints.primeLimit !== null) parts.push(`${constraints.primeLimit}-limit`);
+        if (constraints.minConsonant !== null) parts.push(`≥ ${constraints.minConsonant} consonant intervals`);
+        if (constraints.maxStepCents !== null) parts.push(`steps < ${constraints.maxStepCents}¢`);
+        return parts.join(' · ');
+    }
+
+    function largestPrimeFactor(n) {
+        let largest = 1;
+        for (let factor = 2; factor * factor <= n; factor++) {
+            while (n % factor === 0) {
+                largest = factor;
+                n /= factor;
+            }
+        }
+        return n > 1 ? n : largest;
+    }
+
+    // Whether a scale (iterable of "n/d" fractions, 1/1 implied) passes the constraints; consonance
+    // is the LRCConsonance model options for minConsonant (default 12-TET proximity).
+    // Cheapest checks first: these run on every candidate in the scans.
+    function meetsConstraints(fractions, constraints, periodCents = 1200, consonance = {}) {
+        if (!constraints) return true;
+        const tones = new Set(fractions);
+
+        if (constraints.require.some(fraction => !tones.has(fraction))) return false;
+        if (constraints.forbid.some(fraction => tones.has(fraction))) return false;
+
+        const parsed = Array.from(tones, fraction => fraction.split('/').map(Number));
+        if (constraints.primeLimit !== null &&
+            parsed.some(([numerator, denominator]) =>
+                largestPrimeFactor(numerator) > constraints.primeLimit || largestPrimeFactor(denominator) > constraints.primeLimit)) {
+            return false;
+        }
+
+        if (constraints.maxStepCents !== null) {
+            const cents = scaleCents(tones);
+            for (let i = 0; i < cents.length; i++) {
+                const next = i + 1 < cents.length ? cents[i + 1] : periodCents;
+                if (next - cents[i] >= constraints.maxStepCents) return false;
+            }
+        }
+
+        if (constraints.minConsonant !== null &&
+            Consonance.countConsonantIntervals(scaleRatios(tones), consonance, constraints.minConsonant) < constraints.minConsonant) {
+            return false;
+        }
+        return true;
+    }
+
+    function scaleCents(fractions) {
+        return Array.from(new Set([0, ...Array.from(fractions, fraction => {
+            const [numerator, denominator] = fraction.split('/').map(Number);
+            return Core.fractionToCents(numerator, denominator);
+        })])).sort((a, b) => a - b);
+    }
+
+    // Whether an algorithm's results depend on the consonance model: Pareto always scores
+    // consonance, the others only check it for a consonant-intervals constraint
+    function usesConsonance(algorithm, constraints) {
+        return algorithm === 'pareto' || Boolean(constraints && constraints.minConsonant !== null);
+    }
+
+    // Ratio objects ({ fraction, ratio, cents }) of a scale with 1/1 added, as LRCConsonance takes them
+    function scaleRatios(fractions) {
+        return Array.from(new Set(['1/1', ...fractions]), fraction => {
+            const [numerator, denominator] = fraction.split('/').map(Number);
+            return { fraction, ratio: numerator / denominator, cents: Core.fractionToCents(numerator, denominator) };
+        });
+    }
+
+    // Share of consonant intervals among all pairs of pitches (1/1 implied) under the consonance
+    // model: the consonance ratio LRCConsonance.analyzeIntervals gives the Interconsonance panel
+    function consonanceRatio(fractions, consonance = {}) {
+        const ratios = scaleRatios(fractions);
+        const pairs = ratios.length * (ratios.length - 1) / 2;
+        return pairs > 0 ? Consonance.countConsonantIntervals(ratios, consonance) / pairs : 0;
+    }
+
+    // ====================================
+    // LAYER BOUNDS
+    // ====================================
+
+    const LAYER_NAMES = Object.keys(LAYER_INDEX);
+
+    // Per-layer limits for layer sets sorted A ≥ B ≥ C ≥ D (1 = no layer there; max null = no
+    // limit, MAX_LAYER in the A ≥ B ≥ C ≥ D scans) and rules every reported layer set must follow
+    const DEFAULT_BOUNDS = {
+        min: [1, 1, 1, 1],
+        max: [null, null, null, null],
+        allowEqual: false,
+        layerCount: null,
+        smooth: null,
+        pairwiseCoprime: false
+    };
+
+    function parseLayerNumber(text, label, min) {
+        const value = parseConstraintNumber(text, label, min);
+        if (value !== null && !Number.isInteger(value)) throw constraintError(`${label} must be a whole number`);
+        return value;
+    }
+
+    // Form values -> bounds, or null when everything is left at its default. min and max hold
+    // one text per layer A-D. Throws CONSTRAINT_INVALID for unreadable input.
+    function parseBounds({ min = [], max = [], allowEqual = false, layerCount = '', smooth = '', pairwiseCoprime = false } = {}) {
+        const bounds = {
+            min: LAYER_NAMES.map((name, i) => parseLayerNumber(min[i], `Min ${name}`, 1) ?? DEFAULT_BOUNDS.min[i]),
+            max: LAYER_NAMES.map((name, i) => parseLayerNumber(max[i], `Max ${name}`, 1)),
+            allowEqual: !!allowEqual,
+            layerCount: parseLayerNumber(layerCount, 'Layer count', 2),
+            smooth: parseLayerNumber(smooth, 'Smooth limit', 2),
+            pairwiseCoprime: !!pairwiseCoprime
+        };
+        LAYER_NAMES.forEach((name, i) => {
+            if (bounds.max[i] !== null && bounds.min[i] > bounds.max[i]) throw constraintError(`Min ${name} is above Max ${name}`);
+        });
+        if (bounds.layerCount !== null && bounds.layerCount > LAYER_NAMES.length) {
+            throw constraintError('Layer count must be 2, 3 or 4');
+        }
+
+        const active = bounds.allowEqual || bounds.pairwiseCoprime || bounds.layerCount !== null || bounds.smooth !== null ||
+            bounds.min.some(value => value > 1) || bounds.max.some(value => value !== null);
+        return active ? bounds : null;
+    }
+
+    function describeBounds(bounds) {
+        if (!bounds) return '';
+        const parts = [];
+        LAYER_NAMES.forEach((name, i) => {
+            const min = bounds.min[i];
+            const max = bounds.max[i];
+            if (min > 1 && max !== null) parts.push(min === max ? `${name} = ${min}` : `${name} ${min}–${max}`);
+            else if (min > 1) parts.push(`${name} ≥ ${min}`);
+            else if (max !== null) parts.push(`${name} ≤ ${max}`);
+        });
+        if (bounds.layerCount !== null) parts.push(`${bounds.layerCount} layers`);
+        if (bounds.allowEqual) parts.push('equal layers');
+        if (bounds.smooth !== null) parts.push(`${bounds.smooth}-smooth`);
+        if (bounds.pairwiseCoprime) parts.push('pairwise coprime');
+        return parts.join(' · ');
+    }
+
+    // Bounds (null = defaults) with layer `index` kept within lo..hi
+    function narrowBounds(bounds, index, lo, hi) {
+        const narrowed = bounds || DEFAULT_BOUNDS;
+        const min = narrowed.min.slice();
+        const max = narrowed.max.slice();
+        min[index] = Math.max(min[index], lo);
+        max[index] = max[index] === null ? hi : Math.min(max[index], hi);
+        return { ...narrowed, min, max };
+    }
+
+    // Whether a layer set (1s removed, sorted descending) follows the bounds
+    function layersMeetBounds(layers, bounds) {
+        if (!bounds) return true;
+        if (bounds.layerCount !== null && layers.length !== bounds.layerCount) return false;
+
+        for (let i = 0; i < LAYER_NAMES.length; i++) {
+            const layer = layers[i] ?? 1;
+            if (layer < bounds.min[i] || (bounds.max[i] !== null && layer > bounds.max[i])) return false;
+        }
+
+        if (bounds.smooth !== null && layers.some(layer => largestPrimeFactor(layer) > bounds.smooth)) return false;
+        if (bounds.pairwiseCoprime) {
+            for (let i = 0; i < layers.length; i++) {
+                for (let j = i + 1; j < layers.length; j++) {
+                    if (Core.gcd(layers[i], layers[j]) > 1) return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    function layerSpaceStart(bounds, shard) {
+        const { min } = bounds || DEFAULT_BOUNDS;
+        return { a: min[0] + shard, b: min[1], c: min[2], d: min[3] };
+    }
+
+    // Walks one shard of the A ≥ B ≥ C ≥ D space within bounds from the cursor, calling
+    // visit(layers, range) for each valid, unseen layer set that follows the bounds and rangeLimit.
+    // cursorExtra() adds to the cursor handed back when the deadline passes.
+    function scanLayerSpace({ rangeLimit }, bounds, state, shards, { deadline, skip }, visit, cursorExtra = () => ({})) {
+        const { min, allowEqual } = bounds || DEFAULT_BOUNDS;
+        const max = (bounds || DEFAULT_BOUNDS).max.map(value => value ?? MAX_LAYER);
+        // Largest value layer i may take below `upper`. Without equal layers the space stays strictly
+        // descending, so C = D = 1 (a two-layer set) only comes up when two layers are asked for.
+        const ceiling = (upper, i) => {
+            if (allowEqual) return Math.min(max[i], upper);
+            if (upper > 1) return Math.min(max[i], upper - 1);
+            return bounds && bounds.layerCount === 2 ? 1 : 0;
+        };
+
+        for (let a = state.a; a <= max[0]; a += shards) {
+            for (let b = (a === state.a ? state.b : min[1]); b <= ceiling(a, 1); b++) {
+                for (let c = (a === state.a && b === state.b ? state.c : min[2]); c <= ceiling(b, 2); c++) {
+                    for (let d = (a === state.a && b === state.b && c === state.c ? state.d : min[3]); d <= ceiling(c, 3); d++) {
+                        if (Date.now() > deadline) return paused({ a, b, c, d, ...cursorExtra() }, layerScanProgress(a, b, min[0], max[0]));
+
+                        const testLayers = [a, b, c, d];
+                        if (!isValidLayerSet(testLayers, allowEqual)) continue;
+
+                        const validLayers = testLayers.filter(x => x > 1).sort((x, y) => y - x);
+                        const combinationKey = validLayers.join(':');
+                        if (skip.has(combinationKey)) continue;
+                        skip.add(combinationKey);
+
+                        if (!layersMeetBounds(validLayers, bounds)) continue;
+
+                        const range = calculateRange(validLayers);
+                        if (range > rangeLimit) continue;
+
+                        visit(validLayers, range);
+                    }
+                }
+            }
+        }
+        return finished();
+    }
+
+    // ====================================
+    // PARETO FRONT
+    // ====================================
+
+    // Objectives a Pareto Search can trade off, and which way is better
+    const OBJECTIVES = {
+        avgDeviation: { label: 'Avg Dev', better: 'min' },
+        range: { label: 'Range', better: 'min' },
+        consonance: { label: 'Consonance', better: 'max' },
+        pitchDistance: { label: 'Pitch Δ', better: 'min' }
+    };
+
+    // Objective value oriented so that smaller is always better; missing values lose
+    function objectiveCost(result, objective) {
+        const value = result[objective];
+        if (value === null || value === undefined || Number.isNaN(value)) return Infinity;
+        return OBJECTIVES[objective].better === 'max' ? -value : value;
+    }
+
+    // a is at least as good as b on every objective and better on one
+    function dominates(a, b, objectives) {
+        let better = false;
+        for (const objective of objectives) {
+            const costA = objectiveCost(a, objective);
+            const costB = objectiveCost(b, objective);
+            if (costA > costB) return false;
+            if (costA < costB) better = true;
+        }
+        return better;
+    }
+
+    // Adds candidate to front (modified in place) unless a member dominates it, dropping the
+    // members it dominates. Returns whether it was added.
+    function updateFront(front, candidate, objectives) {
+        if (front.some(member => dominates(member, candidate, objectives))) return false;
+        for (let i = front.length - 1; i >= 0; i--) {
+            if (dominates(candidate, front[i], objectives)) front.splice(i, 1);
+        }
+        front.push(candidate);
+        return true;
+    }
+
+    // ====================================
+    // ALGORITHMS
+    // ====================================
+
+    // initialState(params, shard, shards) -> cursor for one shard
+    // scan(params, state, shards, { deadline, skip, onResult }) -> { state, done, progress }
+    // `skip` holds combination keys already known (and gains every key the scan analyses);
+    // progress is the shard's share of its space covered, or null when the space is unbounded.
+
+    // A ≥ B ≥ C ≥ D layer sets with the searched layer pinned to its value
+    class RhythmLayerSearch {
+        layerBounds({ layer, value, bounds = null }) {
+            return narrowBounds(bounds, LAYER_INDEX[layer], value, value);
+        }
+
+        initialState(params, shard) {
+            return layerSpaceStart(this.layerBounds(params), shard);
+        }
+
+        scan(params, state, shards, context) {
+            return scanLayerSpace(params, this.layerBounds(params), state, shards, context, (layers, range) => {
+                const result = pitchCountResult(layers, params);
+                if (result) context.onResult(layers, { ...result, range });
+            });
+        }
+    }
+
+    class GridSearch {
+        initialState(params, shard) {
+            return { i: shard, j: shard, k: shard, l: shard };
+        }
+
+        scan(params, state, shards, { deadline, skip, onResult }) {
+            const { gridValue, rangeLimit, bounds = null } = params;
+            const allowEqual = !!(bounds && bounds.allowEqual);
+            const factors = [];
+            for (let i = 1; i <= gridValue; i++) {
+                if (gridValue % i === 0) factors.push(i);
+            }
+            const prioritizedFactors = this.prioritizeFactors(factors);
+            const count = prioritizedFactors.length;
+
+            // Iterate over combinations of factors for Special Scales by Grid
+            for (let i = state.i; i < count; i += shards) {
+                for (let j = (i === state.i ? state.j : i); j < count; j++) {
+                    for (let k = (i === state.i && j === state.j ? state.k : j); k < count; k++) {
+                        for (let l = (i === state.i && j === state.j && k === state.k ? state.l : k); l < count; l++) {
+                            if (Date.now() > deadline) return paused({ i, j, k, l }, gridScanProgress(i, j, count));
+
+                            const layersList = [
+                                [prioritizedFactors[i], prioritizedFactors[j]],
+                                [prioritizedFactors[i], prioritizedFactors[j], prioritizedFactors[k]],
+                                [prioritizedFactors[i], prioritizedFactors[j], prioritizedFactors[k], prioritizedFactors[l]]
+                            ];
+
+                            for (const layers of layersList) {
+                                const nonOneLayers = layers.filter(x => x !== 1).sort((a, b) => b - a);
+                                if (nonOneLayers.length < 2) continue;
+
+                                const combinationKey = nonOneLayers.join(':');
+                                if (skip.has(combinationKey)) continue;
+                                skip.add(combinationKey);
+
+                                const range = calculateRange(nonOneLayers);
+                                if (range > rangeLimit) continue;
+
+                                const gridSize = nonOneLayers.reduce((acc, layer) => Core.lcm(acc, layer), 1);
+                                if (gridSize !== gridValue) continue;
+
+                                // Check for duplicates (unless allowed) and direct factors
+                                const hasRedundantLayers = nonOneLayers.some((layer, idx) =>
+                                    nonOneLayers.some((otherLayer, otherIdx) =>
+                                        idx !== otherIdx && (otherLayer % layer === 0) && !(allowEqual && otherLayer === layer)
+                                    )
+                                );
+                                if (hasRedundantLayers) continue;
+
+                                // Check if layers share an unsimplified GCF
+                                const commonDivisor = nonOneLayers.reduce((acc, layer) => Core.gcd(acc, layer), nonOneLayers[0]);
+                                if (commonDivisor > 1) continue;
+                                if (!layersMeetBounds(nonOneLayers, bounds)) continue;
+
+                                const result = pitchCountResult(nonOneLayers, params, gridSize);
+                                if (result) onResult(nonOneLayers, { ...result, range });
+                            }
+                        }
+                    }
+                }
+            }
+            return finished();
+        }
+
+        // Middle-out factor order, so balanced layer sets come first
+        prioritizeFactors(factors) {
+            if (!Array.isArray(factors) || factors.length <= 2) {
+                return [...factors];
+            }
+
+            const sorted = [...factors].sort((a, b) => a - b);
+            const result = [];
+
+            if (sorted.length % 2 === 1) {
+                let mid = Math.floor(sorted.length / 2);
+                result.push(sorted[mid]);
+                let left = mid - 1;
+                let right = mid + 1;
+                while (left >= 0 || right < sorted.length) {
+                    if (right < sorted.length) result.push(sorted[right++]);
+                    if (left >= 0) result.push(sorted[left--]);
+                }
+            } else {
+                let left = sorted.length / 2 - 1;
+                let right = left + 1;
+                result.push(sorted[left], sorted[right]);
+                left--;
+                right++;
+                while (left >= 0 || right < sorted.length) {
+                    if (right < sorted.length) result.push(sorted[right++]);
+                    if (left >= 0) result.push(sorted[left--]);
+                }
+            }
+
+            return result;
+        }
+    }
+
+    class FundamentalSearch {
+        // Shards take turns through the grid values: shard k scans the (k+1)th, (k+1+shards)th, ... multiple
+        initialState({ fundamental, minLayerA }, shard) {
+            return { gridValue: fundamental * (minLayerA + shard + 1) };
+        }
+
+        scan(params, state, shards, { deadline, skip, onResult }) {
+            const { fundamental, rangeLimit, bounds = null } = params;
+            const allowEqual = !!(bounds && bounds.allowEqual);
+            for (let gridValue = state.gridValue; gridValue <= MAX_GRID_VALUE; gridValue += fundamental * shards) {
+                // Find factors
+                const factors = [];
+                for (let i = 1; i <= gridValue; i++) {
+                    if (gridValue % i === 0 && i <= gridValue / fundamental) {
+                        factors.push(i);
+                    }
+                }
+
+                // Test factor combinations
+                for (let i = 0; i < factors.length; i++) {
+                    for (let j = i; j < factors.length; j++) {
+                        for (let k = j; k < factors.length; k++) {
+                            for (let l = k; l < factors.length; l++) {
+                                // Resumes at the top of this grid value; skip covers what was already seen
+                                if (Date.now() > deadline) return paused({ gridValue }, null);
+
+                                const testLayers = [factors[i], factors[j], factors[k], factors[l]];
+                                if (!isValidLayerSet(testLayers, allowEqual)) continue;
+
+                                const validLayers = testLayers.filter(x => x > 1).sort((a, b) => b - a);
+                                const combinationKey = validLayers.join(':');
+                                if (skip.has(combinationKey)) continue;
+
+                                // Verify grid and fundamental match
+                                const actualGrid = validLayers.reduce((acc, layer) => Core.lcm(acc, layer), 1);
+                                if (actualGrid !== gridValue) continue;
+
+                                const layerA = Math.max(...validLayers);
+                                if (actualGrid / layerA !== fundamental) continue;
+                                skip.add(combinationKey);
+                                if (!layersMeetBounds(validLayers, bounds)) continue;
+
+                                const range = calculateRange(validLayers);
+                                if (range > rangeLimit) continue;
+
+                                const result = pitchCountResult(validLayers, params);
+                                if (result) onResult(validLayers, { ...result, range });
+                            }
+                        }
+                    }
+                }
+            }
+            return finished();
+        }
+    }
+
+    class InversePGSearch {
+        initialState(params, shard) {
+            return { b: shard + 1, c: 1, d: 1 };
+        }
+
+        scan(params, state, shards, { deadline, skip, onResult }) {
+            const { layerA, rangeLimit } = params;
+            const maxLayer = Math.min(layerA, MAX_LAYER);
+
+            for (let b = state.b; b <= maxLayer; b += shards) {
+                for (let c = (b === state.b ? state.c : 1); c <= maxLayer; c++) {
+                    for (let d = (b === state.b && c === state.c ? state.d : 1); d <= maxLayer; d++) {
+                        if (Date.now() > deadline) return paused({ b, c, d }, (b - 1 + (c - 1) / maxLayer) / maxLayer);
+
+                        const layers = [layerA, b, c, d].filter(x => x !== 1).sort((x, y) => y - x);
+                        if (layers.length !== 4) continue;
+
+                        const combinationKey = layers.join(':');
+                        if (skip.has(combinationKey)) continue;
+                        skip.add(combinationKey);
+
+                        // Check for duplicate layers
+                        if (new Set(layers).size !== layers.length) continue;
+                        if (!layersMeetBounds(layers, params.bounds || null)) continue;
+
+                        const range = calculateRange(layers);
+                        if (range > rangeLimit) continue;
+
+                        const grid = Core.calculateTotalLCM(layers);
+
+                        // Calculate Pulse/Grouping ratio and ensure it is exactly 1 for Inverse PG
+                        const pulseSum = layers.reduce((sum, layer) => sum + layer, 0);
+                        let groupingSum = 0;
+                        let groupingValid = true;
+                        for (const layer of layers) {
+                            const groupingValue = grid / layer;
+                            if (!Number.isFinite(groupingValue)) {
+                                groupingValid = false;
+                                break;
+                            }
+                            groupingSum += groupingValue;
+                        }
+
+                        if (!groupingValid || pulseSum !== groupingSum) {
+                            continue;
+                        }
+
+                        const pgRatio = pulseSum / groupingSum; // Should be exactly 1
+                        if (pgRatio !== 1) {
+                            continue;
+                        }
+
+                        // Inverse PG respects target pitches when set
+                        const result = pitchCountResult(layers, params, grid);
+                        if (result) onResult(layers, { ...result, pgRatio, range });
+                    }
+                }
+            }
+            return finished();
+        }
+    }
+
+    // Walks the same A ≥ B ≥ C ≥ D space as RhythmLayerSearch, keeping layer sets
+    // whose scale has the target's pitch count and lies within maxError cents of it
+    class ScaleSearch {
+        initialState(params, shard) {
+            return layerSpaceStart(params.bounds, shard);
+        }
+
+        scan(params, state, shards, context) {
+            const { target, maxError, deviationEdo, constraints = null, consonance = {}, bounds = null } = params;
+            const period = target.period;
+
+            return scanLayerSpace(params, bounds, state, shards, context, (layers, range) => {
+                const grid = Core.calculateTotalLCM(layers);
+                const { rhythm, layerMap } = Core.generateCompositeRhythm(layers);
+                const { spacesPlot } = Core.generateSpacesPlot(rhythm, grid, layerMap);
+                const { ratios } = Core.generateRatiosWithFrequency(spacesPlot, period);
+
+                const match = Core.matchScale(ratios, target);
+                if (!match || (maxError !== null && match.error > maxError)) return;
+
+                const tones = ratios.filter(r => r.fraction !== period.label);
+                if (!meetsConstraints(tones.map(r => r.fraction), constraints, period.cents, consonance)) return;
+                context.onResult(layers, {
+                    grid,
+                    pitches: tones.length,
+                    avgDeviation: Core.calculateAverageDeviation(spacesPlot, period, deviationEdo),
+                    matchError: match.error,
+                    exact: match.exact,
+                    period,
+                    ratios: tones.map(r => r.fraction),
+                    range
+                });
+            });
+        }
+    }
+
+    // Walks the A ≥ B ≥ C ≥ D space up to maxLayer and reports layer sets that join the shard's
+    // Pareto front over the chosen objectives. The front travels in the cursor, so a resumed scan
+    // only reports what beats it; LRCSearch merges the shards' fronts.
+    class ParetoSearch {
+        layerBounds({ maxLayer, bounds = null }) {
+            return narrowBounds(bounds, 0, 1, Math.min(maxLayer || MAX_LAYER, MAX_LAYER));
+        }
+
+        initialState(params, shard) {
+            return { ...layerSpaceStart(this.layerBounds(params), shard), front: [] };
+        }
+
+        scan(params, state, shards, context) {
+            const { targetPitches, objectives, consonance = {} } = params;
+            // With "pitches near target" as an objective the pitch count stops being a filter
+            const pitchFilter = objectives.includes('pitchDistance') ? null : targetPitches;
+            const front = state.front.slice();
+
+            return scanLayerSpace(params, this.layerBounds(params), state, shards, context, (layers, range) => {
+                const result = pitchCountResult(layers, { ...params, targetPitches: pitchFilter });
+                if (!result) return;
+
+                const candidate = {
+                    ...result,
+                    range,
+                    consonance: consonanceRatio(result.ratios, consonance),
+                    pitchDistance: targetPitches === null ? null : Math.abs(result.pitches - targetPitches)
+                };
+                const point = Object.fromEntries(objectives.map(objective => [objective, candidate[objective]]));
+                if (updateFront(front, point, objectives)) context.onResult(layers, candidate);
+            }, () => ({ front }));
+        }
+    }
+
+    // ====================================
+    // RUNNING
+    // ====================================
+
+    const ALGORITHMS = {
+        rhythm: RhythmLayerSearch,
+        grid: GridSearch,
+        fundamental: FundamentalSearch,
+        inversePG: InversePGSearch,
+        scale: ScaleSearch,
+        pareto: ParetoSearch
+    };
+
+    function createSearch(algorithmName) {
+        const Search = ALGORITHMS[algorithmName];
+        if (!Search) throw new Error(`Unknown search algorithm: ${algorithmName}`);
+        return new Search();
+    }
+
+    // One slice of work on one shard: scans until `deadline` and collects what it found
+    function runScan(search, params, state, shards, skip, deadline) {
+        const results = [];
+        const outcome = search.scan(params, state, shards, {
+            deadline,
+            skip,
+            onResult: (layers, result) => results.push({ layers, result })
+        });
+        return { ...outcome, results };
+    }
+
+    const api = {
+        MAX_LAYER,
+        ALGORITHMS,
+        RhythmLayerSearch,
+        GridSearch,
+        FundamentalSearch,
+        InversePGSearch,
+        ScaleSearch,
+        ParetoSearch,
+        OBJECTIVES,
+        calculateRange,
+        isValidLayerSet,
+        parseConstraints,
+        describeConstraints,
+        meetsConstraints,
+        parseBounds,
+        describeBounds,
+        layersMeetBounds,
+        usesConsonance,
+        consonanceRatio,
+        dominates,
+        updateFront,
+        createSearch,
+        runScan
+    };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    if (root) root.LRCSearchAlgorithms = api;
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : null));
@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import LRCConsonance from './LRCConsonance.js';
+import LRCSearchAlgorithms from './LRCSearchAlgorithms.js';
+
+const { createSearch, runScan } = LRCSearchAlgorithms;
+
+// Runs every shard to completion, pausing after each slice when sliceMs is set.
+// Shards can meet the same layer set in a different order; LRCSearch.addResult drops the repeats.
+function scanAll(algorithm, params, shards, sliceMs = Infinity) {
+    const search = createSearch(algorithm);
+    const found = [];
+    for (let shard = 0; shard < shards; shard++) {
+        const seen = new Set();
+        let state = search.initialState(params, shard, shards);
+        while (state !== null) {
+            const slice = runScan(search, params, state, shards, seen, Date.now() + sliceMs);
+            found.push(...slice.results.map(({ layers }) => layers.join(':')));
+            state = slice.state;
+        }
+    }
+    return [...new Set(found)].sort();
+}
+
+test('sharded scans cover the same layer sets as a single shard', () => {
+    const grid = { gridValue: 420, targetPitches: null, rangeLimit: 100, deviationEdo: null };
+    const single = scanAll('grid', grid, 1);
+    assert.ok(single.length > 0);
+    assert.deepEqual(scanAll('grid', grid, 3), single);
+
+    const rhythm = { layer: 'A', value: 12, targetPitches: 12, rangeLimit: 100, deviationEdo: null };
+    assert.deepEqual(scanAll('rhythm', rhythm, 4), scanAll('rhythm', rhythm, 1));
+});
+
+test('a paused scan resumes from its cursor without losing results', () => {
+    const params = { layerA: 30, targetPitches: null, rangeLimit: 100, deviationEdo: null };
+    const search = createSearch('inversePG');
+
+    const paused = runScan(search, params, search.initialState(params, 0, 1), 1, new Set(), Date.now() - 1);
+    assert.equal(paused.done, false);
+    assert.deepEqual(paused.state, { b: 1, c: 1, d: 1 });
+    assert.equal(paused.results.length, 0);
+
+    assert.deepEqual(scanAll('inversePG', params, 2, 1), scanAll('inversePG', params, 1));
+});
+
+test('ratio constraints parse, describe and filter scales', () => {
+    const { parseConstraints, describeConstraints, meetsConstraints } = LRCSearchAlgorithms;
+    assert.equal(parseConstraints({ require: ' ', primeLimit: '' }), null);
+    assert.throws(() => parseConstraints({ require: '3/0' }), { code: 'CONSTRAINT_INVALID' });
+
+    const constraints = parseConstraints({ require: '6/4, 5/4', forbid: '7/4', primeLimit: '5', minConsonant: '3', maxStepCents: '400' });
+    assert.deepEqual(constraints.require, ['3/2', '5/4']);
+    assert.equal(describeConstraints(constraints), 'contains 3/2 5/4 · excludes 7/4 · 5-limit · ≥ 3 consonant intervals · steps < 400¢');
+
+    const major = ['1/1', '9/8', '5/4', '4/3', '3/2', '5/3', '15/8'];
+    assert.equal(meetsConstraints(major, constraints), true);
+    assert.equal(meetsConstraints([...major, '7/4'], constraints), false);
+    assert.equal(meetsConstraints(['1/1', '5/4', '3/2', '11/8'], constraints), false);
+    assert.equal(meetsConstraints(['1/1', '5/4', '3/2'], constraints), false); // 3/2 -> 2/1 is 498¢
+
+    // Applied inside the scans, before results are reported
+    const grid = { gridValue: 420, targetPitches: null, rangeLimit: 100, deviationEdo: null };
+    const search = LRCSearchAlgorithms.createSearch('grid');
+    const filtered = parseConstraints({ require: '5/4' });
+    const results = runScan(search, { ...grid, constraints: filtered }, search.initialState(grid, 0, 1), 1, new Set(), Infinity).results;
+    assert.ok(results.length > 0);
+    assert.ok(results.every(({ result }) => result.ratios.includes('5/4')));
+    assert.ok(results.length < scanAll('grid', grid, 1).length);
+});
+
+test('consonance and the consonant-intervals constraint follow the consonance model', () => {
+    const { parseConstraints, meetsConstraints, consonanceRatio } = LRCSearchAlgorithms;
+    const scale = ['9/8', '5/4', '11/8', '3/2', '7/4'];
+    const ratios = ['1/1', ...scale].map(fraction => {
+        const [n, d] = fraction.split('/').map(Number);
+        return { fraction, ratio: n / d, cents: 1200 * Math.log2(n / d) };
+    });
+
+    // As the Interconsonance panel counts them: 4 of 15 intervals near 12-TET, 6 in 5-limit JI
+    const ji = { model: 'ji', primeLimit: 5, maxHeight: 7 };
+    [{}, ji, { model: 'edo', edo: 31, window: 8 }].forEach(model => {
+        assert.equal(consonanceRatio(scale, model), LRCConsonance.analyzeIntervals(ratios, model).analysis.consonanceRatio);
+    });
+    assert.equal(consonanceRatio(scale), 4 / 15);
+    assert.equal(consonanceRatio(scale, ji), 6 / 15);
+
+    const constraints = parseConstraints({ minConsonant: '5' });
+    assert.equal(meetsConstraints(scale, constraints), false);
+    assert.equal(meetsConstraints(scale, constraints, 1200, ji), true);
+});
+
+test('Pareto search reports a front no member of which dominates another', () => {
+    const { dominates, updateFront, consonanceRatio } = LRCSearchAlgorithms;
+    const objectives = ['avgDeviation', 'consonance'];
+    assert.equal(dominates({ avgDeviation: 0.1, consonance: 0.5 }, { avgDeviation: 0.2, consonance: 0.5 }, objectives), true);
+    assert.equal(dominates({ avgDeviation: 0.1, consonance: 0.4 }, { avgDeviation: 0.2, consonance: 0.5 }, objectives), false);
+    assert.equal(dominates({ avgDeviation: 0.1, consonance: 0.5 }, { avgDeviation: 0.1, consonance: 0.5 }, objectives), false);
+
+    const front = [{ avgDeviation: 0.3, consonance: 0.2 }];
+    assert.equal(updateFront(front, { avgDeviation: 0.2, consonance: 0.3 }, objectives), true);
+    assert.equal(updateFront(front, { avgDeviation: 0.4, consonance: 0.1 }, objectives), false);
+    assert.deepEqual(front, [{ avgDeviation: 0.2, consonance: 0.3 }]);
+    assert.equal(consonanceRatio(['1/1', '3/2']), 1);
+
+    const params = { maxLayer: 16, objectives: ['avgDeviation', 'range', 'consonance'], targetPitches: null, rangeLimit: 100, deviationEdo: null };
+    const reported = [];
+    for (let shard = 0; shard < 2; shard++) {
+        const search = LRCSearchAlgorithms.createSearch('pareto');
+        const slice = runScan(search, params, search.initialState(params, shard, 2), 2, new Set(), Infinity);
+        assert.equal(slice.done, true);
+        reported.push(...slice.results.map(({ result }) => result));
+    }
+    const merged = [];
+    reported.forEach(result => updateFront(merged, result, params.objectives));
+    assert.ok(merged.length > 1);
+    assert.ok(merged.every(a => merged.every(b => !dominates(a, b, params.objectives))));
+});
+
+test('layer bounds pin layers, allow equal layers and filter every search', () => {
+    const { parseBounds, describeBounds, layersMeetBounds } = LRCSearchAlgorithms;
+    assert.equal(parseBounds({ min: ['', ''], max: [] }), null);
+    assert.throws(() => parseBounds({ min: ['30'], max: ['20'] }), { code: 'CONSTRAINT_INVALID' });
+    assert.throws(() => parseBounds({ layerCount: '5' }), { code: 'CONSTRAINT_INVALID' });
+
+    const bounds = parseBounds({ min: ['', '', '', '2'], max: ['40', '10'], smooth: '7', pairwiseCoprime: true });
+    assert.equal(describeBounds(bounds), 'A ≤ 40 · B ≤ 10 · D ≥ 2 · 7-smooth · pairwise coprime');
+    assert.equal(layersMeetBounds([25, 9, 8, 7], bounds), true);
+    assert.equal(layersMeetBounds([35, 9, 4], bounds), false); // no D
+    assert.equal(layersMeetBounds([35, 9, 4, 2], bounds), false); // 4 and 2 share a factor
+    assert.equal(layersMeetBounds([33, 8, 7, 5], bounds), false); // 11 > 7
+
+    const rhythm = { layer: 'A', value: 12, targetPitches: null, rangeLimit: 100, deviationEdo: null };
+    const pairs = scanAll('rhythm', { ...rhythm, bounds: parseBounds({ layerCount: '2' }) }, 2);
+    assert.deepEqual(pairs, ['12:11', '12:5', '12:7']);
+    assert.ok(scanAll('rhythm', { ...rhythm, bounds: parseBounds({ allowEqual: true }) }, 1).includes('12:5:5'));
+    assert.ok(!scanAll('rhythm', rhythm, 1).includes('12:5:5'));
+
+    const grid = { gridValue: 420, targetPitches: null, rangeLimit: 100, deviationEdo: null };
+    const threeLayer = scanAll('grid', { ...grid, bounds: parseBounds({ layerCount: '3', max: ['30'] }) }, 1);
+    assert.ok(threeLayer.length > 0);
+    assert.ok(threeLayer.every(layers => layers.split(':').length === 3 && Number(layers.split(':')[0]) <= 30));
+});
@@ -0,0 +1,196 @@
+// LRCSearchLibrary.js - Saved search results: record format, filtering and CSV/JSON export
+// Self-contained (no DOM). Works in browser (window.LRCSearchLibrary) and Node (module.exports).
+//
+// Results are grouped into sets, one per algorithm + parameter set (the params LRCSearch compares
+// to decide whether to keep accumulating). LRCSearchLibraryUI.js stores sets and records in IndexedDB.
+
+(function (root) {
+    'use strict';
+
+    const FORMAT = 'lrc-search-library';
+    const VERSION = 1;
+
+    const TITLES = {
+        rhythm: 'Rhythm Layer Search',
+        grid: 'Grid Search',
+        fundamental: 'Fundamental Search',
+        inversePG: 'Inverse PG Search',
+        scale: 'Scale Search',
+        pareto: 'Pareto Search'
+    };
+
+    const CSV_COLUMNS = ['algorithm', 'search', 'layers', 'grid', 'pitches', 'range', 'avg_deviation',
+        'match_error', 'pg_ratio', 'consonance', 'period', 'ratios', 'saved_at'];
+
+    // ====================================
+    // SETS AND RECORDS
+    // ====================================
+
+    // Stable key for an algorithm's parameters, whatever order they were built in
+    function setKey(algorithm, params = {}) {
+        const sorted = Object.keys(params).sort().map(key => [key, params[key] === undefined ? null : params[key]]);
+        return `${algorithm}:${JSON.stringify(sorted)}`;
+    }
+
+    function describeParams(algorithm, params = {}) {
+        let subject;
+        switch (algorithm) {
+            case 'rhythm': subject = `${params.layer} = ${params.value}`; break;
+            case 'grid': subject = `Grid ${params.gridValue}`; break;
+            case 'fundamental': subject = `Fundamental ${params.fundamental} (A ≥ ${params.minLayerA})`; break;
+            case 'inversePG': subject = `A = ${params.layerA}`; break;
+            case 'scale': {
+                // LRCSearch keys Scale Search by "<period>|<cents,...>"
+                const [period = '2/1', cents = ''] = String(params.target || '').split('|');
+                const count = cents ? cents.split(',').length : 0;
+                subject = `${count} pitches in ${period}${params.maxError !== null && params.maxError !== undefined ? ` ≤ ${params.maxError}¢` : ''}`;
+                break;
+            }
+            case 'pareto': subject = `${String(params.objectives || '').split(',').join(' / ')} up to A = ${params.maxLayer}`; break;
+            default: subject = algorithm;
+        }
+
+        const parts = [`${TITLES[algorithm] || algorithm}: ${subject}`];
+        if (algorithm !== 'scale') parts.push(`${params.targetPitches ?? 'any'} pitches`);
+        if (Number.isFinite(params.rangeLimit)) parts.push(`range ≤ ${params.rangeLimit}`);
+        if (params.deviationEdo) parts.push(`${params.deviationEdo}-EDO`);
+        if (params.constraints) parts.push(params.constraints);
+        if (params.bounds) parts.push(params.bounds);
+        if (params.consonance) parts.push(params.consonance);
+        return parts.join(' · ');
+    }
+
+    function createSet(algorithm, params, searchState = null, now = Date.now()) {
+        return {
+            setKey: setKey(algorithm, params),
+            algorithm,
+            params,
+            label: describeParams(algorithm, params),
+            searchState,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    // LRCSearch result ({ layers, grid, pitches, ... }) -> stored record
+    function toRecord(set, result, now = Date.now()) {
+        const record = {
+            id: `${set.setKey}#${result.layers.join(':')}`,
+            setKey: set.setKey,
+            algorithm: set.algorithm,
+            layers: [...result.layers],
+            grid: result.grid,
+            pitches: result.pitches,
+            range: result.range ?? null,
+            avgDeviation: result.avgDeviation ?? null,
+            ratios: [...(result.ratios || [])],
+            savedAt: result.savedAt || now
+        };
+        if (result.matchError !== undefined) {
+            record.matchError = result.matchError;
+            record.exact = !!result.exact;
+        }
+        if (result.pgRatio !== undefined) record.pgRatio = result.pgRatio;
+        // Pareto Search objectives
+        if (result.consonance !== undefined) record.consonance = result.consonance;
+        if (result.pitchDistance !== undefined) record.pitchDistance = result.pitchDistance;
+        if (result.period) record.period = result.period;
+        return record;
+    }
+
+    // Stored record -> LRCSearch result
+    function fromRecord(record) {
+        const { id, setKey: key, algorithm, ...result } = record;
+        return result;
+    }
+
+    // ====================================
+    // BROWSING
+    // ====================================
+
+    // filters: { setKey, pitches, maxRange, maxDeviation, text } (empty values are ignored).
+    // text matches layers ("8:7") or any ratio ("7/4"). The same layers found by several
+    // searches are listed once, from the earliest save.
+    function filterRecords(records, filters = {}) {
+        const { setKey: key, pitches, maxRange, maxDeviation } = filters;
+        const terms = String(filters.text || '').split(/[\s,]+/).filter(Boolean);
+        const seen = new Map();
+
+        records.forEach(record => {
+            if (key && record.setKey !== key) return;
+            if (Number.isFinite(pitches) && record.pitches !== pitches) return;
+            if (Number.isFinite(maxRange) && !(record.range <= maxRange)) return;
+            if (Number.isFinite(maxDeviation) && !(record.avgDeviation <= maxDeviation)) return;
+
+            const layers = record.layers.join(':');
+            if (terms.some(term => !(layers.includes(term) || record.ratios.includes(term)))) return;
+
+            const existing = seen.get(layers);
+            if (!existing || record.savedAt < existing.savedAt) seen.set(layers, record);
+        });
+
+        return Array.from(seen.values()).sort((a, b) => a.grid - b.grid || a.layers.join(':').localeCompare(b.layers.join(':')));
+    }
+
+    // ====================================
+    // EXPORT
+    // ====================================
+
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // labels: setKey -> set label, for the "search" column
+    function toCSV(records, labels = {}) {
+        const rows = records.map(record => [
+            record.algorithm,
+            labels[record.setKey] || '',
+            record.layers.join(':'),
+            record.grid,
+            record.pitches,
+            record.range,
+            record.avgDeviation,
+            record.matchError,
+            record.pgRatio,
+            record.consonance,
+            record.period ? record.period.label : '',
+            record.ratios.join(' '),
+            new Date(record.savedAt).toISOString()
+        ].map(csvCell).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    function toJSON(records, sets = [], now = Date.now()) {
+        const used = new Set(records.map(record => record.setKey));
+        return JSON.stringify({
+            format: FORMAT,
+            version: VERSION,
+            exportedAt: new Date(now).toISOString(),
+            sets: sets
+                .filter(set => used.has(set.setKey))
+                .map(({ setKey: key, algorithm, params, label }) => ({ setKey: key, algorithm, params, label })),
+            results: records.map(({ id, ...record }) => record)
+        }, null, 2);
+    }
+
+    const api = {
+        FORMAT,
+        VERSION,
+        TITLES,
+        CSV_COLUMNS,
+        setKey,
+        describeParams,
+        createSet,
+        toRecord,
+        fromRecord,
+        filterRecords,
+        csvCell,
+        toCSV,
+        toJSON
+    };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    if (root) root.LRCSearchLibrary = api;
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : null));
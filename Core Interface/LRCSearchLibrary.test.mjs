@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import LRCSearchLibrary from './LRCSearchLibrary.js';
+
+const params = { gridValue: 420, targetPitches: 12, rangeLimit: 100, deviationEdo: null };
+
+test('set keys ignore parameter order and records round-trip to results', () => {
+    const reordered = { deviationEdo: null, rangeLimit: 100, targetPitches: 12, gridValue: 420 };
+    assert.equal(LRCSearchLibrary.setKey('grid', params), LRCSearchLibrary.setKey('grid', reordered));
+    assert.notEqual(LRCSearchLibrary.setKey('grid', params), LRCSearchLibrary.setKey('grid', { ...params, gridValue: 840 }));
+
+    const set = LRCSearchLibrary.createSet('grid', params, { cursors: [null] }, 1000);
+    assert.equal(set.label, 'Grid Search: Grid 420 · 12 pitches · range ≤ 100');
+
+    const result = { layers: [7, 5, 4], grid: 140, pitches: 12, range: 1.75, avgDeviation: 0.2, ratios: ['8/7', '5/4'] };
+    const record = LRCSearchLibrary.toRecord(set, result, 2000);
+    assert.equal(record.id, `${set.setKey}#7:5:4`);
+    assert.deepEqual(LRCSearchLibrary.fromRecord(record), { ...result, savedAt: 2000 });
+});
+
+test('records filter, deduplicate across searches and export', () => {
+    const grid = LRCSearchLibrary.createSet('grid', params);
+    const rhythm = LRCSearchLibrary.createSet('rhythm', { layer: 'A', value: 7, targetPitches: 12, rangeLimit: 100, deviationEdo: null });
+    const records = [
+        LRCSearchLibrary.toRecord(grid, { layers: [7, 5, 4], grid: 140, pitches: 12, range: 1.75, avgDeviation: 0.2, ratios: ['8/7', '5/4'] }, 2),
+        LRCSearchLibrary.toRecord(rhythm, { layers: [7, 5, 4], grid: 140, pitches: 12, range: 1.75, avgDeviation: 0.2, ratios: ['8/7', '5/4'] }, 1),
+        LRCSearchLibrary.toRecord(grid, { layers: [7, 6, 5], grid: 210, pitches: 12, range: 1.4, avgDeviation: 0.5, ratios: ['7/6', '6/5, "x"'] }, 3)
+    ];
+
+    const all = LRCSearchLibrary.filterRecords(records);
+    assert.deepEqual(all.map(record => [record.layers.join(':'), record.setKey]), [['7:5:4', rhythm.setKey], ['7:6:5', grid.setKey]]);
+    assert.equal(LRCSearchLibrary.filterRecords(records, { setKey: grid.setKey }).length, 2);
+    assert.equal(LRCSearchLibrary.filterRecords(records, { maxDeviation: 0.3 }).length, 1);
+    assert.deepEqual(LRCSearchLibrary.filterRecords(records, { text: '7/6' }).map(record => record.grid), [210]);
+
+    const csv = LRCSearchLibrary.toCSV(all, { [grid.setKey]: grid.label }).trim().split('\n');
+    assert.equal(csv[0], LRCSearchLibrary.CSV_COLUMNS.join(','));
+    assert.match(csv[2], /^grid,Grid Search: Grid 420 · 12 pitches · range ≤ 100,7:6:5,210,12,1.4,0.5,,,,,"7\/6 6\/5, ""x""",/);
+
+    const json = JSON.parse(LRCSearchLibrary.toJSON(all, [grid, rhythm]));
+    assert.equal(json.format, 'lrc-search-library');
+    assert.equal(json.sets.length, 2);
+    assert.equal(json.results[0].id, undefined);
+});
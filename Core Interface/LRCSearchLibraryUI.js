@@ -0,0 +1,311 @@
+// LRCSearchLibraryUI.js - IndexedDB library of search results and the Search panel's Saved Results
+// LRCSearch saves each search's results and resume cursors here when it ends, and reloads them when
+// the same search runs again, so results keep accumulating across sessions. Clear only empties
+// the panel's tables; saved searches are removed here.
+
+class LRCSearchLibraryUI {
+    constructor() {
+        this.dbPromise = null;
+        this.sets = [];
+        this.records = [];
+        this.renderLimit = 500; // Rows drawn at once; exports always include every match
+
+        this.setupUI();
+        this.refresh();
+        console.log('📚 LRCSearchLibraryUI initialized');
+    }
+
+    // ====================================
+    // STORAGE
+    // ====================================
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    openDB() {
+        if (this.dbPromise) return this.dbPromise;
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open('lrc-search-library', 1);
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains('sets')) {
+                    db.createObjectStore('sets', { keyPath: 'setKey' });
+                }
+                if (!db.objectStoreNames.contains('results')) {
+                    const results = db.createObjectStore('results', { keyPath: 'id' });
+                    results.createIndex('setKey', 'setKey');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.dbPromise;
+    }
+
+    // { set, records } saved for this algorithm + parameter set, or null
+    async loadSet(algorithm, params) {
+        if (!this.isAvailable()) return null;
+        const db = await this.openDB();
+        const key = LRCSearchLibrary.setKey(algorithm, params);
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['sets', 'results'], 'readonly');
+            let set = null;
+            let records = [];
+            tx.objectStore('sets').get(key).onsuccess = (event) => { set = event.target.result || null; };
+            tx.objectStore('results').index('setKey').getAll(key).onsuccess = (event) => { records = event.target.result || []; };
+            tx.oncomplete = () => resolve(set ? { set, records } : null);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // Stores a search's results (re-saving one keeps its first savedAt) and where it stopped.
+    // LRCSearch always holds every saved result of the search it saves, so the results replace
+    // the stored ones; that also drops what a Pareto front has since left behind.
+    async saveSearch(algorithm, params, results, searchState) {
+        if (!this.isAvailable()) return;
+        const db = await this.openDB();
+        const set = LRCSearchLibrary.createSet(algorithm, params, searchState);
+
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(['sets', 'results'], 'readwrite');
+            const sets = tx.objectStore('sets');
+            sets.get(set.setKey).onsuccess = (event) => {
+                if (event.target.result) set.createdAt = event.target.result.createdAt;
+                sets.put(set);
+            };
+            const store = tx.objectStore('results');
+            const records = results.map(result => LRCSearchLibrary.toRecord(set, result, set.updatedAt));
+            const ids = new Set(records.map(record => record.id));
+            store.index('setKey').getAllKeys(set.setKey).onsuccess = (event) => {
+                (event.target.result || []).forEach(id => {
+                    if (!ids.has(id)) store.delete(id);
+                });
+                records.forEach(record => store.put(record));
+            };
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+
+        console.log(`📚 Saved ${results.length} results for ${set.label}`);
+        await this.refresh();
+    }
+
+    async deleteSet(setKey) {
+        const db = await this.openDB();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(['sets', 'results'], 'readwrite');
+            tx.objectStore('sets').delete(setKey);
+            tx.objectStore('results').index('setKey').openCursor(IDBKeyRange.only(setKey)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                cursor.delete();
+                cursor.continue();
+            };
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+        await this.refresh();
+    }
+
+    async getAll() {
+        const db = await this.openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['sets', 'results'], 'readonly');
+            const all = { sets: [], records: [] };
+            tx.objectStore('sets').getAll().onsuccess = (event) => { all.sets = event.target.result || []; };
+            tx.objectStore('results').getAll().onsuccess = (event) => { all.records = event.target.result || []; };
+            tx.oncomplete = () => resolve(all);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async refresh() {
+        if (!this.isAvailable()) {
+            this.render();
+            return;
+        }
+        try {
+            const { sets, records } = await this.getAll();
+            this.sets = sets.sort((a, b) => b.updatedAt - a.updatedAt);
+            this.records = records;
+        } catch (error) {
+            console.warn('⚠️ Could not read the search library:', error.message);
+        }
+        this.renderSetOptions();
+        this.render();
+    }
+
+    // ====================================
+    // UI
+    // ====================================
+
+    setupUI() {
+        ['library-pitches', 'library-max-range', 'library-max-deviation', 'library-text'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('input', () => this.render());
+        });
+
+        const setSelect = document.getElementById('library-set');
+        if (setSelect) setSelect.addEventListener('change', () => this.render());
+
+        const csvBtn = document.getElementById('library-export-csv');
+        const jsonBtn = document.getElementById('library-export-json');
+        const deleteBtn = document.getElementById('library-delete-set');
+        if (csvBtn) csvBtn.addEventListener('click', () => this.exportResults('csv'));
+        if (jsonBtn) jsonBtn.addEventListener('click', () => this.exportResults('json'));
+        if (deleteBtn) deleteBtn.addEventListener('click', () => this.deleteSelectedSet());
+
+        const results = document.getElementById('library-results');
+        if (results) {
+            results.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-record-id]');
+                if (button) this.applyRecord(button.dataset.recordId);
+            });
+        }
+    }
+
+    getFilters() {
+        const number = (id) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return Number.isFinite(value) ? value : null;
+        };
+        return {
+            setKey: document.getElementById('library-set')?.value || null,
+            pitches: number('library-pitches'),
+            maxRange: number('library-max-range'),
+            maxDeviation: number('library-max-deviation'),
+            text: document.getElementById('library-text')?.value || ''
+        };
+    }
+
+    getFilteredRecords() {
+        return LRCSearchLibrary.filterRecords(this.records, this.getFilters());
+    }
+
+    renderSetOptions() {
+        const select = document.getElementById('library-set');
+        if (!select) return;
+        const selected = select.value;
+        const counts = new Map();
+        this.records.forEach(record => counts.set(record.setKey, (counts.get(record.setKey) || 0) + 1));
+
+        select.innerHTML = `<option value="">All searches (${this.records.length})</option>` +
+            this.sets.map(set => `<option value="${this.escapeHtml(set.setKey)}">${this.escapeHtml(set.label)} (${counts.get(set.setKey) || 0})</option>`).join('');
+        select.value = this.sets.some(set => set.setKey === selected) ? selected : '';
+
+        const deleteBtn = document.getElementById('library-delete-set');
+        if (deleteBtn) deleteBtn.disabled = !select.value;
+    }
+
+    render() {
+        const container = document.getElementById('library-results');
+        if (!container) return;
+
+        const deleteBtn = document.getElementById('library-delete-set');
+        if (deleteBtn) deleteBtn.disabled = !document.getElementById('library-set')?.value;
+
+        if (!this.isAvailable()) {
+            container.innerHTML = '<div class="no-results">Saved results need IndexedDB, which this browser does not provide.</div>';
+            return;
+        }
+        if (this.records.length === 0) {
+            container.innerHTML = '<div class="no-results">No saved results yet. Search results are saved here automatically.</div>';
+            return;
+        }
+
+        const records = this.getFilteredRecords();
+        const labels = new Map(this.sets.map(set => [set.setKey, set.label]));
+        const shown = records.slice(0, this.renderLimit);
+        const more = records.length - shown.length;
+
+        container.innerHTML = `
+            <div class="search-results-header">
+                <h4>Saved Results: ${records.length}${more > 0 ? ` (showing ${shown.length}; export for all)` : ''}</h4>
+            </div>
+            <div class="results-table-container">
+                <table class="results-table">
+                    <thead>
+                        <tr><th>Layers</th><th>Grid</th><th>Pitches</th><th>Avg Dev</th><th>Range</th><th>Search</th><th>Action</th></tr>
+                    </thead>
+                    <tbody>
+                        ${shown.map(record => `
+                            <tr>
+                                <td>${record.layers.join(':')}</td>
+                                <td>${record.grid}</td>
+                                <td>${record.pitches}</td>
+                                <td>${record.avgDeviation != null ? record.avgDeviation.toFixed(3) : 'N/A'}</td>
+                                <td>${record.range != null ? record.range.toFixed(2) : 'N/A'}</td>
+                                <td class="library-search-label">${this.escapeHtml(labels.get(record.setKey) || record.algorithm)}</td>
+                                <td><button type="button" class="apply-btn" data-record-id="${this.escapeHtml(record.id)}">Apply</button></td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+    }
+
+    // ====================================
+    // ACTIONS
+    // ====================================
+
+    applyRecord(id) {
+        const record = this.records.find(item => item.id === id);
+        if (!record || !window.lrcSearch) return;
+        // Scale Search results were matched in their target's period
+        if (record.period && window.lrcModule) window.lrcModule.setPeriodInput(record.period);
+        window.lrcSearch.applyResult(record.layers);
+    }
+
+    async deleteSelectedSet() {
+        const setKey = document.getElementById('library-set')?.value;
+        const set = this.sets.find(item => item.setKey === setKey);
+        if (!set) return;
+        if (!confirm(`Delete the saved results of ${set.label}?`)) return;
+
+        await this.deleteSet(setKey);
+        console.log(`🗑️ Deleted saved results for ${set.label}`);
+    }
+
+    exportResults(format) {
+        const records = this.getFilteredRecords();
+        if (records.length === 0) {
+            alert('No saved results match the current filters');
+            return;
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        const labels = Object.fromEntries(this.sets.map(set => [set.setKey, set.label]));
+        const blob = format === 'csv'
+            ? new Blob([LRCSearchLibrary.toCSV(records, labels)], { type: 'text/csv' })
+            : new Blob([LRCSearchLibrary.toJSON(records, this.sets)], { type: 'application/json' });
+        const filename = `lrc-search-results-${date}.${format}`;
+
+        if (window.lrcExport) {
+            window.lrcExport.downloadBlob(blob, filename);
+        } else {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.click();
+            URL.revokeObjectURL(url);
+        }
+        console.log(`📤 Exported ${records.length} saved results: ${filename}`);
+    }
+}
+
+// Initialize LRCSearchLibraryUI when DOM is loaded
+let lrcSearchLibrary;
+
+document.addEventListener('DOMContentLoaded', () => {
+    lrcSearchLibrary = new LRCSearchLibraryUI();
+    window.lrcSearchLibrary = lrcSearchLibrary; // Make globally accessible
+});
@@ -0,0 +1,34 @@
+// LRCSearchWorker.js - Runs one shard of an LRCSearchAlgorithms scan off the UI thread
+// In:  { id, algorithm, params, state, shards, skip, budgetMs }
+// Out: { id, type: 'progress', results, state, progress }   after every slice of work
+//      { id, type: 'paused', results, state, progress }     budget used up; resume from state
+//      { id, type: 'done', results, state: null, progress: 1 }
+//      { id, type: 'error', error: { message } }
+// Cancellation is by terminate(): LRCSearch keeps the last reported state so the shard can resume.
+
+importScripts('LRCLayers.js', 'LRCCore.js', 'LRCConsonance.js', 'LRCSearchAlgorithms.js');
+
+const SLICE_MS = 100; // How often results and the resume cursor are reported
+
+self.onmessage = (event) => {
+    const { id, algorithm, params, state, shards, skip = [], budgetMs } = event.data || {};
+
+    try {
+        const search = LRCSearchAlgorithms.createSearch(algorithm);
+        const seen = new Set(skip);
+        const stopAt = Date.now() + budgetMs;
+        let cursor = state;
+
+        while (true) {
+            const deadline = Math.min(stopAt, Date.now() + SLICE_MS);
+            const slice = LRCSearchAlgorithms.runScan(search, params, cursor, shards, seen, deadline);
+            cursor = slice.state;
+
+            const type = slice.done ? 'done' : (Date.now() >= stopAt ? 'paused' : 'progress');
+            self.postMessage({ id, type, results: slice.results, state: cursor, progress: slice.progress });
+            if (type !== 'progress') return;
+        }
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: { message: error.message } });
+    }
+};
@@ -0,0 +1,296 @@
+// LRCSession.js - Save, re-open and share the whole session as a project
+// Each section is captured from and applied back to the module that owns it; the format,
+// its migrations and the link encoding live in LRCProject.js. Projects open from the header
+// menu's file picker, by dropping a .lrc.json file anywhere on the page, or from a
+// '#session=…' link made with the HUD's Copy link button.
+
+class LRCSession {
+    constructor() {
+        this.isLoading = false;
+        this.setupUI();
+        this.setupDragAndDrop();
+        this.loadFromUrl();
+        console.log('💾 LRCSession initialized');
+    }
+
+    // ====================================
+    // UI
+    // ====================================
+
+    setupUI() {
+        const saveBtn = document.getElementById('project-save-btn');
+        const openBtn = document.getElementById('project-open-btn');
+        const fileInput = document.getElementById('project-file-input');
+        const copyLinkBtn = document.getElementById('copy-link-btn');
+
+        if (copyLinkBtn) copyLinkBtn.addEventListener('click', () => this.copyLink());
+        if (saveBtn) saveBtn.addEventListener('click', () => this.saveProject());
+        if (openBtn && fileInput) {
+            openBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files && fileInput.files[0];
+                // Reset so re-opening the same file fires 'change' again
+                fileInput.value = '';
+                if (file) this.openFile(file);
+            });
+        }
+    }
+
+    setupDragAndDrop() {
+        const carriesFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+        document.addEventListener('dragover', (event) => {
+            if (!carriesFiles(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            document.body.classList.add('project-drop-active');
+        });
+        document.addEventListener('dragleave', (event) => {
+            // relatedTarget is null once the drag leaves the window
+            if (!event.relatedTarget) document.body.classList.remove('project-drop-active');
+        });
+        document.addEventListener('drop', (event) => {
+            document.body.classList.remove('project-drop-active');
+            if (!carriesFiles(event)) return;
+            const file = Array.from(event.dataTransfer.files).find(f => /\.json$/i.test(f.name));
+            if (!file) return;
+            event.preventDefault();
+            this.openFile(file);
+        });
+    }
+
+    setStatus(message) {
+        const status = document.getElementById('project-status');
+        if (status) status.textContent = message;
+    }
+
+    // ====================================
+    // SAVE
+    // ====================================
+
+    captureProject() {
+        const module = window.lrcModule;
+        const data = module?.getCurrentData?.();
+        if (!data || !data.spacesPlot || data.spacesPlot.length === 0) return null;
+
+        const playback = window.toneRowPlayback;
+        const progressionBar = window.ProgressionBar;
+        // While a progression is painted, selectedNotes holds the current stage's mask
+        const selection = progressionBar?.paintEngine ? progressionBar.paintEngine.userSelection() : playback?.selectedNotes;
+        // null = the whole scale, which every new rhythm starts with anyway
+        const wholeScale = !selection || (playback && selection.size === playback.availableRatios.length);
+
+        return LRCProject.createProject({
+            rhythm: {
+                layers: data.layerPulses,
+                offsets: data.offsets,
+                spans: data.spans,
+                period: (data.period || LRCCore.OCTAVE).label,
+                deviationEdo: module.deviationEdo
+            },
+            playback: playback ? playback.getProjectState() : null,
+            selectedNotes: wholeScale ? null : Array.from(selection),
+            family: playback?.activeFamilySelection ? Array.from(playback.activeFamilySelection.ratios) : null,
+            effects: window.audioEffects ? window.audioEffects.getEffectsPreset() : null,
+            partitions: window.partitionsUI ? window.partitionsUI.getProjectState() : null,
+            visualization: window.lrcHUD ? window.lrcHUD.getVisualizationState() : null,
+            progression: progressionBar ? progressionBar.getProjectState() : null
+        });
+    }
+
+    saveProject() {
+        const project = this.captureProject();
+        if (!project) {
+            alert('Generate a rhythm before saving a project');
+            return;
+        }
+
+        const blob = new Blob([LRCProject.serializeProject(project)], { type: 'application/json' });
+        const filename = LRCProject.projectFileName(project);
+        if (window.lrcExport) {
+            window.lrcExport.downloadBlob(blob, filename);
+        } else {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.click();
+            URL.revokeObjectURL(url);
+        }
+
+        this.setStatus(`Saved ${filename}`);
+        console.log('💾 Project saved:', filename);
+    }
+
+    // ====================================
+    // SHARE LINKS
+    // ====================================
+
+    async createLink() {
+        const project = this.captureProject();
+        if (!project) return null;
+        delete project.savedAt; // keeps identical sessions on identical links
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = `${LRCProject.LINK_PARAM}=${await LRCProject.encodeLink(project)}`;
+        return url.toString();
+    }
+
+    async copyLink() {
+        const link = await this.createLink();
+        if (!link) {
+            alert('Generate a rhythm before copying a link');
+            return;
+        }
+
+        // The address bar follows along, so a reload keeps the session too
+        history.replaceState(null, '', link);
+        try {
+            await navigator.clipboard.writeText(link);
+            this.flashCopyButton('Link copied');
+        } catch (error) {
+            // Clipboard needs a secure context and permission; fall back to a manual copy
+            prompt('Copy this link:', link);
+        }
+        console.log(`🔗 Session link (${link.length} chars) ready`);
+    }
+
+    flashCopyButton(text) {
+        const button = document.getElementById('copy-link-btn');
+        if (!button) return;
+        const original = button.dataset.label || button.textContent;
+        button.dataset.label = original;
+        button.textContent = text;
+        clearTimeout(this.copyLabelTimer);
+        this.copyLabelTimer = setTimeout(() => { button.textContent = original; }, 1500);
+    }
+
+    // Opening a link has to wait for the HUD, playback panel and visualizations to be built
+    whenModulesReady(maxTries = 100) {
+        return new Promise(resolve => {
+            let tries = 0;
+            const check = () => {
+                tries++;
+                const ready = window.lrcModule && window.lrcHUD && window.toneRowPlayback && window.lrcVisuals &&
+                    document.getElementById('cycle-duration');
+                if (ready || tries >= maxTries) resolve(!!ready);
+                else setTimeout(check, 100);
+            };
+            check();
+        });
+    }
+
+    // Started from the constructor and from UI events with nobody awaiting it, so every
+    // failure is reported here rather than rethrown
+    async loadFromUrl() {
+        const encoded = LRCProject.readLinkParam(window.location);
+        if (!encoded) return;
+
+        try {
+            const project = await LRCProject.decodeLink(encoded);
+            if (!(await this.whenModulesReady())) {
+                console.warn('🔗 Session link ignored: the app did not finish loading');
+                return;
+            }
+            const applied = await this.applyProject(project);
+            if (applied && window.lrcHistory) window.lrcHistory.recordNow('Session link');
+        } catch (error) {
+            if (!error.code) console.error('❌ Session link failed:', error);
+            alert(`Could not open this session link:\n${error.message || error}`);
+        }
+    }
+
+    // ====================================
+    // OPEN
+    // ====================================
+
+    // Like loadFromUrl, reports every failure instead of rethrowing
+    async openFile(file) {
+        try {
+            const project = LRCProject.parseProject(await file.text());
+            const applied = await this.applyProject(project);
+            this.setStatus(applied ? `Opened ${file.name}` : `Could not open ${file.name}`);
+            if (applied && window.lrcHistory) window.lrcHistory.recordNow('Project');
+        } catch (error) {
+            if (!error.code) console.error(`❌ Opening ${file.name} failed:`, error);
+            alert(`Could not open ${file.name}:\n${error.message || error}`);
+        }
+    }
+
+    // Generates the project's rhythm, then layers every other section on top of it.
+    // With keepCurrent (undo/redo), sections that already match the session are left alone,
+    // so stepping through note or tempo changes doesn't regenerate the rhythm.
+    // Resolves false if the rhythm couldn't be generated (the user has already been alerted).
+    async applyProject(project, { keepCurrent = false } = {}) {
+        const module = window.lrcModule;
+        if (!module || this.isLoading) return false;
+
+        this.isLoading = true;
+        try {
+            const current = keepCurrent ? this.captureProject() : null;
+            const same = (key) => JSON.stringify(current?.[key] ?? null) === JSON.stringify(project[key] ?? null);
+            const reuseRhythm = !!current && same('rhythm');
+            const unchanged = (key) => reuseRhythm && same(key);
+
+            const { rhythm } = project;
+            const hud = window.lrcHUD;
+            if (!reuseRhythm) {
+                module.setLayerInputCount(LRCLayers.layerCountFor(rhythm.layers));
+                module.setLayerOffsets(rhythm.offsets || []);
+                module.setLayerSpans(rhythm.spans || []);
+                module.setPeriodInput(LRCCore.parsePeriod(rhythm.period || '') || LRCCore.OCTAVE);
+
+                const analysis = await module.setRhythms(rhythm.layers);
+                if (!analysis) return false;
+                // applyAnalysis dispatches rhythmGenerated on a timeout; let every listener reset first
+                await new Promise(resolve => setTimeout(resolve, 0));
+
+                if (hud) {
+                    hud.isFirstRhythmInput = false;
+                    hud.activateVisualization();
+                }
+
+                const edoSelect = document.getElementById('deviation-edo');
+                if (edoSelect) edoSelect.value = rhythm.deviationEdo ? String(rhythm.deviationEdo) : '';
+                module.setDeviationEdo(rhythm.deviationEdo || '');
+            }
+
+            const playback = window.toneRowPlayback;
+            if (hud && !unchanged('visualization')) hud.applyVisualizationState(project.visualization);
+            // Families come from an Interconsonance analysis, so run one to pick it back out.
+            // The saved selection then goes on top; a superset keeps the family highlighted.
+            const familyChanged = !unchanged('family');
+            if (playback && familyChanged) {
+                const interconsonance = window.lrcInterconsonance;
+                if (Array.isArray(project.family) && interconsonance) {
+                    if (!interconsonance.currentAnalysis) await interconsonance.runAnalysis();
+                    playback.selectFamilyByRatios(project.family);
+                } else if (reuseRhythm) {
+                    playback.clearActiveFamilySelection();
+                }
+            }
+            if (playback && (familyChanged || !unchanged('selectedNotes'))) {
+                if (Array.isArray(project.selectedNotes)) playback.setSelectedNotes(project.selectedNotes);
+                else if (reuseRhythm) playback.selectAllNotes();
+            }
+            // Solving a progression retunes the fundamental, so playback state goes after it
+            if (window.ProgressionBar && !unchanged('progression')) window.ProgressionBar.applyProjectState(project.progression);
+            if (playback && project.playback && !unchanged('playback')) playback.applyProjectState(project.playback);
+            if (window.audioEffects && project.effects && !unchanged('effects')) window.audioEffects.loadEffectsPreset(project.effects);
+            if (window.partitionsUI && !unchanged('partitions')) window.partitionsUI.applyProjectState(project.partitions);
+
+            console.log('💾 Project loaded:', rhythm.layers.join(':'));
+            return true;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+}
+
+// Initialize LRCSession when DOM is loaded
+let lrcSession;
+
+document.addEventListener('DOMContentLoaded', () => {
+    lrcSession = new LRCSession();
+    window.lrcSession = lrcSession; // Make globally accessible
+});
@@ -0,0 +1,129 @@
+// LRCTuningFiles.js - Scala (.scl) and AnaMark (.tun) tuning file contents (no DOM)
+// rhythmInfo: { layers, fundamental, period } as LRCModule.getRhythmInfoData() or
+// LRCCore.analyzeRhythm() give it; ratios: the rhythm's ratio objects, sorted by cents.
+// LRCExport downloads these; Node scripts write them to disk.
+//
+// Browser / Worker: self.LRCTuningFiles (load LRCLayers.js and LRCCore.js first). Node: module.exports.
+
+(function (root) {
+    'use strict';
+
+    const Core = (typeof module !== 'undefined' && module.exports)
+        ? require('./LRCCore.js')
+        : (root && root.LRCCore);
+
+    // "7-5-3 (35)": active layers and the rounded fundamental
+    function baseName(rhythmInfo) {
+        const layers = rhythmInfo.layers.filter(layer => layer > 1).join('-');
+        return `${layers} (${Math.round(rhythmInfo.fundamental)})`;
+    }
+
+    function scalaFile(rhythmInfo, ratios) {
+        // Filter out layer values of 1 (inactive layers)
+        const layers = rhythmInfo.layers.filter(layer => layer > 1).join('-');
+        const filename = `${baseName(rhythmInfo)}.scl`;
+
+        // Skip 1/1 unison and filter out the period (we'll add it at the end)
+        const period = rhythmInfo.period || Core.OCTAVE;
+        const scaleRatios = ratios.filter(ratio => ratio.fraction !== '1/1' && ratio.fraction !== period.label);
+        // Scala reads anything with a '.' as cents; a cents period leaves fractions unfolded
+        const useCents = !period.numerator;
+
+        let content = `! ${filename}\n`;
+        content += `! Created by Large Rhythm Collider\n`;
+        content += `!\n`;
+        content += `${layers}\n`;
+        content += ` ${scaleRatios.length + 1}\n`; // +1 for the period we'll add at the end
+        content += `!\n`;
+
+        // Prefer fraction format over cents for exact representation
+        scaleRatios.forEach(ratio => {
+            if (ratio.fraction && !useCents) {
+                content += ` ${ratio.fraction}\n`;
+            } else {
+                const cents = ratio.cents ? ratio.cents.toFixed(useCents ? 6 : 2) : '0.0';
+                content += ` ${cents}\n`;
+            }
+        });
+
+        // Always end with the period (2/1 octave unless another was chosen)
+        content += ` ${useCents ? period.cents.toFixed(6) : period.label}\n`;
+
+        return { filename, content };
+    }
+
+    // Cents of every MIDI note: the scale repeats every period, with MIDI note 9 (the first A)
+    // anchored at 900 cents. A scale without tones falls back to 12-TET.
+    function midiNoteCents(scaleRatios, periodCents) {
+        const FIRST_A_NOTE = 9;
+        const A_TARGET_CENTS = 900;
+        const notes = [];
+
+        for (let midiNote = 0; midiNote < 128; midiNote++) {
+            const notesFromFirstA = midiNote - FIRST_A_NOTE;
+            if (scaleRatios.length === 0) {
+                notes.push(A_TARGET_CENTS + notesFromFirstA * 100);
+                continue;
+            }
+
+            let scaleOctave = Math.floor(notesFromFirstA / scaleRatios.length);
+            let scaleDegree = notesFromFirstA % scaleRatios.length;
+            if (scaleDegree < 0) {
+                scaleDegree += scaleRatios.length;
+                scaleOctave--;
+            }
+            notes.push(A_TARGET_CENTS + scaleOctave * periodCents + (scaleRatios[scaleDegree].cents || 0));
+        }
+        return notes;
+    }
+
+    function anaMarkTunFile(rhythmInfo, ratios, date = new Date()) {
+        const period = rhythmInfo.period || Core.OCTAVE;
+        const scaleRatios = ratios.filter(ratio => ratio.fraction !== period.label);
+        const layers = rhythmInfo.layers.filter(layer => layer > 1).join('-');
+        const filename = `${baseName(rhythmInfo)}.tun`;
+        const notes = midiNoteCents(scaleRatios, period.cents);
+
+        // Use exact format structure as working files
+        let content = `; VAZ Plus/AnaMark softsynth tuning file\n`;
+        content += `; ${layers}\n`;
+        content += `;\n`;
+        content += `; Generated by Large Rhythm Collider\n`;
+        content += `;\n`;
+        content += `; VAZ Plus section\n`;
+        content += `[Tuning]\n`;
+        notes.forEach((cents, midiNote) => {
+            content += `note ${midiNote}=${Math.round(cents)}\n`;
+        });
+
+        content += `\n; AnaMark section\n`;
+        content += `[Scale Begin]\n`;
+        content += `Format= "AnaMark-TUN"\n`;
+        content += `FormatVersion= 100\n`;
+        content += `FormatSpecs= "http://www.mark-henning.de/eternity/tuningspecs.html"\n`;
+        content += `\n[Info]\n`;
+        content += `Name= "${filename}"\n`;
+        content += `ID= "${filename}"\n`;
+        content += `Filename= "${filename}"\n`;
+        content += `Description= "${layers}"\n`;
+        content += `Date= "${date.toISOString().split('T')[0]}"\n`;
+        content += `Editor= "Large Rhythm Collider"\n`;
+        content += `\n[Exact Tuning]\n`;
+        notes.forEach((cents, midiNote) => {
+            content += `note ${midiNote}= ${cents.toFixed(6)}\n`;
+        });
+
+        content += `\n[Scale End]\n`;
+
+        return { filename, content };
+    }
+
+    const api = {
+        baseName,
+        scalaFile,
+        anaMarkTunFile
+    };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    if (root) root.LRCTuningFiles = api;
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : null));
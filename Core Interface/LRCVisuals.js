@@ -12,7 +12,7 @@ class LRCVisuals {
         
         // Data
         this.spacesPlot = [];
-        this.spacesPlotByLayer = [[], [], [], []]; // Individual layer space data
+        this.spacesPlotByLayer = LRCLayers.emptyLayerArrays(); // Individual layer space data
         this.layerMap = [];
         this.rhythms = [1, 1, 1, 1];
         this.dotPositions = [];
@@ -20,6 +20,7 @@ class LRCVisuals {
         this.compositeRhythm = []; // Full composite rhythm positions
         this.ratios = []; // Musical ratios
         this.grid = 0; // LCM grid size
+        this.hyperperiod = 1; // Master cycles the grid spans (polymeter rhythms)
         
         // Flag to temporarily disable auto-close during CreatePlayer operations
         this.suppressAutoClose = false;
@@ -27,21 +28,16 @@ class LRCVisuals {
         // Animation and lighting - Individual layer based approach
         this.isAnimating = false;
         this.animationId = null;
-        this.layerLightingSequences = [[], [], [], []]; // Individual layer sequences [A, B, C, D]
-        this.layerCycleDurations = [0, 0, 0, 0]; // Individual cycle durations per layer
+        this.layerLightingSequences = LRCLayers.emptyLayerArrays(); // Individual layer sequences [A, B, C, ...]
+        this.layerCycleDurations = new Array(LRCLayers.MAX_LAYERS).fill(0); // Individual cycle durations per layer
         this.lastLightTime = 0;
         this.cycleDuration = 10000; // milliseconds (master cycle)
         this.lightsEnabled = true;
         this.currentCycleProgress = 0; // Track precise cycle position
         
         // Layer visibility and colors
-        this.layerColors = {
-            'A': '#ff6b6b',
-            'B': '#4ecdc4', 
-            'C': '#00a638ff',
-            'D': '#f9ca24'
-        };
-        this.visibleLayers = new Set(['A', 'B', 'C', 'D']);
+        this.layerColors = LRCLayers.layerColorMap();
+        this.visibleLayers = new Set(LRCLayers.layerNames(LRCLayers.MAX_LAYERS));
         this.showAllLayers = true;
         
         // Y-axis inversion for pitch representation
@@ -194,7 +190,7 @@ class LRCVisuals {
         }
 
         // Layer solo buttons
-        ['a', 'b', 'c', 'd'].forEach(layer => {
+        LRCLayers.layerKeys(LRCLayers.MAX_LAYERS).forEach(layer => {
             const btn = document.getElementById(`solo-layer-${layer}`);
             if (btn) {
                 btn.addEventListener('click', () => {
@@ -208,7 +204,7 @@ class LRCVisuals {
         if (showAllBtn) {
             showAllBtn.addEventListener('click', () => {
                 this.showAllLayers = true;
-                this.visibleLayers = new Set(['A', 'B', 'C', 'D']);
+                this.visibleLayers = new Set(LRCLayers.layerNames(LRCLayers.MAX_LAYERS));
                 this.updateLayerButtons();
                 this.drawPlot();
             });
@@ -234,7 +230,8 @@ class LRCVisuals {
                 e.detail.spacesPlotByLayer,
                 e.detail.compositeRhythm,
                 e.detail.ratios,
-                e.detail.grid
+                e.detail.grid,
+                e.detail.hyperperiod
             );
         });
 
@@ -312,7 +309,8 @@ class LRCVisuals {
             currentData.spacesPlotByLayer,
             currentData.compositeRhythm,
             currentData.ratios,
-            currentData.grid
+            currentData.grid,
+            currentData.hyperperiod
         );
         return true;
     }
@@ -332,14 +330,15 @@ class LRCVisuals {
     // DATA UPDATE AND PROCESSING
     // ====================================
 
-    updateVisualization(spacesPlot, layerMap, rhythms, spacesPlotByLayer, compositeRhythm, ratios, grid) {
+    updateVisualization(spacesPlot, layerMap, rhythms, spacesPlotByLayer, compositeRhythm, ratios, grid, hyperperiod = 1) {
         this.spacesPlot = spacesPlot || [];
-        this.spacesPlotByLayer = spacesPlotByLayer || [[], [], [], []];
+        this.spacesPlotByLayer = spacesPlotByLayer || LRCLayers.emptyLayerArrays();
         this.layerMap = layerMap || [];
         this.rhythms = rhythms || [1, 1, 1, 1];
         this.compositeRhythm = compositeRhythm || [];
         this.ratios = ratios || [];
         this.grid = grid || 0;
+        this.hyperperiod = Math.max(1, hyperperiod || 1); // Master cycles in the plotted pattern
         this.updateLinearZoomBounds();
         this.resetLinearViewState(false);
 
@@ -431,7 +430,7 @@ class LRCVisuals {
         
         // Clear data but don't change plot type
         this.spacesPlot = [];
-        this.spacesPlotByLayer = [[], [], [], []];
+        this.spacesPlotByLayer = LRCLayers.emptyLayerArrays();
         this.layerMap = [];
         this.rhythms = [1, 1, 1, 1];
         
@@ -456,7 +455,7 @@ class LRCVisuals {
     }
 
     prepareLayerLightingSequences() {
-        const layerNames = ['A', 'B', 'C', 'D'];
+        const layerNames = LRCLayers.layerNames(this.spacesPlotByLayer.length);
         
         this.layerLightingSequences = this.spacesPlotByLayer.map((layerSpaces, layerIndex) => {
             if (layerSpaces.length === 0 || this.rhythms[layerIndex] <= 1) {
@@ -498,7 +497,7 @@ class LRCVisuals {
 
     findCoordinateForLayerPulse(layerIndex, pulseIndex) {
         // Find which coordinate on the plot corresponds to this layer's pulse
-        const layerName = ['A', 'B', 'C', 'D'][layerIndex];
+        const layerName = LRCLayers.layerName(layerIndex);
         let layerPulseCount = 0;
         
         for (let i = 0; i < this.layerMap.length; i++) {
@@ -606,7 +605,7 @@ class LRCVisuals {
             // If no layers visible, switch back to show all
             if (this.visibleLayers.size === 0) {
                 this.showAllLayers = true;
-                this.visibleLayers = new Set(['A', 'B', 'C', 'D']);
+                this.visibleLayers = new Set(LRCLayers.layerNames(LRCLayers.MAX_LAYERS));
             }
         }
         
@@ -622,7 +621,7 @@ class LRCVisuals {
     }
 
     updateLayerButtons() {
-        ['a', 'b', 'c', 'd'].forEach(layer => {
+        LRCLayers.layerKeys(LRCLayers.MAX_LAYERS).forEach(layer => {
             const btn = document.getElementById(`solo-layer-${layer}`);
             if (btn) {
                 const upperLayer = layer.toUpperCase();
@@ -867,6 +866,9 @@ class LRCVisuals {
         if (this.layerConnectorsEnabled) {
             this.drawLayerConnectors(width, height, padding, plotWidth, plotHeight, maxValue, spacing);
         }
+
+        // Mark where each master cycle ends when the pattern spans several
+        this.drawCycleBoundaries(width, height, padding, plotHeight, spacing);
         
         // Draw Y-axis inversion toggle button (only for linear plot)
         this.drawInvertToggleButton(width, height);
@@ -1044,9 +1046,49 @@ class LRCVisuals {
     // Y-AXIS INVERSION TOGGLE
     // ====================================
 
+    // Dashed line at each master-cycle boundary of a polymeter pattern. Dots are spaced
+    // by index, so a boundary between two attacks is placed proportionally between them.
+    drawCycleBoundaries(width, height, padding, plotHeight, spacing) {
+        const cycles = this.hyperperiod || 1;
+        if (cycles <= 1 || !this.grid || this.compositeRhythm.length < 2) return;
+
+        const positions = this.compositeRhythm;
+        const cycleLength = this.grid / cycles;
+
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.font = '10px monospace';
+
+        for (let cycle = 1; cycle < cycles; cycle++) {
+            const target = cycle * cycleLength;
+            const next = positions.findIndex(position => position >= target);
+            let indexPosition;
+            if (next === -1) {
+                indexPosition = positions.length - 1 + (target - positions[positions.length - 1]) / (this.grid + positions[0] - positions[positions.length - 1]);
+            } else if (next === 0 || positions[next] === target) {
+                indexPosition = next;
+            } else {
+                indexPosition = next - 1 + (target - positions[next - 1]) / (positions[next] - positions[next - 1]);
+            }
+
+            const top = this.applyLinearViewTransform(padding + indexPosition * spacing, padding, width, height);
+            const bottom = this.applyLinearViewTransform(padding + indexPosition * spacing, padding + plotHeight, width, height);
+            this.ctx.beginPath();
+            this.ctx.moveTo(top.x, top.y);
+            this.ctx.lineTo(bottom.x, bottom.y);
+            this.ctx.stroke();
+            this.ctx.fillText(`${cycle + 1}`, top.x + 3, top.y + 10);
+        }
+
+        this.ctx.restore();
+    }
+
     drawLayerConnectors(width, height, padding, plotWidth, plotHeight, maxValue, spacing) {
         // Draw connector lines for each individual layer
-        const layerNames = ['A', 'B', 'C', 'D'];
+        const layerNames = LRCLayers.layerNames(this.rhythms.length);
         
         layerNames.forEach((layerName, layerIndex) => {
             // Only draw connectors for visible layers
@@ -1431,7 +1473,7 @@ class LRCVisuals {
         
         const totalLights = this.layerLightingSequences.reduce((total, seq) => total + (seq ? seq.length : 0), 0);
         console.log(`Starting lighting animation with ${totalLights} layer lights, cycle: ${this.cycleDuration}ms`);
-        console.log('Layer sequences:', this.layerLightingSequences.map((seq, i) => `${['A','B','C','D'][i]}: ${seq ? seq.length : 0}`));
+        console.log('Layer sequences:', this.layerLightingSequences.map((seq, i) => `${LRCLayers.layerName(i)}: ${seq ? seq.length : 0}`));
         console.log('Animation timing sync: lights enabled =', this.lightsEnabled);
         
         this.animateLights();
@@ -1511,9 +1553,9 @@ class LRCVisuals {
         const activePulses = [];
         
         // Check each visible layer for active pulses
-        ['A', 'B', 'C', 'D'].forEach((layerName, layerIndex) => {
+        LRCLayers.layerNames(this.layerLightingSequences.length).forEach((layerName, layerIndex) => {
             if (this.showAllLayers || this.visibleLayers.has(layerName)) {
-                const layerSequence = this.layerLightingSequences[layerIndex];
+                const layerSequence = this.layerLightingSequences[layerIndex] || [];
                 
                 layerSequence.forEach(pulse => {
                     // Check if this pulse is currently active (sustained duration)
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+// lrc-batch.mjs - Command-line batch analyser and search runner (Node 18+, no dependencies)
+// Runs the same analysis, consonance, search and tuning file code as the page, for sweeps
+// that shouldn't need a browser tab open. `node "Core Interface/lrc-batch.mjs" --help` for usage.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import LRCCore from './LRCCore.js';
+import LRCBatch from './LRCBatch.js';
+import LRCSearchLibrary from './LRCSearchLibrary.js';
+import LRCTuningFiles from './LRCTuningFiles.js';
+
+const USAGE = `Usage:
+  lrc-batch.mjs analyze <layers>... [--file sets.txt] [options]
+  lrc-batch.mjs search <rhythm|grid|fundamental|inversePG|scale|pareto> [options]
+
+Output:
+  --format json|csv        Output format (default json)
+  --out FILE               Write to FILE instead of stdout
+  --scl DIR, --tun DIR     Also write a Scala / AnaMark tuning file per rhythm into DIR
+
+Analyze (layer sets as 12:7:5; --file reads one per line, '#' starts a comment):
+  --period 2/1             Period (equave) the ratios are folded into
+  --edo N                  Avg Dev reference EDO (default: each rhythm's pitch count)
+  --max-family-pitches N   Skip consonance families above N pitches (default ${LRCBatch.FAMILY_PITCH_LIMIT})
+  --consonance MODEL       tet12 (default), edo, ji or entropy, with its settings:
+                           tet12: --consonance-window CENTS
+                           edo: --consonance-edo N --consonance-window CENTS
+                           ji: --consonance-prime-limit N --consonance-max-height BITS
+                           entropy: --consonance-spread CENTS --consonance-tenney-limit N --consonance-max-entropy NATS
+
+Search:
+  --time SECONDS           Stop after this long (default 60; 0 = run to the end)
+  --pitches N|any          Target pitch count (default 12)
+  --range-limit N          Largest layer range (default 100)
+  --edo N                  Avg Dev reference EDO
+  --consonance MODEL       Consonance model for pareto's consonance and --min-consonant (as Analyze)
+  rhythm:     --layer A|B|C|D --value N
+  grid:       --grid N
+  fundamental: --fundamental N [--min-layer-a N]
+  inversePG:  --layer-a N
+  scale:      --target "9/8 5/4 3/2" | --target-file scale.scl [--max-error CENTS]
+  pareto:     [--max-layer N] [--objectives avgDeviation,range,consonance,pitchDistance]
+  Ratio constraints: --require "3/2 5/4" --forbid 7/4 --prime-limit N --min-consonant N --max-step CENTS
+  Layer bounds: --min-a N ... --max-d N --layer-count 2|3|4 --smooth N --allow-equal --coprime
+  --analyze                Output full analyses of the results instead of the result list
+`;
+
+const FLAGS = new Set(['allow-equal', 'coprime', 'analyze', 'help']);
+
+// argv -> { positional: [], options: { name: value | true } }
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (FLAGS.has(name)) {
+            options[name] = true;
+        } else if (inline !== undefined) {
+            options[name] = inline;
+        } else if (i + 1 < argv.length) {
+            options[name] = argv[++i];
+        } else {
+            throw LRCBatch.batchError(`--${name} needs a value`);
+        }
+    }
+    return { positional, options };
+}
+
+function writeOutput(text, options) {
+    if (options.out) {
+        fs.writeFileSync(options.out, text);
+        console.error(`📤 Wrote ${options.out}`);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+function writeTuningFiles(records, options) {
+    const formats = [['scl', LRCTuningFiles.scalaFile], ['tun', LRCTuningFiles.anaMarkTunFile]];
+    formats.forEach(([format, build]) => {
+        if (!options[format]) return;
+        fs.mkdirSync(options[format], { recursive: true });
+        records.forEach(record => {
+            const { filename, content } = build(record, record.ratios);
+            fs.writeFileSync(path.join(options[format], filename), content);
+        });
+        console.error(`🎼 Wrote ${records.length} .${format} files to ${options[format]}`);
+    });
+}
+
+function analysisOptions(options) {
+    const period = options.period ? LRCCore.parsePeriod(options.period) : LRCCore.OCTAVE;
+    if (!period) throw LRCBatch.batchError(`--period "${options.period}" must be above 1/1`);
+    return {
+        period,
+        edo: options.edo ? Number(options.edo) : null,
+        maxFamilyPitches: options['max-family-pitches'] !== undefined ? Number(options['max-family-pitches']) : LRCBatch.FAMILY_PITCH_LIMIT,
+        consonance: LRCBatch.consonanceOptions(options)
+    };
+}
+
+function outputAnalyses(records, options) {
+    writeOutput(options.format === 'csv' ? LRCBatch.analysesToCSV(records) : JSON.stringify(records, null, 2) + '\n', options);
+    writeTuningFiles(records, options);
+}
+
+function runAnalyze(positional, options) {
+    const sets = positional.map(LRCBatch.parseLayerSet);
+    if (options.file) sets.push(...LRCBatch.parseLayerList(fs.readFileSync(options.file, 'utf8')));
+    if (sets.length === 0) throw LRCBatch.batchError('Give at least one layer set, e.g. 12:7:5');
+
+    const settings = analysisOptions(options);
+    const records = sets.map(layers => LRCBatch.analyzeLayers(layers, settings));
+    console.error(`🔍 Analyzed ${records.length} layer sets`);
+    outputAnalyses(records, options);
+}
+
+function runSearch(algorithm, options) {
+    if (options['target-file']) options.target = fs.readFileSync(options['target-file'], 'utf8');
+    const { params, key } = LRCBatch.searchParams(algorithm, options);
+    const seconds = options.time !== undefined ? Number(options.time) : 60;
+    if (!Number.isFinite(seconds) || seconds < 0) throw LRCBatch.batchError('--time must be a number of seconds');
+
+    const set = LRCSearchLibrary.createSet(algorithm, key);
+    console.error(`🔍 ${set.label}${seconds > 0 ? ` for up to ${seconds}s` : ''}`);
+
+    let lastReport = 0;
+    const search = LRCBatch.runSearch(algorithm, params, {
+        timeLimitMs: seconds > 0 ? seconds * 1000 : null,
+        onProgress: ({ found, progress, elapsedMs }) => {
+            if (elapsedMs - lastReport < 10000) return;
+            lastReport = elapsedMs;
+            console.error(`  ${found} found${progress !== null ? ` · ${(progress * 100).toFixed(1)}% searched` : ''} · ${Math.round(elapsedMs / 1000)}s`);
+        }
+    });
+    console.error(`✅ ${search.results.length} results${search.done ? ' (search complete)' : ` (stopped at ${(search.progress * 100).toFixed(1)}%)`}`);
+
+    if (options.analyze || options.scl || options.tun) {
+        // Scale Search results were matched in their target's period
+        const settings = analysisOptions(options);
+        const analyses = search.results.map(result => LRCBatch.analyzeLayers(result.layers, {
+            ...settings,
+            period: result.period || settings.period
+        }));
+        if (options.analyze) {
+            outputAnalyses(analyses, options);
+            return;
+        }
+        writeTuningFiles(analyses, options);
+    }
+
+    const records = search.results.map(result => LRCSearchLibrary.toRecord(set, result));
+    writeOutput(options.format === 'csv'
+        ? LRCSearchLibrary.toCSV(records, { [set.setKey]: set.label })
+        : LRCSearchLibrary.toJSON(records, [set]) + '\n', options);
+}
+
+function main(argv) {
+    const { positional, options } = parseArgs(argv);
+    const [command, ...rest] = positional;
+    if (options.help || !command) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (options.format && !['json', 'csv'].includes(options.format)) {
+        throw LRCBatch.batchError('--format must be json or csv');
+    }
+
+    if (command === 'analyze') runAnalyze(rest, options);
+    else if (command === 'search') runSearch(rest[0], options);
+    else throw LRCBatch.batchError(`Unknown command "${command}"`);
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    if (error.code !== 'BATCH_INVALID') throw error;
+    console.error(`❌ ${error.message}\n`);
+    console.error(USAGE);
+    process.exitCode = 1;
+}
@@ -101,12 +101,17 @@
             pb.selectedNotes = this._maskSetForStage(stage);
         }
 
+        // The user's own note selection, not whichever stage mask is swapped in right now.
+        userSelection() {
+            return this.enabled && this._snapshot ? this._snapshot : this.playback.selectedNotes;
+        }
+
         // Current normalized cycle position [0,1) from the live transport, for the UI playhead.
         currentFraction() {
             const pb = this.playback;
             if (!pb || !pb.scheduler || !pb.isPlaying) return null;
             const ms = pb.scheduler.computeCurrentPhaseMs();
-            const cycleMs = (pb.cycleDuration || 0) * 1000;
+            const cycleMs = (pb.getPatternDuration ? pb.getPatternDuration() : (pb.cycleDuration || 0)) * 1000;
             if (cycleMs <= 0) return null;
             return (((ms % cycleMs) + cycleMs) % cycleMs) / cycleMs;
         }
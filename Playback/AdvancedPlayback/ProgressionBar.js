@@ -232,6 +232,39 @@
             if (src && dst) dst.textContent = src.textContent;
         },
 
+        // ---- project files (LRCSession) ----
+        // A voicing is saved as the solver inputs plus the edited timeline: re-solving
+        // rebuilds the anchor candidates, then the saved boundaries/masks replace the
+        // freshly derived ones. Call after the project's rhythm and note selection are in.
+        getProjectState() {
+            const state = this.anchorState;
+            if (!this.timeline || !state) return null;
+            return {
+                text: state.text,
+                root: state.root,
+                windowCents: state.windowCents,
+                thick: state.thick,
+                anchorIndex: state.index,
+                timeline: this.timeline.toJSON()
+            };
+        },
+        applyProjectState(saved) {
+            if (!saved) { if (this.timeline) this.clear(); return false; }
+            if (!document.getElementById('prog-input')) return false; // main bar not mounted yet
+            this.solveFromExternal({ text: saved.text, root: saved.root, window: saved.windowCents, thick: saved.thick });
+            if (!this.timeline) return false;
+            if (saved.anchorIndex > 0) this.stepAnchor(saved.anchorIndex);
+
+            const restored = window.PaintTimeline.fromJSON(saved.timeline);
+            if (restored.stages.length !== this.timeline.stages.length) return false;
+            this.timeline = restored;
+            this.paintEngine.setTimeline(restored);
+            this._reflect();
+            this._paintChartForSection(0);
+            this._renderBrackets();
+            return true;
+        },
+
         _setStrip(px) {
             document.documentElement.style.setProperty('--canvas-top-margin', px + 'px');
             if (window.lrcVisuals && window.lrcVisuals.resizeCanvas) window.lrcVisuals.resizeCanvas();
@@ -254,6 +287,8 @@
             this.timeline.setAvailableFractions(scale.map(r => r.fraction));
             this.timeline.deriveEqual(n);
             this.anchorState = {
+                text,
+                root: (document.getElementById('prog-root').value || 'C3').trim(),
                 candidates: res.candidates || [res.candidate],
                 parsed: res.parsed,
                 ratioRows: res.ratioRows || window.ProgressionSolver.buildRatioRows(scale),
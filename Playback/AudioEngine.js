@@ -32,7 +32,7 @@ class AudioEngine {
             this.playback.limiter.release.value = 0.01;
             
             this.playback.layerNodes = [];
-            ['a', 'b', 'c', 'd'].forEach((layer, index) => {
+            LRCLayers.layerKeys(LRCLayers.MAX_LAYERS).forEach((layer, index) => {
                 const layerGain = this.playback.audioContext.createGain();
                 layerGain.gain.value = this.dbToLinear(this.playback.layerStates[layer].volume);
                 
@@ -86,7 +86,7 @@ class AudioEngine {
     }
 
     updateLayerVolume(layer, dbValue) {
-        const layerIndex = ['a', 'b', 'c', 'd'].indexOf(layer);
+        const layerIndex = LRCLayers.layerIndex(layer);
         if (layerIndex === -1 || !this.playback.layerNodes[layerIndex]) return;
         const linearValue = this.dbToLinear(dbValue);
         this.playback.layerNodes[layerIndex].gain.gain.setTargetAtTime(
@@ -97,7 +97,7 @@ class AudioEngine {
     }
 
     updateLayerHighpassFilter(layer, frequency) {
-        const layerIndex = ['a', 'b', 'c', 'd'].indexOf(layer);
+        const layerIndex = LRCLayers.layerIndex(layer);
         if (layerIndex === -1 || !this.playback.layerNodes[layerIndex]) return;
         this.playback.layerNodes[layerIndex].highpass.frequency.setTargetAtTime(
             frequency, 
@@ -107,7 +107,7 @@ class AudioEngine {
     }
 
     updateLayerLowpassFilter(layer, frequency) {
-        const layerIndex = ['a', 'b', 'c', 'd'].indexOf(layer);
+        const layerIndex = LRCLayers.layerIndex(layer);
         if (layerIndex === -1 || !this.playback.layerNodes[layerIndex]) return;
         this.playback.layerNodes[layerIndex].lowpass.frequency.setTargetAtTime(
             frequency, 
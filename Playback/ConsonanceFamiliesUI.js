@@ -67,6 +67,20 @@ class ConsonanceFamiliesUI {
         this.setActiveFamilySelection(family, familyIndex);
     }
 
+    // Re-select a family saved by its ratios (project files, share links).
+    // False when the current Interconsonance analysis has no such family.
+    selectFamilyByRatios(ratios) {
+        const analysis = window.lrcInterconsonance?.currentAnalysis;
+        if (!analysis || !Array.isArray(ratios)) return false;
+
+        const key = this.getFamilyKey({ ratios });
+        const index = this.getSortedPlaybackFamilies(analysis.families).findIndex(family => this.getFamilyKey(family) === key);
+        if (index === -1) return false;
+
+        this.selectConsonanceFamily(index);
+        return true;
+    }
+
     setActiveFamilySelection(family, index) {
         if (!family) {
             this.clearActiveFamilySelection();
@@ -192,7 +206,7 @@ class ConsonanceFamiliesUI {
             const globalIndex = startIdx + pageIndex;
             html += `
                 <button class="consonance-family-btn" data-family-index="${globalIndex}">
-                    Family ${globalIndex + 1} (${family.size} notes, ${family.avgDeviation.toFixed(1)}¢)
+                    Family ${globalIndex + 1} (${family.size} notes, ${LRCConsonance.formatMeasure(family.avgDeviation, family.model)})
                 </button>
             `;
         });
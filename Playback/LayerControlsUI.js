@@ -23,16 +23,37 @@ class LayerControlsUI {
         this.bindLayerControlListeners(layer);
     }
 
+    getLayerTabsHTML(count) {
+        return LRCLayers.layerKeys(count).map(key => {
+            const active = key === this.playback.currentLayer ? ' active' : '';
+            return `<button class="playback-layer-btn${active}" data-layer="${key}" style="background: ${LRCLayers.layerColor(key)};">${key.toUpperCase()}</button>`;
+        }).join('');
+    }
+
+    // Re-render tabs when the layer count changes; falls back to layer A
+    // if the selected tab no longer exists.
+    renderLayerTabs(count) {
+        const container = document.getElementById('playback-layer-toggles');
+        if (!container) return;
+        const keys = LRCLayers.layerKeys(count);
+        if (container.children.length === keys.length) return;
+        const fallback = !keys.includes(this.playback.currentLayer);
+        if (fallback) this.playback.currentLayer = 'a';
+        container.innerHTML = this.getLayerTabsHTML(count);
+        if (fallback) this.showLayerControls('a');
+    }
+
     setupLayerTabs() {
-        const toggles = document.querySelectorAll('.playback-layer-btn');
-        toggles.forEach(toggle => {
-            toggle.addEventListener('click', (e) => {
-                const layer = e.target.dataset.layer;
+        const container = document.getElementById('playback-layer-toggles');
+        if (container) {
+            // Delegated so re-rendered tabs stay wired
+            container.addEventListener('click', (e) => {
+                const layer = e.target.closest('.playback-layer-btn')?.dataset.layer;
                 if (layer) {
                     this.showLayerControls(layer);
                 }
             });
-        });
+        }
 
         const legatoBtn = document.getElementById('legato-toggle');
         if (legatoBtn) {
@@ -51,14 +72,11 @@ class LayerControlsUI {
 
         const state = this.playback.layerStates[layer];
         const layerName = layer.toUpperCase();
-        const layerColors = {
-            a: '#ff6b6b', b: '#4ecdc4', c: '#00a638ff', d: '#f9ca24'
-        };
         const { min: filterMin, max: filterMax } = this.playback.filterLimits;
 
         container.innerHTML = `
             <div class="layer-control-header">
-                <h4 style="color: ${layerColors[layer]}">Layer ${layerName} Controls</h4>
+                <h4 style="color: ${LRCLayers.layerColor(layer)}">Layer ${layerName} Controls</h4>
                 <div class="layer-control-buttons">
                     <button id="solo-${layer}" class="control-btn ${this.playback.soloLayer === layer ? 'active' : ''}">
                         Solo
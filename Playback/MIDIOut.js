@@ -272,10 +272,15 @@ class MIDIOut {
         this._send([0xB0, 6, memberCount], ts);
     }
 
+    // One channel per LRC layer (ch 1-8); stays clear of the Partitions channels at ch 10-13.
+    _layerChannelCount() {
+        return window.LRCLayers?.MAX_LAYERS ?? 4;
+    }
+
     _applyRpnForMode() {
         if (!this.enabled || !this.output) return;
         if (this.mode === 'layers') {
-            for (let chIdx = 0; chIdx <= 3; chIdx += 1) this._sendBendRangeRPN(chIdx);
+            for (let chIdx = 0; chIdx < this._layerChannelCount(); chIdx += 1) this._sendBendRangeRPN(chIdx);
         } else {
             this._sendMpeMcm(15);
             this._mpeMemberPool().forEach(chIdx => this._sendBendRangeRPN(chIdx));
@@ -505,7 +510,7 @@ class MIDIOut {
     // Velocity ceiling so turning a layer down on the LRC side hits softer in the DAW too.
     // Floor is 1, never 0 - a note-on with velocity 0 is conventionally read as a note-off.
     _layerVelocity(layerIndex) {
-        const layerKey = ['a', 'b', 'c', 'd'][layerIndex];
+        const layerKey = window.LRCLayers.layerKey(layerIndex);
         const dbValue = window.toneRowPlayback?.layerStates?.[layerKey]?.volume;
         if (!Number.isFinite(dbValue)) return this.velocity;
         const t = Math.max(0, Math.min(1, (dbValue + 40) / 40));
@@ -770,7 +775,7 @@ class MIDIOut {
                     <div class="control-group">
                         <label>Mode:</label>
                         <select id="midi-mode-select">
-                            <option value="layers">Layer channels (A–D → ch 1–4)</option>
+                            <option value="layers">Layer channels (A–H → ch 1–8)</option>
                             <option value="mpe">MPE (rotating ch 2–16)</option>
                         </select>
                     </div>
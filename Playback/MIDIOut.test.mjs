@@ -31,6 +31,7 @@ Object.defineProperty(globalThis, 'navigator', {
     value: { requestMIDIAccess() {} }
 });
 
+await import('../Core Interface/LRCLayers.js'); // Attaches window.LRCLayers, as index.html loads it first
 await import('./MIDIOut.js');
 const MIDIOut = window.lrcMidiOut.constructor;
 
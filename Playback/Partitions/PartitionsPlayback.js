@@ -86,15 +86,20 @@ class PartitionsPlayback {
                     gain.gain.setValueAtTime(this.dbToLinear(value), this.audioContext.currentTime);
                 }
             });
-            this.layerFilters = this.layerGains.map((gain) => {
+            // Start from the layer's Hi-/Lo-Pass fields (set by hand or restored from a project)
+            const layerEls = Array.from(document.querySelectorAll('.partition-layer'));
+            this.layerFilters = this.layerGains.map((gain, index) => {
+                const hipassValue = parseFloat(layerEls[index]?.querySelector('.partition-hipass-input')?.value);
+                const lopassValue = parseFloat(layerEls[index]?.querySelector('.partition-lopass-input')?.value);
+
                 const highpass = this.audioContext.createBiquadFilter();
                 highpass.type = 'highpass';
-                highpass.frequency.value = 20;
+                highpass.frequency.value = Number.isFinite(hipassValue) ? hipassValue : 20;
                 highpass.Q.value = 0.7;
 
                 const lowpass = this.audioContext.createBiquadFilter();
                 lowpass.type = 'lowpass';
-                lowpass.frequency.value = 20000;
+                lowpass.frequency.value = Number.isFinite(lopassValue) ? lopassValue : 20000;
                 lowpass.Q.value = 0.7;
 
                 highpass.connect(lowpass);
@@ -230,7 +235,8 @@ class PartitionsPlayback {
     buildLayerEvents(rhythmInfo) {
         const cycleTicks = window.toneRowPlayback?.cycleTicks || 1;
         const grid = Math.max(1, rhythmInfo.grid || 1);
-        const cycleDuration = window.toneRowPlayback?.cycleDuration || 10;
+        // Whole-pattern length: the grid spans every cycle of a polymeter rhythm
+        const cycleDuration = window.toneRowPlayback?.getPatternDuration?.() || window.toneRowPlayback?.cycleDuration || 10;
         const sharedTicksPerGridUnit = cycleTicks / grid;
         const secondsPerSharedTick = window.toneRowPlayback?.secondsPerTick || (1 / 960);
 
@@ -350,12 +356,13 @@ class PartitionsPlayback {
         const { mode, partitions, secondaryPartitions, mutedIndices, order, p2Coverages } = config;
         const mutedSet = new Set(mutedIndices || []);
         const secondaryValue = Number.isFinite(secondaryPartitions) ? secondaryPartitions : 0;
-        const layers = rhythmInfo.displayLayers && rhythmInfo.displayLayers.length > 0
-            ? rhythmInfo.displayLayers
-            : rhythmInfo.layers || [];
+        const useDisplayLayers = rhythmInfo.displayLayers && rhythmInfo.displayLayers.length > 0;
+        const layers = useDisplayLayers ? rhythmInfo.displayLayers : rhythmInfo.layers || [];
+        const offsets = (useDisplayLayers ? rhythmInfo.displayOffsets : rhythmInfo.offsets) || [];
         const layerIndex = config.layerIndex ?? 0;
         const linkedLayerIndex = Number.isFinite(config.linkedLayerIndex) ? config.linkedLayerIndex : layerIndex;
         const layerValue = layers[linkedLayerIndex] || 0;
+        const layerOffset = offsets[linkedLayerIndex] || 0;
 
         if (Array.isArray(p2Coverages) && p2Coverages.length > 0) {
             const { orderedSizes, orderedIndices } = this.getOrderedSizes(p2Coverages, order);
@@ -368,7 +375,7 @@ class PartitionsPlayback {
                         tick: Math.round(tick * grouping),
                         displayIndex
                     }));
-                return this.computeEventDurations(events, rhythmInfo.grid);
+                return this.computeEventDurations(this.shiftEvents(events, layerOffset, rhythmInfo.grid), rhythmInfo.grid);
             }
 
             if (mode === 'grouping' && layerValue > 0) {
@@ -385,7 +392,7 @@ class PartitionsPlayback {
                         displayIndex: hit.displayIndex
                     }));
                 }
-                return this.computeEventDurations(ticks, rhythmInfo.grid);
+                return this.computeEventDurations(this.shiftEvents(ticks, layerOffset, rhythmInfo.grid), rhythmInfo.grid);
             }
 
             const events = this.getHitPositions(coverageTotal, orderedSizes, mutedSet, orderedIndices, null)
@@ -404,7 +411,7 @@ class PartitionsPlayback {
                     tick: Math.round(tick * grouping),
                     displayIndex
                 }));
-            return this.computeEventDurations(events, rhythmInfo.grid);
+            return this.computeEventDurations(this.shiftEvents(events, layerOffset, rhythmInfo.grid), rhythmInfo.grid);
         }
 
         if (mode === 'grouping' && layerValue > 0) {
@@ -424,7 +431,7 @@ class PartitionsPlayback {
                     displayIndex: hit.displayIndex
                 }));
             }
-            return this.computeEventDurations(ticks, rhythmInfo.grid);
+            return this.computeEventDurations(this.shiftEvents(ticks, layerOffset, rhythmInfo.grid), rhythmInfo.grid);
         }
 
         const { sizes } = PartitionsBlocks.calculatePartitionSizes(rhythmInfo.grid, partitions);
@@ -461,6 +468,14 @@ class PartitionsPlayback {
         return positions;
     }
 
+    // Layer-linked hits follow the layer's phase offset (grid ticks), wrapping at the cycle end.
+    // Order is preserved, so computeEventDurations still sees each hit's cyclic successor.
+    shiftEvents(events, offset, totalTicks) {
+        if (!offset) return events;
+        const total = Math.max(1, Math.floor(Number(totalTicks) || 1));
+        return events.map(event => ({ ...event, tick: (event.tick + offset) % total }));
+    }
+
     computeEventDurations(events, totalTicks) {
         if (!events.length) {
             return { events: [], minDurationSec: 0 };
@@ -35,6 +35,7 @@ class PartitionsUI {
         this.userSampleUrls = new Map();
         this.isLayoutBuilt = false;
         this.needsRhythmReset = false;
+        this.pendingState = null; // project state waiting for the layer DOM, see applyProjectState()
         this.rhythmGeneratedHandler = () => this.handleRhythmGenerated();
         window.addEventListener('rhythmGenerated', this.rhythmGeneratedHandler);
 
@@ -987,6 +988,8 @@ class PartitionsUI {
             </div>
         `;
 
+        this.restorePendingState();
+
         const exportBtn = this.leftSection.querySelector('.partitions-export-midi-btn');
         const uploadBtn = this.leftSection.querySelector('.partitions-upload-samples-btn');
         const uploadStatus = this.leftSection.querySelector('.partitions-upload-status');
@@ -1320,7 +1323,8 @@ class PartitionsUI {
                             Object.entries(knobConfigs).forEach(([param, config]) => {
                                 if (typeof ADSRKnob === 'function') {
                                     const defaults = { attack: 0.001, decay: 0.2, sustain: 0.7, release: 0.3 };
-                                    const knob = new ADSRKnob(adsrContainer, param, defaults[param], config);
+                                    const initial = window.partitionsPlayback?.layerADSR[layerIndex]?.[param] ?? defaults[param];
+                                    const knob = new ADSRKnob(adsrContainer, param, initial, config);
                                     knob.onChange = (value) => {
                                         if (window.partitionsPlayback) {
                                             window.partitionsPlayback.updateLayerADSR(layerIndex, param, value);
@@ -1333,7 +1337,7 @@ class PartitionsUI {
                         if (transposeContainer && !transposeContainer.dataset.ready) {
                             transposeContainer.dataset.ready = 'true';
                             if (typeof TransposeUI === 'function') {
-                                const knob = new TransposeUI(transposeContainer, 0, {
+                                const knob = new TransposeUI(transposeContainer, window.partitionsPlayback?.layerTranspose[layerIndex] ?? 0, {
                                     min: -24,
                                     max: 24,
                                     step: 0.1,
@@ -1375,16 +1379,17 @@ class PartitionsUI {
                 lopassInput.addEventListener('input', updateFilters);
                 lopassInput.addEventListener('change', updateFilters);
             }
+            updateFilters();
         });
 
-        const layerLetters = ['A', 'B', 'C', 'D'];
+        const linkableLayerCount = Math.max(1, (rhythmInfo.displayLayers || rhythmInfo.layers || []).length);
         const applyLinkedLayer = (layer, linkedLayerIndex, rhythmInfo) => {
             const color = this.getLayerColor(linkedLayerIndex);
             layer.dataset.linkedLayer = String(linkedLayerIndex);
             const toggleBtn = layer.querySelector('.partition-layer-toggle');
             const title = layer.querySelector('.partition-layer-title');
             if (toggleBtn) {
-                toggleBtn.textContent = layerLetters[linkedLayerIndex] || 'A';
+                toggleBtn.textContent = LRCLayers.layerName(linkedLayerIndex);
                 toggleBtn.style.background = color;
             }
             if (title) {
@@ -1435,7 +1440,7 @@ class PartitionsUI {
                 if (event.shiftKey) {
                     event.preventDefault();
                     const current = Number(layer.dataset.linkedLayer ?? layerIndex);
-                    const next = (current + 1) % 4;
+                    const next = (current + 1) % linkableLayerCount;
                     applyLinkedLayer(layer, next, rhythmInfo);
                     window.dispatchEvent(new CustomEvent('partitionsConfigChanged'));
                     return;
@@ -1448,9 +1453,101 @@ class PartitionsUI {
         console.log('📋 Populated Partitions content');
     }
 
+    // ====================================
+    // PROJECT STATE
+    // ====================================
+
+    // Partition layer settings for LRCSession project files. The layer DOM is the source of
+    // truth (PartitionsPlayback reads it) and is rebuilt on every rhythm change, so a loaded
+    // state is held as pending and written into the fresh DOM by populatePartitionsContent().
+    getProjectState() {
+        const layers = this.leftSection ? Array.from(this.leftSection.querySelectorAll('.partition-layer')) : [];
+        if (!layers.length) return this.pendingState || null;
+
+        const playback = window.partitionsPlayback;
+        const busSlider = this.leftSection.querySelector('.partitions-bus-volume-slider');
+        return {
+            busVolumeDb: Number(busSlider?.value ?? 0),
+            layers: layers.map((layer, index) => {
+                const valueOf = (selector) => layer.querySelector(selector)?.value;
+                const p1Input = layer.querySelector('.partition-count-input-primary');
+                const p2Input = layer.querySelector('.partition-count-input-secondary');
+                const preview = layer.querySelector('.partition-preview');
+                const sampleUrl = valueOf('.partition-sample-select') || '';
+                return {
+                    enabled: layer.dataset.enabled === 'true',
+                    linkedLayer: Number(layer.dataset.linkedLayer ?? index),
+                    mode: valueOf('.partition-mode-select') || 'sequence',
+                    partitions: p1Input?.dataset.committed || p1Input?.value || '1',
+                    secondaryPartitions: p2Input?.dataset.committed || '',
+                    // User samples are blob: URLs that don't survive a reload
+                    sampleUrl: sampleUrl.startsWith('blob:') ? null : sampleUrl,
+                    volumeDb: Number(valueOf('.partition-volume-slider')),
+                    highpass: Number(valueOf('.partition-hipass-input')),
+                    lowpass: Number(valueOf('.partition-lopass-input')),
+                    // Muted/ordered blocks and the bookkeeping updatePartitionBlocks() compares against
+                    preview: preview ? { ...preview.dataset } : {},
+                    adsr: { ...(playback?.layerADSR[index] || {}) },
+                    transpose: playback?.layerTranspose[index] ?? 0
+                };
+            })
+        };
+    }
+
+    applyProjectState(state) {
+        this.pendingState = state || null;
+        if (this.leftSection && this.leftSection.hasChildNodes()) {
+            this.populatePartitionsContent();
+        }
+    }
+
+    restorePendingState() {
+        const state = this.pendingState;
+        this.pendingState = null;
+        if (!state || !this.leftSection) return;
+
+        const busSlider = this.leftSection.querySelector('.partitions-bus-volume-slider');
+        if (busSlider && Number.isFinite(state.busVolumeDb)) busSlider.value = state.busVolumeDb;
+
+        const playback = window.partitionsPlayback;
+        this.leftSection.querySelectorAll('.partition-layer').forEach((layer, index) => {
+            const saved = state.layers?.[index];
+            if (!saved) return;
+            const setValue = (selector, value) => {
+                const el = layer.querySelector(selector);
+                if (el && value != null && value !== '') el.value = value;
+            };
+            const setCommitted = (selector, value) => {
+                const input = layer.querySelector(selector);
+                if (!input) return;
+                input.value = value ?? '';
+                input.dataset.committed = value ?? '';
+            };
+
+            layer.dataset.enabled = saved.enabled ? 'true' : 'false';
+            if (Number.isInteger(saved.linkedLayer)) layer.dataset.linkedLayer = String(saved.linkedLayer);
+            setValue('.partition-mode-select', saved.mode);
+            setCommitted('.partition-count-input-primary', String(saved.partitions || 1));
+            setCommitted('.partition-count-input-secondary', saved.secondaryPartitions ? String(saved.secondaryPartitions) : '');
+            const sampleSelect = layer.querySelector('.partition-sample-select');
+            if (sampleSelect && Array.from(sampleSelect.options).some(opt => opt.value === saved.sampleUrl)) {
+                sampleSelect.value = saved.sampleUrl;
+            }
+            if (Number.isFinite(saved.volumeDb)) setValue('.partition-volume-slider', saved.volumeDb);
+            if (Number.isFinite(saved.highpass)) setValue('.partition-hipass-input', saved.highpass);
+            if (Number.isFinite(saved.lowpass)) setValue('.partition-lopass-input', saved.lowpass);
+            const preview = layer.querySelector('.partition-preview');
+            if (preview && saved.preview) Object.assign(preview.dataset, saved.preview);
+
+            if (playback) {
+                Object.entries(saved.adsr || {}).forEach(([param, value]) => playback.updateLayerADSR(index, param, value));
+                playback.updateLayerTranspose(index, saved.transpose);
+            }
+        });
+    }
+
     createPartitionLayerHTML(index, name, color) {
-        const layerNames = ['A', 'B', 'C', 'D'];
-        const layerName = layerNames[index] || name || 'A';
+        const layerName = LRCLayers.layerIndex(index) >= 0 ? LRCLayers.layerName(index) : (name || 'A');
         const defaultSamples = [
             'assets/audio/kick1.wav',
             'assets/audio/snare1.wav',
@@ -1764,8 +1861,7 @@ class PartitionsUI {
     }
 
     getLayerColor(layerIndex) {
-        const colors = ['#ff6b6b', '#4ecdc4', '#00a638ff', '#f9ca24'];
-        return colors[layerIndex] || '#00ff88';
+        return LRCLayers.layerIndex(layerIndex) >= 0 ? LRCLayers.layerColor(layerIndex) : '#00ff88';
     }
 
     // ====================================
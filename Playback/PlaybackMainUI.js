@@ -61,11 +61,8 @@ class PlaybackMainUI {
                 </button>
                 <div id="layer-controls-content" class="collapse-content">
                     <!-- Layer Toggle Buttons -->
-                    <div class="playback-layer-toggles">
-                        <button class="playback-layer-btn active" data-layer="a" style="background: #ff6b6b;">A</button>
-                        <button class="playback-layer-btn" data-layer="b" style="background: #4ecdc4;">B</button>
-                        <button class="playback-layer-btn" data-layer="c" style="background: #00a638ff;">C</button>
-                        <button class="playback-layer-btn" data-layer="d" style="background: #f9ca24;">D</button>
+                    <div class="playback-layer-toggles" id="playback-layer-toggles">
+                        ${this.playback.layerControlsUI.getLayerTabsHTML(LRCLayers.layerCountFor(this.playback.currentRhythms))}
                     </div>
 
                     <div class="playback-legato-row">
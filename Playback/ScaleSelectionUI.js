@@ -58,6 +58,26 @@ class ScaleSelectionUI {
         this.playback.checkActiveFamilyIntegrity();
     }
 
+    // Restore a saved selection; fractions not in the current scale are dropped
+    setSelectedNotes(fractions = []) {
+        const available = new Set(this.playback.availableRatios.map(ratioObj => ratioObj.fraction));
+        this.playback.selectedNotes.clear();
+        fractions.forEach(fraction => {
+            if (available.has(fraction)) this.playback.selectedNotes.add(fraction);
+        });
+
+        this.updateScaleDisplay();
+        this.updateLinearPlotVisibility();
+        this.updateSelectedNotesCount();
+        this.playback.generateToneRowData();
+        this.dispatchSelectedNotesEvent();
+
+        this.playback.enforceMinCycleDuration();
+
+        console.log(`✅ Restored ${this.playback.selectedNotes.size} selected notes`);
+        this.playback.checkActiveFamilyIntegrity();
+    }
+
     selectConsonantNotes(ratioFraction) {
         const ica = window.lrcInterconsonance;
         if (!ica || !ica.pitchConsonanceMap || ica.pitchConsonanceMap.size === 0) {
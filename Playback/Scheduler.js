@@ -6,19 +6,20 @@ class Scheduler {
     }
 
     prepareLayerEvents() {
-        this.playback.layerEvents = [[], [], [], []];
+        this.playback.layerEvents = LRCLayers.emptyLayerArrays(LRCLayers.MAX_LAYERS);
         const tps = Math.max(1, this.playback.ticksPerSecond);
-        const cycleTicks = Math.max(1, Math.round(this.playback.cycleDuration * tps));
+        const cycleTicks = this.patternTicks(tps);
         this.playback.cycleTicks = cycleTicks;
 
-        ['a', 'b', 'c', 'd'].forEach((layer, layerIndex) => {
+        LRCLayers.layerKeys(LRCLayers.MAX_LAYERS).forEach((layer, layerIndex) => {
             const rhythmValue = this.playback.currentRhythms[layerIndex];
             const layerData = this.playback.toneRowDataByLayer[layerIndex];
             if (rhythmValue <= 1 || !layerData || !layerData.length) return;
 
             const ticksPerNote = cycleTicks / rhythmValue;
+            const phaseTicks = (this.playback.layerPhases?.[layerIndex] || 0) * cycleTicks;
             this.playback.layerEvents[layerIndex] = layerData.map((noteData, noteIndex) => {
-                const startTick = Math.round(noteIndex * ticksPerNote) % cycleTicks;
+                const startTick = Math.round(phaseTicks + noteIndex * ticksPerNote) % cycleTicks;
                 const durationTicks = Math.max(1, Math.round(ticksPerNote));
                 return {
                     layerIndex,
@@ -30,10 +31,16 @@ class Scheduler {
         });
     }
 
+    // Transport ticks in one full pattern: cycleDuration covers one master cycle,
+    // and a polymeter rhythm only repeats after `hyperperiod` of them.
+    patternTicks(tps = this.playback.ticksPerSecond) {
+        return Math.max(1, Math.round(this.playback.getPatternDuration() * Math.max(1, tps)));
+    }
+
     configureTiming(startPhaseMs = 0) {
         const tempo = Math.max(0.0001, this.playback.tempo || 1);
         this.playback.secondsPerTick = 1 / (this.playback.ticksPerSecond * tempo);
-        this.playback.cycleTicks = Math.max(1, Math.round(this.playback.cycleDuration * this.playback.ticksPerSecond));
+        this.playback.cycleTicks = this.patternTicks(this.playback.ticksPerSecond);
 
         const startTick = Math.floor((Math.max(0, startPhaseMs) / 1000) / this.playback.secondsPerTick) % this.playback.cycleTicks;
         this.playback.transportStartTick = startTick;
@@ -71,7 +78,7 @@ class Scheduler {
 
     handleCycleDurationChange(newDuration) {
         const tps = Math.max(1, this.playback.ticksPerSecond);
-        const prevCycleTicks = this.playback.cycleTicks || Math.max(1, Math.round(this.playback.cycleDuration * tps));
+        const prevCycleTicks = this.playback.cycleTicks || this.patternTicks(tps);
         const tempo = Math.max(0.0001, this.playback.tempo || 1);
 
         let phaseRatio = 0;
@@ -83,7 +90,7 @@ class Scheduler {
         }
 
         this.playback.cycleDuration = newDuration;
-        this.playback.cycleTicks = Math.max(1, Math.round(this.playback.cycleDuration * tps));
+        this.playback.cycleTicks = this.patternTicks(tps);
         this.playback.secondsPerTick = 1 / (tps * tempo);
         this.prepareLayerEvents();
 
@@ -108,14 +115,14 @@ class Scheduler {
     setTempoMultiplier(newTempo, { phaseMs = null } = {}) {
         const tempo = Math.max(0.0001, Number(newTempo) || 1);
         const tps = Math.max(1, this.playback.ticksPerSecond);
-        const prevCycleTicks = this.playback.cycleTicks || Math.max(1, Math.round(this.playback.cycleDuration * tps));
+        const prevCycleTicks = this.playback.cycleTicks || this.patternTicks(tps);
 
         const prevTempoValue = this.playback.tempo || 1;
         const prevSecondsPerTick = this.playback.secondsPerTick || (1 / (tps * prevTempoValue));
 
         let targetPhaseTick = 0;
         if (phaseMs != null && Number.isFinite(phaseMs) && this.playback.cycleDuration > 0) {
-            const phaseRatio = Math.max(0, phaseMs) / (this.playback.cycleDuration * 1000);
+            const phaseRatio = Math.max(0, phaseMs) / (this.playback.getPatternDuration() * 1000);
             targetPhaseTick = Math.floor(phaseRatio * prevCycleTicks) % prevCycleTicks;
         } else if (this.playback.isPlaying && this.playback.audioContext) {
             const now = this.playback.audioContext.currentTime;
@@ -165,7 +172,7 @@ class Scheduler {
     }
 
     emitTempoChange({ phaseMs = 0 } = {}) {
-        const cycleDurationMs = this.playback.cycleDuration * 1000;
+        const cycleDurationMs = this.playback.getPatternDuration() * 1000;
         const rawPhase = Number.isFinite(phaseMs) ? phaseMs : 0;
         const safePhase = cycleDurationMs > 0
             ? ((rawPhase % cycleDurationMs) + cycleDurationMs) % cycleDurationMs
@@ -186,7 +193,7 @@ class Scheduler {
         if (!this.playback.audioContext || !this.playback.isPlaying || this.playback.legatoEnabled || !fullSelection) {
             this.playback.pendingBridgeHold = false;
             this.playback.pendingTempoCleanup = false;
-            this.playback.pendingBridgeReleaseTicks = [null, null, null, null];
+            this.playback.pendingBridgeReleaseTicks = this.playback.emptyLayerSlots();
             if (this.playback.legatoEnabled) {
                 console.log('[ToneRowPlayback] Bridge not armed (legato on)');
             } else if (!this.playback.isPlaying) {
@@ -204,7 +211,7 @@ class Scheduler {
         const cycleTicks = this.playback.cycleTicks || 1;
 
         let latest = { tick: -Infinity, layerIndex: null, layerKey: null };
-        ['a', 'b', 'c', 'd'].forEach((layerKey, layerIndex) => {
+        LRCLayers.layerKeys(LRCLayers.MAX_LAYERS).forEach((layerKey, layerIndex) => {
             const lastTick = this.playback.lastNoteTickAbs[layerIndex];
             if (Number.isFinite(lastTick) && lastTick > latest.tick) {
                 latest = { tick: lastTick, layerIndex, layerKey };
@@ -214,7 +221,7 @@ class Scheduler {
         if (latest.layerIndex == null) {
             this.playback.pendingBridgeHold = false;
             this.playback.pendingTempoCleanup = false;
-            this.playback.pendingBridgeReleaseTicks = [null, null, null, null];
+            this.playback.pendingBridgeReleaseTicks = this.playback.emptyLayerSlots();
             console.log('[ToneRowPlayback] Bridge not armed: no recent notes found');
             return;
         }
@@ -242,7 +249,7 @@ class Scheduler {
 
         this.playback.pendingBridgeHold = true;
         this.playback.pendingTempoCleanup = true;
-        this.playback.pendingBridgeReleaseTicks = [null, null, null, null];
+        this.playback.pendingBridgeReleaseTicks = this.playback.emptyLayerSlots();
         this.playback.pendingBridgeReleaseTicks[latest.layerIndex] = nextAbsTick;
 
         if (!this.playback.bridgeVoices[latest.layerIndex]) {
@@ -261,7 +268,7 @@ class Scheduler {
 
     scheduleWindow(startAbs, endAbs) {
         const cycle = this.playback.cycleTicks;
-        ['a', 'b', 'c', 'd'].forEach((layer, layerIndex) => {
+        LRCLayers.layerKeys(LRCLayers.MAX_LAYERS).forEach((layer, layerIndex) => {
             const events = this.playback.layerEvents[layerIndex] || [];
             if (!events.length) return;
 
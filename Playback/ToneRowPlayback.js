@@ -23,11 +23,13 @@ class ToneRowPlayback {
         
         // Data
         this.spacesPlot = [];
-        this.spacesPlotByLayer = [[], [], [], []];
+        this.spacesPlotByLayer = LRCLayers.emptyLayerArrays(LRCLayers.MAX_LAYERS);
         this.currentRhythms = [1, 1, 1, 1];
+        this.layerPhases = []; // Per-layer phase offset, fraction of the cycle
+        this.hyperperiod = 1; // Master cycles before a polymeter rhythm repeats
         this.toneRowData = [];
         this.toneRowDataByLayer = [];
-        this.layerEvents = [[], [], [], []];
+        this.layerEvents = LRCLayers.emptyLayerArrays(LRCLayers.MAX_LAYERS);
 
         // Tick-based scheduler
         this.ticksPerSecond = 960; // PPQ-equivalent; 960 ticks/sec with cycleDuration control
@@ -41,18 +43,18 @@ class ToneRowPlayback {
         this.schedulerTimer = null;
         this.pendingTempoCleanup = false;
         this.pendingBridgeHold = false;
-        this.pendingBridgeReleaseTicks = [null, null, null, null];
-        this.bridgeVoices = [null, null, null, null];
-        this.lastNoteByLayer = [null, null, null, null];
-        this.lastNoteTickAbs = [null, null, null, null];
-        this.lastNotePulseTicks = [null, null, null, null];
+        this.pendingBridgeReleaseTicks = this.emptyLayerSlots();
+        this.bridgeVoices = this.emptyLayerSlots();
+        this.lastNoteByLayer = this.emptyLayerSlots();
+        this.lastNoteTickAbs = this.emptyLayerSlots();
+        this.lastNotePulseTicks = this.emptyLayerSlots();
         this.pendingBridgeSustain = false;
         
         // Audio routing
         this.layerNodes = [];
         this.activeOscillators = [];
         this.scheduledEvents = [];
-        this.activeLayerVoices = [null, null, null, null];
+        this.activeLayerVoices = this.emptyLayerSlots();
         this.legatoEnabled = false;
 
         // Global filters
@@ -64,12 +66,10 @@ class ToneRowPlayback {
         };
         
         // Layer states (now with individual filters)
-        this.layerStates = {
-            a: this.createDefaultLayerState(),
-            b: this.createDefaultLayerState(),
-            c: this.createDefaultLayerState(),
-            d: this.createDefaultLayerState()
-        };
+        this.layerStates = {};
+        LRCLayers.layerKeys(LRCLayers.MAX_LAYERS).forEach((key) => {
+            this.layerStates[key] = this.createDefaultLayerState();
+        });
         
         // Solo/Mute system
         this.soloLayer = null;
@@ -106,6 +106,11 @@ class ToneRowPlayback {
         console.log('Tone Row Playback initialized');
     }
 
+    // One slot per possible layer (bridge voices, last-note bookkeeping, ...)
+    emptyLayerSlots() {
+        return new Array(LRCLayers.MAX_LAYERS).fill(null);
+    }
+
     createDefaultLayerState() {
         return {
             volume: -12, // dB
@@ -223,7 +228,7 @@ class ToneRowPlayback {
     }
 
     updateSoloMuteStates() {
-        ['a', 'b', 'c', 'd'].forEach((layer, index) => {
+        LRCLayers.layerKeys(LRCLayers.MAX_LAYERS).forEach((layer, index) => {
             if (this.layerNodes[index]) {
                 const shouldBeMuted = this.mutedLayers.has(layer) || 
                                       (this.soloLayer && this.soloLayer !== layer);
@@ -248,7 +253,7 @@ class ToneRowPlayback {
     }
 
     updateSoloMuteButtons() {
-        ['a', 'b', 'c', 'd'].forEach(layer => {
+        LRCLayers.layerKeys(LRCLayers.MAX_LAYERS).forEach(layer => {
             const soloBtn = document.getElementById(`solo-${layer}`);
             const muteBtn = document.getElementById(`mute-${layer}`);
             
@@ -293,7 +298,7 @@ class ToneRowPlayback {
 
             // Notify visuals
             if (window.lrcVisuals) {
-                window.lrcVisuals.setCycleDuration(this.cycleDuration);
+                window.lrcVisuals.setCycleDuration(this.getPatternDuration());
             }
         }
     }
@@ -316,7 +321,7 @@ class ToneRowPlayback {
 
         // Full scale: enforce dynamic minimum based on fastest audible layer
         const minNoteInterval = 0.01; // 10ms minimum between notes
-        const layerKeys = ['a', 'b', 'c', 'd'];
+        const layerKeys = LRCLayers.layerKeys(LRCLayers.MAX_LAYERS);
         let audibleIndices = [];
 
         if (this.soloLayer) {
@@ -338,10 +343,16 @@ class ToneRowPlayback {
             1,
             ...audibleIndices.map((index) => this.currentRhythms[index] || 1)
         );
-        const safeMin = fastestLayer * minNoteInterval;
+        // currentRhythms count pulses over the whole hyperperiod, which spans several cycle durations
+        const safeMin = (fastestLayer * minNoteInterval) / Math.max(1, this.hyperperiod || 1);
         return Math.max(absoluteMin, safeMin);
     }
 
+    // Seconds before the whole pattern repeats: one cycle, or several for polymeter rhythms.
+    getPatternDuration() {
+        return this.cycleDuration * Math.max(1, this.hyperperiod || 1);
+    }
+
     /**
      * Enforce the safe minimum cycle duration when rhythm data changes.
      * Updates the input field and internal value if current duration is too low.
@@ -568,14 +579,99 @@ class ToneRowPlayback {
         this.scaleSelectionUI.updateLinearPlotVisibility();
     }
 
+    setSelectedNotes(fractions) {
+        this.scaleSelectionUI.setSelectedNotes(fractions);
+    }
+
+    // ====================================
+    // PROJECT STATE
+    // ====================================
+
+    // Tempo, tuning, mix and per-layer voice settings for LRCSession project files
+    getProjectState() {
+        const layers = {};
+        Object.entries(this.layerStates).forEach(([key, state]) => {
+            layers[key] = {
+                volume: state.volume,
+                waveform: state.waveform,
+                adsr: { ...state.adsr },
+                filters: { ...state.filters }
+            };
+        });
+
+        return {
+            cycleDuration: this.cycleDuration,
+            fundamentalFreq: this.fundamentalFreq,
+            masterVolumeDb: this.masterVolumeDb,
+            globalFilters: { ...this.globalFilterSettings },
+            legato: this.legatoEnabled,
+            layers
+        };
+    }
+
+    // Apply after the project's rhythm is generated: tempo is clamped against its safe minimum
+    applyProjectState(state = {}) {
+        if (Number.isFinite(state.cycleDuration)) this.updateTempo(state.cycleDuration);
+        if (Number.isFinite(state.fundamentalFreq)) this.updateFundamentalFreq(state.fundamentalFreq);
+
+        if (Number.isFinite(state.masterVolumeDb)) {
+            this.updateMasterVolume(state.masterVolumeDb);
+            const volumeSlider = document.getElementById('master-volume');
+            const volumeValue = document.getElementById('master-volume-value');
+            if (volumeSlider) volumeSlider.value = state.masterVolumeDb;
+            if (volumeValue) volumeValue.textContent = `${state.masterVolumeDb} dB`;
+        }
+
+        if (state.globalFilters) {
+            this.setGlobalHighpass(state.globalFilters.highpass);
+            this.setGlobalLowpass(state.globalFilters.lowpass);
+        }
+
+        if (typeof state.legato === 'boolean' && state.legato !== this.legatoEnabled) {
+            this.toggleLegatoMode();
+        }
+
+        Object.entries(state.layers || {}).forEach(([key, saved]) => {
+            const layerState = this.layerStates[key];
+            if (!layerState || !saved) return;
+
+            if (Number.isFinite(saved.volume)) {
+                layerState.volume = saved.volume;
+                this.updateLayerVolume(key, saved.volume);
+            }
+            if (typeof saved.waveform === 'string') layerState.waveform = saved.waveform;
+            Object.entries(saved.adsr || {}).forEach(([param, value]) => {
+                if (param in layerState.adsr && Number.isFinite(value)) layerState.adsr[param] = value;
+            });
+            if (saved.filters) {
+                this.setLayerHighpass(key, saved.filters.highpass);
+                this.setLayerLowpass(key, saved.filters.lowpass);
+            }
+        });
+
+        // Layer controls render from layerStates
+        this.showLayerControls(this.currentLayer);
+    }
+
     // ====================================
     // DATA MANAGEMENT
     // ====================================
 
     updateData(data) {
         this.spacesPlot = data.spacesPlot || [];
-        this.spacesPlotByLayer = data.spacesPlotByLayer || [[], [], [], []];
+        this.spacesPlotByLayer = data.spacesPlotByLayer || LRCLayers.emptyLayerArrays(LRCLayers.MAX_LAYERS);
         this.currentRhythms = data.rhythms || [1, 1, 1, 1];
+        this.period = data.period || LRCCore.OCTAVE;
+        // Phase offsets as a fraction of the cycle, so the scheduler can place them in any tick space
+        const offsets = data.offsets || [];
+        this.layerPhases = this.currentRhythms.map((_, index) => (data.grid > 0 ? (offsets[index] || 0) / data.grid : 0));
+
+        const previousHyperperiod = this.hyperperiod;
+        this.hyperperiod = Math.max(1, data.hyperperiod || 1);
+        if (this.hyperperiod !== previousHyperperiod && window.lrcVisuals) {
+            window.lrcVisuals.setCycleDuration(this.getPatternDuration());
+        }
+        this.layerControlsUI.renderLayerTabs(LRCLayers.layerCountFor(this.currentRhythms));
 
         // Re-validate cycle duration against new rhythm's safe minimum
         this.enforceMinCycleDuration();
@@ -623,6 +719,10 @@ class ToneRowPlayback {
         this.consonanceFamiliesUI.selectConsonanceFamily(familyIndex);
     }
 
+    selectFamilyByRatios(ratios) {
+        return this.consonanceFamiliesUI.selectFamilyByRatios(ratios);
+    }
+
     setActiveFamilySelection(family, index) {
         this.consonanceFamiliesUI.setActiveFamilySelection(family, index);
     }
@@ -687,6 +787,7 @@ class ToneRowPlayback {
                         globalSpacesIndex: globalSpacesIndex,
                         spaceValue: space,
                         ratio: ratio,
+                        fraction: LRCCore.spaceRatio(globalFundamental, space, this.period).fraction,
                         frequency: frequency,
                         isMutedByFrequency: isMutedByFrequency
                     };
@@ -759,7 +860,7 @@ class ToneRowPlayback {
             else param.setValueAtTime(safeTarget, now);
         };
 
-        for (let i = 0; i < 4; i++) {
+        for (let i = 0; i < LRCLayers.MAX_LAYERS; i++) {
             const voice = this.activeLayerVoices[i];
             if (voice?.oscillator && voice.noteData?.ratio) {
                 const newFreq = this.fundamentalFreq * voice.noteData.ratio;
@@ -814,8 +915,8 @@ class ToneRowPlayback {
                 : 0;
             window.dispatchEvent(new CustomEvent('playbackStarted', {
                 detail: {
-                    cycleDuration: this.cycleDuration,
-                    cycleDurationMs: this.cycleDuration * 1000,
+                    cycleDuration: this.getPatternDuration(),
+                    cycleDurationMs: this.getPatternDuration() * 1000,
                     tempo: this.tempo,
                     phaseMs: normalizedStartPhaseMs
                 }
@@ -843,7 +944,7 @@ class ToneRowPlayback {
         if (this.legatoEnabled) {
             this.releaseAllLayerVoices({ immediate: true });
         }
-        this.activeLayerVoices = [null, null, null, null];
+        this.activeLayerVoices = this.emptyLayerSlots();
 
         // Stop all oscillators
         this.activeOscillators.forEach(osc => {
@@ -858,7 +959,7 @@ class ToneRowPlayback {
         // Release bridge voices
         this.bridgeVoices.forEach((_, idx) => this.releaseBridgeVoice(idx));
         this.pendingBridgeHold = false;
-        this.pendingBridgeReleaseTicks = [null, null, null, null];
+        this.pendingBridgeReleaseTicks = this.emptyLayerSlots();
 
         // Clear scheduled events (legacy compatibility)
         this.scheduledEvents.forEach(id => clearTimeout(id));
@@ -979,7 +1080,7 @@ class ToneRowPlayback {
             this.stopAllOscillators();
             // Also clear any bridge voices/flags
             this.pendingBridgeHold = false;
-            this.pendingBridgeReleaseTicks = [null, null, null, null];
+            this.pendingBridgeReleaseTicks = this.emptyLayerSlots();
             this.bridgeVoices.forEach((_, idx) => this.releaseBridgeVoice(idx));
         }
 
@@ -1030,7 +1131,7 @@ class ToneRowPlayback {
      * Check mute/solo for a layer.
      */
     isLayerMuted(layerIndex) {
-        const layerKey = ['a', 'b', 'c', 'd'][layerIndex];
+        const layerKey = LRCLayers.layerKey(layerIndex);
         if (!layerKey) return false;
         if (this.soloLayer && this.soloLayer !== layerKey) return true;
         return this.mutedLayers.has(layerKey);
@@ -1289,9 +1390,11 @@ class ToneRowPlayback {
 
     normalizeRatioValue(ratioValue) {
         if (!Number.isFinite(ratioValue) || ratioValue <= 0) return null;
+        // Fold into the rhythm's period (octave unless a different equave was chosen)
+        const periodRatio = Math.pow(2, (this.period || LRCCore.OCTAVE).cents / 1200);
         let normalized = ratioValue;
-        while (normalized >= 2) normalized /= 2;
-        while (normalized < 1) normalized *= 2;
+        while (normalized >= periodRatio) normalized /= periodRatio;
+        while (normalized < 1) normalized *= periodRatio;
         return normalized;
     }
 
@@ -1325,10 +1428,12 @@ class ToneRowPlayback {
     createNoteEventDetail(noteData, duration, layerIndex) {
         if (!noteData || typeof layerIndex !== 'number') return null;
 
-        const layerNames = ['A', 'B', 'C', 'D'];
-        const layerName = layerNames[layerIndex] || `Layer${layerIndex + 1}`;
+        const layerName = LRCLayers.layerIndex(layerIndex) >= 0
+            ? LRCLayers.layerName(layerIndex)
+            : `Layer${layerIndex + 1}`;
         const normalizedRatio = this.normalizeRatioValue(noteData.ratio);
-        const ratioFraction = normalizedRatio ? this.findFractionForRatio(normalizedRatio) : null;
+        const ratioFraction = noteData.fraction
+            || (normalizedRatio ? this.findFractionForRatio(normalizedRatio) : null);
 
         if (!ratioFraction) {
             return null;
@@ -31,16 +31,11 @@ class LRCCentrifuge {
         this.previousAngles = []; // Track previous angles for crossing detection
         
         // Colors
-        this.layerColors = {
-            'A': '#ff6b6b',
-            'B': '#4ecdc4',
-            'C': '#00a638ff',
-            'D': '#f9ca24'
-        };
+        this.layerColors = LRCLayers.layerColorMap();
 
         // Ratio highlight tracking
-        this.layerNames = ['A', 'B', 'C', 'D'];
-        this.activeLayerRatios = [null, null, null, null];
+        this.layerNames = LRCLayers.layerNames(LRCLayers.MAX_LAYERS);
+        this.activeLayerRatios = this.layerNames.map(() => null);
         this.ratioHighlightCounts = new Map();
         this.ratioIndexLookup = new Map();
         this.legatoModeActive = !!(window.toneRowPlayback && window.toneRowPlayback.legatoEnabled);
@@ -67,48 +62,6 @@ class LRCCentrifuge {
         console.log('🌀 Centrifuge visualization initialized');
     }
 
-    // ====================================
-    // SETUP AND DRAWING
-    // ====================================
-
-    decimalToFraction(decimal) {
-        // Simple fraction conversion with limited precision
-        const tolerance = 1e-6;
-        let numerator = 1;
-        let denominator = 1;
-        let bestError = Math.abs(decimal - 1);
-        let bestNum = 1;
-        let bestDen = 1;
-        
-        // Try denominators up to 64 (common in musical ratios)
-        for (let den = 1; den <= 64; den++) {
-            const num = Math.round(decimal * den);
-            const error = Math.abs(decimal - num / den);
-            
-            if (error < bestError && error < tolerance) {
-                bestError = error;
-                bestNum = num;
-                bestDen = den;
-            }
-        }
-        
-        // Reduce fraction
-        const gcd = this.calculateGCD(bestNum, bestDen);
-        bestNum /= gcd;
-        bestDen /= gcd;
-        
-        return `${bestNum}/${bestDen}`;
-    }
-
-    calculateGCD(a, b) {
-        while (b !== 0) {
-            const temp = b;
-            b = a % b;
-            a = temp;
-        }
-        return a;
-    }
-
     // ====================================
     // EVENT INTEGRATION
     // ====================================
@@ -626,7 +579,7 @@ class LRCCentrifuge {
 
     clearAllRatioHighlights() {
         this.ratioHighlightCounts.clear();
-        this.activeLayerRatios = [null, null, null, null];
+        this.activeLayerRatios = this.layerNames.map(() => null);
         this.layerHighlightStates = this.layerNames.map(() => ({
             ratio: null,
             ratioIndex: null,
@@ -679,12 +632,15 @@ class LRCCentrifuge {
 
     extractUniqueRatios(ratios) {
         const unique = new Set();
+        const centsByRatio = new Map(); // Folded pitch; fractions alone don't order cents-period scales
+        const periodLabel = (window.lrcModule?.currentPeriod || LRCCore.OCTAVE).label;
         
         ratios.forEach(ratioObj => {
             // Handle both object format (from LRCModule) and string format
             let ratioString;
             if (typeof ratioObj === 'object' && ratioObj.fraction) {
                 ratioString = ratioObj.fraction;
+                if (Number.isFinite(ratioObj.cents)) centsByRatio.set(ratioString, ratioObj.cents);
             } else if (typeof ratioObj === 'string') {
                 ratioString = ratioObj;
             } else {
@@ -692,8 +648,8 @@ class LRCCentrifuge {
                 return;
             }
             
-            // Exclude 2/1 (octave)
-            if (ratioString !== '2/1') {
+            // Exclude the period itself (2/1 for the octave)
+            if (ratioString !== periodLabel) {
                 unique.add(ratioString);
             }
         });
@@ -703,8 +659,8 @@ class LRCCentrifuge {
         
         // Sort ratios numerically (convert fractions to decimals for sorting)
         sortedRatios.sort((a, b) => {
-            const valueA = this.ratioToDecimal(a);
-            const valueB = this.ratioToDecimal(b);
+            const valueA = centsByRatio.has(a) ? centsByRatio.get(a) : this.ratioToDecimal(a);
+            const valueB = centsByRatio.has(b) ? centsByRatio.get(b) : this.ratioToDecimal(b);
             return valueA - valueB;
         });
         
@@ -777,8 +733,8 @@ class LRCCentrifuge {
                 rhythm: rhythm,
                 groupingSize: groupingSize,
                 normalizedRadius: normalizedRadius,
-                color: this.layerColors[['A', 'B', 'C', 'D'][this.rhythms.indexOf(rhythm)]],
-                layerName: ['A', 'B', 'C', 'D'][this.rhythms.indexOf(rhythm)],
+                color: this.layerColors[this.layerNames[this.rhythms.indexOf(rhythm)]],
+                layerName: this.layerNames[this.rhythms.indexOf(rhythm)],
                 rotationsPerCycle: rhythm,
                 currentAngle: -Math.PI / 2, // Start at top (0 degrees)
                 completedRotations: 0 // Track completed rotations
@@ -1278,16 +1234,9 @@ class LRCCentrifuge {
     findRatioForSpaceValue(spaceValue, spacesIndex) {
         if (this.spacesPlot.length === 0 || this.uniqueRatios.length === 0) return null;
         
-        // Calculate ratio the same way as scale generation
+        // Exact ratio, derived the same way as scale generation
         const fundamental = Math.max(...this.spacesPlot);
-        let ratio = fundamental / spaceValue;
-        
-        // Octaviate the ratio (compress to single octave between 1/1 and 2/1)
-        while (ratio >= 2) ratio /= 2;
-        while (ratio < 1) ratio *= 2;
-        
-        // Convert to fraction format
-        const fraction = this.decimalToFraction(ratio);
+        const { ratio, fraction } = LRCCore.spaceRatio(fundamental, spaceValue, window.lrcModule?.currentPeriod);
         
         // Find this ratio in our unique ratios list
         const matchingRatio = this.uniqueRatios.find(r => r === fraction);
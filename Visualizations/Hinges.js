@@ -225,7 +225,11 @@ class LRCHinges {
                 'A': 0,                  // Right (0°)
                 'B': 3 * Math.PI / 2,    // Up (270°) - negative Y in canvas coords
                 'C': Math.PI,            // Left (180°)
-                'D': Math.PI / 2         // Down (90°) - positive Y in canvas coords
+                'D': Math.PI / 2,        // Down (90°) - positive Y in canvas coords
+                'E': 7 * Math.PI / 4,    // Up-right (315°)
+                'F': 5 * Math.PI / 4,    // Up-left (225°)
+                'G': 3 * Math.PI / 4,    // Down-left (135°)
+                'H': Math.PI / 4         // Down-right (45°)
             };
         }
         
@@ -824,6 +828,10 @@ class LRCHinges {
                             case 'B': forceColor = 'rgba(78, 205, 196, 0.8)'; break;  // Cyan
                             case 'C': forceColor = 'rgba(69, 183, 209, 0.8)'; break;  // Blue
                             case 'D': forceColor = 'rgba(249, 202, 36, 0.8)'; break;  // Yellow
+                            case 'E': forceColor = 'rgba(165, 94, 234, 0.8)'; break;  // Violet
+                            case 'F': forceColor = 'rgba(255, 159, 67, 0.8)'; break;  // Orange
+                            case 'G': forceColor = 'rgba(69, 170, 242, 0.8)'; break;  // Sky blue
+                            case 'H': forceColor = 'rgba(253, 121, 168, 0.8)'; break; // Pink
                         }
                     }
                     
@@ -60,7 +60,7 @@
         // Apply default locks only once per anchors-entry unless user changed them
         if (!this.anchors.initialized) {
           const vals = window.lrcModule?.currentRhythms || [0,0,0,0];
-          const letters = ['A','B','C','D'];
+          const letters = LRCLayers.layerNames(LRCLayers.MAX_LAYERS);
           letters.forEach((L,idx)=>{
             if ((vals[idx]||0)>1) this.anchors.layerLocks[L] = false;
           });
@@ -306,7 +306,7 @@
       const h = this.hinges;
       const pins = new Set();
       const layerMap = window.lrcModule?.currentLayerMap || [];
-      const letters = ['A','B','C','D'];
+      const letters = LRCLayers.layerNames(LRCLayers.MAX_LAYERS);
       // layer locks
       letters.forEach((L, idx) => {
         const val = window.lrcModule?.currentRhythms?.[idx] || 0;
@@ -335,7 +335,7 @@
       const values = mod.currentRhythms || [0,0,0,0];
       const grid = mod.currentGrid || 0;
       const comp = mod.currentCompositeRhythm || [];
-      const letters = ['A','B','C','D'];
+      const letters = LRCLayers.layerNames(LRCLayers.MAX_LAYERS);
       const act = letters.map((L,i)=>({L, v: values[i]})).filter(x=>x.v>1);
       const n = act.length;
       const gcd = (a,b)=>{ a=Math.abs(a); b=Math.abs(b); while(b){ [a,b]=[b,a%b]; } return a; };
@@ -601,13 +601,13 @@
     // Build rows for active layers (exclude rhythm value = 1)
     function getActiveLayers() {
       const rhythms = window.lrcModule?.currentRhythms || [1,1,1,1];
-      const letters = ['A','B','C','D'];
+      const letters = LRCLayers.layerNames(LRCLayers.MAX_LAYERS);
       return letters.filter((L, idx) => (rhythms[idx] || 0) > 1);
     }
 
     function dirArrowFor(rad) {
-      const dirs = [0, Math.PI/2, Math.PI, 3*Math.PI/2];
-      const syms = ['→','↓','←','↑']; // Canvas coords: PI/2=down, 3*PI/2=up
+      const dirs = [0, Math.PI/4, Math.PI/2, 3*Math.PI/4, Math.PI, 5*Math.PI/4, 3*Math.PI/2, 7*Math.PI/4];
+      const syms = ['→','↘','↓','↙','←','↖','↑','↗']; // Canvas coords: PI/2=down, 3*PI/2=up
       let best = 0, bestDiff = Infinity;
       for (let i=0;i<dirs.length;i++) {
         const d = Math.abs(Math.atan2(Math.sin(rad - dirs[i]), Math.cos(rad - dirs[i])));
@@ -687,7 +687,7 @@
     // Anchors panel (below Layer Forces)
     // Force default lock state on initial build
     const initVals = window.lrcModule?.currentRhythms || [0,0,0,0];
-    ['A','B','C','D'].forEach((L, idx) => {
+    LRCLayers.layerNames(LRCLayers.MAX_LAYERS).forEach((L, idx) => {
       if ((initVals[idx] || 0) > 1) {
         adv.anchors.layerLocks[L] = true;
       }
@@ -790,7 +790,7 @@
     function rebuildLayerLocks(){
       llWrap.innerHTML = '';
       const vals = window.lrcModule?.currentRhythms || [0,0,0,0];
-      const letters = ['A','B','C','D'];
+      const letters = LRCLayers.layerNames(LRCLayers.MAX_LAYERS);
       letters.forEach((L,idx)=>{
         if ((vals[idx]||0) <= 1) return;
         const row = document.createElement('div'); row.style.display='flex'; row.style.alignItems='center'; row.style.justifyContent='space-between';
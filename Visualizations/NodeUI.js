@@ -87,12 +87,7 @@ class NodeUI {
 
     updatePopupContent(nodeData) {
         // Format source layers as colored labels
-        const layerColors = {
-            'A': '#ff6b6b',
-            'B': '#4ecdc4',
-            'C': '#00a638ff',
-            'D': '#f9ca24'
-        };
+        const layerColors = LRCLayers.layerColorMap();
 
         const sourceLayersHTML = nodeData.sourceLayers.map(layer => {
             const color = layerColors[layer] || '#fff';
@@ -12,18 +12,17 @@ class LRCWheel {
         this.layerMap = [];
         this.rhythms = [1, 1, 1, 1];
         this.grid = 0;
+        this.offsets = [];
 
         this.slicesEnabled = false;
         this.hiddenSpacesIndices = new Set();
 
         this.nodeAngles = [];
         this.sliceAngles = [];
-        this.layerPulseIndices = {
-            A: [],
-            B: [],
-            C: [],
-            D: []
-        };
+        this.layerPulseIndices = {};
+        LRCLayers.layerNames(LRCLayers.MAX_LAYERS).forEach((name) => {
+            this.layerPulseIndices[name] = [];
+        });
 
         this.highlightDecayMs = 300;
         this.highlightTimes = new Map();
@@ -49,12 +48,13 @@ class LRCWheel {
         console.log('Wheel visualization initialized');
     }
 
-    updateData({ spacesPlot, compositeRhythm, layerMap, rhythms, grid } = {}) {
+    updateData({ spacesPlot, compositeRhythm, layerMap, rhythms, grid, offsets } = {}) {
         this.spacesPlot = spacesPlot || this.spacesPlot || [];
         this.compositeRhythm = compositeRhythm || this.compositeRhythm || [];
         this.layerMap = layerMap || this.layerMap || [];
         this.rhythms = rhythms || this.rhythms || [1, 1, 1, 1];
         this.grid = grid || this.grid || 0;
+        this.offsets = offsets || this.offsets || [];
 
         this.rebuildGeometry();
     }
@@ -165,12 +165,10 @@ class LRCWheel {
         this.nodeAngles = [];
         this.sliceAngles = [];
 
-        this.layerPulseIndices = {
-            A: [],
-            B: [],
-            C: [],
-            D: []
-        };
+        this.layerPulseIndices = {};
+        LRCLayers.layerNames(LRCLayers.MAX_LAYERS).forEach((name) => {
+            this.layerPulseIndices[name] = [];
+        });
 
         if (compositePositions.length === 0 || effectiveGrid <= 0) return;
 
@@ -375,7 +373,7 @@ class LRCWheel {
         const progress = (elapsedInCycle % this.cycleDurationMs) / this.cycleDurationMs;
         const timeNow = Number.isFinite(now) ? now : performance.now();
 
-        const layerNames = ['A', 'B', 'C', 'D'];
+        const layerNames = LRCLayers.layerNames(this.rhythms.length);
 
         layerNames.forEach((layer, layerIndex) => {
             const rhythm = this.rhythms[layerIndex] || 0;
@@ -386,7 +384,10 @@ class LRCWheel {
             const indices = this.layerPulseIndices[layer] || [];
             if (indices.length === 0) return;
 
-            const pulseIndex = Math.floor(progress * rhythm) % indices.length;
+            // A displaced layer's first pulse sits at its offset, not at 12 o'clock
+            const phase = this.grid > 0 ? (this.offsets[layerIndex] || 0) / this.grid : 0;
+            const layerProgress = (progress - phase + 1) % 1;
+            const pulseIndex = Math.floor(layerProgress * rhythm) % indices.length;
             const compositeIndex = indices[pulseIndex];
             const angle = this.nodeAngles[compositeIndex];
             if (angle === undefined) return;
@@ -629,7 +630,8 @@ function integrateWheelVisualization() {
             compositeRhythm: this.compositeRhythm,
             layerMap: this.layerMap,
             rhythms: this.rhythms,
-            grid: this.grid || window.lrcModule?.currentGrid || 1
+            grid: this.grid || window.lrcModule?.currentGrid || 1,
+            offsets: window.lrcModule?.currentOffsets
         });
 
         wheel.draw();